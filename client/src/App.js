@@ -1,4 +1,3 @@
-import BlankPage from './components/BlankPage';
 import React from 'react';
 import { BrowserRouter as Router, Route, Routes } from 'react-router-dom';
 import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
@@ -11,16 +10,20 @@ import Login from './components/Login';
 import Register from './components/Register.js';
 import Protected from './components/Protected';
 import ContactsPage from './components/ContactsPage';
+import DashboardPage from './components/DashboardPage';
 // ...existing code...
 import ContactDetailPage from './components/ContactDetailPage';
+import DuplicatesPage from './components/DuplicatesPage';
+import ListingsPage from './components/ListingsPage';
+import ListingDetailPage from './components/ListingDetailPage';
+import DealsPage from './components/DealsPage';
+import TasksPage from './components/TasksPage';
 import UserSettings from './components/UserSettings';
 import Sidebar from './components/Sidebar';
 import TopBar from './components/TopBar';
 import { ThemeProvider, useTheme } from './ThemeContext';
 
-// Blank placeholder components for new sidebar routes
-const ListingsPage = () => <div style={{padding: 32}}><h2>Listings</h2><p>This is a blank Listings page.</p></div>;
-const DealsPage = () => <div style={{padding: 32}}><h2>Deals</h2><p>This is a blank Deals page.</p></div>;
+// Blank placeholder component for sidebar routes that are not built yet
 const MarketStockPage = () => <div style={{padding: 32}}><h2>Market Stock</h2><p>This is a blank Market Stock page.</p></div>;
 
 // Optimized QueryClient configuration for TanStack Query v5
@@ -92,12 +95,14 @@ const AppContent = () => {
                   }}
                 >
                   <Routes>
-                    <Route path="/" element={<ContactsPage />} />
+                    <Route path="/" element={<DashboardPage />} />
                     <Route path="/contacts" element={<ContactsPage />} />
+                    <Route path="/contacts/duplicates" element={<DuplicatesPage />} />
                     <Route path="/contacts/:id" element={<ContactDetailPage />} />
-                    <Route path="/tasks" element={<BlankPage />} />
+                    <Route path="/tasks" element={<TasksPage />} />
                     <Route path="/settings/*" element={<UserSettings />} />
                     <Route path="/listings" element={<ListingsPage />} />
+                    <Route path="/listings/:id" element={<ListingDetailPage />} />
                     <Route path="/deals" element={<DealsPage />} />
                     <Route path="/market-stock" element={<MarketStockPage />} />
                   </Routes>
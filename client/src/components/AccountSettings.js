@@ -1,6 +1,8 @@
 import React, { useState } from 'react';
-import { Mail, Lock, Eye, EyeOff, CheckCircle, AlertCircle, Shield } from 'lucide-react';
+import { useNavigate } from 'react-router-dom';
+import { Mail, Lock, Eye, EyeOff, CheckCircle, AlertCircle, Shield, LogOut } from 'lucide-react';
 import { useUpdateEmail, useUpdatePassword } from '../hooks/useUserSettings';
+import { logoutEverywhere } from '../utils/auth';
 
 
 const AccountSettings = ({ user }) => {
@@ -15,6 +17,9 @@ const AccountSettings = ({ user }) => {
   const [errorMessage, setErrorMessage] = useState('');
   const [showPassword, setShowPassword] = useState(false);
   const [currentPassword, setCurrentPassword] = useState('');
+  const [signOutError, setSignOutError] = useState('');
+  const [isSigningOut, setIsSigningOut] = useState(false);
+  const navigate = useNavigate();
 
   const updateEmailMutation = useUpdateEmail();
   const updatePasswordMutation = useUpdatePassword();
@@ -79,6 +84,19 @@ const AccountSettings = ({ user }) => {
     }
   };
 
+  const handleSignOutEverywhere = async () => {
+    if (!window.confirm('Sign out of SoleCRM on every device, including this one?')) return;
+    setSignOutError('');
+    setIsSigningOut(true);
+    try {
+      await logoutEverywhere();
+      navigate('/login');
+    } catch (error) {
+      setSignOutError(error.message || 'Failed to sign out of all sessions');
+      setIsSigningOut(false);
+    }
+  };
+
   return (
     <div>
       {/* Email Update Section */}
@@ -193,6 +211,29 @@ const AccountSettings = ({ user }) => {
           </form>
         </div>
       </div>
+      {/* Sign Out Everywhere Section */}
+      <div className="card mb-4">
+        <div className="card-header">
+          <h5 className="card-title mb-0">
+            <LogOut size={20} className="me-2" />
+            Sign Out Everywhere
+          </h5>
+        </div>
+        <div className="card-body">
+          <p className="text-muted small">
+            Ends every active session, on this device and any others. You will need to sign in again.
+          </p>
+          <button
+            type="button"
+            className="btn btn-outline-danger"
+            onClick={handleSignOutEverywhere}
+            disabled={isSigningOut}
+          >
+            {isSigningOut ? 'Signing out...' : 'Sign Out Everywhere'}
+          </button>
+          {signOutError && <div className="text-danger mt-2">{signOutError}</div>}
+        </div>
+      </div>
       {/* Password Requirements */}
       <div className="card">
         <div className="card-body">
@@ -0,0 +1,267 @@
+import React, { useState, useEffect } from 'react';
+import { Save, X } from 'lucide-react';
+import { useContacts } from '../hooks/useContacts';
+import { useListings } from '../hooks/useListings';
+import '../styles/forms/sideform.css';
+
+const emptyForm = {
+  title: '',
+  contactId: '',
+  listingId: '',
+  value: '',
+  expectedCloseDate: '',
+  stageId: ''
+};
+
+/**
+ * AddDealModal Component
+ *
+ * Slide-in form for creating a deal in the selected pipeline.
+ *
+ * Props:
+ * - isOpen: Boolean indicating if modal should be displayed
+ * - onClose: Function called when modal should be closed
+ * - pipeline: The pipeline the deal is created in (provides the stage list)
+ * - onAddDeal: Function called with new deal data when form is submitted
+ */
+const AddDealModal = ({ isOpen, onClose, pipeline, onAddDeal }) => {
+  const [formData, setFormData] = useState(emptyForm);
+  const [errors, setErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const { data: contactsData } = useContacts({}, 1, 1000);
+  const { data: listingsData } = useListings({}, 1, 1000);
+  const contacts = contactsData?.contacts || [];
+  const listings = listingsData?.listings || [];
+  const stages = pipeline?.stages || [];
+
+  // Animation state for slide-in effect
+  const [animationState, setAnimationState] = useState('entering');
+  const [shouldRender, setShouldRender] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setShouldRender(true);
+      const timer = setTimeout(() => {
+        setAnimationState('entered');
+      }, 10);
+      return () => clearTimeout(timer);
+    } else if (shouldRender) {
+      setAnimationState('exiting');
+      const timer = setTimeout(() => {
+        setShouldRender(false);
+        setAnimationState('entering');
+      }, 300); // Match the CSS transition duration
+      return () => clearTimeout(timer);
+    }
+  }, [isOpen, shouldRender]);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.title.trim()) {
+      newErrors.title = 'Title is required';
+    }
+    if (!formData.contactId) {
+      newErrors.contactId = 'Contact is required';
+    }
+    if (formData.value !== '' && !/^\d+$/.test(String(formData.value).trim())) {
+      newErrors.value = 'Must be a whole number';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const resetForm = () => {
+    setFormData(emptyForm);
+    setErrors({});
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (isSubmitting || !validateForm()) return;
+
+    setIsSubmitting(true);
+    try {
+      await onAddDeal({
+        title: formData.title.trim(),
+        contactId: formData.contactId,
+        listingId: formData.listingId || null,
+        value: formData.value === '' ? null : parseInt(formData.value, 10),
+        expectedCloseDate: formData.expectedCloseDate || null,
+        pipelineId: pipeline.id,
+        ...(formData.stageId && { stageId: formData.stageId })
+      });
+
+      resetForm();
+      onClose();
+    } catch (error) {
+      console.error('Error adding deal:', error);
+      setErrors({ submit: error.message });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleClose = () => {
+    resetForm();
+    setAnimationState('exiting');
+    setTimeout(() => {
+      onClose();
+    }, 300);
+  };
+
+  const handleOverlayClick = (e) => {
+    if (e.target === e.currentTarget && animationState !== 'exiting') {
+      handleClose();
+    }
+  };
+
+  if (!shouldRender && !isOpen) return null;
+
+  return (
+    <div className={`modal-overlay ${animationState}`} onClick={handleOverlayClick}>
+      <div className={`modal-content ${animationState}`}>
+        <div className="modal-header">
+          <h2>Add New Deal</h2>
+          <button
+            onClick={handleClose}
+            className="modal-close-button"
+            type="button"
+            aria-label="Close modal"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="contact-form">
+          <div className="form-group">
+            <label htmlFor="title">
+              Title *
+              {errors.title && <span className="error-text">{errors.title}</span>}
+            </label>
+            <input
+              id="title"
+              name="title"
+              type="text"
+              value={formData.title}
+              onChange={handleInputChange}
+              className={errors.title ? 'error' : ''}
+              placeholder="e.g. Sale of 12 Smith St"
+              autoFocus
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="contactId">
+              Contact *
+              {errors.contactId && <span className="error-text">{errors.contactId}</span>}
+            </label>
+            <select
+              id="contactId"
+              name="contactId"
+              value={formData.contactId}
+              onChange={handleInputChange}
+              className={errors.contactId ? 'error' : ''}
+            >
+              <option value="">-- Select a contact --</option>
+              {contacts.map(contact => (
+                <option key={contact.id} value={contact.id}>{contact.name}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="listingId">Listing</label>
+            <select
+              id="listingId"
+              name="listingId"
+              value={formData.listingId}
+              onChange={handleInputChange}
+            >
+              <option value="">-- No listing --</option>
+              {listings.map(listing => (
+                <option key={listing.id} value={listing.id}>{listing.address}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="stageId">Stage</label>
+            <select
+              id="stageId"
+              name="stageId"
+              value={formData.stageId || stages[0]?.id || ''}
+              onChange={handleInputChange}
+            >
+              {stages.map(stage => (
+                <option key={stage.id} value={stage.id}>{stage.name}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="value">
+              Value
+              {errors.value && <span className="error-text">{errors.value}</span>}
+            </label>
+            <input
+              id="value"
+              name="value"
+              type="number"
+              min="0"
+              value={formData.value}
+              onChange={handleInputChange}
+              className={errors.value ? 'error' : ''}
+              placeholder="e.g. 25000"
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="expectedCloseDate">Expected Close Date</label>
+            <input
+              id="expectedCloseDate"
+              name="expectedCloseDate"
+              type="date"
+              value={formData.expectedCloseDate}
+              onChange={handleInputChange}
+            />
+          </div>
+
+          {errors.submit && <div className="error-text">{errors.submit}</div>}
+
+          <div className="form-actions">
+            <button
+              type="button"
+              onClick={handleClose}
+              className="cancel-button"
+              disabled={isSubmitting}
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="save-button"
+              disabled={isSubmitting}
+            >
+              <Save size={16} style={{ marginRight: 4 }} />
+              {isSubmitting ? 'Creating...' : 'Create Deal'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default AddDealModal;
@@ -0,0 +1,301 @@
+import React, { useState, useEffect } from 'react';
+import { Save, X } from 'lucide-react';
+import { useContacts } from '../hooks/useContacts';
+import { LISTING_STATUS_OPTIONS } from '../hooks/useListings';
+import '../styles/forms/sideform.css';
+
+const emptyForm = {
+  address: '',
+  suburb: '',
+  price: '',
+  bedrooms: '',
+  bathrooms: '',
+  status: 'APPRAISAL',
+  vendorContactId: '',
+  description: ''
+};
+
+/**
+ * AddListingModal Component
+ *
+ * Slide-in form for creating a listing, optionally linked to a vendor contact.
+ *
+ * Props:
+ * - isOpen: Boolean indicating if modal should be displayed
+ * - onClose: Function called when modal should be closed
+ * - onAddListing: Function called with new listing data when form is submitted
+ */
+const AddListingModal = ({ isOpen, onClose, onAddListing }) => {
+  const [formData, setFormData] = useState(emptyForm);
+  const [errors, setErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Vendor picker options
+  const { data: contactsData } = useContacts({}, 1, 1000);
+  const contacts = contactsData?.contacts || [];
+
+  // Animation state for slide-in effect
+  const [animationState, setAnimationState] = useState('entering');
+  const [shouldRender, setShouldRender] = useState(false);
+
+  // Handle modal open/close animations
+  useEffect(() => {
+    if (isOpen) {
+      setShouldRender(true);
+      const timer = setTimeout(() => {
+        setAnimationState('entered');
+      }, 10);
+      return () => clearTimeout(timer);
+    } else if (shouldRender) {
+      setAnimationState('exiting');
+      const timer = setTimeout(() => {
+        setShouldRender(false);
+        setAnimationState('entering');
+      }, 300); // Match the CSS transition duration
+      return () => clearTimeout(timer);
+    }
+  }, [isOpen, shouldRender]);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  /**
+   * Validate form data before submission
+   * @returns {boolean} True if form is valid, false otherwise
+   */
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.address.trim()) {
+      newErrors.address = 'Address is required';
+    }
+
+    ['price', 'bedrooms', 'bathrooms'].forEach(field => {
+      const value = formData[field];
+      if (value !== '' && !/^\d+$/.test(String(value).trim())) {
+        newErrors[field] = 'Must be a whole number';
+      }
+    });
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const toNumberOrNull = (value) => (value === '' ? null : parseInt(value, 10));
+
+  const resetForm = () => {
+    setFormData(emptyForm);
+    setErrors({});
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (isSubmitting || !validateForm()) return;
+
+    setIsSubmitting(true);
+    try {
+      await onAddListing({
+        address: formData.address.trim(),
+        suburb: formData.suburb.trim() || null,
+        price: toNumberOrNull(formData.price),
+        bedrooms: toNumberOrNull(formData.bedrooms),
+        bathrooms: toNumberOrNull(formData.bathrooms),
+        status: formData.status,
+        description: formData.description.trim() || null,
+        ...(formData.vendorContactId && { vendorContactId: formData.vendorContactId })
+      });
+
+      resetForm();
+      onClose();
+    } catch (error) {
+      console.error('Error adding listing:', error);
+      setErrors({ submit: error.message });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleClose = () => {
+    resetForm();
+    setAnimationState('exiting');
+    setTimeout(() => {
+      onClose();
+    }, 300);
+  };
+
+  const handleOverlayClick = (e) => {
+    if (e.target === e.currentTarget && animationState !== 'exiting') {
+      handleClose();
+    }
+  };
+
+  if (!shouldRender && !isOpen) return null;
+
+  return (
+    <div className={`modal-overlay ${animationState}`} onClick={handleOverlayClick}>
+      <div className={`modal-content ${animationState}`}>
+        <div className="modal-header">
+          <h2>Add New Listing</h2>
+          <button
+            onClick={handleClose}
+            className="modal-close-button"
+            type="button"
+            aria-label="Close modal"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="contact-form">
+          <div className="form-group">
+            <label htmlFor="address">
+              Address *
+              {errors.address && <span className="error-text">{errors.address}</span>}
+            </label>
+            <input
+              id="address"
+              name="address"
+              type="text"
+              value={formData.address}
+              onChange={handleInputChange}
+              className={errors.address ? 'error' : ''}
+              placeholder="Enter property address"
+              autoFocus
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="suburb">Suburb</label>
+            <input
+              id="suburb"
+              name="suburb"
+              type="text"
+              value={formData.suburb}
+              onChange={handleInputChange}
+              placeholder="Enter suburb"
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="status">Status</label>
+            <select
+              id="status"
+              name="status"
+              value={formData.status}
+              onChange={handleInputChange}
+            >
+              {LISTING_STATUS_OPTIONS.map(opt => (
+                <option key={opt.value} value={opt.value}>{opt.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="price">
+              Price
+              {errors.price && <span className="error-text">{errors.price}</span>}
+            </label>
+            <input
+              id="price"
+              name="price"
+              type="number"
+              min="0"
+              value={formData.price}
+              onChange={handleInputChange}
+              className={errors.price ? 'error' : ''}
+              placeholder="e.g. 850000"
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="bedrooms">
+              Bedrooms
+              {errors.bedrooms && <span className="error-text">{errors.bedrooms}</span>}
+            </label>
+            <input
+              id="bedrooms"
+              name="bedrooms"
+              type="number"
+              min="0"
+              value={formData.bedrooms}
+              onChange={handleInputChange}
+              className={errors.bedrooms ? 'error' : ''}
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="bathrooms">
+              Bathrooms
+              {errors.bathrooms && <span className="error-text">{errors.bathrooms}</span>}
+            </label>
+            <input
+              id="bathrooms"
+              name="bathrooms"
+              type="number"
+              min="0"
+              value={formData.bathrooms}
+              onChange={handleInputChange}
+              className={errors.bathrooms ? 'error' : ''}
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="vendorContactId">Vendor</label>
+            <select
+              id="vendorContactId"
+              name="vendorContactId"
+              value={formData.vendorContactId}
+              onChange={handleInputChange}
+            >
+              <option value="">-- No vendor yet --</option>
+              {contacts.map(contact => (
+                <option key={contact.id} value={contact.id}>{contact.name}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="description">Description</label>
+            <textarea
+              id="description"
+              name="description"
+              rows={4}
+              value={formData.description}
+              onChange={handleInputChange}
+              placeholder="Notes about the property"
+            />
+          </div>
+
+          {errors.submit && <div className="error-text">{errors.submit}</div>}
+
+          <div className="form-actions">
+            <button
+              type="button"
+              onClick={handleClose}
+              className="cancel-button"
+              disabled={isSubmitting}
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="save-button"
+              disabled={isSubmitting}
+            >
+              <Save size={16} style={{ marginRight: 4 }} />
+              {isSubmitting ? 'Creating...' : 'Create Listing'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default AddListingModal;
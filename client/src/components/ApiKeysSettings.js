@@ -0,0 +1,200 @@
+import React, { useState } from 'react';
+import { KeyRound } from 'lucide-react';
+import { API_KEY_RESOURCE_LABELS, useApiKeys, useCreateApiKey, useRevokeApiKey } from '../hooks/useApiKeys';
+import { useCurrentWorkspace } from '../hooks/useWorkspaces';
+
+const ACCESS_LABELS = { read: 'Read-only', write: 'Read & write' };
+
+const EXPIRY_OPTIONS = [
+  { value: '30', label: '30 days' },
+  { value: '90', label: '90 days' },
+  { value: '365', label: '1 year' },
+  { value: 'never', label: 'Never' }
+];
+
+const EMPTY_KEY = { name: '', access: {}, expiry: '90' };
+
+const formatDate = (value) => new Date(value).toLocaleDateString(undefined, { dateStyle: 'medium' });
+
+const formatDateTime = (value) => new Date(value).toLocaleString(undefined, {
+  dateStyle: 'medium',
+  timeStyle: 'short'
+});
+
+// e.g. "Contacts & imports: Read & write, Tasks: Read-only"
+const describeScopes = (scopes) => scopes
+  .map(scope => {
+    const [resource, access] = scope.split(':');
+    return `${API_KEY_RESOURCE_LABELS[resource] || resource}: ${ACCESS_LABELS[access] || access}`;
+  })
+  .join(', ');
+
+/**
+ * Personal API keys for scripts and integrations. A key acts as its owner in the workspace it was
+ * created in, limited to the resources it is scoped to and to the owner's role there.
+ */
+const ApiKeysSettings = () => {
+  const { workspace } = useCurrentWorkspace();
+  const { data: apiKeys = [], isLoading, error } = useApiKeys();
+  const createApiKey = useCreateApiKey();
+  const revokeApiKey = useRevokeApiKey();
+  const [draft, setDraft] = useState(EMPTY_KEY);
+  const [createdKey, setCreatedKey] = useState(null);
+  const [actionError, setActionError] = useState('');
+
+  const scopes = Object.entries(draft.access)
+    .filter(([, access]) => access)
+    .map(([resource, access]) => `${resource}:${access}`);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setActionError('');
+    try {
+      const expiresAt = draft.expiry === 'never'
+        ? null
+        : new Date(Date.now() + Number(draft.expiry) * 24 * 60 * 60 * 1000).toISOString();
+      const created = await createApiKey.mutateAsync({ name: draft.name.trim(), scopes, expiresAt });
+      setCreatedKey(created);
+      setDraft(EMPTY_KEY);
+    } catch (err) {
+      setActionError(err.message);
+    }
+  };
+
+  const handleRevoke = async (apiKey) => {
+    if (!window.confirm(`Revoke "${apiKey.name}"? Scripts using it will stop working immediately.`)) return;
+
+    setActionError('');
+    try {
+      await revokeApiKey.mutateAsync(apiKey.id);
+      if (createdKey?.id === apiKey.id) setCreatedKey(null);
+    } catch (err) {
+      setActionError(err.message);
+    }
+  };
+
+  return (
+    <div className="card mb-4">
+      <div className="card-header">
+        <h5 className="card-title mb-0">
+          <KeyRound size={20} className="me-2" />
+          API Keys
+        </h5>
+      </div>
+      <div className="card-body">
+        <p className="text-muted small">
+          Send a key as <code>Authorization: Bearer &lt;key&gt;</code> to call the API from scripts. Keys act as
+          you, in the workspace they were created in, with your role there. Read-only access allows GET
+          requests only.
+        </p>
+
+        {createdKey && (
+          <div className="alert alert-warning small">
+            <div className="mb-1">Copy the key for "{createdKey.name}" now - it won't be shown again.</div>
+            <div className="d-flex" style={{ gap: '0.5rem' }}>
+              <input type="text" className="form-control" value={createdKey.key} readOnly onFocus={e => e.target.select()} aria-label="API key" />
+              <button type="button" className="btn btn-outline-secondary btn-sm" onClick={() => setCreatedKey(null)}>Done</button>
+            </div>
+          </div>
+        )}
+
+        {isLoading && <div>Loading API keys...</div>}
+        {error && <div className="text-danger">{error.message}</div>}
+        {!isLoading && !error && apiKeys.length === 0 && (
+          <div className="text-muted">No API keys yet.</div>
+        )}
+
+        {apiKeys.map(apiKey => {
+          const isExpired = apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date();
+          return (
+            <div
+              key={apiKey.id}
+              className="d-flex align-items-center justify-content-between py-2"
+              style={{ borderBottom: '1px solid var(--color-primary-border)', gap: '1rem', opacity: isExpired ? 0.6 : 1 }}
+            >
+              <div>
+                <div className="fw-bold">
+                  {apiKey.name}
+                  <code className="ms-2 small">{apiKey.prefix}...</code>
+                  {isExpired && <span className="badge bg-secondary ms-2">Expired</span>}
+                </div>
+                <div className="text-muted small">
+                  {apiKey.workspace.name}{' · '}{describeScopes(apiKey.scopes)}
+                </div>
+                <div className="text-muted small">
+                  Created {formatDate(apiKey.createdAt)}
+                  {' · '}{apiKey.expiresAt ? `${isExpired ? 'Expired' : 'Expires'} ${formatDate(apiKey.expiresAt)}` : 'Never expires'}
+                  {' · '}{apiKey.lastUsedAt
+                    ? `Last used ${formatDateTime(apiKey.lastUsedAt)}${apiKey.lastUsedIp ? ` from ${apiKey.lastUsedIp}` : ''}`
+                    : 'Never used'}
+                </div>
+              </div>
+              <button
+                type="button"
+                className="btn btn-outline-danger btn-sm"
+                onClick={() => handleRevoke(apiKey)}
+                disabled={revokeApiKey.isPending}
+              >
+                Revoke
+              </button>
+            </div>
+          );
+        })}
+
+        <form className="mt-3" onSubmit={handleCreate}>
+          <div className="d-flex mb-2" style={{ gap: '0.5rem' }}>
+            <input
+              type="text"
+              className="form-control"
+              value={draft.name}
+              onChange={e => setDraft(prev => ({ ...prev, name: e.target.value }))}
+              placeholder="Key name, e.g. Nightly export"
+              maxLength={100}
+              aria-label="Key name"
+            />
+            <select
+              className="form-control"
+              style={{ width: 'auto' }}
+              value={draft.expiry}
+              onChange={e => setDraft(prev => ({ ...prev, expiry: e.target.value }))}
+              aria-label="Expires after"
+            >
+              {EXPIRY_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>Expires: {option.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="small mb-1">Access{workspace ? ` in ${workspace.name}` : ''}:</div>
+          {Object.entries(API_KEY_RESOURCE_LABELS).map(([resource, label]) => (
+            <div key={resource} className="d-flex align-items-center justify-content-between mb-1" style={{ gap: '1rem', maxWidth: '28rem' }}>
+              <span className="small">{label}</span>
+              <select
+                className="form-control form-control-sm"
+                style={{ width: 'auto' }}
+                value={draft.access[resource] || ''}
+                onChange={e => setDraft(prev => ({ ...prev, access: { ...prev.access, [resource]: e.target.value } }))}
+                aria-label={`${label} access`}
+              >
+                <option value="">No access</option>
+                {Object.entries(ACCESS_LABELS).map(([access, accessLabel]) => (
+                  <option key={access} value={access}>{accessLabel}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+          <button
+            type="submit"
+            className="btn btn-primary mt-2"
+            disabled={!draft.name.trim() || scopes.length === 0 || createApiKey.isPending}
+          >
+            {createApiKey.isPending ? 'Creating...' : 'Create key'}
+          </button>
+        </form>
+
+        {actionError && <div className="text-danger mt-2">{actionError}</div>}
+      </div>
+    </div>
+  );
+};
+
+export default ApiKeysSettings;
@@ -0,0 +1,42 @@
+import React from 'react';
+import { useContactAssignments } from '../hooks/useContacts';
+import { getDisplayName } from '../utils/userUtils';
+
+// e.g. "by rule "Eastern suburbs"" or "by Jane Smith"
+const describeSource = (entry) => {
+  if (entry.rule) return `by rule "${entry.rule.name}"`;
+  if (entry.assignedBy) return `by ${getDisplayName(entry.assignedBy)}`;
+  return null;
+};
+
+// Reassignments of one contact, newest first; rendered under the "Assigned To" field
+const AssignmentHistory = ({ contactId }) => {
+  const { data: assignments = [], isLoading, error } = useContactAssignments(contactId);
+
+  if (isLoading) {
+    return <div className="text-muted small">Loading history...</div>;
+  }
+  if (error) {
+    return <div className="text-danger small">{error.message}</div>;
+  }
+  if (assignments.length === 0) {
+    return <div className="text-muted small">No assignment history yet.</div>;
+  }
+
+  return (
+    <ul style={{ listStyle: 'none', margin: '0.375rem 0 0', padding: 0, fontSize: '0.75rem' }}>
+      {assignments.map(entry => (
+        <li key={entry.id} style={{ padding: '0.25rem 0', color: 'var(--color-secondary-text)' }}>
+          <span style={{ color: 'var(--color-primary-text)' }}>
+            {entry.assignee ? `Assigned to ${getDisplayName(entry.assignee)}` : 'Unassigned'}
+          </span>
+          {entry.previousAssignee && ` (was ${getDisplayName(entry.previousAssignee)})`}
+          {describeSource(entry) && ` ${describeSource(entry)}`}
+          <div>{new Date(entry.createdAt).toLocaleString()}</div>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default AssignmentHistory;
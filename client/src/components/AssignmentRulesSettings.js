@@ -0,0 +1,246 @@
+import React, { useState } from 'react';
+import { ArrowDown, ArrowUp, Shuffle, Trash2 } from 'lucide-react';
+import {
+  ASSIGNMENT_RULE_TYPE_LABELS,
+  useAssignmentRules,
+  useCreateAssignmentRule,
+  useUpdateAssignmentRule,
+  useDeleteAssignmentRule,
+  useReorderAssignmentRules
+} from '../hooks/useAssignmentRules';
+import { PERMISSIONS, useCurrentWorkspace, useWorkspaceMembers, useWorkspacePermissions } from '../hooks/useWorkspaces';
+import { useCustomProperties } from '../hooks/useCustomProperties';
+import { getDisplayName } from '../utils/userUtils';
+
+// The contact field each conditional rule type matches on
+const RULE_FIELD_KEYS = { SUBURB: 'suburb', LEAD_SOURCE: 'lead_source' };
+
+const EMPTY_RULE = { name: '', type: 'ROUND_ROBIN', matchValues: [], assigneeIds: [] };
+
+const iconButtonStyle = {
+  border: 'none',
+  background: 'none',
+  padding: '0.25rem',
+  color: 'var(--color-secondary-text)',
+  cursor: 'pointer'
+};
+
+// Values a conditional rule matches: the field's options when it has them, else comma-separated text
+const MatchValuesInput = ({ property, values, onChange }) => {
+  const options = property?.options || [];
+  if (options.length > 0) {
+    return (
+      <div className="d-flex" style={{ flexWrap: 'wrap', gap: '0.75rem' }}>
+        {options.map(option => (
+          <label key={option.value} className="small d-flex align-items-center" style={{ gap: '0.25rem' }}>
+            <input
+              type="checkbox"
+              checked={values.includes(option.value)}
+              onChange={e => onChange(e.target.checked
+                ? [...values, option.value]
+                : values.filter(value => value !== option.value))}
+            />
+            {option.label}
+          </label>
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <input
+      type="text"
+      className="form-control"
+      value={values.join(', ')}
+      onChange={e => onChange(e.target.value.split(',').map(value => value.trim()).filter(Boolean))}
+      placeholder="Comma-separated values, e.g. Bondi, Coogee"
+    />
+  );
+};
+
+/**
+ * Rules that choose who new contacts are assigned to when they are created without an assignee or
+ * imported. The first matching rule wins and hands contacts to its members in turn.
+ */
+const AssignmentRulesSettings = () => {
+  const { workspace } = useCurrentWorkspace();
+  const { can } = useWorkspacePermissions();
+  const { data: members = [] } = useWorkspaceMembers(workspace?.id);
+  const { data: customProperties = [] } = useCustomProperties();
+  const { data: rules = [], isLoading, error } = useAssignmentRules();
+  const createRule = useCreateAssignmentRule();
+  const updateRule = useUpdateAssignmentRule();
+  const deleteRule = useDeleteAssignmentRule();
+  const reorderRules = useReorderAssignmentRules();
+  const [draft, setDraft] = useState(EMPTY_RULE);
+  const [actionError, setActionError] = useState('');
+
+  const canManage = can(PERMISSIONS.MANAGE_MEMBERS);
+  const memberName = (userId) => {
+    const member = members.find(candidate => candidate.id === userId);
+    return member ? getDisplayName(member) : 'Former member';
+  };
+  const propertyFor = (type) => customProperties.find(property => property.fieldKey === RULE_FIELD_KEYS[type]);
+  const optionLabel = (type, value) => propertyFor(type)?.options?.find(option => option.value === value)?.label || value;
+
+  const runAction = async (action) => {
+    setActionError('');
+    try {
+      await action();
+    } catch (err) {
+      setActionError(err.message);
+    }
+  };
+
+  const moveRule = (index, offset) => {
+    const ids = rules.map(rule => rule.id);
+    [ids[index], ids[index + offset]] = [ids[index + offset], ids[index]];
+    runAction(() => reorderRules.mutateAsync(ids));
+  };
+
+  const handleDelete = (rule) => {
+    if (!window.confirm(`Delete the rule "${rule.name}"? Contacts it assigned keep their assignee.`)) return;
+    runAction(() => deleteRule.mutateAsync(rule.id));
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      await createRule.mutateAsync({
+        ...draft,
+        name: draft.name.trim(),
+        matchValues: draft.type === 'ROUND_ROBIN' ? [] : draft.matchValues
+      });
+      setDraft(EMPTY_RULE);
+    });
+  };
+
+  const toggleDraftAssignee = (userId, checked) => setDraft(prev => ({
+    ...prev,
+    assigneeIds: checked ? [...prev.assigneeIds, userId] : prev.assigneeIds.filter(id => id !== userId)
+  }));
+
+  const canCreate = draft.name.trim() && draft.assigneeIds.length > 0
+    && (draft.type === 'ROUND_ROBIN' || draft.matchValues.length > 0);
+
+  return (
+    <div className="card mb-4">
+      <div className="card-header">
+        <h5 className="card-title mb-0">
+          <Shuffle size={20} className="me-2" />
+          Assignment Rules
+        </h5>
+      </div>
+      <div className="card-body">
+        <p className="text-muted small">
+          New contacts that are added without an assignee, or imported, go to the members of the first
+          matching rule, taking turns. When no rule matches, contacts stay with whoever added them.
+        </p>
+
+        {isLoading && <div>Loading rules...</div>}
+        {error && <div className="text-danger">{error.message}</div>}
+        {!isLoading && !error && rules.length === 0 && (
+          <div className="text-muted">No assignment rules yet.</div>
+        )}
+
+        {rules.map((rule, index) => (
+          <div
+            key={rule.id}
+            className="d-flex align-items-center justify-content-between py-2"
+            style={{ borderBottom: '1px solid var(--color-primary-border)', gap: '1rem', opacity: rule.isActive ? 1 : 0.6 }}
+          >
+            <div>
+              <div className="fw-bold">
+                {index + 1}. {rule.name}
+                {!rule.isActive && <span className="badge bg-secondary ms-2">Paused</span>}
+              </div>
+              <div className="text-muted small">
+                {ASSIGNMENT_RULE_TYPE_LABELS[rule.type]}
+                {rule.type !== 'ROUND_ROBIN' && ` ${rule.matchValues.map(value => optionLabel(rule.type, value)).join(', ')}`}
+                {' → '}{rule.assigneeIds.map(memberName).join(', ')}
+                {' · '}{rule.assignedCount} assigned
+              </div>
+            </div>
+            {canManage && (
+              <div className="d-flex align-items-center" style={{ gap: '0.25rem' }}>
+                <label className="small d-flex align-items-center me-2" style={{ gap: '0.25rem' }}>
+                  <input
+                    type="checkbox"
+                    checked={rule.isActive}
+                    onChange={e => runAction(() => updateRule.mutateAsync({ ruleId: rule.id, updates: { isActive: e.target.checked } }))}
+                  />
+                  Active
+                </label>
+                <button type="button" style={iconButtonStyle} onClick={() => moveRule(index, -1)} disabled={index === 0} aria-label="Move up">
+                  <ArrowUp size={14} />
+                </button>
+                <button type="button" style={iconButtonStyle} onClick={() => moveRule(index, 1)} disabled={index === rules.length - 1} aria-label="Move down">
+                  <ArrowDown size={14} />
+                </button>
+                <button type="button" style={iconButtonStyle} onClick={() => handleDelete(rule)} aria-label={`Delete ${rule.name}`}>
+                  <Trash2 size={14} />
+                </button>
+              </div>
+            )}
+          </div>
+        ))}
+
+        {canManage && (
+          <form className="mt-3" onSubmit={handleCreate}>
+            <div className="d-flex mb-2" style={{ gap: '0.5rem' }}>
+              <input
+                type="text"
+                className="form-control"
+                value={draft.name}
+                onChange={e => setDraft(prev => ({ ...prev, name: e.target.value }))}
+                placeholder="Rule name, e.g. Eastern suburbs"
+                maxLength={100}
+                aria-label="Rule name"
+              />
+              <select
+                className="form-control"
+                style={{ width: 'auto' }}
+                value={draft.type}
+                onChange={e => setDraft(prev => ({ ...prev, type: e.target.value, matchValues: [] }))}
+                aria-label="Applies to"
+              >
+                {Object.entries(ASSIGNMENT_RULE_TYPE_LABELS).map(([type, label]) => (
+                  <option key={type} value={type}>{label}</option>
+                ))}
+              </select>
+            </div>
+            {draft.type !== 'ROUND_ROBIN' && (
+              <div className="mb-2">
+                <MatchValuesInput
+                  property={propertyFor(draft.type)}
+                  values={draft.matchValues}
+                  onChange={matchValues => setDraft(prev => ({ ...prev, matchValues }))}
+                />
+              </div>
+            )}
+            <div className="small mb-1">Assign to, in turn:</div>
+            <div className="d-flex mb-2" style={{ flexWrap: 'wrap', gap: '0.75rem' }}>
+              {members.map(member => (
+                <label key={member.id} className="small d-flex align-items-center" style={{ gap: '0.25rem' }}>
+                  <input
+                    type="checkbox"
+                    checked={draft.assigneeIds.includes(member.id)}
+                    onChange={e => toggleDraftAssignee(member.id, e.target.checked)}
+                  />
+                  {getDisplayName(member)}
+                </label>
+              ))}
+            </div>
+            <button type="submit" className="btn btn-primary" disabled={!canCreate || createRule.isPending}>
+              {createRule.isPending ? 'Adding...' : 'Add rule'}
+            </button>
+          </form>
+        )}
+
+        {actionError && <div className="text-danger mt-2">{actionError}</div>}
+      </div>
+    </div>
+  );
+};
+
+export default AssignmentRulesSettings;
@@ -0,0 +1,386 @@
+import React, { useState } from 'react';
+import { Plus, X } from 'lucide-react';
+import { useCustomProperties } from '../hooks/useCustomProperties.js';
+import { useBulkUpdateContacts } from '../hooks/useContacts.js';
+
+// Core fields that can be bulk edited; name can be changed but never cleared
+const CORE_FIELDS = [
+  { key: 'name', label: 'Name', fieldType: 'TEXT' },
+  { key: 'email', label: 'Email', fieldType: 'EMAIL' },
+  { key: 'phone', label: 'Phone', fieldType: 'PHONE' },
+  { key: 'address', label: 'Address', fieldType: 'TEXT' }
+];
+
+const ACTION_LABELS = {
+  set: 'Set to',
+  clear: 'Clear',
+  add: 'Add values',
+  remove: 'Remove values'
+};
+
+const PRIORITIES = ['LOW', 'MEDIUM', 'HIGH', 'URGENT'];
+
+const controlStyle = {
+  padding: '0.375rem 0.5rem',
+  border: '1px solid var(--color-primary-border)',
+  borderRadius: '0.375rem',
+  fontSize: '0.8125rem',
+  color: 'var(--color-primary-text)',
+  backgroundColor: 'var(--color-primary-bg)'
+};
+
+const linkButtonStyle = {
+  border: 'none',
+  background: 'none',
+  padding: '0.25rem 0',
+  fontSize: '0.8125rem',
+  color: 'var(--color-accent)',
+  cursor: 'pointer',
+  display: 'flex',
+  alignItems: 'center',
+  gap: '0.25rem'
+};
+
+const iconButtonStyle = {
+  border: 'none',
+  background: 'none',
+  padding: '0.25rem',
+  color: 'var(--color-secondary-text)',
+  cursor: 'pointer',
+  display: 'flex'
+};
+
+const sectionStyle = {
+  display: 'flex',
+  flexDirection: 'column',
+  gap: '0.5rem',
+  paddingTop: '0.75rem',
+  borderTop: '1px solid var(--color-secondary-border)'
+};
+
+const actionsFor = (field) => {
+  if (!field) return [];
+  if (field.fieldType === 'MULTISELECT') return ['set', 'add', 'remove', 'clear'];
+  if (field.key === 'name') return ['set'];
+  return ['set', 'clear'];
+};
+
+const emptyValueFor = (field) => (field?.fieldType === 'MULTISELECT' ? [] : '');
+
+let nextId = 0;
+const newChange = () => ({ id: `change-${++nextId}`, field: '', action: '', value: '' });
+
+const isChangeComplete = (change) => {
+  if (!change.field || !change.action) return false;
+  if (change.action === 'clear') return true;
+  return Array.isArray(change.value) ? change.value.length > 0 : change.value !== '';
+};
+
+const ValueEditor = ({ field, change, onChange }) => {
+  const { action, value } = change;
+  if (!field || !action || action === 'clear') return null;
+
+  if (field.fieldType === 'MULTISELECT') {
+    const selected = Array.isArray(value) ? value : [];
+    return (
+      <div style={{ ...controlStyle, display: 'flex', flexWrap: 'wrap', gap: '0.5rem', maxWidth: '320px' }}>
+        {field.options.map(option => (
+          <label key={option.value} style={{ display: 'flex', alignItems: 'center', gap: '0.25rem' }}>
+            <input
+              type="checkbox"
+              checked={selected.includes(option.value)}
+              onChange={(e) => onChange(e.target.checked
+                ? [...selected, option.value]
+                : selected.filter(item => item !== option.value))}
+            />
+            {option.label}
+          </label>
+        ))}
+      </div>
+    );
+  }
+
+  if (field.fieldType === 'DROPDOWN') {
+    return (
+      <select value={value} onChange={(e) => onChange(e.target.value)} style={controlStyle}>
+        <option value="">Select...</option>
+        {field.options.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+    );
+  }
+
+  if (field.fieldType === 'BOOLEAN') {
+    return (
+      <select value={value} onChange={(e) => onChange(e.target.value)} style={controlStyle}>
+        <option value="">Select...</option>
+        <option value="true">Yes</option>
+        <option value="false">No</option>
+      </select>
+    );
+  }
+
+  const inputTypes = { NUMBER: 'number', DATE: 'date', DATETIME: 'datetime-local', EMAIL: 'email', URL: 'url' };
+  return (
+    <input
+      type={inputTypes[field.fieldType] || 'text'}
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      style={controlStyle}
+    />
+  );
+};
+
+/**
+ * Bulk edit the selected contacts, or every contact matching the current search and filters.
+ * Field changes, a task and a note can be combined; the result lists contacts that could not be updated.
+ */
+const BulkEditModal = ({ selectedIds, search, filters, matchingCount, onClose, onComplete }) => {
+  const { data: customProperties = [] } = useCustomProperties();
+  const bulkUpdateMutation = useBulkUpdateContacts();
+  const [scope, setScope] = useState(selectedIds.length > 0 ? 'selected' : 'all');
+  const [changes, setChanges] = useState([newChange()]);
+  const [task, setTask] = useState(null);
+  const [note, setNote] = useState(null);
+  const [result, setResult] = useState(null);
+
+  const fields = [
+    ...CORE_FIELDS,
+    ...customProperties.map(property => ({
+      key: property.fieldKey,
+      label: property.name,
+      fieldType: property.fieldType,
+      options: (property.options || []).map(option => ({ value: option.value, label: option.label }))
+    }))
+  ];
+
+  const updateChange = (changeId, updates) => setChanges(prev => prev.map(change => (
+    change.id === changeId ? { ...change, ...updates } : change
+  )));
+
+  const handleFieldChange = (change, fieldKey) => {
+    const field = fields.find(f => f.key === fieldKey);
+    updateChange(change.id, { field: fieldKey, action: actionsFor(field)[0] || '', value: emptyValueFor(field) });
+  };
+
+  const activeChanges = changes.filter(change => change.field);
+  const targetCount = scope === 'selected' ? selectedIds.length : matchingCount;
+  const hasWork = activeChanges.length > 0 || !!task || !!note;
+  const canSubmit = hasWork
+    && activeChanges.every(isChangeComplete)
+    && (!task || task.title.trim() !== '')
+    && (!note || note.content.trim() !== '')
+    && targetCount > 0;
+
+  const handleSubmit = async () => {
+    const scopeLabel = scope === 'selected' ? 'selected' : 'matching';
+    if (!window.confirm(`Apply these changes to ${targetCount} ${scopeLabel} contacts?`)) return;
+
+    try {
+      const response = await bulkUpdateMutation.mutateAsync({
+        target: scope === 'selected' ? { contactIds: selectedIds } : { all: true, search, filters },
+        changes: activeChanges.map(({ field, action, value }) => (
+          action === 'clear' ? { field, action } : { field, action, value }
+        )),
+        task: task ? { ...task, dueDate: task.dueDate || null } : undefined,
+        note: note || undefined
+      });
+      setResult(response);
+      onComplete?.(response);
+    } catch {
+      // The error is shown from the mutation state below
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
+      <div style={{
+        width: 'min(680px, 92vw)',
+        maxHeight: '85vh',
+        overflowY: 'auto',
+        padding: '1.25rem',
+        borderRadius: '0.5rem',
+        backgroundColor: 'var(--color-primary-bg)',
+        color: 'var(--color-primary-text)',
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '0.75rem'
+      }}>
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+          <h3 style={{ margin: 0 }}>Bulk edit contacts</h3>
+          <button type="button" onClick={onClose} style={iconButtonStyle} aria-label="Close">
+            <X size={18} />
+          </button>
+        </div>
+
+        {result ? (
+          <>
+            <p style={{ margin: 0, fontSize: '0.875rem' }}>
+              Updated {result.updatedCount} contact{result.updatedCount === 1 ? '' : 's'}
+              {result.failedCount > 0 && `; ${result.failedCount} could not be updated`}.
+            </p>
+            {result.failures.length > 0 && (
+              <ul style={{ margin: 0, paddingLeft: '1.25rem', fontSize: '0.8125rem', color: '#dc2626', maxHeight: '240px', overflowY: 'auto' }}>
+                {result.failures.map(failure => (
+                  <li key={failure.contactId}>{failure.name}: {failure.reason}</li>
+                ))}
+              </ul>
+            )}
+            <div style={{ display: 'flex', justifyContent: 'flex-end' }}>
+              <button type="button" onClick={onClose} style={{ ...controlStyle, cursor: 'pointer' }}>
+                Close
+              </button>
+            </div>
+          </>
+        ) : (
+          <>
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '0.25rem', fontSize: '0.875rem' }}>
+              <label style={{ display: 'flex', alignItems: 'center', gap: '0.375rem', opacity: selectedIds.length > 0 ? 1 : 0.5 }}>
+                <input
+                  type="radio"
+                  checked={scope === 'selected'}
+                  disabled={selectedIds.length === 0}
+                  onChange={() => setScope('selected')}
+                />
+                Selected contacts ({selectedIds.length})
+              </label>
+              <label style={{ display: 'flex', alignItems: 'center', gap: '0.375rem' }}>
+                <input type="radio" checked={scope === 'all'} onChange={() => setScope('all')} />
+                All contacts matching the current search and filters ({matchingCount})
+              </label>
+            </div>
+
+            <div style={sectionStyle}>
+              <strong style={{ fontSize: '0.875rem' }}>Field changes</strong>
+              {changes.map(change => {
+                const field = fields.find(f => f.key === change.field);
+                return (
+                  <div key={change.id} style={{ display: 'flex', alignItems: 'flex-start', gap: '0.5rem', flexWrap: 'wrap' }}>
+                    <select value={change.field} onChange={(e) => handleFieldChange(change, e.target.value)} style={controlStyle}>
+                      <option value="">Select field...</option>
+                      {fields.map(f => (
+                        <option key={f.key} value={f.key}>{f.label}</option>
+                      ))}
+                    </select>
+                    {field && (
+                      <select
+                        value={change.action}
+                        onChange={(e) => updateChange(change.id, { action: e.target.value, value: emptyValueFor(field) })}
+                        style={controlStyle}
+                      >
+                        {actionsFor(field).map(action => (
+                          <option key={action} value={action}>{ACTION_LABELS[action]}</option>
+                        ))}
+                      </select>
+                    )}
+                    <ValueEditor field={field} change={change} onChange={(value) => updateChange(change.id, { value })} />
+                    <button
+                      type="button"
+                      onClick={() => setChanges(prev => prev.filter(c => c.id !== change.id))}
+                      style={iconButtonStyle}
+                      aria-label="Remove change"
+                    >
+                      <X size={14} />
+                    </button>
+                  </div>
+                );
+              })}
+              <button type="button" onClick={() => setChanges(prev => [...prev, newChange()])} style={linkButtonStyle}>
+                <Plus size={14} /> Add field change
+              </button>
+            </div>
+
+            <div style={sectionStyle}>
+              <label style={{ display: 'flex', alignItems: 'center', gap: '0.375rem', fontSize: '0.875rem', fontWeight: 600 }}>
+                <input
+                  type="checkbox"
+                  checked={!!task}
+                  onChange={(e) => setTask(e.target.checked ? { title: '', priority: 'MEDIUM', dueDate: '' } : null)}
+                />
+                Create a task on each contact
+              </label>
+              {task && (
+                <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+                  <input
+                    type="text"
+                    placeholder="Task title"
+                    value={task.title}
+                    onChange={(e) => setTask(prev => ({ ...prev, title: e.target.value }))}
+                    style={{ ...controlStyle, flex: 1, minWidth: '200px' }}
+                  />
+                  <select
+                    value={task.priority}
+                    onChange={(e) => setTask(prev => ({ ...prev, priority: e.target.value }))}
+                    style={controlStyle}
+                  >
+                    {PRIORITIES.map(priority => (
+                      <option key={priority} value={priority}>{priority.charAt(0) + priority.slice(1).toLowerCase()}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="date"
+                    value={task.dueDate}
+                    onChange={(e) => setTask(prev => ({ ...prev, dueDate: e.target.value }))}
+                    style={controlStyle}
+                    aria-label="Due date"
+                  />
+                </div>
+              )}
+            </div>
+
+            <div style={sectionStyle}>
+              <label style={{ display: 'flex', alignItems: 'center', gap: '0.375rem', fontSize: '0.875rem', fontWeight: 600 }}>
+                <input
+                  type="checkbox"
+                  checked={!!note}
+                  onChange={(e) => setNote(e.target.checked ? { content: '' } : null)}
+                />
+                Add a note to each contact
+              </label>
+              {note && (
+                <textarea
+                  rows={3}
+                  placeholder="Note"
+                  value={note.content}
+                  onChange={(e) => setNote({ content: e.target.value })}
+                  style={{ ...controlStyle, resize: 'vertical', fontFamily: 'inherit' }}
+                />
+              )}
+            </div>
+
+            {bulkUpdateMutation.isError && (
+              <div style={{ fontSize: '0.8125rem', color: '#dc2626', whiteSpace: 'pre-line' }}>
+                {bulkUpdateMutation.error.message}
+              </div>
+            )}
+
+            <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '0.5rem' }}>
+              <button type="button" onClick={onClose} style={{ ...controlStyle, cursor: 'pointer' }}>
+                Cancel
+              </button>
+              <button
+                type="button"
+                onClick={handleSubmit}
+                disabled={!canSubmit || bulkUpdateMutation.isPending}
+                title={canSubmit ? undefined : 'Add at least one complete change, task or note'}
+                style={{
+                  ...controlStyle,
+                  border: 'none',
+                  backgroundColor: 'var(--color-button-primary-bg)',
+                  color: 'var(--color-button-primary-text)',
+                  cursor: canSubmit ? 'pointer' : 'not-allowed',
+                  opacity: canSubmit ? 1 : 0.6
+                }}
+              >
+                {bulkUpdateMutation.isPending ? 'Updating...' : `Update ${targetCount} contacts`}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BulkEditModal;
@@ -1,46 +1,97 @@
 import React, { useState, useRef, useMemo } from 'react';
 import Papa from 'papaparse';
-import { X, Upload, FileText, AlertCircle, CheckCircle } from 'lucide-react';
+import { X, Upload, FileText, AlertCircle, CheckCircle, Download, Undo2 } from 'lucide-react';
+import { useCustomProperties } from '../hooks/useCustomProperties';
+import {
+  ACTIVE_IMPORT_STATUSES,
+  useStartImport,
+  useImportJob,
+  useUndoImport,
+  useDownloadImportErrors
+} from '../hooks/useImports';
 import '../styles/Components/CSVImportModal.css';
 
-const CSVImportModal = ({ isOpen, onClose, onImport }) => {
+// Core contact fields; custom properties are added as `custom:<fieldKey>`
+const CORE_FIELDS = [
+  { key: 'name', label: 'Name' },
+  { key: 'email', label: 'Email' },
+  { key: 'phone', label: 'Phone' },
+  { key: 'address', label: 'Address' }
+];
+
+const CUSTOM_PREFIX = 'custom:';
+
+const DUPLICATE_STRATEGIES = [
+  { value: 'skip', label: 'Skip rows that match an existing contact' },
+  { value: 'update', label: 'Update the existing contact' },
+  { value: 'create', label: 'Create a new contact anyway' }
+];
+
+// Hints shown next to custom properties so users know how values will be read
+const FIELD_TYPE_HINTS = {
+  NUMBER: 'number',
+  DATE: 'date (YYYY-MM-DD or DD/MM/YYYY)',
+  DATETIME: 'date & time',
+  BOOLEAN: 'yes / no',
+  DROPDOWN: 'one option',
+  MULTISELECT: 'options separated by ;'
+};
+
+const normalizeHeader = (text) => text.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const CSVImportModal = ({ isOpen, onClose }) => {
   const [file, setFile] = useState(null);
   const [csvData, setCsvData] = useState([]);
   const [headers, setHeaders] = useState([]);
   const [fieldMapping, setFieldMapping] = useState({});
+  const [duplicateStrategy, setDuplicateStrategy] = useState('skip');
+  const [matchBy, setMatchBy] = useState('email');
   const [isLoading, setIsLoading] = useState(false);
-  const [step, setStep] = useState(1); // 1: Upload, 2: Map Fields, 3: Preview
+  const [step, setStep] = useState(1); // 1: Upload, 2: Map Fields, 3: Preview, 4: Progress & result
   const [errors, setErrors] = useState([]);
+  const [jobId, setJobId] = useState(null);
   const fileInputRef = useRef(null);
 
-  // Available CRM fields that can be mapped
-  const crmFields = [
+  const { data: customProperties = [] } = useCustomProperties();
+  const startImportMutation = useStartImport();
+  const undoImportMutation = useUndoImport();
+  const downloadErrorsMutation = useDownloadImportErrors();
+  const { data: job } = useImportJob(jobId);
+
+  // Every field a CSV column can be mapped to
+  const crmFields = useMemo(() => [
     { key: '', label: 'Skip this column' },
-    { key: 'name', label: 'Name' },
-    { key: 'email', label: 'Email' },
-    { key: 'phone', label: 'Phone' },
-    { key: 'address', label: 'Address' },
-    { key: 'status', label: 'Status' }
-  ];
-
-  // Valid status values from your schema - memoized to prevent dependency changes
-  const validStatuses = useMemo(() => [
-    'NEW', 'CONTACTED', 'QUALIFIED', 'PROPOSAL', 'NEGOTIATION', 'CLOSED_WON', 'CLOSED_LOST'
-  ], []);
+    ...CORE_FIELDS,
+    ...customProperties.map(prop => ({
+      key: `${CUSTOM_PREFIX}${prop.fieldKey}`,
+      label: FIELD_TYPE_HINTS[prop.fieldType] ? `${prop.name} (${FIELD_TYPE_HINTS[prop.fieldType]})` : prop.name
+    }))
+  ], [customProperties]);
+
+  const fieldLabels = useMemo(() => {
+    const labels = {};
+    CORE_FIELDS.forEach(field => { labels[field.key] = field.label; });
+    customProperties.forEach(prop => { labels[`${CUSTOM_PREFIX}${prop.fieldKey}`] = prop.name; });
+    return labels;
+  }, [customProperties]);
 
   const resetModal = () => {
     setFile(null);
     setCsvData([]);
     setHeaders([]);
     setFieldMapping({});
+    setDuplicateStrategy('skip');
+    setMatchBy('email');
     setStep(1);
     setErrors([]);
+    setJobId(null);
     setIsLoading(false);
   };
 
   const handleFileSelect = (event) => {
     const selectedFile = event.target.files[0];
-    if (selectedFile && selectedFile.type === 'text/csv') {
+    // Windows often reports CSVs as application/vnd.ms-excel, so check the extension too
+    if (selectedFile && (selectedFile.type === 'text/csv' || selectedFile.name.toLowerCase().endsWith('.csv'))) {
       setFile(selectedFile);
       parseCSV(selectedFile);
     } else {
@@ -48,9 +99,26 @@ const CSVImportModal = ({ isOpen, onClose, onImport }) => {
     }
   };
 
+  // Match a header to a core field or a custom property by name/key
+  const guessField = (header) => {
+    const normalized = normalizeHeader(header);
+    const lowerHeader = header.toLowerCase().trim();
+
+    const property = customProperties.find(prop =>
+      normalizeHeader(prop.name) === normalized || normalizeHeader(prop.fieldKey) === normalized
+    );
+    if (property) return `${CUSTOM_PREFIX}${property.fieldKey}`;
+
+    if (lowerHeader.includes('email')) return 'email';
+    if (lowerHeader.includes('phone') || lowerHeader.includes('mobile')) return 'phone';
+    if (lowerHeader.includes('address')) return 'address';
+    if (lowerHeader.includes('name')) return 'name';
+    return '';
+  };
+
   const parseCSV = (file) => {
     setIsLoading(true);
-    
+
     Papa.parse(file, {
       header: true,
       skipEmptyLines: true,
@@ -65,22 +133,19 @@ const CSVImportModal = ({ isOpen, onClose, onImport }) => {
 
         const data = results.data;
         const csvHeaders = results.meta.fields || [];
-        
+
         setCsvData(data);
         setHeaders(csvHeaders);
-        
-        // Auto-map common fields
+
+        // Auto-map columns, never mapping two columns to the same field
         const autoMapping = {};
+        const used = new Set();
         csvHeaders.forEach(header => {
-          const lowerHeader = header.toLowerCase().trim();
-          if (lowerHeader.includes('name')) autoMapping[header] = 'name';
-          else if (lowerHeader.includes('email')) autoMapping[header] = 'email';
-          else if (lowerHeader.includes('phone')) autoMapping[header] = 'phone';
-          else if (lowerHeader.includes('address')) autoMapping[header] = 'address';
-          else if (lowerHeader.includes('status')) autoMapping[header] = 'status';
-          else autoMapping[header] = '';
+          const field = guessField(header);
+          autoMapping[header] = field && !used.has(field) ? field : '';
+          if (field) used.add(field);
         });
-        
+
         setFieldMapping(autoMapping);
         setStep(2);
         setIsLoading(false);
@@ -100,74 +165,49 @@ const CSVImportModal = ({ isOpen, onClose, onImport }) => {
     }));
   };
 
-  // Memoize the validation to prevent re-calculation on every render
+  const mappedFields = useMemo(
+    () => Object.values(fieldMapping).filter(Boolean),
+    [fieldMapping]
+  );
+
+  // Mapped rows for the preview; the server maps the raw file itself and coerces values by fieldType
   const validationResult = useMemo(() => {
     if (csvData.length === 0 || Object.keys(fieldMapping).length === 0) {
       return { isValid: false, data: [], errors: [] };
     }
 
     const validationErrors = [];
-    const processedData = [];
-
-    csvData.forEach((row, index) => {
-      const processedRow = {
-        originalRowIndex: index + 1
-      };
-      
-      let hasRequiredFields = false;
+    const duplicates = mappedFields.filter((field, index) => mappedFields.indexOf(field) !== index);
+    if (duplicates.length > 0) {
+      validationErrors.push(`Each field can only be mapped once: ${[...new Set(duplicates)].map(f => fieldLabels[f]).join(', ')}`);
+    }
+    if (!mappedFields.includes('name') && duplicateStrategy !== 'update') {
+      validationErrors.push('Map a column to Name so new contacts can be created');
+    }
+    if (duplicateStrategy !== 'create' && !mappedFields.includes(matchBy)) {
+      validationErrors.push(`Map a column to ${matchBy === 'email' ? 'Email' : 'Phone'} to detect existing contacts`);
+    }
 
+    const processedData = csvData.map(row => {
+      const contact = { customFields: {} };
       Object.entries(fieldMapping).forEach(([csvHeader, crmField]) => {
-        if (crmField && crmField !== '') {
-          const value = row[csvHeader];
-          
-          if (crmField === 'name') {
-            if (!value || value.trim() === '') {
-              validationErrors.push(`Row ${index + 1}: Name is required`);
-              return;
-            }
-            processedRow[crmField] = value.trim();
-            hasRequiredFields = true;
-          } else if (crmField === 'email') {
-            if (value && value.trim() !== '') {
-              const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-              if (!emailRegex.test(value.trim())) {
-                validationErrors.push(`Row ${index + 1}: Invalid email format`);
-                return;
-              }
-              processedRow[crmField] = value.trim();
-            }
-          } else if (crmField === 'status') {
-            if (value && value.trim() !== '') {
-              const statusValue = value.trim().toUpperCase();
-              if (!validStatuses.includes(statusValue)) {
-                validationErrors.push(`Row ${index + 1}: Invalid status. Must be one of: ${validStatuses.join(', ')}`);
-                return;
-              }
-              processedRow[crmField] = statusValue;
-            } else {
-              processedRow[crmField] = 'NEW'; // Default status
-            }
-          } else {
-            if (value && value.trim() !== '') {
-              processedRow[crmField] = value.trim();
-            }
-          }
+        if (!crmField) return;
+        const value = (row[csvHeader] ?? '').trim();
+        if (crmField.startsWith(CUSTOM_PREFIX)) {
+          contact.customFields[crmField.slice(CUSTOM_PREFIX.length)] = value;
+        } else {
+          contact[crmField] = value;
         }
       });
-
-      if (!hasRequiredFields) {
-        validationErrors.push(`Row ${index + 1}: At least name must be provided`);
-      } else {
-        processedData.push(processedRow);
-      }
+      return contact;
     });
 
-    return { 
-      isValid: validationErrors.length === 0, 
-      data: processedData, 
-      errors: validationErrors 
+    return {
+      isValid: validationErrors.length === 0,
+      data: processedData,
+      errors: validationErrors
     };
-  }, [csvData, fieldMapping, validStatuses]);
+  }, [csvData, fieldMapping, mappedFields, fieldLabels, duplicateStrategy, matchBy]);
 
   const handlePreview = () => {
     if (validationResult.isValid) {
@@ -186,17 +226,32 @@ const CSVImportModal = ({ isOpen, onClose, onImport }) => {
 
     setIsLoading(true);
     try {
-      await onImport(validationResult.data);
-      onClose();
-      resetModal();
+      const mapping = Object.fromEntries(Object.entries(fieldMapping).filter(([, field]) => field));
+      const newJob = await startImportMutation.mutateAsync({
+        fileName: file?.name,
+        headers,
+        rows: csvData.map(row => headers.map(header => row[header] ?? '')),
+        mapping,
+        duplicateStrategy,
+        matchBy
+      });
+      setErrors([]);
+      setJobId(newJob.id);
+      setStep(4);
     } catch (error) {
       console.error('Import failed:', error);
-      setErrors([error.message || 'Import failed. Please try again.']);
+      const details = (error.details || []).map(detail => detail.message);
+      setErrors([error.message || 'Import failed. Please try again.', ...details]);
     } finally {
       setIsLoading(false);
     }
   };
 
+  const handleClose = () => {
+    onClose();
+    resetModal();
+  };
+
   const renderUploadStep = () => (
     <div className="csv-step">
       <div className="csv-upload-area" onClick={() => fileInputRef.current?.click()}>
@@ -211,7 +266,7 @@ const CSVImportModal = ({ isOpen, onClose, onImport }) => {
           style={{ display: 'none' }}
         />
       </div>
-      
+
       {file && (
         <div className="csv-file-info">
           <FileText size={20} />
@@ -225,15 +280,15 @@ const CSVImportModal = ({ isOpen, onClose, onImport }) => {
   const renderMappingStep = () => (
     <div className="csv-step">
       <h3>Map CSV Fields to CRM Fields</h3>
-      <p>Match your CSV columns to the appropriate CRM fields:</p>
-      
+      <p>Match your CSV columns to contact fields and custom properties:</p>
+
       <div className="csv-mapping-table">
         <div className="csv-mapping-header">
           <span>CSV Column</span>
           <span>Sample Data</span>
           <span>CRM Field</span>
         </div>
-        
+
         {headers.map(header => (
           <div key={header} className="csv-mapping-row">
             <span className="csv-column-name">{header}</span>
@@ -254,39 +309,71 @@ const CSVImportModal = ({ isOpen, onClose, onImport }) => {
           </div>
         ))}
       </div>
-      
+
+      <div className="csv-duplicate-options">
+        <h4>Existing contacts</h4>
+        <div className="csv-duplicate-match">
+          <label htmlFor="csv-match-by">Match existing contacts by</label>
+          <select
+            id="csv-match-by"
+            value={matchBy}
+            onChange={(e) => setMatchBy(e.target.value)}
+            className="csv-field-select"
+            disabled={duplicateStrategy === 'create'}
+          >
+            <option value="email">Email</option>
+            <option value="phone">Phone</option>
+          </select>
+        </div>
+        {DUPLICATE_STRATEGIES.map(strategy => (
+          <label key={strategy.value} className="csv-duplicate-strategy">
+            <input
+              type="radio"
+              name="duplicateStrategy"
+              value={strategy.value}
+              checked={duplicateStrategy === strategy.value}
+              onChange={(e) => setDuplicateStrategy(e.target.value)}
+            />
+            {strategy.label}
+          </label>
+        ))}
+      </div>
+
       <div className="csv-mapping-info">
-        <p><strong>Note:</strong> Name is required for all contacts. Status will default to "NEW" if not provided.</p>
-        <p><strong>Valid Status values:</strong> {validStatuses.join(', ')}</p>
+        <p><strong>Note:</strong> Name is required for new contacts. When updating, blank cells leave existing values unchanged.</p>
+        <p>Dropdown values can be the option label or value; yes/no, true/false and 1/0 are accepted for checkboxes.</p>
       </div>
     </div>
   );
 
   const renderPreviewStep = () => {
     const previewData = validationResult.data.slice(0, 5); // Show first 5 records
-    
+    const previewFields = mappedFields.slice(0, 5);
+    const gridStyle = { gridTemplateColumns: `repeat(${previewFields.length || 1}, minmax(0, 1fr))` };
+    const cellValue = (row, field) => (field.startsWith(CUSTOM_PREFIX)
+      ? row.customFields[field.slice(CUSTOM_PREFIX.length)]
+      : row[field]) || '-';
+
     return (
       <div className="csv-step">
         <h3>Preview Import Data</h3>
-        <p>Review the data that will be imported ({validationResult.data.length} contacts):</p>
-        
+        <p>
+          Review the data that will be imported ({validationResult.data.length} rows).
+          {' '}{DUPLICATE_STRATEGIES.find(s => s.value === duplicateStrategy)?.label}
+          {duplicateStrategy !== 'create' && ` (matched by ${matchBy})`}.
+        </p>
+
         <div className="csv-preview-table">
-          <div className="csv-preview-header">
-            <span>Name</span>
-            <span>Email</span>
-            <span>Phone</span>
-            <span>Status</span>
+          <div className="csv-preview-header" style={gridStyle}>
+            {previewFields.map(field => <span key={field}>{fieldLabels[field]}</span>)}
           </div>
-          
+
           {previewData.map((row, index) => (
-            <div key={index} className="csv-preview-row">
-              <span>{row.name || '-'}</span>
-              <span>{row.email || '-'}</span>
-              <span>{row.phone || '-'}</span>
-              <span>{row.status || 'NEW'}</span>
+            <div key={index} className="csv-preview-row" style={gridStyle}>
+              {previewFields.map(field => <span key={field}>{cellValue(row, field)}</span>)}
             </div>
           ))}
-          
+
           {validationResult.data.length > 5 && (
             <div className="csv-preview-more">
               ... and {validationResult.data.length - 5} more contacts
@@ -297,6 +384,89 @@ const CSVImportModal = ({ isOpen, onClose, onImport }) => {
     );
   };
 
+  const handleUndo = async () => {
+    if (!window.confirm(`Delete the ${job.createdCount} contacts created by this import?`)) return;
+    try {
+      await undoImportMutation.mutateAsync(job.id);
+    } catch (error) {
+      setErrors([error.message || 'Failed to undo import']);
+    }
+  };
+
+  const handleDownloadErrors = async () => {
+    try {
+      await downloadErrorsMutation.mutateAsync(job.id);
+    } catch (error) {
+      setErrors([error.message || 'Failed to download error report']);
+    }
+  };
+
+  const renderResultStep = () => {
+    if (!job) {
+      return (
+        <div className="csv-loading">
+          <div className="csv-spinner"></div>
+          <p>Starting import...</p>
+        </div>
+      );
+    }
+
+    const isRunning = ACTIVE_IMPORT_STATUSES.includes(job.status);
+    const percent = job.totalRows > 0 ? Math.round((job.processedRows / job.totalRows) * 100) : 0;
+
+    return (
+      <div className="csv-step">
+        <div className="csv-result">
+          {isRunning ? <Upload size={32} /> : job.status === 'FAILED' ? <AlertCircle size={32} /> : <CheckCircle size={32} />}
+          <h3>
+            {isRunning && 'Importing contacts...'}
+            {job.status === 'COMPLETED' && 'Import complete'}
+            {job.status === 'FAILED' && 'Import stopped'}
+            {job.status === 'UNDONE' && 'Import undone'}
+          </h3>
+          {isRunning && (
+            <>
+              <div className="csv-job-progress">
+                <div className="csv-job-progress-bar" style={{ width: `${percent}%` }} />
+              </div>
+              <p>{job.processedRows} of {job.totalRows} rows processed. You can close this window; the import keeps running.</p>
+            </>
+          )}
+          <p>
+            {job.createdCount} created • {job.updatedCount} updated • {job.skippedCount} skipped • {job.failedCount} failed
+          </p>
+          {job.error && <p>{job.error}</p>}
+          {job.status === 'UNDONE' && <p>The contacts created by this import were deleted.</p>}
+        </div>
+
+        {!isRunning && (
+          <div className="csv-result-actions">
+            {job.failedCount > 0 && (
+              <button
+                onClick={handleDownloadErrors}
+                className="csv-button csv-button-secondary"
+                disabled={downloadErrorsMutation.isPending}
+              >
+                <Download size={16} />
+                Download failed rows
+              </button>
+            )}
+            {job.status !== 'UNDONE' && job.createdCount > 0 && (
+              <button
+                onClick={handleUndo}
+                className="csv-button csv-button-secondary"
+                disabled={undoImportMutation.isPending}
+              >
+                <Undo2 size={16} />
+                {undoImportMutation.isPending ? 'Undoing...' : 'Undo this import'}
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    );
+  };
+
   if (!isOpen) return null;
 
   return (
@@ -304,7 +474,7 @@ const CSVImportModal = ({ isOpen, onClose, onImport }) => {
       <div className="csv-modal">
         <div className="csv-modal-header">
           <h2>Import Contacts from CSV</h2>
-          <button onClick={() => { onClose(); resetModal(); }} className="csv-close-button">
+          <button onClick={handleClose} className="csv-close-button">
             <X size={24} />
           </button>
         </div>
@@ -333,7 +503,7 @@ const CSVImportModal = ({ isOpen, onClose, onImport }) => {
           {isLoading && (
             <div className="csv-loading">
               <div className="csv-spinner"></div>
-              <p>Processing CSV file...</p>
+              <p>{step === 3 ? 'Uploading file...' : 'Processing CSV file...'}</p>
             </div>
           )}
 
@@ -342,36 +512,37 @@ const CSVImportModal = ({ isOpen, onClose, onImport }) => {
               {step === 1 && renderUploadStep()}
               {step === 2 && renderMappingStep()}
               {step === 3 && renderPreviewStep()}
+              {step === 4 && renderResultStep()}
             </>
           )}
         </div>
 
         <div className="csv-modal-footer">
-          {step > 1 && (
-            <button 
-              onClick={() => setStep(step - 1)} 
+          {step > 1 && step < 4 && (
+            <button
+              onClick={() => setStep(step - 1)}
               className="csv-button csv-button-secondary"
               disabled={isLoading}
             >
               Back
             </button>
           )}
-          
+
           {step === 1 && file && !isLoading && (
             <button onClick={() => setStep(2)} className="csv-button csv-button-primary">
               Next
             </button>
           )}
-          
+
           {step === 2 && (
             <button onClick={handlePreview} className="csv-button csv-button-primary">
               Preview
             </button>
           )}
-          
+
           {step === 3 && (
-            <button 
-              onClick={handleImport} 
+            <button
+              onClick={handleImport}
               className="csv-button csv-button-success"
               disabled={isLoading || !validationResult.isValid}
             >
@@ -379,6 +550,12 @@ const CSVImportModal = ({ isOpen, onClose, onImport }) => {
               Import Contacts
             </button>
           )}
+
+          {step === 4 && (
+            <button onClick={handleClose} className="csv-button csv-button-primary">
+              Done
+            </button>
+          )}
         </div>
       </div>
     </div>
@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, useLocation, useNavigate } from 'react-router-dom';
-import { getAuthToken, getUserId, isAuthenticated } from '../utils/auth.js';
+import { getAuthToken, getUserId, getWorkspaceHeaders, isAuthenticated } from '../utils/auth.js';
 import ContactDetailView from './ContactDetailView';
 
 const ContactDetailPage = () => {
@@ -31,7 +31,8 @@ const ContactDetailPage = () => {
         const token = getAuthToken();
         const response = await fetch(`http://localhost:4000/api/contacts/${id}`, {
           headers: {
-            'Authorization': `Bearer ${token}`
+            'Authorization': `Bearer ${token}`,
+            ...getWorkspaceHeaders()
           }
         });
 
@@ -76,7 +77,8 @@ const ContactDetailPage = () => {
         method: 'PUT',
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
+          'Authorization': `Bearer ${token}`,
+          ...getWorkspaceHeaders()
         },
         body: JSON.stringify(updateData)
       });
@@ -84,7 +86,7 @@ const ContactDetailPage = () => {
       if (response.ok) {
         // Re-fetch the full contact to get all related data
         const refreshed = await fetch(`http://localhost:4000/api/contacts/${contactId}`, {
-          headers: { 'Authorization': `Bearer ${token}` }
+          headers: { 'Authorization': `Bearer ${token}`, ...getWorkspaceHeaders() }
         });
         if (refreshed.ok) {
           const fullContact = await refreshed.json();
@@ -125,7 +127,8 @@ const ContactDetailPage = () => {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
+          'Authorization': `Bearer ${token}`,
+          ...getWorkspaceHeaders()
         },
         body: JSON.stringify(taskData)
       });
@@ -163,7 +166,8 @@ const ContactDetailPage = () => {
         method: 'PUT',
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
+          'Authorization': `Bearer ${token}`,
+          ...getWorkspaceHeaders()
         },
         body: JSON.stringify(taskData)
       });
@@ -202,7 +206,8 @@ const ContactDetailPage = () => {
       const response = await fetch(`http://localhost:4000/api/contacts/${id}/tasks/${taskId}`, {
         method: 'DELETE',
         headers: {
-          'Authorization': `Bearer ${token}`
+          'Authorization': `Bearer ${token}`,
+          ...getWorkspaceHeaders()
         }
       });
 
@@ -226,42 +231,13 @@ const ContactDetailPage = () => {
   };
 
   // Note management functions
-  const handleAddNote = async (noteData) => {
-    try {
-      if (!isAuthenticated()) {
-        navigate('/login');
-        return;
-      }
-
-      const token = getAuthToken();
-      const response = await fetch(`http://localhost:4000/api/contacts/${id}/notes`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
-        },
-        body: JSON.stringify(noteData)
-      });
-
-      if (response.ok) {
-        const newNote = await response.json();
-        setContact(prevContact => ({
-          ...prevContact,
-          notes: [newNote, ...(prevContact.notes || [])]
-        }));
-        console.log('Note added successfully');
-        return newNote;
-      } else if (response.status === 401) {
-        navigate('/login');
-      } else {
-        const errorData = await response.json();
-        console.error('Failed to add note:', errorData.error);
-        alert('Failed to add note: ' + errorData.error);
-      }
-    } catch (error) {
-      console.error('Error adding note:', error);
-      alert('Error adding note. Please try again.');
-    }
+  // NoteForm has already created the note (and uploaded its attachments); just show it
+  const handleAddNote = (newNote) => {
+    setContact(prevContact => ({
+      ...prevContact,
+      notes: [newNote, ...(prevContact.notes || [])]
+    }));
+    return newNote;
   };
 
   const handleUpdateNote = async (noteId, noteData) => {
@@ -276,7 +252,8 @@ const ContactDetailPage = () => {
         method: 'PUT',
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
+          'Authorization': `Bearer ${token}`,
+          ...getWorkspaceHeaders()
         },
         body: JSON.stringify(noteData)
       });
@@ -315,7 +292,8 @@ const ContactDetailPage = () => {
       const response = await fetch(`http://localhost:4000/api/contacts/${id}/notes/${noteId}`, {
         method: 'DELETE',
         headers: {
-          'Authorization': `Bearer ${token}`
+          'Authorization': `Bearer ${token}`,
+          ...getWorkspaceHeaders()
         }
       });
 
@@ -338,6 +316,45 @@ const ContactDetailPage = () => {
     }
   };
 
+  const handleToggleNotePin = async (noteId, isPinned) => {
+    try {
+      if (!isAuthenticated()) {
+        navigate('/login');
+        return;
+      }
+
+      const token = getAuthToken();
+      const response = await fetch(`http://localhost:4000/api/contacts/${id}/notes/${noteId}/pin`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`,
+          ...getWorkspaceHeaders()
+        },
+        body: JSON.stringify({ isPinned })
+      });
+
+      if (response.ok) {
+        const updatedNote = await response.json();
+        setContact(prevContact => ({
+          ...prevContact,
+          notes: prevContact.notes.map(note =>
+            note.id === noteId ? updatedNote : note
+          )
+        }));
+      } else if (response.status === 401) {
+        navigate('/login');
+      } else {
+        const errorData = await response.json();
+        console.error('Failed to pin note:', errorData.error);
+        alert('Failed to pin note: ' + errorData.error);
+      }
+    } catch (error) {
+      console.error('Error pinning note:', error);
+      alert('Error pinning note. Please try again.');
+    }
+  };
+
   // Activity management functions
   const handleAddActivity = async (activityData) => {
     try {
@@ -351,7 +368,8 @@ const ContactDetailPage = () => {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
+          'Authorization': `Bearer ${token}`,
+          ...getWorkspaceHeaders()
         },
         body: JSON.stringify(activityData)
       });
@@ -389,7 +407,8 @@ const ContactDetailPage = () => {
         method: 'PUT',
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
+          'Authorization': `Bearer ${token}`,
+          ...getWorkspaceHeaders()
         },
         body: JSON.stringify(activityData)
       });
@@ -428,7 +447,8 @@ const ContactDetailPage = () => {
       const response = await fetch(`http://localhost:4000/api/contacts/${id}/activities/${activityId}`, {
         method: 'DELETE',
         headers: {
-          'Authorization': `Bearer ${token}`
+          'Authorization': `Bearer ${token}`,
+          ...getWorkspaceHeaders()
         }
       });
 
@@ -468,7 +488,8 @@ const ContactDetailPage = () => {
         method: 'PUT',
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
+          'Authorization': `Bearer ${token}`,
+          ...getWorkspaceHeaders()
         },
         body: JSON.stringify({
           ...task,
@@ -519,6 +540,7 @@ const ContactDetailPage = () => {
       onAddNote={handleAddNote}
       onUpdateNote={handleUpdateNote}
       onDeleteNote={handleDeleteNote}
+      onToggleNotePin={handleToggleNotePin}
       onAddActivity={handleAddActivity}
       onUpdateActivity={handleUpdateActivity}
       onDeleteActivity={handleDeleteActivity}
@@ -10,9 +10,20 @@ import {
   Plus,
   ChevronDown,
   Calendar,
-  FileText
+  FileText,
+  UserCheck
 } from 'lucide-react';
+import { Link } from 'react-router-dom';
+import { Pin, PinOff, Paperclip } from 'lucide-react';
 import MovablePopup from './ui/MovablePopup';
+import { RichTextContent, richTextToPlain, toggleChecklistItem } from './ui/RichText';
+import { downloadNoteAttachment, formatFileSize } from '../utils/noteAttachments';
+import { getUserId } from '../utils/auth';
+import { getDisplayName } from '../utils/userUtils';
+import { useCurrentWorkspace, useWorkspaceMembers } from '../hooks/useWorkspaces';
+import ContactHistory from './ContactHistory';
+import AssignmentHistory from './AssignmentHistory';
+import ContactDocuments from './ContactDocuments';
 import './ContactDetailView.css';
 
 const ContactDetailView = ({
@@ -27,12 +38,14 @@ const ContactDetailView = ({
   onAddNote,
   onUpdateNote,
   onDeleteNote,
+  onToggleNotePin,
   onAddActivity,
   onUpdateActivity,
   onDeleteActivity
 }) => {
   const [editingField, setEditingField] = useState(null);
   const [editValue, setEditValue] = useState('');
+  const [showAssignmentHistory, setShowAssignmentHistory] = useState(false);
   const [isDropdownOpen, setIsDropdownOpen] = useState(false);
   const [popupState, setPopupState] = useState({ isOpen: false, type: '', title: '', editingItem: null });
   const [activeTab, setActiveTab] = useState('all');
@@ -88,7 +101,11 @@ const ContactDetailView = ({
     'meeting': '🤝',
     'NOTE': '📝',
     'note': '📝',
-    'text': '💬'
+    'text': '💬',
+    'TASK_CREATED': '📋',
+    'TASK_COMPLETED': '✅',
+    'STATUS_CHANGED': '🔄',
+    'FIELD_CHANGED': '✏️'
   };
 
   // Get contact initials for avatar
@@ -149,17 +166,29 @@ const ContactDetailView = ({
         return 'Meeting';
       case 'NOTE':
         return 'Note';
+      case 'TASK_CREATED':
+        return 'Task Created';
+      case 'TASK_COMPLETED':
+        return 'Task Completed';
+      case 'STATUS_CHANGED':
+        return 'Status Changed';
+      case 'FIELD_CHANGED':
+        return 'Field Changed';
       default:
         return type || 'Activity';
     }
   };
 
+  // Newest first, with pinned notes ahead of everything else
+  const byPinnedThenNewest = (a, b) =>
+    (b.isPinned ? 1 : 0) - (a.isPinned ? 1 : 0) || new Date(b.createdAt) - new Date(a.createdAt);
+
   // Get all items combined and sorted by creation date
   const getAllItems = () => {
     const filteredTasks = (contact.tasks || []).filter(task => task.contactId === contact.id).map(task => ({ ...task, itemType: 'task' }));
     const filteredNotes = (contact.notes || []).filter(note => note.contactId === contact.id).map(note => ({ ...note, itemType: 'note' }));
     const filteredActivities = (contact.activities || []).filter(activity => activity.contactId === contact.id).map(activity => ({ ...activity, itemType: 'activity' }));
-    return [...filteredTasks, ...filteredNotes, ...filteredActivities].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    return [...filteredTasks, ...filteredNotes, ...filteredActivities].sort(byPinnedThenNewest);
   };
 
   // Get filtered items based on active tab
@@ -190,7 +219,7 @@ const ContactDetailView = ({
         return filteredTasks.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
       case 'notes':
         return (contact.notes || []).filter(note => note.contactId === contact.id).map(note => ({ ...note, itemType: 'note' }))
-          .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+          .sort(byPinnedThenNewest);
       case 'activities':
         return (contact.activities || []).filter(activity => activity.contactId === contact.id).map(activity => ({ ...activity, itemType: 'activity' }))
           .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
@@ -284,6 +313,21 @@ const ContactDetailView = ({
     setPopupState({ isOpen: true, type: 'note', title: 'Edit Note', editingItem: note });
   };
 
+  const handleToggleChecklistItem = (note, lineIndex) => {
+    if (onUpdateNote) {
+      onUpdateNote(note.id, { content: toggleChecklistItem(note.content, lineIndex), format: note.format });
+    }
+  };
+
+  const handleDownloadAttachment = async (attachment) => {
+    try {
+      await downloadNoteAttachment(contact.id, attachment);
+    } catch (error) {
+      console.error('Error downloading attachment:', error);
+      alert(error.message);
+    }
+  };
+
   const editActivity = (activity) => {
     setPopupState({ isOpen: true, type: 'activity', title: 'Edit Activity', editingItem: activity });
   };
@@ -439,6 +483,8 @@ const ContactDetailView = ({
   };
 
   const { typeOptions, sourceOptions, statusOptions, isLoading: optionsLoading } = useContactPropertyOptions();
+  const { workspace } = useCurrentWorkspace();
+  const { data: members = [] } = useWorkspaceMembers(workspace?.id);
   const statusMapping = Object.fromEntries((statusOptions || []).map(opt => [opt, opt.toLowerCase().replace(/\s/g, '_')]));
   const renderStatusBadge = () => {
     const statusClass = statusMapping[contact.status] || 'new';
@@ -678,6 +724,45 @@ const ContactDetailView = ({
                   ) : renderEditableField('leadSource', contact.leadSource, 'Click to add lead source')}
                 </div>
               </div>
+
+              <div className="field-item">
+                <UserCheck className="field-icon" size={16} />
+                <div className="field-content">
+                  <div className="field-label">Assigned To</div>
+                  {editingField === 'assignedToId' ? (
+                    <select
+                      value={contact.assignedToId || ''}
+                      onChange={e => {
+                        onContactUpdate(contact.id, 'assignedToId', e.target.value || null);
+                        setEditingField(null);
+                      }}
+                      onBlur={() => setEditingField(null)}
+                      className="edit-input"
+                      autoFocus
+                    >
+                      <option value="">Unassigned</option>
+                      {members.map(member => (
+                        <option key={member.id} value={member.id}>{getDisplayName(member)}</option>
+                      ))}
+                    </select>
+                  ) : (
+                    <div
+                      className={`field-value ${!contact.assignedTo ? 'empty' : ''}`}
+                      onClick={() => setEditingField('assignedToId')}
+                    >
+                      {contact.assignedTo ? getDisplayName(contact.assignedTo) : 'Unassigned'}
+                    </div>
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => setShowAssignmentHistory(show => !show)}
+                    style={{ border: 'none', background: 'none', padding: 0, fontSize: '0.75rem', color: 'var(--color-accent)', cursor: 'pointer' }}
+                  >
+                    {showAssignmentHistory ? 'Hide history' : 'Show history'}
+                  </button>
+                  {showAssignmentHistory && <AssignmentHistory contactId={contact.id} />}
+                </div>
+              </div>
             </div>
           </div>
 
@@ -698,7 +783,7 @@ const ContactDetailView = ({
                          activity.type === 'WHATSAPP' || activity.type === 'whatsapp' ? 'WhatsApp' :
                          activity.type === 'MEETING' || activity.type === 'meeting' ? 'Meeting' :
                          activity.type === 'NOTE' || activity.type === 'note' ? 'Note' :
-                         activity.type}
+                         formatActivityType(activity.type)}
                       </div>
                       <div className="activity-note">{activity.description}</div>
                       <div className="activity-time">{getRelativeTime(activity.createdAt)}</div>
@@ -746,6 +831,18 @@ const ContactDetailView = ({
                 >
                   Activities ({contact.activities?.length || 0})
                 </button>
+                <button 
+                  className={`tab-button ${activeTab === 'documents' ? 'active' : ''}`}
+                  onClick={() => setActiveTab('documents')}
+                >
+                  Documents
+                </button>
+                <button 
+                  className={`tab-button ${activeTab === 'history' ? 'active' : ''}`}
+                  onClick={() => setActiveTab('history')}
+                >
+                  History
+                </button>
               </div>
 
               {/* Task Filters - Only show when Tasks tab is active */}
@@ -784,7 +881,11 @@ const ContactDetailView = ({
 
               {/* Tab Content */}
               <div className="tab-content">
-                {getFilteredItems().length > 0 ? (
+                {activeTab === 'history' ? (
+                  <ContactHistory contactId={contact.id} />
+                ) : activeTab === 'documents' ? (
+                  <ContactDocuments contactId={contact.id} />
+                ) : getFilteredItems().length > 0 ? (
                   <div className="items-list">
                     {getFilteredItems().map((item) => (
                       <div 
@@ -813,8 +914,22 @@ const ContactDetailView = ({
                             className="item-title"
                             onClick={() => handleItemClick(item)}
                           >
-                            {item.itemType === 'note' ? item.content : item.title}
+                            {item.itemType === 'note'
+                              ? (item.format === 'PLAIN' ? item.content : richTextToPlain(item.content)).split('\n')[0].substring(0, 80)
+                              : item.title}
                           </div>
+                          {item.itemType === 'note' && onToggleNotePin && (
+                            <button
+                              type="button"
+                              className="note-pin-button"
+                              title={item.isPinned ? 'Unpin note' : 'Pin to top'}
+                              aria-label={item.isPinned ? 'Unpin note' : 'Pin to top'}
+                              onClick={(e) => { e.stopPropagation(); onToggleNotePin(item.id, !item.isPinned); }}
+                              style={{ border: 'none', background: 'none', cursor: 'pointer', color: item.isPinned ? '#2563eb' : '#9ca3af', padding: '0 4px' }}
+                            >
+                              {item.isPinned ? <PinOff size={14} /> : <Pin size={14} />}
+                            </button>
+                          )}
                           {item.itemType === 'task' && item.priority && (
                             <span className={`priority-badge ${item.priority?.toLowerCase()}`}>
                               {item.priority}
@@ -822,15 +937,45 @@ const ContactDetailView = ({
                           )}
                         </div>
                         
-                        {(item.description || item.content) && (
+                        {item.itemType === 'note' && (
+                          <div
+                            className="item-content"
+                            onClick={() => handleItemClick(item)}
+                          >
+                            <RichTextContent
+                              content={item.content}
+                              format={item.format}
+                              onToggleChecklistItem={(lineIndex) => handleToggleChecklistItem(item, lineIndex)}
+                            />
+                            {item.attachments?.length > 0 && (
+                              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.4rem', marginTop: '0.4rem' }}>
+                                {item.attachments.map(attachment => (
+                                  <button
+                                    key={attachment.id}
+                                    type="button"
+                                    onClick={(e) => { e.stopPropagation(); handleDownloadAttachment(attachment); }}
+                                    title={`Download ${attachment.fileName}`}
+                                    style={{ display: 'inline-flex', alignItems: 'center', gap: '0.25rem', padding: '0.15rem 0.5rem', border: '1px solid #d1d5db', borderRadius: '999px', background: 'white', fontSize: '0.75rem', cursor: 'pointer' }}
+                                  >
+                                    <Paperclip size={12} />
+                                    {attachment.fileName} ({formatFileSize(attachment.size)})
+                                  </button>
+                                ))}
+                              </div>
+                            )}
+                          </div>
+                        )}
+
+                        {item.itemType !== 'note' && (item.description || item.content) && (
                           <div 
                             className="item-content"
                             onClick={() => handleItemClick(item)}
                           >
-                            <div dangerouslySetInnerHTML={{ 
-                              __html: (item.description || item.content)?.substring(0, 150) + 
-                                     ((item.description || item.content)?.length > 150 ? '...' : '')
-                            }} />
+                            {/* Plain text: descriptions include user-entered values */}
+                            <div>
+                              {(item.description || item.content)?.substring(0, 150) + 
+                                ((item.description || item.content)?.length > 150 ? '...' : '')}
+                            </div>
                           </div>
                         )}
                         
@@ -841,6 +986,9 @@ const ContactDetailView = ({
                           {item.itemType === 'task' && item.dueDate && (
                             <span className="item-due-date">Due: {formatDate(item.dueDate)} • </span>
                           )}
+                          {item.itemType === 'note' && item.isPinned && (
+                            <span className="item-pinned">Pinned • </span>
+                          )}
                           <span className="item-created-time">{getRelativeTime(item.createdAt)}</span>
                         </div>
                       </div>
@@ -861,6 +1009,31 @@ const ContactDetailView = ({
                 )}
               </div>
             </div>
+
+            {/* Back-links from notes on other contacts that @-mention this one */}
+            {contact.mentionedIn?.length > 0 && (
+              <div className="items-section mentioned-in-section">
+                <h3>Mentioned In</h3>
+                <div className="items-list">
+                  {contact.mentionedIn.map(note => (
+                    <div key={note.id} className="item-card">
+                      <div className="item-header">
+                        <div className="item-title" style={{ cursor: 'default' }}>
+                          <Link to={`/dashboard/${getUserId()}/contacts/${note.contact.id}`}>{note.contact.name}</Link>
+                        </div>
+                      </div>
+                      <div className="item-content" style={{ cursor: 'default' }}>
+                        {(note.format === 'PLAIN' ? note.content : richTextToPlain(note.content)).substring(0, 150)}
+                        {note.content.length > 150 ? '...' : ''}
+                      </div>
+                      <div className="item-meta" style={{ cursor: 'default' }}>
+                        <span className="item-created-time">{getRelativeTime(note.createdAt)}</span>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
           </div>
         </div>
       </div>
@@ -0,0 +1,334 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Upload, Download, Trash2, Eye, FileText, X } from 'lucide-react';
+import {
+  useContactAttachments,
+  useUploadAttachment,
+  useDeleteAttachment,
+  fetchAttachmentBlob,
+} from '../hooks/useAttachments';
+import { formatFileSize } from '../utils/noteAttachments';
+
+const MAX_FILE_BYTES = 10 * 1024 * 1024;
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+const ACCEPT = '.pdf,.jpg,.jpeg,.png,.gif,.webp,.heic,.txt,.csv,.rtf,.doc,.docx,.xls,.xlsx,.ppt,.pptx,.odt,.ods';
+
+const isPreviewable = (attachment) => attachment.mimeType === 'application/pdf' || IMAGE_TYPES.includes(attachment.mimeType);
+
+// Object URL for an attachment's inline variant, revoked when the attachment changes or the component unmounts
+const useAttachmentObjectUrl = (contactId, attachment) => {
+  const [url, setUrl] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!attachment) return undefined;
+    let objectUrl = null;
+    let cancelled = false;
+    setUrl(null);
+    setError(null);
+
+    fetchAttachmentBlob(contactId, attachment.id, { inline: true })
+      .then(blob => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        setUrl(objectUrl);
+      })
+      .catch(err => !cancelled && setError(err.message));
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [contactId, attachment]);
+
+  return { url, error };
+};
+
+const Thumbnail = ({ contactId, attachment }) => {
+  const { url } = useAttachmentObjectUrl(contactId, IMAGE_TYPES.includes(attachment.mimeType) ? attachment : null);
+
+  return (
+    <div style={styles.thumbnail}>
+      {url ? <img src={url} alt="" style={styles.thumbnailImage} /> : <FileText size={22} color="#6b7280" />}
+    </div>
+  );
+};
+
+const PreviewModal = ({ contactId, attachment, onClose }) => {
+  const { url, error } = useAttachmentObjectUrl(contactId, attachment);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => e.key === 'Escape' && onClose();
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  return (
+    <div style={styles.overlay} onClick={onClose}>
+      <div style={styles.previewPanel} onClick={e => e.stopPropagation()} role="dialog" aria-label={attachment.fileName}>
+        <div style={styles.previewHeader}>
+          <span style={styles.fileName}>{attachment.fileName}</span>
+          <button type="button" onClick={onClose} style={styles.iconButton} aria-label="Close preview">
+            <X size={16} />
+          </button>
+        </div>
+        <div style={styles.previewBody}>
+          {error && <div className="empty-state-text">{error}</div>}
+          {!error && !url && <div className="empty-state-text">Loading preview...</div>}
+          {url && (attachment.mimeType === 'application/pdf'
+            ? <iframe src={url} title={attachment.fileName} style={styles.previewFrame} />
+            : <img src={url} alt={attachment.fileName} style={styles.previewImage} />)}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Documents uploaded to a contact plus files attached to its notes; note files are managed from the note
+const ContactDocuments = ({ contactId }) => {
+  const fileInputRef = useRef(null);
+  const [previewing, setPreviewing] = useState(null);
+  const [uploadErrors, setUploadErrors] = useState([]);
+  const { data: attachments = [], isLoading, error } = useContactAttachments(contactId);
+  const uploadAttachment = useUploadAttachment(contactId);
+  const deleteAttachment = useDeleteAttachment(contactId);
+
+  const handleFilesSelected = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    const errors = [];
+
+    for (const file of files) {
+      if (file.size > MAX_FILE_BYTES) {
+        errors.push(`${file.name} is larger than ${formatFileSize(MAX_FILE_BYTES)}`);
+        continue;
+      }
+      try {
+        await uploadAttachment.mutateAsync(file);
+      } catch (err) {
+        errors.push(err.message);
+      }
+    }
+
+    setUploadErrors(errors);
+  };
+
+  const handleDownload = async (attachment) => {
+    try {
+      const blob = await fetchAttachmentBlob(contactId, attachment.id);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = attachment.fileName;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const handleDelete = async (attachment) => {
+    if (!window.confirm(`Delete ${attachment.fileName}?`)) return;
+    try {
+      await deleteAttachment.mutateAsync(attachment.id);
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  if (isLoading) {
+    return <div className="empty-state"><div className="empty-state-text">Loading documents...</div></div>;
+  }
+
+  if (error) {
+    return <div className="empty-state"><div className="empty-state-text">{error.message}</div></div>;
+  }
+
+  return (
+    <div>
+      <div style={styles.toolbar}>
+        <button
+          type="button"
+          className="tab-button active"
+          onClick={() => fileInputRef.current?.click()}
+          disabled={uploadAttachment.isPending}
+          style={styles.uploadButton}
+        >
+          <Upload size={14} />
+          {uploadAttachment.isPending ? 'Uploading...' : 'Upload documents'}
+        </button>
+        <span style={styles.hint}>PDFs, images, Office documents, text and CSV up to {formatFileSize(MAX_FILE_BYTES)}</span>
+        <input ref={fileInputRef} type="file" multiple accept={ACCEPT} onChange={handleFilesSelected} style={{ display: 'none' }} />
+      </div>
+
+      {uploadErrors.length > 0 && (
+        <div style={styles.errors} role="alert">
+          {uploadErrors.map(message => <div key={message}>{message}</div>)}
+        </div>
+      )}
+
+      {attachments.length === 0 ? (
+        <div className="empty-state">
+          <div className="empty-state-text">No documents yet</div>
+          <div className="empty-state-subtext">Upload contracts, IDs or photos, or attach files to a note.</div>
+        </div>
+      ) : (
+        <div className="items-list">
+          {attachments.map(attachment => (
+            <div key={attachment.id} className="item-card" style={styles.row}>
+              <Thumbnail contactId={contactId} attachment={attachment} />
+              <div style={styles.details}>
+                <span style={styles.fileName} title={attachment.fileName}>{attachment.fileName}</span>
+                <span style={styles.hint}>
+                  {formatFileSize(attachment.size)} • {new Date(attachment.createdAt).toLocaleDateString()}
+                  {attachment.noteId && ' • Attached to a note'}
+                </span>
+              </div>
+              <div style={styles.actions}>
+                {isPreviewable(attachment) && (
+                  <button type="button" onClick={() => setPreviewing(attachment)} style={styles.iconButton} title="Preview" aria-label={`Preview ${attachment.fileName}`}>
+                    <Eye size={16} />
+                  </button>
+                )}
+                <button type="button" onClick={() => handleDownload(attachment)} style={styles.iconButton} title="Download" aria-label={`Download ${attachment.fileName}`}>
+                  <Download size={16} />
+                </button>
+                {!attachment.noteId && (
+                  <button type="button" onClick={() => handleDelete(attachment)} style={styles.iconButton} title="Delete" aria-label={`Delete ${attachment.fileName}`}>
+                    <Trash2 size={16} />
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {previewing && (
+        <PreviewModal contactId={contactId} attachment={previewing} onClose={() => setPreviewing(null)} />
+      )}
+    </div>
+  );
+};
+
+const styles = {
+  toolbar: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '0.75rem',
+    flexWrap: 'wrap',
+    marginBottom: '12px',
+  },
+  uploadButton: {
+    display: 'inline-flex',
+    alignItems: 'center',
+    gap: '0.4rem',
+  },
+  hint: {
+    color: '#6b7280',
+    fontSize: '0.8rem',
+  },
+  errors: {
+    marginBottom: '12px',
+    padding: '0.5rem 0.75rem',
+    background: '#fef2f2',
+    border: '1px solid #fecaca',
+    borderRadius: '6px',
+    color: '#b91c1c',
+    fontSize: '0.85rem',
+  },
+  row: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '0.75rem',
+  },
+  thumbnail: {
+    width: '48px',
+    height: '48px',
+    flexShrink: 0,
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    background: '#f3f4f6',
+    borderRadius: '6px',
+    overflow: 'hidden',
+  },
+  thumbnailImage: {
+    width: '100%',
+    height: '100%',
+    objectFit: 'cover',
+  },
+  details: {
+    display: 'flex',
+    flexDirection: 'column',
+    flex: 1,
+    minWidth: 0,
+  },
+  fileName: {
+    fontWeight: 500,
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap',
+  },
+  actions: {
+    display: 'flex',
+    gap: '0.25rem',
+  },
+  iconButton: {
+    display: 'inline-flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: '0.35rem',
+    border: '1px solid #e5e7eb',
+    borderRadius: '4px',
+    background: 'white',
+    cursor: 'pointer',
+  },
+  overlay: {
+    position: 'fixed',
+    inset: 0,
+    background: 'rgba(0, 0, 0, 0.6)',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    zIndex: 1000,
+  },
+  previewPanel: {
+    display: 'flex',
+    flexDirection: 'column',
+    width: 'min(90vw, 960px)',
+    height: '85vh',
+    background: 'white',
+    borderRadius: '8px',
+    overflow: 'hidden',
+  },
+  previewHeader: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    gap: '0.5rem',
+    padding: '0.6rem 0.9rem',
+    borderBottom: '1px solid #e5e7eb',
+  },
+  previewBody: {
+    flex: 1,
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    background: '#f9fafb',
+    minHeight: 0,
+  },
+  previewFrame: {
+    width: '100%',
+    height: '100%',
+    border: 'none',
+  },
+  previewImage: {
+    maxWidth: '100%',
+    maxHeight: '100%',
+    objectFit: 'contain',
+  },
+};
+
+export default ContactDocuments;
@@ -0,0 +1,441 @@
+import React, { useState } from 'react';
+import { Plus, X } from 'lucide-react';
+import { useCustomProperties } from '../hooks/useCustomProperties.js';
+import { useCurrentWorkspace, useWorkspaceMembers } from '../hooks/useWorkspaces.js';
+import { getDisplayName } from '../utils/userUtils.js';
+
+// Mirrors OPERATORS_BY_FIELD_TYPE in server/utils/contactFilters.js
+const TEXT_OPERATORS = ['equals', 'not_equals', 'contains', 'in', 'is_empty', 'is_not_empty'];
+const NUMBER_OPERATORS = ['equals', 'not_equals', 'gt', 'gte', 'lt', 'lte', 'between', 'is_empty', 'is_not_empty'];
+const DATE_OPERATORS = ['equals', 'before', 'after', 'between', 'is_empty', 'is_not_empty'];
+
+const OPERATORS_BY_FIELD_TYPE = {
+  TEXT: TEXT_OPERATORS,
+  EMAIL: TEXT_OPERATORS,
+  PHONE: TEXT_OPERATORS,
+  URL: TEXT_OPERATORS,
+  TEXTAREA: TEXT_OPERATORS,
+  DROPDOWN: TEXT_OPERATORS,
+  MULTISELECT: ['equals', 'not_equals', 'contains', 'in', 'is_empty', 'is_not_empty'],
+  NUMBER: NUMBER_OPERATORS,
+  DATE: DATE_OPERATORS,
+  DATETIME: DATE_OPERATORS,
+  BOOLEAN: ['equals', 'is_empty', 'is_not_empty'],
+  ASSIGNEE: ['equals', 'not_equals', 'in', 'is_empty', 'is_not_empty']
+};
+
+const OPERATOR_LABELS = {
+  equals: 'is',
+  not_equals: 'is not',
+  contains: 'contains',
+  in: 'is any of',
+  is_empty: 'is empty',
+  is_not_empty: 'is not empty',
+  gt: 'greater than',
+  gte: 'at least',
+  lt: 'less than',
+  lte: 'at most',
+  between: 'between',
+  before: 'before',
+  after: 'after'
+};
+
+const DATE_OPERATOR_LABELS = { equals: 'on' };
+
+const CORE_FIELDS = [
+  { key: 'name', label: 'Name', fieldType: 'TEXT' },
+  { key: 'email', label: 'Email', fieldType: 'EMAIL' },
+  { key: 'phone', label: 'Phone', fieldType: 'PHONE' },
+  { key: 'address', label: 'Address', fieldType: 'TEXT' },
+  { key: 'createdAt', label: 'Created', fieldType: 'DATETIME' },
+  { key: 'updatedAt', label: 'Updated', fieldType: 'DATETIME' }
+];
+
+// Assignee filters take member ids; "me" is whoever is looking at the list
+export const ASSIGNED_TO_ME_FILTER = { field: 'assignedTo', operator: 'equals', value: 'me' };
+
+const OPTION_FIELD_TYPES = ['DROPDOWN', 'MULTISELECT', 'ASSIGNEE'];
+const DATE_FIELD_TYPES = ['DATE', 'DATETIME'];
+
+const controlStyle = {
+  padding: '0.375rem 0.5rem',
+  border: '1px solid var(--color-primary-border)',
+  borderRadius: '0.375rem',
+  fontSize: '0.8125rem',
+  color: 'var(--color-primary-text)',
+  backgroundColor: 'var(--color-primary-bg)'
+};
+
+const linkButtonStyle = {
+  border: 'none',
+  background: 'none',
+  padding: '0.25rem 0',
+  fontSize: '0.8125rem',
+  color: 'var(--color-accent)',
+  cursor: 'pointer',
+  display: 'flex',
+  alignItems: 'center',
+  gap: '0.25rem'
+};
+
+const iconButtonStyle = {
+  border: 'none',
+  background: 'none',
+  padding: '0.25rem',
+  color: 'var(--color-secondary-text)',
+  cursor: 'pointer',
+  display: 'flex'
+};
+
+const isFilterGroup = (filter) => Array.isArray(filter?.filters);
+
+const needsValue = (operator) => operator !== 'is_empty' && operator !== 'is_not_empty';
+
+const emptyValueFor = (operator) => {
+  if (operator === 'between') return ['', ''];
+  if (operator === 'in') return [];
+  return '';
+};
+
+let nextId = 0;
+const newId = () => `filter-${++nextId}`;
+
+const newCondition = () => ({ id: newId(), field: '', operator: '', value: '' });
+const newGroup = (conditions = [newCondition()]) => ({ id: newId(), logic: 'and', conditions });
+
+// Count conditions in an API filter list, including those inside groups
+export const countFilterConditions = (filters = []) => filters.reduce(
+  (count, filter) => count + (isFilterGroup(filter) ? countFilterConditions(filter.filters) : 1),
+  0
+);
+
+/**
+ * Turn API filters into the builder's two levels: a root AND/OR over groups of conditions.
+ * Top-level conditions become one AND group; groups nested deeper than the builder shows are dropped.
+ */
+const toBuilderState = (filters = []) => {
+  const toConditions = (nodes) => nodes
+    .filter(node => !isFilterGroup(node))
+    .map(node => ({ id: newId(), field: node.field, operator: node.operator, value: node.value ?? '' }));
+  const toGroup = (group) => ({ id: newId(), logic: group.logic, conditions: toConditions(group.filters) });
+
+  if (filters.length === 1 && isFilterGroup(filters[0]) && filters[0].filters.every(isFilterGroup)) {
+    return { logic: filters[0].logic, groups: filters[0].filters.map(toGroup) };
+  }
+
+  const looseConditions = toConditions(filters);
+  const groups = [
+    ...(looseConditions.length > 0 ? [newGroup(looseConditions)] : []),
+    ...filters.filter(isFilterGroup).map(toGroup)
+  ];
+  return { logic: 'and', groups: groups.length > 0 ? groups : [newGroup()] };
+};
+
+// The builder's state as the filter list sent to the contacts API
+const toApiFilters = (state) => {
+  const groups = state.groups
+    .filter(group => group.conditions.length > 0)
+    .map(group => ({
+      logic: group.logic,
+      filters: group.conditions.map(({ field, operator, value }) => (
+        needsValue(operator) ? { field, operator, value } : { field, operator }
+      ))
+    }));
+
+  if (groups.length === 0) return [];
+  if (groups.length === 1) return groups[0].logic === 'and' ? groups[0].filters : groups;
+  return state.logic === 'and' ? groups : [{ logic: 'or', filters: groups }];
+};
+
+const isConditionComplete = (condition) => {
+  if (!condition.field || !condition.operator) return false;
+  if (!needsValue(condition.operator)) return true;
+
+  const { value } = condition;
+  if (Array.isArray(value)) {
+    return value.length > 0 && value.every(item => String(item).trim() !== '');
+  }
+  return value !== '' && value !== null && value !== undefined;
+};
+
+const ValueEditor = ({ field, condition, onChange }) => {
+  const { operator, value } = condition;
+  if (!field || !operator || !needsValue(operator)) return null;
+
+  const { fieldType } = field;
+
+  if (OPTION_FIELD_TYPES.includes(fieldType)) {
+    if (operator === 'in') {
+      const selected = Array.isArray(value) ? value : [];
+      return (
+        <div style={{ ...controlStyle, display: 'flex', flexWrap: 'wrap', gap: '0.5rem', maxWidth: '320px' }}>
+          {field.options.map(option => (
+            <label key={option.value} style={{ display: 'flex', alignItems: 'center', gap: '0.25rem' }}>
+              <input
+                type="checkbox"
+                checked={selected.includes(option.value)}
+                onChange={(e) => onChange(e.target.checked
+                  ? [...selected, option.value]
+                  : selected.filter(item => item !== option.value))}
+              />
+              {option.label}
+            </label>
+          ))}
+        </div>
+      );
+    }
+
+    return (
+      <select value={value} onChange={(e) => onChange(e.target.value)} style={controlStyle}>
+        <option value="">Select...</option>
+        {field.options.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+    );
+  }
+
+  if (DATE_FIELD_TYPES.includes(fieldType) || fieldType === 'NUMBER') {
+    const inputType = fieldType === 'NUMBER' ? 'number' : 'date';
+    if (operator === 'between') {
+      const [from, to] = Array.isArray(value) ? value : ['', ''];
+      return (
+        <div style={{ display: 'flex', alignItems: 'center', gap: '0.375rem' }}>
+          <input type={inputType} value={from} onChange={(e) => onChange([e.target.value, to])} style={controlStyle} />
+          <span style={{ fontSize: '0.8125rem', color: 'var(--color-secondary-text)' }}>and</span>
+          <input type={inputType} value={to} onChange={(e) => onChange([from, e.target.value])} style={controlStyle} />
+        </div>
+      );
+    }
+    return <input type={inputType} value={value} onChange={(e) => onChange(e.target.value)} style={controlStyle} />;
+  }
+
+  if (fieldType === 'BOOLEAN') {
+    return (
+      <select
+        value={value === '' ? '' : String(value)}
+        onChange={(e) => onChange(e.target.value === '' ? '' : e.target.value === 'true')}
+        style={controlStyle}
+      >
+        <option value="">Select...</option>
+        <option value="true">Yes</option>
+        <option value="false">No</option>
+      </select>
+    );
+  }
+
+  if (operator === 'in') {
+    return (
+      <input
+        type="text"
+        placeholder="Comma-separated values"
+        value={Array.isArray(value) ? value.join(', ') : ''}
+        onChange={(e) => onChange(e.target.value.split(',').map(item => item.trim()).filter(Boolean))}
+        style={controlStyle}
+      />
+    );
+  }
+
+  return <input type="text" value={value} onChange={(e) => onChange(e.target.value)} style={controlStyle} />;
+};
+
+const ConditionRow = ({ condition, fields, onChange, onRemove }) => {
+  const field = fields.find(f => f.key === condition.field);
+  const operators = field ? OPERATORS_BY_FIELD_TYPE[field.fieldType] || TEXT_OPERATORS : [];
+  const operatorLabels = field && DATE_FIELD_TYPES.includes(field.fieldType)
+    ? { ...OPERATOR_LABELS, ...DATE_OPERATOR_LABELS }
+    : OPERATOR_LABELS;
+
+  const handleFieldChange = (key) => {
+    const nextField = fields.find(f => f.key === key);
+    const operator = nextField ? (OPERATORS_BY_FIELD_TYPE[nextField.fieldType] || TEXT_OPERATORS)[0] : '';
+    onChange({ ...condition, field: key, operator, value: emptyValueFor(operator) });
+  };
+
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', flexWrap: 'wrap' }}>
+      <select value={condition.field} onChange={(e) => handleFieldChange(e.target.value)} style={controlStyle}>
+        <option value="">Choose field...</option>
+        {fields.map(f => (
+          <option key={f.key} value={f.key}>{f.label}</option>
+        ))}
+      </select>
+      <select
+        value={condition.operator}
+        onChange={(e) => onChange({ ...condition, operator: e.target.value, value: emptyValueFor(e.target.value) })}
+        disabled={!field}
+        style={controlStyle}
+      >
+        {operators.map(operator => (
+          <option key={operator} value={operator}>{operatorLabels[operator]}</option>
+        ))}
+      </select>
+      <ValueEditor field={field} condition={condition} onChange={(value) => onChange({ ...condition, value })} />
+      <button type="button" onClick={onRemove} style={iconButtonStyle} aria-label="Remove condition">
+        <X size={14} />
+      </button>
+    </div>
+  );
+};
+
+const LogicSelect = ({ value, onChange, label }) => (
+  <select value={value} onChange={(e) => onChange(e.target.value)} style={controlStyle} aria-label={label}>
+    <option value="and">all</option>
+    <option value="or">any</option>
+  </select>
+);
+
+/**
+ * Panel for building contact filters: groups of conditions combined with AND/OR.
+ * Edits are local until "Apply", which passes the API filter list to `onApply`.
+ */
+const ContactFilterBuilder = ({ filters, onApply, onClose }) => {
+  const { data: customProperties = [] } = useCustomProperties();
+  const { workspace } = useCurrentWorkspace();
+  const { data: members = [] } = useWorkspaceMembers(workspace?.id);
+  const [state, setState] = useState(() => toBuilderState(filters));
+
+  const fields = [
+    ...CORE_FIELDS,
+    {
+      key: ASSIGNED_TO_ME_FILTER.field,
+      label: 'Assigned to',
+      fieldType: 'ASSIGNEE',
+      options: [
+        { value: 'me', label: 'Me' },
+        ...members.map(member => ({ value: member.id, label: getDisplayName(member) }))
+      ]
+    },
+    ...customProperties.map(property => ({
+      key: property.fieldKey,
+      label: property.name,
+      fieldType: property.fieldType,
+      options: (property.options || []).map(option => ({ value: option.value, label: option.label }))
+    }))
+  ];
+
+  const updateGroup = (groupId, changes) => setState(prev => ({
+    ...prev,
+    groups: prev.groups.map(group => (group.id === groupId ? { ...group, ...changes } : group))
+  }));
+
+  const updateCondition = (group, conditionId, updated) => updateGroup(group.id, {
+    conditions: group.conditions.map(condition => (condition.id === conditionId ? updated : condition))
+  });
+
+  const removeCondition = (group, conditionId) => {
+    const conditions = group.conditions.filter(condition => condition.id !== conditionId);
+    if (conditions.length > 0) {
+      updateGroup(group.id, { conditions });
+    } else {
+      setState(prev => ({ ...prev, groups: prev.groups.filter(g => g.id !== group.id) }));
+    }
+  };
+
+  const conditions = state.groups.flatMap(group => group.conditions);
+  const canApply = conditions.every(isConditionComplete);
+
+  return (
+    <div style={{
+      marginTop: '0.75rem',
+      padding: '1rem',
+      border: '1px solid var(--color-primary-border)',
+      borderRadius: '0.5rem',
+      backgroundColor: 'var(--color-primary-bg)',
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '0.75rem'
+    }}>
+      {state.groups.length > 1 && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.875rem', color: 'var(--color-primary-text)' }}>
+          Match
+          <LogicSelect value={state.logic} onChange={(logic) => setState(prev => ({ ...prev, logic }))} label="Match groups" />
+          of the following groups
+        </div>
+      )}
+
+      {state.groups.map((group, index) => (
+        <div
+          key={group.id}
+          style={{
+            padding: '0.75rem',
+            border: '1px solid var(--color-secondary-border)',
+            borderRadius: '0.375rem',
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '0.5rem'
+          }}
+        >
+          <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', fontSize: '0.8125rem', color: 'var(--color-secondary-text)' }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+              {state.groups.length > 1 && <strong>Group {index + 1}:</strong>}
+              Match
+              <LogicSelect value={group.logic} onChange={(logic) => updateGroup(group.id, { logic })} label="Match conditions" />
+              of these conditions
+            </div>
+            {state.groups.length > 1 && (
+              <button
+                type="button"
+                onClick={() => setState(prev => ({ ...prev, groups: prev.groups.filter(g => g.id !== group.id) }))}
+                style={iconButtonStyle}
+                aria-label="Remove group"
+              >
+                <X size={14} />
+              </button>
+            )}
+          </div>
+
+          {group.conditions.map(condition => (
+            <ConditionRow
+              key={condition.id}
+              condition={condition}
+              fields={fields}
+              onChange={(updated) => updateCondition(group, condition.id, updated)}
+              onRemove={() => removeCondition(group, condition.id)}
+            />
+          ))}
+
+          <button
+            type="button"
+            onClick={() => updateGroup(group.id, { conditions: [...group.conditions, newCondition()] })}
+            style={linkButtonStyle}
+          >
+            <Plus size={14} /> Add condition
+          </button>
+        </div>
+      ))}
+
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '0.5rem' }}>
+        <button type="button" onClick={() => setState(prev => ({ ...prev, groups: [...prev.groups, newGroup()] }))} style={linkButtonStyle}>
+          <Plus size={14} /> Add group
+        </button>
+        <div style={{ display: 'flex', gap: '0.5rem' }}>
+          <button type="button" onClick={() => onApply([])} style={{ ...controlStyle, cursor: 'pointer' }}>
+            Clear all
+          </button>
+          <button type="button" onClick={onClose} style={{ ...controlStyle, cursor: 'pointer' }}>
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={() => onApply(toApiFilters(state))}
+            disabled={!canApply}
+            title={canApply ? undefined : 'Complete or remove the unfinished conditions'}
+            style={{
+              ...controlStyle,
+              border: 'none',
+              backgroundColor: 'var(--color-button-primary-bg)',
+              color: 'var(--color-button-primary-text)',
+              cursor: canApply ? 'pointer' : 'not-allowed',
+              opacity: canApply ? 1 : 0.6
+            }}
+          >
+            Apply filters
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ContactFilterBuilder;
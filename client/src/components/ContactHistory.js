@@ -0,0 +1,143 @@
+import React, { useState } from 'react';
+import { useContactHistory } from '../hooks/useAudit';
+import { useCustomProperties } from '../hooks/useCustomProperties';
+
+const PAGE_SIZE = 50;
+
+const ENTITY_LABELS = {
+  CONTACT: 'Contact',
+  CUSTOM_FIELD_VALUE: 'Field',
+  TASK: 'Task',
+  NOTE: 'Note',
+  ATTACHMENT: 'Document',
+};
+
+const ACTION_LABELS = {
+  CREATE: 'created',
+  UPDATE: 'updated',
+  DELETE: 'deleted',
+};
+
+const FIELD_LABELS = {
+  name: 'Name',
+  email: 'Email',
+  phone: 'Phone',
+  address: 'Address',
+  title: 'Title',
+  description: 'Description',
+  status: 'Status',
+  priority: 'Priority',
+  dueDate: 'Due date',
+  content: 'Content',
+  mergedInto: 'Merged into',
+  fileName: 'File',
+  mimeType: 'Type',
+  size: 'Size',
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '—';
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '—';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) {
+    return new Date(value).toLocaleString();
+  }
+  const text = String(value).replace(/<[^>]*>/g, '');
+  return text.length > 120 ? `${text.substring(0, 120)}...` : text;
+};
+
+const formatTimestamp = (dateString) => {
+  const date = new Date(dateString);
+  const diffMins = Math.floor((Date.now() - date) / (1000 * 60));
+  if (diffMins <= 1) return 'Just now';
+  if (diffMins < 60) return `${diffMins}m ago`;
+  if (diffMins < 60 * 24) return `${Math.floor(diffMins / 60)}h ago`;
+  return date.toLocaleString();
+};
+
+// Field-level change history for a contact, newest first
+const ContactHistory = ({ contactId }) => {
+  const [limit, setLimit] = useState(PAGE_SIZE);
+  const { data, isLoading, isFetching, error } = useContactHistory(contactId, limit);
+  const { data: properties = [] } = useCustomProperties();
+
+  const propertyNames = Object.fromEntries(properties.map(property => [property.fieldKey, property.name]));
+  const fieldLabel = (field) => FIELD_LABELS[field] || propertyNames[field] || field;
+
+  if (isLoading) {
+    return <div className="empty-state"><div className="empty-state-text">Loading history...</div></div>;
+  }
+
+  if (error) {
+    return <div className="empty-state"><div className="empty-state-text">{error.message}</div></div>;
+  }
+
+  const events = data?.events || [];
+  const total = data?.pagination?.total || 0;
+
+  if (events.length === 0) {
+    return (
+      <div className="empty-state">
+        <div className="empty-state-text">No history yet</div>
+        <div className="empty-state-subtext">Changes to this contact, its fields, tasks and notes will appear here.</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="items-list">
+      {events.map(event => {
+        const changes = Object.entries(event.changes || {});
+        return (
+          <div key={event.id} className="item-card">
+            <div className="item-header">
+              <div className="item-type-indicator">
+                <span className="item-type-badge activity">{ENTITY_LABELS[event.entityType] || event.entityType}</span>
+              </div>
+              <div className="item-title" style={{ cursor: 'default' }}>
+                {ENTITY_LABELS[event.entityType] || event.entityType} {ACTION_LABELS[event.action]}
+              </div>
+            </div>
+            {changes.length > 0 && (
+              <div className="item-content" style={{ cursor: 'default' }}>
+                {changes.map(([field, change]) => (
+                  <div key={field} style={{ fontSize: '13px', lineHeight: 1.6 }}>
+                    <strong>{fieldLabel(field)}:</strong>{' '}
+                    {change && typeof change === 'object' && 'from' in change ? (
+                      <>
+                        <span style={{ color: '#9ca3af', textDecoration: 'line-through' }}>{formatValue(change.from)}</span>
+                        {' → '}
+                        <span>{formatValue(change.to)}</span>
+                      </>
+                    ) : (
+                      <span>{formatValue(change)}</span>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+            <div className="item-meta" style={{ cursor: 'default' }}>
+              <span>{event.actor?.displayName || event.actor?.email || 'System'} • </span>
+              <span className="item-created-time" title={new Date(event.createdAt).toLocaleString()}>
+                {formatTimestamp(event.createdAt)}
+              </span>
+            </div>
+          </div>
+        );
+      })}
+      {events.length < total && (
+        <button
+          type="button"
+          className="tab-button"
+          onClick={() => setLimit(prev => prev + PAGE_SIZE)}
+          disabled={isFetching}
+          style={{ alignSelf: 'center', marginTop: '8px' }}
+        >
+          {isFetching ? 'Loading...' : `Load more (${total - events.length} older)`}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ContactHistory;
@@ -3,8 +3,8 @@ import {
   useReactTable, 
   getCoreRowModel, 
   getFilteredRowModel, 
-  getSortedRowModel,
-  createColumnHelper
+  createColumnHelper,
+  functionalUpdate
 } from '@tanstack/react-table';
 import { useVirtualizer } from '@tanstack/react-virtual';
 import {
@@ -21,6 +21,7 @@ import {
   sortableKeyboardCoordinates,
   horizontalListSortingStrategy,
 } from '@dnd-kit/sortable';
+import { Download, Columns3, Pin, PinOff } from 'lucide-react';
 import { Table, TableBody, TableHeader, TableRow, TableCell } from './ui/Table.js';
 import { DraggableHeader } from './DraggableHeader.js';
 import { DefaultCell } from './DefaultCell.js';
@@ -238,6 +239,153 @@ const CustomCell = ({ info, onContactUpdate, options }) => {
   );
 };
 
+const EXPORT_FORMAT_OPTIONS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'xlsx', label: 'Excel (XLSX)' },
+  { value: 'vcf', label: 'vCard' },
+];
+
+// Export button with a format picker; exports the selection when there is one
+const ExportControl = ({ selectedCount, totalCount, onExport, isExporting }) => {
+  const [format, setFormat] = useState('csv');
+  const controlStyle = {
+    padding: '0.25rem 0.5rem',
+    border: '1px solid var(--color-primary-border)',
+    borderRadius: '0.375rem',
+    fontSize: '0.8125rem',
+    backgroundColor: 'var(--color-primary-bg)',
+    color: 'var(--color-primary-text)'
+  };
+
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+      <select
+        value={format}
+        onChange={(e) => setFormat(e.target.value)}
+        style={controlStyle}
+        aria-label="Export format"
+      >
+        {EXPORT_FORMAT_OPTIONS.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+      <button
+        type="button"
+        onClick={() => onExport(format)}
+        disabled={isExporting || (selectedCount === 0 && totalCount === 0)}
+        style={{ ...controlStyle, cursor: 'pointer', display: 'flex', alignItems: 'center', gap: '0.25rem' }}
+      >
+        <Download size={14} />
+        {isExporting
+          ? 'Exporting...'
+          : selectedCount > 0 ? `Export selected (${selectedCount})` : `Export all (${totalCount})`}
+      </button>
+    </div>
+  );
+};
+
+// Columns the user can't hide or move
+const FIXED_COLUMNS = ['select'];
+
+// Pinned columns are shifted by the horizontal scroll offset (a CSS variable set on scroll)
+// so they stay visible; the header and body are separate tables, so position: sticky can't be used
+const pinnedColumnStyle = (column) => {
+  if (!column.getIsPinned()) return undefined;
+  return {
+    position: 'relative',
+    zIndex: 2,
+    transform: 'translateX(var(--pinned-offset, 0px))',
+    backgroundColor: 'var(--color-primary-bg)',
+    boxShadow: column.getIsLastColumn('left') ? '2px 0 4px rgba(0, 0, 0, 0.08)' : undefined
+  };
+};
+
+// Show/hide and pin columns; opens upwards from the table footer
+const ColumnsControl = ({ table }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const columns = table.getAllLeafColumns().filter(column => !FIXED_COLUMNS.includes(column.id));
+
+  return (
+    <div style={{ position: 'relative' }}>
+      <button
+        type="button"
+        onClick={() => setIsOpen(open => !open)}
+        style={{
+          padding: '0.25rem 0.5rem',
+          border: '1px solid var(--color-primary-border)',
+          borderRadius: '0.375rem',
+          fontSize: '0.8125rem',
+          backgroundColor: 'var(--color-primary-bg)',
+          color: 'var(--color-primary-text)',
+          cursor: 'pointer',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '0.25rem'
+        }}
+      >
+        <Columns3 size={14} />
+        Columns
+      </button>
+      {isOpen && (
+        <div style={{
+          position: 'absolute',
+          bottom: 'calc(100% + 0.25rem)',
+          right: 0,
+          zIndex: 20,
+          minWidth: '200px',
+          maxHeight: '320px',
+          overflowY: 'auto',
+          padding: '0.5rem',
+          border: '1px solid var(--color-primary-border)',
+          borderRadius: '0.375rem',
+          backgroundColor: 'var(--color-primary-bg)',
+          boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15)'
+        }}>
+          {columns.map(column => (
+            <div key={column.id} style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '0.5rem' }}>
+              <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', padding: '0.25rem', fontSize: '0.8125rem', color: 'var(--color-primary-text)', cursor: 'pointer' }}>
+                <input
+                  type="checkbox"
+                  checked={column.getIsVisible()}
+                  onChange={column.getToggleVisibilityHandler()}
+                />
+                {typeof column.columnDef.header === 'string' ? column.columnDef.header : column.id}
+              </label>
+              <button
+                type="button"
+                onClick={() => column.pin(column.getIsPinned() ? false : 'left')}
+                title={column.getIsPinned() ? 'Unpin column' : 'Pin column to the left'}
+                aria-label={column.getIsPinned() ? 'Unpin column' : 'Pin column to the left'}
+                style={{
+                  border: 'none',
+                  background: 'none',
+                  padding: '0.125rem',
+                  cursor: 'pointer',
+                  display: 'flex',
+                  color: column.getIsPinned() ? 'var(--color-accent)' : 'var(--color-secondary-text)'
+                }}
+              >
+                {column.getIsPinned() ? <PinOff size={14} /> : <Pin size={14} />}
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const EMPTY_TABLE_STATE = {
+  sorting: [],
+  columnOrder: [],
+  columnVisibility: {},
+  columnSizing: {},
+  columnPinning: { left: [], right: [] }
+};
+
+// Table layout (sorting, column order, visibility, sizing and pinning) is controlled by the parent through
+// `tableState`/`onTableStateChange` so it can be saved as a view; without them the list keeps its own.
+// Sorting is applied by the server, so changing it should trigger a refetch in the parent.
 const ContactsList = ({ 
   contacts = [], 
   onContactUpdate, 
@@ -246,17 +394,19 @@ const ContactsList = ({
   onViewContact,
   onSelectionChange,
   onBulkDeleteClick,
+  onExport,
+  isExporting = false,
+  totalCount,
+  tableState,
+  onTableStateChange,
 }) => {
   const { typeOptions, sourceOptions, statusOptions } = useContactPropertyOptions();
   const [rowSelection, setRowSelection] = useState({});
-  const [sorting, setSorting] = useState([]);
+  const [internalTableState, setInternalTableState] = useState(EMPTY_TABLE_STATE);
+  const layout = tableState || internalTableState;
   const [showBulkDeleteModal, setShowBulkDeleteModal] = useState(false);
   const [customProperties, setCustomProperties] = useState([]);
   const [loadingProperties, setLoadingProperties] = useState(true);
-  const [columnOrder, setColumnOrder] = useState([
-    'select', 'name', 'email', 'phone', 'address', 'suburb', 
-    'contactType', 'leadSource', 'status', 'createdAt', 'updatedAt'
-  ]);
   
   // Refs for virtualization
   const tableContainerRef = useRef(null);
@@ -292,16 +442,6 @@ const ContactsList = ({
         if (res.ok) {
           const properties = await res.json();
           setCustomProperties(properties);
-          
-          // Update column order to include new custom properties
-          const customColumnIds = properties.map(prop => prop.fieldKey);
-          setColumnOrder(prev => {
-            const baseColumns = prev.filter(col => !customColumnIds.includes(col));
-            // Insert custom columns before createdAt and updatedAt
-            const beforeTimestamps = baseColumns.filter(col => col !== 'createdAt' && col !== 'updatedAt');
-            const timestamps = baseColumns.filter(col => col === 'createdAt' || col === 'updatedAt');
-            return [...beforeTimestamps, ...customColumnIds, ...timestamps];
-          });
         }
       } catch (error) {
         console.error('Failed to fetch custom properties:', error);
@@ -605,6 +745,33 @@ const ContactsList = ({
     return [...baseColumns, ...customColumns, ...timestampColumns];
   }, [onViewContact, onContactUpdate, typeOptions, sourceOptions, statusOptions, customProperties]);
 
+  const updateLayout = useCallback((key, updater) => {
+    if (onTableStateChange) {
+      onTableStateChange({ [key]: functionalUpdate(updater, layout[key]) });
+    } else {
+      setInternalTableState(prev => ({ ...prev, [key]: functionalUpdate(updater, prev[key]) }));
+    }
+  }, [onTableStateChange, layout]);
+
+  // Saved column orders may predate custom properties added since; unknown ids are dropped
+  // and columns missing from the saved order keep their default position at the end
+  const columnOrder = useMemo(() => {
+    const columnIds = columns.map(column => column.id ?? column.accessorKey);
+    const saved = layout.columnOrder.filter(id => columnIds.includes(id) && !FIXED_COLUMNS.includes(id));
+    return [...new Set([...FIXED_COLUMNS, ...saved, ...columnIds])];
+  }, [columns, layout.columnOrder]);
+
+  // Only left pinning is supported; the select column stays first whenever anything is pinned
+  const columnPinning = useMemo(() => {
+    const pinned = (layout.columnPinning?.left || []).filter(id => !FIXED_COLUMNS.includes(id));
+    return { left: pinned.length > 0 ? [...FIXED_COLUMNS, ...pinned] : [], right: [] };
+  }, [layout.columnPinning]);
+
+  const handleColumnPinningChange = (updater) => {
+    const next = functionalUpdate(updater, columnPinning);
+    updateLayout('columnPinning', { left: next.left.filter(id => !FIXED_COLUMNS.includes(id)), right: [] });
+  };
+
   // Create table instance with enhanced settings
   const table = useReactTable({
     data,
@@ -612,27 +779,32 @@ const ContactsList = ({
     columnResizeMode: "onChange",
     columnResizeDirection: "ltr",
     getCoreRowModel: getCoreRowModel(),
-    getSortedRowModel: getSortedRowModel(),
     getFilteredRowModel: getFilteredRowModel(),
+    manualSorting: true,
+    enableMultiSort: false,
     onRowSelectionChange: setRowSelection,
-    onSortingChange: setSorting,
-    onColumnOrderChange: setColumnOrder,
+    onSortingChange: (updater) => updateLayout('sorting', updater),
+    onColumnOrderChange: (updater) => updateLayout('columnOrder', updater),
+    onColumnVisibilityChange: (updater) => updateLayout('columnVisibility', updater),
+    onColumnSizingChange: (updater) => updateLayout('columnSizing', updater),
+    onColumnPinningChange: handleColumnPinningChange,
     enableColumnResizing: true,
     enableRowSelection: true,
     enableMultiRowSelection: true, // Explicitly enable multi-row selection
     getRowId: (row) => String(row.id), // Ensure row IDs are strings
     state: {
       rowSelection,
-      sorting,
+      sorting: layout.sorting,
       columnOrder,
+      columnVisibility: layout.columnVisibility,
+      columnSizing: layout.columnSizing,
+      columnPinning,
     },
     debugTable: false,
   });
 
-  // Calculate total table width
-  const totalTableWidth = useMemo(() => {
-    return table.getTotalSize();
-  }, [table]);
+  // Calculate total table width (changes with column sizing and visibility)
+  const totalTableWidth = table.getTotalSize();
 
   // Setup virtualization for rows
   const { rows } = table.getRowModel();
@@ -668,11 +840,7 @@ const ContactsList = ({
       if ((activeCol && activeCol.enableReordering === false) || (overCol && overCol.enableReordering === false)) {
         return;
       }
-      setColumnOrder((items) => {
-        const oldIndex = items.indexOf(active.id);
-        const newIndex = items.indexOf(over.id);
-        return arrayMove(items, oldIndex, newIndex);
-      });
+      updateLayout('columnOrder', arrayMove(columnOrder, columnOrder.indexOf(active.id), columnOrder.indexOf(over.id)));
     }
   };
 
@@ -688,6 +856,18 @@ const ContactsList = ({
     setShowBulkDeleteModal(false);
   }, []);
 
+  // Export the visible columns in their on-screen order, limited to the selection if any
+  const handleExport = (format) => {
+    const columns = table.getVisibleLeafColumns()
+      .map(column => column.id)
+      .filter(id => id !== 'select' && id !== 'actions');
+    onExport({
+      format,
+      columns,
+      contactIds: selectedRowIds.length > 0 ? selectedRowIds : undefined
+    });
+  };
+
   // Shared table props to ensure consistent rendering
   const tableProps = {
     style: {
@@ -734,6 +914,7 @@ const ContactsList = ({
             width: "100%",
           }}
           ref={outerContainerRef}
+          onScroll={(e) => e.currentTarget.style.setProperty('--pinned-offset', `${e.currentTarget.scrollLeft}px`)}
         >
           <div style={{ width: Math.max(totalTableWidth + 10, 100) + "px" }}>
             {/* Header Table */}
@@ -751,6 +932,7 @@ const ContactsList = ({
                             key={header.column.id} 
                             header={header}
                             columnId={header.column.id}
+                            style={pinnedColumnStyle(header.column)}
                           />
                         ))}
                       </SortableContext>
@@ -808,7 +990,7 @@ const ContactsList = ({
                           // Use DefaultCell for non-data columns and EditableCell is handled in column definition
                           if (cell.column.id === 'select' || cell.column.id === 'actions' || 
                               cell.column.id === 'createdAt' || cell.column.id === 'updatedAt') {
-                            return <DefaultCell key={cell.id} cell={cell} />;
+                            return <DefaultCell key={cell.id} cell={cell} style={pinnedColumnStyle(cell.column)} />;
                           }
                           // Always render a single TableCell, and let the cell renderer return only content (no <td> inside)
                           return (
@@ -821,6 +1003,7 @@ const ContactsList = ({
                                 overflow: 'hidden',
                                 padding: '0.5rem',
                                 color: 'var(--color-primary-text)',
+                                ...pinnedColumnStyle(cell.column),
                               }}
                             >
                               {cell.column.columnDef.cell(cell.getContext())}
@@ -837,8 +1020,19 @@ const ContactsList = ({
         </div>
       </DndContext>
 
-      <div className="table-footer">
-        {selectedRowIds.length} of {table.getFilteredRowModel().rows.length} rows selected
+      <div className="table-footer" style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+        <span>{selectedRowIds.length} of {table.getFilteredRowModel().rows.length} rows selected</span>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+          <ColumnsControl table={table} />
+          {onExport && (
+            <ExportControl
+              selectedCount={selectedRowIds.length}
+              totalCount={totalCount ?? rows.length}
+              onExport={handleExport}
+              isExporting={isExporting}
+            />
+          )}
+        </div>
       </div>
     </div>
   );
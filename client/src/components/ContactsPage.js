@@ -1,53 +1,214 @@
-import React, { useState, useMemo, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import React, { useState, useMemo, useEffect, useRef } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { Filter, Pencil } from 'lucide-react';
 import ContactsList from './ContactsList';
 import AddContactModal from './AddContactModal';
 import CSVImportModal from './CSVImportModal.js';
+import BulkEditModal from './BulkEditModal.js';
+import SavedViewTabs, { ASSIGNED_TO_ME_VIEW } from './SavedViewTabs.js';
+import ContactFilterBuilder, { countFilterConditions } from './ContactFilterBuilder.js';
 import { 
   useContacts, 
   useDeleteContacts, 
   useUpdateContact, 
   useAddContact,
-  useBulkImportContacts 
+  useExportContacts
 } from '../hooks/useContacts.js';
+import { useSavedViews } from '../hooks/useSavedViews.js';
+import { useTableLayout, useSaveTableLayout } from '../hooks/useUserSettings.js';
+import { useDebounce } from '../hooks/useDebounce.js';
 import { getUserId } from '../utils/auth.js';
+import { PERMISSIONS, useWorkspacePermissions } from '../hooks/useWorkspaces.js';
+
+const EMPTY_TABLE_STATE = {
+  sorting: [],
+  columnOrder: [],
+  columnVisibility: {},
+  columnSizing: {},
+  columnPinning: { left: [], right: [] }
+};
+
+// Table layout saved to the user's profile; it is the "All contacts" layout, and pinning applies to every tab
+const PROFILE_LAYOUT_KEYS = ['columnOrder', 'columnVisibility', 'columnSizing', 'columnPinning'];
+
+const pickKeys = (source, keys) => Object.fromEntries(
+  keys.filter(key => source?.[key] !== undefined).map(key => [key, source[key]])
+);
+
+// The parts of a saved view that "Save" writes, in a fixed key order so snapshots can be compared
+const viewSnapshot = (view) => ({
+  search: view?.search || null,
+  filters: view?.filters || [],
+  sorting: view?.sorting || EMPTY_TABLE_STATE.sorting,
+  columnOrder: view?.columnOrder || EMPTY_TABLE_STATE.columnOrder,
+  columnVisibility: view?.columnVisibility || EMPTY_TABLE_STATE.columnVisibility,
+  columnSizing: view?.columnSizing || EMPTY_TABLE_STATE.columnSizing
+});
+
+// Filters from a bookmarked URL; anything malformed is ignored (the server validates the rest)
+const parseFiltersParam = (value) => {
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+};
+
+// The page opens on "Assigned to me" unless the URL carries a search or other filters
+const isAssignedToMeUrl = (searchParams) => !searchParams.get('search')
+  && ['', JSON.stringify(ASSIGNED_TO_ME_VIEW.filters)].includes(searchParams.get('filters') || '');
 
 const ContactsPage = () => {
   const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { can } = useWorkspacePermissions();
   
   // Modal states
   const [isAddModalOpen, setIsAddModalOpen] = useState(false);
   const [isCSVImportModalOpen, setIsCSVImportModalOpen] = useState(false);
-
-  // Filter and view states
-  const [selectedView, setSelectedView] = useState('all');
-  const [searchTerm, setSearchTerm] = useState('');
+  const [isBulkEditOpen, setIsBulkEditOpen] = useState(false);
+
+  // Filter and view states; a null activeViewId is the built-in "All contacts" tab
+  const [activeViewId, setActiveViewId] = useState(() => (isAssignedToMeUrl(searchParams) ? ASSIGNED_TO_ME_VIEW.id : null));
+  const [searchTerm, setSearchTerm] = useState(() => searchParams.get('search') || '');
+  const [viewFilters, setViewFilters] = useState(() => (isAssignedToMeUrl(searchParams)
+    ? ASSIGNED_TO_ME_VIEW.filters
+    : parseFiltersParam(searchParams.get('filters'))));
+  const [isFilterPanelOpen, setIsFilterPanelOpen] = useState(false);
+  const [tableState, setTableState] = useState(EMPTY_TABLE_STATE);
   const [selectedContactIds, setSelectedContactIds] = useState([]);
   
   // Pagination states
   const [currentPage, setCurrentPage] = useState(1);
   const [pageLimit, setPageLimit] = useState(100);
 
-  // Views configuration
-  const views = useMemo(() => [
-    { id: 'all', name: 'All Contacts', filters: {} },
-    { id: 'buyers', name: 'Buyer Leads', filters: { contactType: 'BUYER' } },
-    { id: 'sellers', name: 'Seller Leads', filters: { contactType: 'SELLER' } },
-    { id: 'active', name: 'Active Contacts', filters: { status: 'Active' } },
-  ], []);
+  // Layout saved to the user's profile; null until it has been restored on first load
+  const { data: savedLayout, isPending: isLayoutPending } = useTableLayout('contacts');
+  const { mutate: saveTableLayout } = useSaveTableLayout();
+  const [defaultLayout, setDefaultLayout] = useState(null);
+
+  // Saved views shown as tabs above the table
+  const { data: savedViews = [], isSuccess: savedViewsLoaded } = useSavedViews();
+  const activeView = activeViewId === ASSIGNED_TO_ME_VIEW.id
+    ? ASSIGNED_TO_ME_VIEW
+    : savedViews.find(view => view.id === activeViewId) || null;
+  // Built-in tabs share the "All contacts" layout saved to the profile
+  const hasOwnLayout = !!activeView && !activeView.isBuiltIn;
+
+  const applyView = (view) => {
+    const snapshot = viewSnapshot(view);
+    setActiveViewId(view ? view.id : null);
+    setIsFilterPanelOpen(false);
+    setSearchTerm(snapshot.search || '');
+    setViewFilters(snapshot.filters);
+    setTableState(prev => (view && !view.isBuiltIn
+      ? {
+          sorting: snapshot.sorting,
+          columnOrder: snapshot.columnOrder,
+          columnVisibility: snapshot.columnVisibility,
+          columnSizing: snapshot.columnSizing,
+          columnPinning: prev.columnPinning
+        }
+      : { ...EMPTY_TABLE_STATE, ...defaultLayout }));
+  };
+
+  // Restore the profile layout once it loads (a failed load falls back to the defaults)
+  useEffect(() => {
+    if (isLayoutPending || defaultLayout) return;
+    const restored = pickKeys({ ...EMPTY_TABLE_STATE, ...savedLayout }, PROFILE_LAYOUT_KEYS);
+    setDefaultLayout(restored);
+    setTableState(prev => ({ ...prev, ...restored }));
+    if (savedLayout?.pageSize) {
+      setPageLimit(savedLayout.pageSize);
+    }
+  }, [isLayoutPending, savedLayout, defaultLayout]);
+
+  // Save profile layout changes once they settle; the restored layout itself isn't written back
+  const profileLayout = useMemo(
+    () => (defaultLayout ? { ...defaultLayout, pageSize: pageLimit } : null),
+    [defaultLayout, pageLimit]
+  );
+  const debouncedProfileLayout = useDebounce(profileLayout, 1000);
+  const lastSavedLayoutRef = useRef(null);
+
+  useEffect(() => {
+    if (!debouncedProfileLayout) return;
+    const serialized = JSON.stringify(debouncedProfileLayout);
+    if (lastSavedLayoutRef.current === null || serialized === lastSavedLayoutRef.current) {
+      lastSavedLayoutRef.current = serialized;
+      return;
+    }
+    lastSavedLayoutRef.current = serialized;
+    saveTableLayout({ table: 'contacts', layout: debouncedProfileLayout });
+  }, [debouncedProfileLayout, saveTableLayout]);
+
+  // Mirror search and filters in the query string so filtered lists can be bookmarked
+  useEffect(() => {
+    const next = new URLSearchParams(searchParams);
+    if (searchTerm.trim()) {
+      next.set('search', searchTerm.trim());
+    } else {
+      next.delete('search');
+    }
+    if (viewFilters.length > 0) {
+      next.set('filters', JSON.stringify(viewFilters));
+    } else {
+      next.delete('filters');
+    }
+    if (next.toString() !== searchParams.toString()) {
+      setSearchParams(next, { replace: true });
+    }
+  }, [searchTerm, viewFilters, searchParams, setSearchParams]);
+
+  const handleApplyFilters = (filters) => {
+    setViewFilters(filters);
+    setIsFilterPanelOpen(false);
+  };
+
+  const filterCount = countFilterConditions(viewFilters);
+
+  // Fall back to "All contacts" if the active view is deleted or unshared
+  useEffect(() => {
+    if (savedViewsLoaded && activeViewId && !activeView) {
+      setActiveViewId(null);
+    }
+  }, [savedViewsLoaded, activeViewId, activeView]);
+
+  // Layout edits on built-in tabs are saved to the profile, so only search, filters and sort make them dirty
+  const currentLayout = viewSnapshot({ search: searchTerm.trim(), filters: viewFilters, ...tableState });
+  const baselineView = hasOwnLayout ? activeView : { ...defaultLayout, filters: activeView?.filters };
+  const isViewDirty = JSON.stringify(currentLayout) !== JSON.stringify(viewSnapshot(baselineView));
 
-  // Compute filters for the query
+  const handleTableStateChange = (changes) => {
+    setTableState(prev => ({ ...prev, ...changes }));
+
+    const profileChanges = pickKeys(changes, hasOwnLayout ? ['columnPinning'] : PROFILE_LAYOUT_KEYS);
+    if (Object.keys(profileChanges).length > 0) {
+      setDefaultLayout(prev => ({ ...prev, ...profileChanges }));
+    }
+  };
+
+  // Compute filters for the query; search, filters and sorting are all applied server-side
   const queryFilters = useMemo(() => {
-    const currentView = views.find(v => v.id === selectedView);
-    let filters = { ...currentView?.filters || {} };
-    
-    // Add search term to filters (server-side search)
+    const filters = {};
+
     if (searchTerm.trim()) {
       filters.search = searchTerm.trim();
     }
-    
+    if (viewFilters.length > 0) {
+      filters.filters = viewFilters;
+    }
+
+    const [sort] = tableState.sorting;
+    if (sort) {
+      filters.sortBy = sort.id;
+      filters.sortOrder = sort.desc ? 'desc' : 'asc';
+    }
+
     return filters;
-  }, [selectedView, views, searchTerm]);
+  }, [searchTerm, viewFilters, tableState.sorting]);
 
   // Fetch contacts from the database with pagination
   console.log('Current pageLimit:', pageLimit);
@@ -73,16 +234,16 @@ const ContactsPage = () => {
     setCurrentPage(1); // Reset to first page when limit changes
   };
 
-  // Reset pagination when view or search changes
+  // Reset pagination when the view, search, filters or sort change
   useEffect(() => {
     setCurrentPage(1);
-  }, [selectedView, searchTerm]);
+  }, [activeViewId, searchTerm, viewFilters, tableState.sorting]);
 
   // Mutations for updating and deleting contacts
   const updateContactMutation = useUpdateContact();
   const deleteContactsMutation = useDeleteContacts();
   const addContactMutation = useAddContact();
-  const bulkImportMutation = useBulkImportContacts();
+  const exportContactsMutation = useExportContacts();
 
   const handleContactUpdate = async (contactId, updatedData) => {
     try {
@@ -125,6 +286,27 @@ const ContactsPage = () => {
     setIsCSVImportModalOpen(true);
   };
 
+  const handleFindDuplicates = () => {
+    navigate(`/dashboard/${getUserId()}/contacts/duplicates`);
+  };
+
+  // Export the current view (search, filters, sort) or just the selected rows
+  const handleExport = async ({ format, columns, contactIds }) => {
+    try {
+      await exportContactsMutation.mutateAsync({
+        format,
+        columns,
+        contactIds,
+        search: queryFilters.search,
+        filters: queryFilters.filters,
+        sortBy: queryFilters.sortBy,
+        sortOrder: queryFilters.sortOrder
+      });
+    } catch (error) {
+      alert(`Export failed: ${error.message}`);
+    }
+  };
+
   const handleSearchChange = (e) => {
     setSearchTerm(e.target.value);
     // Pagination reset is handled by useEffect above
@@ -160,6 +342,26 @@ const ContactsPage = () => {
         <div>
           <h2>Error Loading Contacts</h2>
           <p>{error.message}</p>
+          {(viewFilters.length > 0 || searchTerm) && (
+            <button
+              type="button"
+              onClick={() => {
+                setViewFilters([]);
+                setSearchTerm('');
+              }}
+              style={{
+                padding: '0.5rem 1rem',
+                border: '1px solid var(--color-primary-border)',
+                borderRadius: '0.375rem',
+                backgroundColor: 'var(--color-button-secondary-bg)',
+                color: 'var(--color-button-secondary-text)',
+                cursor: 'pointer',
+                fontSize: '0.875rem'
+              }}
+            >
+              Clear search and filters
+            </button>
+          )}
         </div>
       </div>
     );
@@ -210,13 +412,20 @@ const ContactsPage = () => {
         backgroundColor: 'var(--color-primary-bg)',
         flexShrink: 0
       }}>
+        <SavedViewTabs
+          views={savedViews}
+          activeView={activeView}
+          currentLayout={currentLayout}
+          isDirty={isViewDirty}
+          onSelect={applyView}
+        />
         <div style={{ 
           display: 'flex', 
           justifyContent: 'space-between', 
           alignItems: 'center', 
           gap: '1rem'
         }}>
-          {/* Left side - Search and View Selection */}
+          {/* Left side - Search */}
           <div style={{ display: 'flex', alignItems: 'center', gap: '1rem' }}>
             <div style={{ position: 'relative', maxWidth: '400px', width: '100%' }}>
               <input
@@ -254,30 +463,56 @@ const ContactsPage = () => {
               )}
             </div>
 
-            <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
-              <label style={{ fontSize: '0.875rem', fontWeight: '500', color: 'var(--color-primary-text)' }}>
-                View:
-              </label>
-              <select
-                value={selectedView}
-                onChange={(e) => setSelectedView(e.target.value)}
+            <button
+              type="button"
+              onClick={() => setIsFilterPanelOpen(open => !open)}
+              style={{
+                padding: '0.5rem 0.75rem',
+                border: '1px solid var(--color-primary-border)',
+                borderRadius: '0.375rem',
+                backgroundColor: filterCount > 0 ? 'var(--color-table-row-hover)' : 'var(--color-button-secondary-bg)',
+                color: 'var(--color-button-secondary-text)',
+                cursor: 'pointer',
+                fontSize: '0.875rem',
+                fontWeight: '500',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '0.25rem',
+                whiteSpace: 'nowrap'
+              }}
+            >
+              <Filter size={14} />
+              {filterCount > 0 ? `Filters (${filterCount})` : 'Filters'}
+            </button>
+
+            {/* Bulk edit applies to the selection, or to every matching contact when nothing is selected */}
+            {can(PERMISSIONS.EDIT_RECORDS) && (
+              <button
+                type="button"
+                onClick={() => setIsBulkEditOpen(true)}
+                disabled={!pagination.total}
                 style={{
-                  padding: '0.5rem',
+                  padding: '0.5rem 0.75rem',
                   border: '1px solid var(--color-primary-border)',
                   borderRadius: '0.375rem',
+                  backgroundColor: 'var(--color-button-secondary-bg)',
+                  color: 'var(--color-button-secondary-text)',
+                  cursor: pagination.total ? 'pointer' : 'not-allowed',
                   fontSize: '0.875rem',
-                  backgroundColor: 'var(--color-primary-bg)',
-                  color: 'var(--color-primary-text)'
+                  fontWeight: '500',
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '0.25rem',
+                  whiteSpace: 'nowrap'
                 }}
               >
-                {views.map(view => (
-                  <option key={view.id} value={view.id}>{view.name}</option>
-                ))}
-              </select>
-            </div>
+                <Pencil size={14} />
+                {selectedContactIds.length > 0 ? `Edit (${selectedContactIds.length})` : 'Bulk edit'}
+              </button>
+            )}
 
             {/* Delete button - only show when contacts are selected */}
-            {selectedContactIds.length > 0 && (
+            {selectedContactIds.length > 0 && can(PERMISSIONS.BULK_DELETE) && (
               <button
                 onClick={handleBulkDeleteClick}
                 style={{
@@ -303,8 +538,8 @@ const ContactsPage = () => {
 
           {/* Right side - Action buttons */}
           <div style={{ display: 'flex', gap: '0.5rem' }}>
-            <button 
-              onClick={handleCSVImport}
+            <button
+              onClick={handleFindDuplicates}
               style={{
                 padding: '0.5rem 1rem',
                 border: '1px solid var(--color-primary-border)',
@@ -315,28 +550,55 @@ const ContactsPage = () => {
                 fontSize: '0.875rem',
                 fontWeight: '500'
               }}
-              disabled={isLoading || bulkImportMutation.isPending}
-            >
-              {bulkImportMutation.isPending ? 'Importing...' : 'Import'}
-            </button>
-            <button 
-              onClick={handleAddContact}
-              style={{
-                padding: '0.5rem 1rem',
-                border: 'none',
-                borderRadius: '0.375rem',
-                backgroundColor: 'var(--color-button-primary-bg)',
-                color: 'var(--color-button-primary-text)',
-                cursor: 'pointer',
-                fontSize: '0.875rem',
-                fontWeight: '500'
-              }}
-              disabled={isLoading || addContactMutation.isPending}
             >
-              {addContactMutation.isPending ? 'Adding...' : 'Add Contact'}
+              Find Duplicates
             </button>
+            {can(PERMISSIONS.IMPORT_CONTACTS) && (
+              <button 
+                onClick={handleCSVImport}
+                style={{
+                  padding: '0.5rem 1rem',
+                  border: '1px solid var(--color-primary-border)',
+                  borderRadius: '0.375rem',
+                  backgroundColor: 'var(--color-button-secondary-bg)',
+                  color: 'var(--color-button-secondary-text)',
+                  cursor: 'pointer',
+                  fontSize: '0.875rem',
+                  fontWeight: '500'
+                }}
+                disabled={isLoading}
+              >
+                Import
+              </button>
+            )}
+            {can(PERMISSIONS.EDIT_RECORDS) && (
+              <button 
+                onClick={handleAddContact}
+                style={{
+                  padding: '0.5rem 1rem',
+                  border: 'none',
+                  borderRadius: '0.375rem',
+                  backgroundColor: 'var(--color-button-primary-bg)',
+                  color: 'var(--color-button-primary-text)',
+                  cursor: 'pointer',
+                  fontSize: '0.875rem',
+                  fontWeight: '500'
+                }}
+                disabled={isLoading || addContactMutation.isPending}
+              >
+                {addContactMutation.isPending ? 'Adding...' : 'Add Contact'}
+              </button>
+            )}
           </div>
         </div>
+
+        {isFilterPanelOpen && (
+          <ContactFilterBuilder
+            filters={viewFilters}
+            onApply={handleApplyFilters}
+            onClose={() => setIsFilterPanelOpen(false)}
+          />
+        )}
       </div>
 
       {/* Main Content Area - Table (takes remaining space minus pagination, only table scrolls) */}
@@ -348,7 +610,7 @@ const ContactsPage = () => {
         minHeight: 0, // Important for flex child to be scrollable
         marginBottom: contacts.length > 0 ? '80px' : '0' // Reserve space for pagination when it exists
       }}>
-        {isLoading || isFetching ? (
+        {isLoading || isFetching || !defaultLayout ? (
           <div style={{ 
             display: 'flex', 
             alignItems: 'center', 
@@ -377,10 +639,15 @@ const ContactsPage = () => {
               contacts={contacts}
               onContactUpdate={handleContactUpdate}
               onContactSelect={handleContactSelect}
-              onBulkDelete={handleBulkDelete}
+              onBulkDelete={can(PERMISSIONS.BULK_DELETE) ? handleBulkDelete : undefined}
               onViewContact={handleViewContact}
               onSelectionChange={handleSelectionChange}
-              onBulkDeleteClick={handleBulkDeleteClick}
+              onBulkDeleteClick={can(PERMISSIONS.BULK_DELETE) ? handleBulkDeleteClick : undefined}
+              onExport={can(PERMISSIONS.EXPORT_CONTACTS) ? handleExport : undefined}
+              isExporting={exportContactsMutation.isPending}
+              totalCount={pagination.total}
+              tableState={tableState}
+              onTableStateChange={handleTableStateChange}
             />
           </div>
         ) : (
@@ -590,14 +857,17 @@ const ContactsPage = () => {
       <CSVImportModal
         isOpen={isCSVImportModalOpen}
         onClose={() => setIsCSVImportModalOpen(false)}
-        onImport={async (importData) => {
-          try {
-            await bulkImportMutation.mutateAsync(importData);
-            setIsCSVImportModalOpen(false);
-          } catch (error) {
-            console.error('Failed to import contacts:', error);
-          }
-        }}
+      />
+    )}
+
+    {isBulkEditOpen && (
+      <BulkEditModal
+        selectedIds={selectedContactIds}
+        search={queryFilters.search}
+        filters={queryFilters.filters}
+        matchingCount={pagination.total || 0}
+        onClose={() => setIsBulkEditOpen(false)}
+        onComplete={() => setSelectedContactIds([])}
       />
     )}
     </div>
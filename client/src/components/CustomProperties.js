@@ -6,6 +6,8 @@ import DialogActions from '@mui/material/DialogActions';
 import Button from '@mui/material/Button';
 import TextField from '@mui/material/TextField';
 import MenuItem from '@mui/material/MenuItem';
+import Checkbox from '@mui/material/Checkbox';
+import FormControlLabel from '@mui/material/FormControlLabel';
 import { ChevronDown, Plus, Edit, Trash2, Check, X, Tag, GripVertical } from 'lucide-react';
 import { DndContext, closestCenter, PointerSensor, useSensor, useSensors } from '@dnd-kit/core';
 import { arrayMove, SortableContext, useSortable, verticalListSortingStrategy } from '@dnd-kit/sortable';
@@ -14,6 +16,9 @@ import { getAuthHeaders } from '../utils/auth';
 // import { useUpdateUserContactProperties } from '../hooks/useUserContactProperties'; // Commented out to prevent interference
 import './CustomProperties.css';
 
+// Changes to these fields are always shown on the contact timeline (see server/utils/fieldActivities.js)
+const ALWAYS_TRACKED_FIELD_KEYS = ['status', 'contact_type', 'lead_source'];
+
 
 // Sortable Option Item for dnd-kit
 function SortableOption({ id, idx, opt, editingIdx, editValue, setEditValue, setEditingIdx, handleSaveEdit, handleCancelEdit, onRename, onDelete }) {
@@ -245,6 +250,7 @@ const CustomProperties = () => {
   const [newPropType, setNewPropType] = useState('TEXT');
   const [newPropName, setNewPropName] = useState('');
   const [newPropFieldKey, setNewPropFieldKey] = useState('');
+  const [newPropTrackChanges, setNewPropTrackChanges] = useState(false);
   const [creating, setCreating] = useState(false);
   const [createError, setCreateError] = useState('');
   const [isReordering, setIsReordering] = useState(false);
@@ -347,7 +353,8 @@ const CustomProperties = () => {
         body: JSON.stringify({
           name: newPropName,
           fieldKey: newPropFieldKey,
-          fieldType: newPropType
+          fieldType: newPropType,
+          trackChanges: newPropTrackChanges
         })
       });
       if (!res.ok) {
@@ -373,6 +380,7 @@ const CustomProperties = () => {
       setNewPropName('');
       setNewPropFieldKey('');
       setNewPropType('TEXT');
+      setNewPropTrackChanges(false);
     } catch (err) {
       setCreateError(err.message);
     } finally {
@@ -433,6 +441,32 @@ const CustomProperties = () => {
     }
   };
 
+  // Toggle whether value changes are logged as activities on the contact timeline
+  const handleToggleTrackChanges = async (trackChanges) => {
+    if (!selectedPropertyData) return;
+    try {
+      const res = await fetch(`/api/custom-properties/${selectedPropertyData.raw.id}`, {
+        method: 'PUT',
+        headers: {
+          ...getAuthHeaders(),
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ trackChanges })
+      });
+      if (!res.ok) {
+        throw new Error('Failed to update property');
+      }
+      const updatedProperty = await res.json();
+      setCustomProperties(prev =>
+        prev.map(prop =>
+          prop.id === updatedProperty.id ? updatedProperty : prop
+        )
+      );
+    } catch (err) {
+      console.error('Failed to update track changes:', err);
+    }
+  };
+
   const handleRenameOption = async (index, newValue) => {
     if (!selectedPropertyData) return;
     try {
@@ -668,6 +702,19 @@ const CustomProperties = () => {
         </div>
       </div>
 
+      {selectedPropertyData && (
+        <FormControlLabel
+          control={
+            <Checkbox
+              checked={ALWAYS_TRACKED_FIELD_KEYS.includes(selectedPropertyData.raw.fieldKey) || !!selectedPropertyData.raw.trackChanges}
+              disabled={ALWAYS_TRACKED_FIELD_KEYS.includes(selectedPropertyData.raw.fieldKey)}
+              onChange={e => handleToggleTrackChanges(e.target.checked)}
+            />
+          }
+          label="Show changes on the contact timeline"
+        />
+      )}
+
       {/* Show property editor for selected property if it supports options */}
       {selectedPropertyData && (selectedPropertyData.raw.fieldType === 'DROPDOWN' || selectedPropertyData.raw.fieldType === 'MULTISELECT') && (
         <PropertyEditor
@@ -731,6 +778,15 @@ const CustomProperties = () => {
                 <MenuItem value="DROPDOWN">Dropdown</MenuItem>
                 <MenuItem value="MULTISELECT">Multi-select</MenuItem>
               </TextField>
+              <FormControlLabel
+                control={
+                  <Checkbox
+                    checked={newPropTrackChanges}
+                    onChange={e => setNewPropTrackChanges(e.target.checked)}
+                  />
+                }
+                label="Show changes on the contact timeline"
+              />
               {createError && <div className="status-message error">{createError}</div>}
             </DialogContent>
             <DialogActions>
@@ -0,0 +1,240 @@
+import React, { useState, useMemo } from 'react';
+import { useDashboardStats } from '../hooks/useStats.js';
+
+const RANGE_PRESETS = [
+  { value: '7', label: 'Last 7 days' },
+  { value: '30', label: 'Last 30 days' },
+  { value: '90', label: 'Last 90 days' },
+  { value: '365', label: 'Last 12 months' },
+  { value: 'custom', label: 'Custom range' }
+];
+
+const ACTIVITY_LABELS = {
+  CALL: 'Calls',
+  EMAIL: 'Emails',
+  MEETING: 'Meetings',
+  NOTE: 'Notes',
+  WHATSAPP: 'WhatsApp',
+  TASK_CREATED: 'Tasks created',
+  TASK_COMPLETED: 'Tasks completed',
+  STATUS_CHANGED: 'Status changes',
+  FIELD_CHANGED: 'Field changes'
+};
+
+const controlStyle = {
+  padding: '0.5rem',
+  border: '1px solid var(--color-primary-border)',
+  borderRadius: '0.375rem',
+  fontSize: '0.875rem',
+  color: 'var(--color-primary-text)',
+  backgroundColor: 'var(--color-primary-bg)'
+};
+
+const widgetStyle = {
+  border: '1px solid var(--color-primary-border)',
+  borderRadius: '0.5rem',
+  padding: '1rem',
+  backgroundColor: 'var(--color-primary-bg)',
+  minWidth: 0
+};
+
+const widgetTitleStyle = {
+  margin: '0 0 0.75rem 0',
+  fontSize: '1rem',
+  fontWeight: 600,
+  color: 'var(--color-primary-text)'
+};
+
+const mutedStyle = { fontSize: '0.875rem', color: 'var(--color-secondary-text)' };
+
+const toDateInput = (date) => date.toISOString().slice(0, 10);
+
+// Whole days so the query key (and cache) stays stable while the page is open
+const presetRange = (days) => {
+  const to = new Date();
+  to.setHours(23, 59, 59, 999);
+  const from = new Date(to);
+  from.setDate(from.getDate() - Number(days) + 1);
+  from.setHours(0, 0, 0, 0);
+  return { from: from.toISOString(), to: to.toISOString() };
+};
+
+const StatCard = ({ label, value, tone }) => (
+  <div style={widgetStyle}>
+    <div style={mutedStyle}>{label}</div>
+    <div style={{ fontSize: '1.75rem', fontWeight: 700, color: tone || 'var(--color-primary-text)' }}>
+      {value ?? '-'}
+    </div>
+  </div>
+);
+
+// Horizontal bars, one row per entry
+const BarList = ({ title, entries, emptyText }) => {
+  const max = Math.max(1, ...entries.map(entry => entry.count));
+
+  return (
+    <div style={widgetStyle}>
+      <h3 style={widgetTitleStyle}>{title}</h3>
+      {entries.length === 0 && <div style={mutedStyle}>{emptyText}</div>}
+      {entries.map(entry => (
+        <div key={entry.label} style={{ marginBottom: '0.5rem' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.875rem', color: 'var(--color-primary-text)' }}>
+            <span>{entry.label}</span>
+            <span>{entry.count}</span>
+          </div>
+          <div style={{ height: '6px', borderRadius: '3px', backgroundColor: 'var(--color-table-row-hover)' }}>
+            <div style={{
+              width: `${(entry.count / max) * 100}%`,
+              height: '100%',
+              borderRadius: '3px',
+              backgroundColor: entry.color || 'var(--color-button-primary-bg)'
+            }} />
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const WeeklyChart = ({ weeks }) => {
+  const max = Math.max(1, ...weeks.map(week => week.count));
+  // Label every nth week so long ranges stay readable
+  const labelEvery = Math.ceil(weeks.length / 12);
+
+  return (
+    <div style={{ ...widgetStyle, gridColumn: '1 / -1' }}>
+      <h3 style={widgetTitleStyle}>New contacts per week</h3>
+      <div style={{ display: 'flex', alignItems: 'flex-end', gap: '2px', height: '160px' }}>
+        {weeks.map(week => (
+          <div
+            key={week.weekStart}
+            title={`Week of ${new Date(week.weekStart).toLocaleDateString()}: ${week.count}`}
+            style={{ flex: 1, display: 'flex', flexDirection: 'column', justifyContent: 'flex-end', height: '100%' }}
+          >
+            <div style={{
+              height: `${(week.count / max) * 100}%`,
+              minHeight: week.count > 0 ? '2px' : 0,
+              backgroundColor: 'var(--color-button-primary-bg)',
+              borderRadius: '2px 2px 0 0'
+            }} />
+          </div>
+        ))}
+      </div>
+      <div style={{ display: 'flex', gap: '2px', marginTop: '0.25rem' }}>
+        {weeks.map((week, index) => (
+          <div key={week.weekStart} style={{ flex: 1, fontSize: '0.625rem', color: 'var(--color-secondary-text)', whiteSpace: 'nowrap', overflow: 'visible' }}>
+            {index % labelEvery === 0 ? new Date(week.weekStart).toLocaleDateString(undefined, { day: 'numeric', month: 'short' }) : ''}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const DashboardPage = () => {
+  const [preset, setPreset] = useState('90');
+  const [customFrom, setCustomFrom] = useState(() => toDateInput(new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)));
+  const [customTo, setCustomTo] = useState(() => toDateInput(new Date()));
+
+  const range = useMemo(() => {
+    if (preset !== 'custom') return presetRange(preset);
+    return {
+      from: new Date(`${customFrom}T00:00:00`).toISOString(),
+      to: new Date(`${customTo}T23:59:59.999`).toISOString()
+    };
+  }, [preset, customFrom, customTo]);
+
+  const { data: stats, isLoading, error } = useDashboardStats(range);
+
+  const taskEntries = stats ? [
+    { label: 'Overdue', count: stats.tasks.overdue, color: '#dc2626' },
+    { label: 'Completed in range', count: stats.tasks.completed, color: '#16a34a' },
+    { label: 'Open', count: stats.tasks.open }
+  ] : [];
+
+  const activityEntries = stats
+    ? stats.activitiesByType.map(entry => ({ label: ACTIVITY_LABELS[entry.type] || entry.type, count: entry.count }))
+    : [];
+
+  return (
+    <div style={{ height: '100%', display: 'flex', flexDirection: 'column', overflow: 'hidden' }}>
+      <div style={{
+        padding: '15px 2rem 20px 2rem',
+        backgroundColor: 'var(--color-primary-bg)',
+        flexShrink: 0,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        gap: '1rem',
+        flexWrap: 'wrap'
+      }}>
+        <h1 style={{ fontSize: '2rem', fontWeight: 'bold', margin: 0, color: 'var(--color-primary-text)' }}>
+          Dashboard
+        </h1>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+          <select value={preset} onChange={(e) => setPreset(e.target.value)} style={controlStyle}>
+            {RANGE_PRESETS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          {preset === 'custom' && (
+            <>
+              <input
+                type="date"
+                value={customFrom}
+                max={customTo}
+                onChange={(e) => e.target.value && setCustomFrom(e.target.value)}
+                style={controlStyle}
+              />
+              <span style={mutedStyle}>to</span>
+              <input
+                type="date"
+                value={customTo}
+                min={customFrom}
+                onChange={(e) => e.target.value && setCustomTo(e.target.value)}
+                style={controlStyle}
+              />
+            </>
+          )}
+        </div>
+      </div>
+
+      <div style={{ flex: 1, overflow: 'auto', padding: '0 2rem 2rem 2rem' }}>
+        {error && <div style={{ color: '#dc2626', marginBottom: '1rem' }}>{error.message}</div>}
+        {isLoading && <div style={mutedStyle}>Loading dashboard...</div>}
+
+        {stats && (
+          <>
+            <div style={{
+              display: 'grid',
+              gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))',
+              gap: '1rem',
+              marginBottom: '1rem'
+            }}>
+              <StatCard label="Total contacts" value={stats.totals.contacts} />
+              <StatCard label="New contacts" value={stats.totals.newContacts} />
+              <StatCard label="Open tasks" value={stats.tasks.open} />
+              <StatCard label="Overdue tasks" value={stats.tasks.overdue} tone={stats.tasks.overdue > 0 ? '#dc2626' : undefined} />
+              <StatCard label="Activities logged" value={stats.totals.activities} />
+            </div>
+
+            <div style={{
+              display: 'grid',
+              gridTemplateColumns: 'repeat(auto-fit, minmax(280px, 1fr))',
+              gap: '1rem'
+            }}>
+              <WeeklyChart weeks={stats.newContactsByWeek} />
+              <BarList title="Contacts by stage" entries={stats.contactsByStage} emptyText="No Status property set up" />
+              <BarList title="Contacts by source" entries={stats.contactsBySource} emptyText="No Lead Source property set up" />
+              <BarList title="Contacts by type" entries={stats.contactsByType} emptyText="No Contact Type property set up" />
+              <BarList title="Tasks" entries={taskEntries} emptyText="No tasks" />
+              <BarList title="Activities by type" entries={activityEntries} emptyText="No activities" />
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DashboardPage;
@@ -0,0 +1,235 @@
+import React, { useMemo, useState } from 'react';
+import {
+  DndContext,
+  DragOverlay,
+  closestCorners,
+  KeyboardSensor,
+  PointerSensor,
+  useDroppable,
+  useSensor,
+  useSensors,
+} from '@dnd-kit/core';
+import {
+  SortableContext,
+  sortableKeyboardCoordinates,
+  useSortable,
+  verticalListSortingStrategy,
+} from '@dnd-kit/sortable';
+import { CSS } from '@dnd-kit/utilities';
+import { Calendar, Home, Trash2, User } from 'lucide-react';
+
+const COLUMN_PREFIX = 'stage-';
+
+const valueFormatter = new Intl.NumberFormat(undefined, {
+  style: 'currency',
+  currency: 'AUD',
+  maximumFractionDigits: 0
+});
+
+const formatValue = (value) => (value === null || value === undefined ? '' : valueFormatter.format(value));
+
+const DealCardContent = ({ deal, onViewContact, onDeleteDeal }) => (
+  <>
+    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: '0.5rem' }}>
+      <div style={{ fontWeight: '600', fontSize: '0.875rem', color: 'var(--color-primary-text)' }}>
+        {deal.title}
+      </div>
+      {onDeleteDeal && (
+        <button
+          type="button"
+          onPointerDown={(e) => e.stopPropagation()}
+          onClick={() => onDeleteDeal(deal)}
+          aria-label={`Delete ${deal.title}`}
+          style={{ border: 'none', background: 'transparent', cursor: 'pointer', color: 'var(--color-secondary-text)', padding: 0 }}
+        >
+          <Trash2 size={14} />
+        </button>
+      )}
+    </div>
+    {deal.value !== null && deal.value !== undefined && (
+      <div style={{ fontSize: '0.875rem', color: 'var(--color-primary-text)', marginTop: '0.25rem' }}>
+        {formatValue(deal.value)}
+      </div>
+    )}
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '0.2rem', marginTop: '0.5rem', fontSize: '0.75rem', color: 'var(--color-secondary-text)' }}>
+      {deal.contact && (
+        <span
+          style={{ display: 'flex', alignItems: 'center', gap: '0.25rem', cursor: onViewContact ? 'pointer' : 'default' }}
+          onPointerDown={(e) => onViewContact && e.stopPropagation()}
+          onClick={() => onViewContact && onViewContact(deal.contact.id)}
+        >
+          <User size={12} /> {deal.contact.name}
+        </span>
+      )}
+      {deal.listing && (
+        <span style={{ display: 'flex', alignItems: 'center', gap: '0.25rem' }}>
+          <Home size={12} /> {deal.listing.address}
+        </span>
+      )}
+      {deal.expectedCloseDate && (
+        <span style={{ display: 'flex', alignItems: 'center', gap: '0.25rem' }}>
+          <Calendar size={12} /> {new Date(deal.expectedCloseDate).toLocaleDateString()}
+        </span>
+      )}
+    </div>
+  </>
+);
+
+const cardStyle = {
+  padding: '0.75rem',
+  borderRadius: '0.375rem',
+  border: '1px solid var(--color-primary-border)',
+  backgroundColor: 'var(--color-primary-bg)',
+  boxShadow: '0 1px 2px rgba(0, 0, 0, 0.05)',
+  cursor: 'grab'
+};
+
+const SortableDealCard = ({ deal, onViewContact, onDeleteDeal }) => {
+  const { attributes, listeners, setNodeRef, transform, transition, isDragging } = useSortable({ id: deal.id });
+
+  return (
+    <div
+      ref={setNodeRef}
+      style={{
+        ...cardStyle,
+        transform: CSS.Transform.toString(transform),
+        transition,
+        opacity: isDragging ? 0.4 : 1
+      }}
+      {...attributes}
+      {...listeners}
+    >
+      <DealCardContent deal={deal} onViewContact={onViewContact} onDeleteDeal={onDeleteDeal} />
+    </div>
+  );
+};
+
+const StageColumn = ({ stage, deals, onViewContact, onDeleteDeal }) => {
+  const { setNodeRef, isOver } = useDroppable({ id: `${COLUMN_PREFIX}${stage.id}` });
+  const totalValue = deals.reduce((sum, deal) => sum + (deal.value || 0), 0);
+
+  return (
+    <div style={{
+      flex: '0 0 280px',
+      display: 'flex',
+      flexDirection: 'column',
+      maxHeight: '100%',
+      borderRadius: '0.5rem',
+      backgroundColor: 'var(--color-table-header-bg)',
+      border: `1px solid ${isOver ? 'var(--color-accent)' : 'var(--color-primary-border)'}`
+    }}>
+      <div style={{ padding: '0.75rem', borderBottom: '1px solid var(--color-primary-border)' }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', fontWeight: '600', color: 'var(--color-primary-text)' }}>
+          <span>{stage.name}</span>
+          <span style={{ color: 'var(--color-secondary-text)', fontWeight: '500' }}>{deals.length}</span>
+        </div>
+        <div style={{ fontSize: '0.75rem', color: 'var(--color-secondary-text)' }}>{formatValue(totalValue)}</div>
+      </div>
+      <SortableContext items={deals.map(deal => deal.id)} strategy={verticalListSortingStrategy}>
+        <div
+          ref={setNodeRef}
+          style={{ padding: '0.5rem', display: 'flex', flexDirection: 'column', gap: '0.5rem', overflowY: 'auto', minHeight: '80px', flex: 1 }}
+        >
+          {deals.map(deal => (
+            <SortableDealCard key={deal.id} deal={deal} onViewContact={onViewContact} onDeleteDeal={onDeleteDeal} />
+          ))}
+        </div>
+      </SortableContext>
+    </div>
+  );
+};
+
+/**
+ * DealsKanban Component
+ *
+ * Renders a pipeline's stages as columns and lets deals be dragged between them.
+ *
+ * Props:
+ * - stages: Ordered stages of the selected pipeline
+ * - deals: Deals in the pipeline (each with stageId and position)
+ * - onMoveDeal: Called with { dealId, stageId, position } when a card is dropped somewhere new
+ * - onViewContact: Called with a contact id when the card's contact is clicked
+ * - onDeleteDeal: Called with the deal when its delete button is clicked
+ */
+const DealsKanban = ({ stages = [], deals = [], onMoveDeal, onViewContact, onDeleteDeal }) => {
+  const [activeDealId, setActiveDealId] = useState(null);
+
+  const sensors = useSensors(
+    useSensor(PointerSensor, { activationConstraint: { distance: 5 } }),
+    useSensor(KeyboardSensor, {
+      coordinateGetter: sortableKeyboardCoordinates,
+    })
+  );
+
+  const dealsByStage = useMemo(() => {
+    const grouped = Object.fromEntries(stages.map(stage => [stage.id, []]));
+    deals.forEach(deal => {
+      if (grouped[deal.stageId]) {
+        grouped[deal.stageId].push(deal);
+      }
+    });
+    Object.values(grouped).forEach(column => column.sort((a, b) => a.position - b.position));
+    return grouped;
+  }, [stages, deals]);
+
+  const activeDeal = deals.find(deal => deal.id === activeDealId);
+
+  const handleDragEnd = ({ active, over }) => {
+    setActiveDealId(null);
+    if (!over) return;
+
+    const deal = deals.find(d => d.id === active.id);
+    if (!deal) return;
+
+    let stageId;
+    let position;
+    if (String(over.id).startsWith(COLUMN_PREFIX)) {
+      // Dropped on empty column space - append to the end
+      stageId = String(over.id).slice(COLUMN_PREFIX.length);
+    } else {
+      const overDeal = deals.find(d => d.id === over.id);
+      if (!overDeal) return;
+      // Take the hovered card's slot (same semantics as arrayMove within a column)
+      stageId = overDeal.stageId;
+      position = dealsByStage[stageId].findIndex(d => d.id === overDeal.id);
+    }
+
+    const currentIndex = dealsByStage[deal.stageId].findIndex(d => d.id === deal.id);
+    if (stageId === deal.stageId && (position === undefined || position === currentIndex)) {
+      return;
+    }
+
+    onMoveDeal({ dealId: deal.id, stageId, position });
+  };
+
+  return (
+    <DndContext
+      sensors={sensors}
+      collisionDetection={closestCorners}
+      onDragStart={({ active }) => setActiveDealId(active.id)}
+      onDragCancel={() => setActiveDealId(null)}
+      onDragEnd={handleDragEnd}
+    >
+      <div style={{ display: 'flex', gap: '1rem', height: '100%', overflowX: 'auto', paddingBottom: '1rem' }}>
+        {stages.map(stage => (
+          <StageColumn
+            key={stage.id}
+            stage={stage}
+            deals={dealsByStage[stage.id] || []}
+            onViewContact={onViewContact}
+            onDeleteDeal={onDeleteDeal}
+          />
+        ))}
+      </div>
+      <DragOverlay>
+        {activeDeal ? (
+          <div style={{ ...cardStyle, cursor: 'grabbing' }}>
+            <DealCardContent deal={activeDeal} />
+          </div>
+        ) : null}
+      </DragOverlay>
+    </DndContext>
+  );
+};
+
+export default DealsKanban;
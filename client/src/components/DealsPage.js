@@ -0,0 +1,204 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Settings } from 'lucide-react';
+import DealsKanban from './DealsKanban';
+import AddDealModal from './AddDealModal';
+import PipelineSettingsModal from './PipelineSettingsModal';
+import {
+  usePipelines,
+  useCreatePipeline,
+  useDeals,
+  useAddDeal,
+  useMoveDeal,
+  useDeleteDeal
+} from '../hooks/useDeals.js';
+import { getUserId } from '../utils/auth.js';
+
+const secondaryButtonStyle = {
+  padding: '0.5rem 1rem',
+  border: '1px solid var(--color-primary-border)',
+  borderRadius: '0.375rem',
+  backgroundColor: 'var(--color-button-secondary-bg)',
+  color: 'var(--color-button-secondary-text)',
+  cursor: 'pointer',
+  fontSize: '0.875rem',
+  fontWeight: '500',
+  display: 'flex',
+  alignItems: 'center',
+  gap: '0.25rem'
+};
+
+const DealsPage = () => {
+  const navigate = useNavigate();
+  const [selectedPipelineId, setSelectedPipelineId] = useState('');
+  const [isAddModalOpen, setIsAddModalOpen] = useState(false);
+  const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+  const [actionError, setActionError] = useState('');
+
+  const { data: pipelines = [], isLoading: pipelinesLoading, error: pipelinesError } = usePipelines();
+  const pipeline = pipelines.find(p => p.id === selectedPipelineId) || pipelines[0];
+
+  const { data: deals = [], isLoading: dealsLoading } = useDeals(pipeline?.id);
+  const createPipeline = useCreatePipeline();
+  const addDeal = useAddDeal();
+  const moveDeal = useMoveDeal(pipeline?.id);
+  const deleteDeal = useDeleteDeal();
+
+  // Fall back to the first pipeline if the selected one disappears
+  useEffect(() => {
+    if (pipelines.length > 0 && !pipelines.some(p => p.id === selectedPipelineId)) {
+      setSelectedPipelineId(pipelines[0].id);
+    }
+  }, [pipelines, selectedPipelineId]);
+
+  const handleCreatePipeline = async () => {
+    const name = window.prompt('Name for the new pipeline');
+    if (!name || !name.trim()) return;
+    try {
+      const created = await createPipeline.mutateAsync({ name: name.trim() });
+      setSelectedPipelineId(created.id);
+    } catch (err) {
+      setActionError(err.message);
+    }
+  };
+
+  const handleMoveDeal = (move) => {
+    setActionError('');
+    moveDeal.mutate(move, {
+      onError: (err) => setActionError(err.message)
+    });
+  };
+
+  const handleDeleteDeal = async (deal) => {
+    if (!window.confirm(`Delete deal "${deal.title}"?`)) return;
+    try {
+      await deleteDeal.mutateAsync(deal.id);
+    } catch (err) {
+      setActionError(err.message);
+    }
+  };
+
+  const handleViewContact = (contactId) => {
+    navigate(`/dashboard/${getUserId()}/contacts/${contactId}`);
+  };
+
+  if (pipelinesError) {
+    return (
+      <div style={{ padding: '2rem', color: '#dc2626', textAlign: 'center' }}>
+        <h2>Error Loading Deals</h2>
+        <p>{pipelinesError.message}</p>
+      </div>
+    );
+  }
+
+  const totalValue = deals.reduce((sum, deal) => sum + (deal.value || 0), 0);
+
+  return (
+    <div style={{ height: '100%', display: 'flex', flexDirection: 'column', overflow: 'hidden' }}>
+      {/* Header */}
+      <div style={{
+        padding: '15px 2rem 20px 2rem',
+        backgroundColor: 'var(--color-primary-bg)',
+        flexShrink: 0,
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        gap: '1rem'
+      }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '1rem' }}>
+          <h1 style={{ fontSize: '2rem', fontWeight: 'bold', margin: 0, color: 'var(--color-primary-text)' }}>
+            Deals
+          </h1>
+          <select
+            value={pipeline?.id || ''}
+            onChange={(e) => setSelectedPipelineId(e.target.value)}
+            style={{
+              padding: '0.5rem',
+              border: '1px solid var(--color-primary-border)',
+              borderRadius: '0.375rem',
+              fontSize: '0.875rem',
+              backgroundColor: 'var(--color-primary-bg)',
+              color: 'var(--color-primary-text)'
+            }}
+          >
+            {pipelines.map(p => (
+              <option key={p.id} value={p.id}>{p.name}</option>
+            ))}
+          </select>
+          <span style={{
+            fontSize: '0.875rem',
+            color: 'var(--color-secondary-text)',
+            backgroundColor: 'var(--color-table-row-hover)',
+            padding: '0.25rem 0.5rem',
+            borderRadius: '0.375rem'
+          }}>
+            {deals.length} deals • {new Intl.NumberFormat(undefined, { style: 'currency', currency: 'AUD', maximumFractionDigits: 0 }).format(totalValue)}
+          </span>
+        </div>
+
+        <div style={{ display: 'flex', gap: '0.5rem' }}>
+          <button onClick={handleCreatePipeline} style={secondaryButtonStyle} disabled={createPipeline.isPending}>
+            New Pipeline
+          </button>
+          <button onClick={() => setIsSettingsOpen(true)} style={secondaryButtonStyle} disabled={!pipeline}>
+            <Settings size={16} /> Stages
+          </button>
+          <button
+            onClick={() => setIsAddModalOpen(true)}
+            style={{
+              padding: '0.5rem 1rem',
+              border: 'none',
+              borderRadius: '0.375rem',
+              backgroundColor: 'var(--color-button-primary-bg)',
+              color: 'var(--color-button-primary-text)',
+              cursor: 'pointer',
+              fontSize: '0.875rem',
+              fontWeight: '500'
+            }}
+            disabled={!pipeline || addDeal.isPending}
+          >
+            {addDeal.isPending ? 'Adding...' : 'Add Deal'}
+          </button>
+        </div>
+      </div>
+
+      {actionError && (
+        <div style={{ padding: '0 2rem 0.5rem', color: 'var(--color-error)', fontSize: '0.875rem' }}>
+          {actionError}
+        </div>
+      )}
+
+      {/* Board */}
+      <div style={{ flex: 1, minHeight: 0, padding: '0 2rem 1rem 2rem' }}>
+        {pipelinesLoading || dealsLoading ? (
+          <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--color-secondary-text)' }}>
+            Loading deals...
+          </div>
+        ) : pipeline ? (
+          <DealsKanban
+            stages={pipeline.stages}
+            deals={deals}
+            onMoveDeal={handleMoveDeal}
+            onViewContact={handleViewContact}
+            onDeleteDeal={handleDeleteDeal}
+          />
+        ) : null}
+      </div>
+
+      <AddDealModal
+        isOpen={isAddModalOpen}
+        onClose={() => setIsAddModalOpen(false)}
+        pipeline={pipeline}
+        onAddDeal={(deal) => addDeal.mutateAsync(deal)}
+      />
+      <PipelineSettingsModal
+        isOpen={isSettingsOpen}
+        onClose={() => setIsSettingsOpen(false)}
+        pipeline={pipeline}
+        onPipelineDeleted={() => setSelectedPipelineId('')}
+      />
+    </div>
+  );
+};
+
+export default DealsPage;
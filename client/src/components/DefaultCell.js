@@ -2,7 +2,7 @@ import React, { memo } from 'react';
 import { flexRender } from '@tanstack/react-table';
 import { TableCell } from './ui/Table';
 
-export const DefaultCell = memo(function DefaultCell({ cell }) {
+export const DefaultCell = memo(function DefaultCell({ cell, style }) {
   // Get the index of this cell in the row
   const cellIndex = cell.row.getAllCells().indexOf(cell);
   const isLastCell = cellIndex === cell.row.getAllCells().length - 1;
@@ -17,6 +17,7 @@ export const DefaultCell = memo(function DefaultCell({ cell }) {
         overflow: 'hidden',
         padding: '0.5rem',
         borderRight: isLastCell ? 'none' : '1px solid var(--color-primary-border)', // Add column border
+        ...style,
       }}
     >
       <div 
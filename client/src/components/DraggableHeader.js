@@ -10,8 +10,10 @@ const cn = (...classes) => {
 };
 
 
-export function DraggableHeader({ header, columnId }) {
-  const isReorderable = header.column.columnDef.enableReordering !== false;
+// `style` is merged last, e.g. to keep pinned columns in place while the table scrolls
+export function DraggableHeader({ header, columnId, style: extraStyle }) {
+  // Pinned columns stay at the start of the table, so they can't be dragged
+  const isReorderable = header.column.columnDef.enableReordering !== false && !header.column.getIsPinned();
   const isSortable = header.column.getCanSort?.() && header.column.columnDef.enableSorting !== false;
   const {
     attributes,
@@ -92,6 +94,7 @@ export function DraggableHeader({ header, columnId }) {
         width: header.column.getSize(),
         flex: `0 0 ${header.column.getSize()}px`,
         color: 'var(--color-primary-text)',
+        ...extraStyle,
       }}
       key={header.column.id}
       colSpan={header.colSpan}
@@ -0,0 +1,342 @@
+import React, { useState, useMemo, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { ArrowLeft, GitMerge } from 'lucide-react';
+import { useDuplicateContacts, useContact, useMergeContacts } from '../hooks/useContacts.js';
+import { useCustomProperties } from '../hooks/useCustomProperties';
+import { getUserId } from '../utils/auth.js';
+
+const MATCH_LEVELS = [
+  { value: 70, label: 'Strong matches' },
+  { value: 50, label: 'Likely matches' },
+  { value: 30, label: 'Possible matches' }
+];
+
+const CORE_FIELDS = [
+  { key: 'name', label: 'Name' },
+  { key: 'email', label: 'Email' },
+  { key: 'phone', label: 'Phone' },
+  { key: 'address', label: 'Address' }
+];
+
+const controlStyle = {
+  padding: '0.5rem',
+  border: '1px solid var(--color-primary-border)',
+  borderRadius: '0.375rem',
+  fontSize: '0.875rem',
+  color: 'var(--color-primary-text)',
+  backgroundColor: 'var(--color-primary-bg)'
+};
+
+const secondaryButtonStyle = {
+  padding: '0.5rem 1rem',
+  border: '1px solid var(--color-primary-border)',
+  borderRadius: '0.375rem',
+  backgroundColor: 'var(--color-button-secondary-bg)',
+  color: 'var(--color-button-secondary-text)',
+  cursor: 'pointer',
+  fontSize: '0.875rem',
+  fontWeight: '500',
+  display: 'flex',
+  alignItems: 'center',
+  gap: '0.25rem'
+};
+
+const primaryButtonStyle = {
+  ...secondaryButtonStyle,
+  border: 'none',
+  backgroundColor: 'var(--color-button-primary-bg)',
+  color: 'var(--color-button-primary-text)'
+};
+
+const cardStyle = {
+  border: '1px solid var(--color-primary-border)',
+  borderRadius: '0.5rem',
+  padding: '1rem',
+  marginBottom: '0.75rem',
+  backgroundColor: 'var(--color-primary-bg)'
+};
+
+const chipStyle = {
+  fontSize: '0.75rem',
+  padding: '0.125rem 0.5rem',
+  borderRadius: '999px',
+  backgroundColor: 'var(--color-table-row-hover)',
+  color: 'var(--color-secondary-text)'
+};
+
+const scoreColor = (score) => (score >= 70 ? '#dc2626' : score >= 50 ? '#d97706' : 'var(--color-secondary-text)');
+
+const isEmptyValue = (value) => value === null || value === undefined || value === ''
+  || (Array.isArray(value) && value.length === 0);
+
+// Display a custom field value the way the contact page shows it
+const formatCustomValue = (property, value) => {
+  if (isEmptyValue(value)) return '';
+  const optionLabel = (item) => property.options?.find(opt => opt.value === item)?.label || item;
+
+  switch (property.fieldType) {
+    case 'BOOLEAN':
+      return value ? 'Yes' : 'No';
+    case 'DATE':
+      return new Date(value).toLocaleDateString();
+    case 'DATETIME':
+      return new Date(value).toLocaleString();
+    case 'DROPDOWN':
+      return optionLabel(value);
+    case 'MULTISELECT':
+      return (Array.isArray(value) ? value : [value]).map(optionLabel).join(', ');
+    default:
+      return String(value);
+  }
+};
+
+const ContactSummary = ({ contact }) => (
+  <div style={{ flex: 1, minWidth: 0 }}>
+    <div style={{ fontWeight: 600, color: 'var(--color-primary-text)' }}>{contact.name}</div>
+    <div style={{ fontSize: '0.875rem', color: 'var(--color-secondary-text)' }}>
+      {[contact.email, contact.phone, contact.address].filter(Boolean).join(' · ') || 'No contact details'}
+    </div>
+    <div style={{ fontSize: '0.75rem', color: 'var(--color-secondary-text)' }}>
+      Added {new Date(contact.createdAt).toLocaleDateString()}
+    </div>
+  </div>
+);
+
+// Side-by-side comparison where the user picks the surviving contact and the winning value per field
+const MergePanel = ({ pair, onCancel, onMerged }) => {
+  const [first, second] = pair.contacts;
+  const [survivorId, setSurvivorId] = useState(first.id);
+  const [choices, setChoices] = useState({});
+  const [mergeError, setMergeError] = useState('');
+
+  const { data: firstContact, isLoading: firstLoading } = useContact(first.id);
+  const { data: secondContact, isLoading: secondLoading } = useContact(second.id);
+  const { data: customProperties = [] } = useCustomProperties();
+  const mergeMutation = useMergeContacts();
+
+  const contacts = useMemo(() => [firstContact, secondContact], [firstContact, secondContact]);
+  const duplicateId = survivorId === first.id ? second.id : first.id;
+
+  // Fields where at least one contact has a value; custom fields are keyed `custom:<fieldKey>`
+  const rows = useMemo(() => {
+    if (!firstContact || !secondContact) return [];
+    const coreRows = CORE_FIELDS.map(field => ({
+      key: field.key,
+      label: field.label,
+      values: contacts.map(contact => contact[field.key] || '')
+    }));
+    const customRows = customProperties.map(property => ({
+      key: `custom:${property.fieldKey}`,
+      fieldKey: property.fieldKey,
+      label: property.name,
+      values: contacts.map(contact => formatCustomValue(property, contact.customFields?.[property.fieldKey]))
+    }));
+    return [...coreRows, ...customRows].filter(row => row.values.some(value => value !== ''));
+  }, [contacts, firstContact, secondContact, customProperties]);
+
+  // Default to the survivor's value, or the duplicate's when the survivor's is empty
+  useEffect(() => {
+    const survivorIndex = survivorId === first.id ? 0 : 1;
+    const otherId = survivorId === first.id ? second.id : first.id;
+    const defaults = {};
+    rows.forEach(row => {
+      defaults[row.key] = row.values[survivorIndex] !== '' ? survivorId : otherId;
+    });
+    setChoices(defaults);
+  }, [rows, survivorId, first.id, second.id]);
+
+  const handleMerge = async () => {
+    const survivor = pair.contacts.find(contact => contact.id === survivorId);
+    const duplicate = pair.contacts.find(contact => contact.id === duplicateId);
+    if (!window.confirm(`Merge "${duplicate.name}" into "${survivor.name}"? "${duplicate.name}" will be deleted.`)) return;
+
+    const fields = {};
+    const customFields = {};
+    rows.forEach(row => {
+      if (row.fieldKey) {
+        customFields[row.fieldKey] = choices[row.key];
+      } else {
+        fields[row.key] = choices[row.key];
+      }
+    });
+
+    setMergeError('');
+    try {
+      await mergeMutation.mutateAsync({ survivorId, duplicateId, fields, customFields });
+      onMerged();
+    } catch (error) {
+      setMergeError(error.message || 'Failed to merge contacts');
+    }
+  };
+
+  if (firstLoading || secondLoading) {
+    return <div style={{ padding: '2rem', color: 'var(--color-secondary-text)' }}>Loading contacts...</div>;
+  }
+
+  const cellStyle = { padding: '0.5rem', borderBottom: '1px solid var(--color-primary-border)', verticalAlign: 'top' };
+
+  return (
+    <div style={cardStyle}>
+      <h3 style={{ marginTop: 0, color: 'var(--color-primary-text)' }}>Merge contacts</h3>
+      <p style={{ fontSize: '0.875rem', color: 'var(--color-secondary-text)' }}>
+        Choose the contact to keep and the value to keep for each field. Tasks, notes, activities, deals and
+        listings from the other contact move to the one you keep.
+      </p>
+
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.875rem', color: 'var(--color-primary-text)' }}>
+        <thead>
+          <tr>
+            <th style={{ ...cellStyle, textAlign: 'left', width: '20%' }}>Field</th>
+            {pair.contacts.map(contact => (
+              <th key={contact.id} style={{ ...cellStyle, textAlign: 'left' }}>
+                <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', cursor: 'pointer' }}>
+                  <input
+                    type="radio"
+                    name="survivor"
+                    checked={survivorId === contact.id}
+                    onChange={() => setSurvivorId(contact.id)}
+                  />
+                  Keep {contact.name}
+                </label>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.key}>
+              <td style={{ ...cellStyle, fontWeight: 500 }}>{row.label}</td>
+              {pair.contacts.map((contact, index) => (
+                <td key={contact.id} style={cellStyle}>
+                  <label style={{ display: 'flex', alignItems: 'flex-start', gap: '0.5rem', cursor: 'pointer' }}>
+                    <input
+                      type="radio"
+                      name={`field-${row.key}`}
+                      checked={choices[row.key] === contact.id}
+                      onChange={() => setChoices(prev => ({ ...prev, [row.key]: contact.id }))}
+                    />
+                    <span style={{ color: row.values[index] ? undefined : 'var(--color-secondary-text)' }}>
+                      {row.values[index] || 'Empty'}
+                    </span>
+                  </label>
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {mergeError && <div style={{ color: '#dc2626', marginTop: '0.75rem' }}>{mergeError}</div>}
+
+      <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '0.5rem', marginTop: '1rem' }}>
+        <button onClick={onCancel} style={secondaryButtonStyle} disabled={mergeMutation.isPending}>
+          Cancel
+        </button>
+        <button onClick={handleMerge} style={primaryButtonStyle} disabled={mergeMutation.isPending}>
+          <GitMerge size={16} />
+          {mergeMutation.isPending ? 'Merging...' : 'Merge contacts'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const DuplicatesPage = () => {
+  const navigate = useNavigate();
+  const [minScore, setMinScore] = useState(50);
+  const [selectedPairKey, setSelectedPairKey] = useState(null);
+
+  const { data, isLoading, error } = useDuplicateContacts(minScore);
+  const pairs = data?.pairs || [];
+  const pairKey = (pair) => pair.contacts.map(contact => contact.id).join(':');
+  const selectedPair = pairs.find(pair => pairKey(pair) === selectedPairKey);
+
+  const handleBack = () => {
+    navigate(`/dashboard/${getUserId()}/contacts`);
+  };
+
+  return (
+    <div style={{ height: '100%', display: 'flex', flexDirection: 'column', overflow: 'hidden' }}>
+      <div style={{
+        padding: '15px 2rem 0 2rem',
+        backgroundColor: 'var(--color-primary-bg)',
+        flexShrink: 0,
+        display: 'flex',
+        alignItems: 'center',
+        gap: '1rem'
+      }}>
+        <button onClick={handleBack} style={secondaryButtonStyle}>
+          <ArrowLeft size={16} />
+          Contacts
+        </button>
+        <h1 style={{ fontSize: '2rem', fontWeight: 'bold', margin: 0, color: 'var(--color-primary-text)' }}>
+          Duplicates
+        </h1>
+        <span style={{
+          fontSize: '0.875rem',
+          color: 'var(--color-secondary-text)',
+          backgroundColor: 'var(--color-table-row-hover)',
+          padding: '0.25rem 0.5rem',
+          borderRadius: '0.375rem'
+        }}>
+          {pairs.length} possible duplicates
+        </span>
+      </div>
+
+      <div style={{ padding: '20px 2rem', flexShrink: 0 }}>
+        <select
+          value={minScore}
+          onChange={(e) => {
+            setMinScore(Number(e.target.value));
+            setSelectedPairKey(null);
+          }}
+          style={controlStyle}
+        >
+          {MATCH_LEVELS.map(level => (
+            <option key={level.value} value={level.value}>{level.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div style={{ flex: 1, overflow: 'auto', padding: '0 2rem 2rem 2rem' }}>
+        {error && <div style={{ color: '#dc2626' }}>{error.message}</div>}
+        {isLoading && <div style={{ color: 'var(--color-secondary-text)' }}>Scanning contacts...</div>}
+        {!isLoading && !error && pairs.length === 0 && (
+          <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--color-secondary-text)' }}>
+            <h3>No duplicates found</h3>
+            <p>Try including weaker matches to see more candidates.</p>
+          </div>
+        )}
+
+        {selectedPair ? (
+          <MergePanel
+            key={selectedPairKey}
+            pair={selectedPair}
+            onCancel={() => setSelectedPairKey(null)}
+            onMerged={() => setSelectedPairKey(null)}
+          />
+        ) : (
+          pairs.map(pair => (
+            <div key={pairKey(pair)} style={cardStyle}>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '0.75rem', flexWrap: 'wrap' }}>
+                <span style={{ fontWeight: 700, color: scoreColor(pair.score) }}>{pair.score}% match</span>
+                {pair.reasons.map(reason => (
+                  <span key={reason.field} style={chipStyle}>{reason.label}</span>
+                ))}
+              </div>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '1rem' }}>
+                {pair.contacts.map(contact => <ContactSummary key={contact.id} contact={contact} />)}
+                <button onClick={() => setSelectedPairKey(pairKey(pair))} style={primaryButtonStyle}>
+                  <GitMerge size={16} />
+                  Review &amp; merge
+                </button>
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DuplicatesPage;
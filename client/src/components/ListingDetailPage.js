@@ -0,0 +1,337 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { ChevronLeft, MapPin, Trash2, X } from 'lucide-react';
+import { Button } from './ui/Button.js';
+import { useContacts } from '../hooks/useContacts.js';
+import {
+  useListing,
+  useUpdateListing,
+  useDeleteListing,
+  useLinkListingContact,
+  useUnlinkListingContact,
+  LISTING_STATUS_OPTIONS,
+  getListingStatusLabel
+} from '../hooks/useListings.js';
+import { formatListingPrice } from './ListingsList.js';
+import { getUserId } from '../utils/auth.js';
+
+const inputStyle = {
+  width: '100%',
+  padding: '0.5rem',
+  border: '1px solid var(--color-primary-border)',
+  borderRadius: '0.375rem',
+  fontSize: '0.875rem',
+  color: 'var(--color-primary-text)',
+  backgroundColor: 'var(--color-primary-bg)',
+  boxSizing: 'border-box'
+};
+
+const labelStyle = {
+  display: 'block',
+  fontSize: '0.75rem',
+  fontWeight: '600',
+  textTransform: 'uppercase',
+  color: 'var(--color-secondary-text)',
+  marginBottom: '0.25rem'
+};
+
+const sectionStyle = {
+  border: '1px solid var(--color-primary-border)',
+  borderRadius: '0.5rem',
+  padding: '1.25rem',
+  backgroundColor: 'var(--color-primary-bg)'
+};
+
+const toFormState = (listing) => ({
+  address: listing.address || '',
+  suburb: listing.suburb || '',
+  status: listing.status,
+  price: listing.price ?? '',
+  bedrooms: listing.bedrooms ?? '',
+  bathrooms: listing.bathrooms ?? '',
+  description: listing.description || ''
+});
+
+const toNumberOrNull = (value) => (value === '' ? null : parseInt(value, 10));
+
+// Vendors or interested buyers linked to the listing, with a picker to link more
+const LinkedContactsSection = ({ title, role, linkedContacts, allContacts, onLink, onUnlink, onViewContact, isBusy }) => {
+  const [selectedContactId, setSelectedContactId] = useState('');
+  const linkedIds = new Set(linkedContacts.map(contact => contact.id));
+  const availableContacts = allContacts.filter(contact => !linkedIds.has(contact.id));
+
+  const handleLink = async () => {
+    if (!selectedContactId) return;
+    await onLink(selectedContactId, role);
+    setSelectedContactId('');
+  };
+
+  return (
+    <div style={sectionStyle}>
+      <h3 style={{ marginTop: 0, color: 'var(--color-primary-text)' }}>
+        {title} ({linkedContacts.length})
+      </h3>
+
+      {linkedContacts.length === 0 ? (
+        <p style={{ color: 'var(--color-secondary-text)', fontSize: '0.875rem' }}>
+          No {title.toLowerCase()} linked yet.
+        </p>
+      ) : (
+        <ul style={{ listStyle: 'none', padding: 0, margin: '0 0 1rem 0' }}>
+          {linkedContacts.map(contact => (
+            <li
+              key={contact.id}
+              style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                padding: '0.5rem 0',
+                borderBottom: '1px solid var(--color-primary-border)'
+              }}
+            >
+              <div style={{ cursor: 'pointer' }} onClick={() => onViewContact(contact.id)}>
+                <div style={{ fontWeight: '500', color: 'var(--color-primary-text)' }}>{contact.name}</div>
+                <div style={{ fontSize: '0.75rem', color: 'var(--color-secondary-text)' }}>
+                  {[contact.email, contact.phone].filter(Boolean).join(' • ')}
+                </div>
+              </div>
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => onUnlink(contact.id, role)}
+                disabled={isBusy}
+                aria-label={`Remove ${contact.name}`}
+              >
+                <X size={16} />
+              </Button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div style={{ display: 'flex', gap: '0.5rem' }}>
+        <select
+          value={selectedContactId}
+          onChange={(e) => setSelectedContactId(e.target.value)}
+          style={inputStyle}
+        >
+          <option value="">-- Select a contact --</option>
+          {availableContacts.map(contact => (
+            <option key={contact.id} value={contact.id}>{contact.name}</option>
+          ))}
+        </select>
+        <Button onClick={handleLink} disabled={!selectedContactId || isBusy}>
+          Link
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+const ListingDetailPage = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const userId = getUserId();
+
+  const { data: listing, isLoading, error } = useListing(id);
+  const { data: contactsData } = useContacts({}, 1, 1000);
+  const updateListingMutation = useUpdateListing();
+  const deleteListingMutation = useDeleteListing();
+  const linkContactMutation = useLinkListingContact();
+  const unlinkContactMutation = useUnlinkListingContact();
+
+  const [formData, setFormData] = useState(null);
+  const [formError, setFormError] = useState('');
+
+  useEffect(() => {
+    if (listing) {
+      setFormData(toFormState(listing));
+    }
+  }, [listing]);
+
+  const handleBack = () => navigate(`/dashboard/${userId}/listings`);
+  const handleViewContact = (contactId) => navigate(`/dashboard/${userId}/contacts/${contactId}`);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    setFormError('');
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!formData.address.trim()) {
+      setFormError('Address is required');
+      return;
+    }
+
+    try {
+      await updateListingMutation.mutateAsync({
+        listingId: id,
+        updates: {
+          address: formData.address.trim(),
+          suburb: formData.suburb.trim() || null,
+          status: formData.status,
+          price: toNumberOrNull(formData.price),
+          bedrooms: toNumberOrNull(formData.bedrooms),
+          bathrooms: toNumberOrNull(formData.bathrooms),
+          description: formData.description.trim() || null
+        }
+      });
+    } catch (err) {
+      setFormError(err.message);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm('Delete this listing? Linked contacts are not deleted.')) return;
+    try {
+      await deleteListingMutation.mutateAsync(id);
+      handleBack();
+    } catch (err) {
+      setFormError(err.message);
+    }
+  };
+
+  const handleLink = async (contactId, role) => {
+    try {
+      await linkContactMutation.mutateAsync({ listingId: id, contactId, role });
+    } catch (err) {
+      setFormError(err.message);
+    }
+  };
+
+  const handleUnlink = async (contactId, role) => {
+    try {
+      await unlinkContactMutation.mutateAsync({ listingId: id, contactId, role });
+    } catch (err) {
+      setFormError(err.message);
+    }
+  };
+
+  if (isLoading || (!error && !formData)) {
+    return <div style={{ padding: '2rem', color: 'var(--color-secondary-text)' }}>Loading listing...</div>;
+  }
+
+  if (error) {
+    return (
+      <div style={{ padding: '2rem', color: '#dc2626' }}>
+        <h2>Error Loading Listing</h2>
+        <p>{error.message}</p>
+        <Button variant="outline" onClick={handleBack}>Back to listings</Button>
+      </div>
+    );
+  }
+
+  const allContacts = contactsData?.contacts || [];
+  const isLinkBusy = linkContactMutation.isPending || unlinkContactMutation.isPending;
+
+  return (
+    <div style={{ padding: '1.5rem 2rem', color: 'var(--color-primary-text)' }}>
+      {/* Header */}
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1.5rem' }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '1rem' }}>
+          <Button variant="ghost" size="sm" onClick={handleBack} aria-label="Back to listings">
+            <ChevronLeft size={20} />
+          </Button>
+          <div>
+            <h1 style={{ fontSize: '1.75rem', margin: 0 }}>{listing.address}</h1>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', color: 'var(--color-secondary-text)', fontSize: '0.875rem' }}>
+              <MapPin size={14} />
+              <span>{listing.suburb || 'No suburb'}</span>
+              <span>•</span>
+              <span>{getListingStatusLabel(listing.status)}</span>
+              {listing.price !== null && listing.price !== undefined && (
+                <>
+                  <span>•</span>
+                  <span>{formatListingPrice(listing.price)}</span>
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+        <Button variant="destructive" onClick={handleDelete} disabled={deleteListingMutation.isPending}>
+          <Trash2 size={16} style={{ marginRight: 4 }} />
+          {deleteListingMutation.isPending ? 'Deleting...' : 'Delete'}
+        </Button>
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'minmax(320px, 1fr) minmax(320px, 1fr)', gap: '1.5rem' }}>
+        {/* Listing details */}
+        <form onSubmit={handleSave} style={sectionStyle}>
+          <h3 style={{ marginTop: 0 }}>Details</h3>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem' }}>
+            <div style={{ gridColumn: '1 / -1' }}>
+              <label style={labelStyle} htmlFor="address">Address *</label>
+              <input id="address" name="address" value={formData.address} onChange={handleInputChange} style={inputStyle} />
+            </div>
+            <div>
+              <label style={labelStyle} htmlFor="suburb">Suburb</label>
+              <input id="suburb" name="suburb" value={formData.suburb} onChange={handleInputChange} style={inputStyle} />
+            </div>
+            <div>
+              <label style={labelStyle} htmlFor="status">Status</label>
+              <select id="status" name="status" value={formData.status} onChange={handleInputChange} style={inputStyle}>
+                {LISTING_STATUS_OPTIONS.map(opt => (
+                  <option key={opt.value} value={opt.value}>{opt.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label style={labelStyle} htmlFor="price">Price</label>
+              <input id="price" name="price" type="number" min="0" value={formData.price} onChange={handleInputChange} style={inputStyle} />
+            </div>
+            <div style={{ display: 'flex', gap: '1rem' }}>
+              <div style={{ flex: 1 }}>
+                <label style={labelStyle} htmlFor="bedrooms">Beds</label>
+                <input id="bedrooms" name="bedrooms" type="number" min="0" value={formData.bedrooms} onChange={handleInputChange} style={inputStyle} />
+              </div>
+              <div style={{ flex: 1 }}>
+                <label style={labelStyle} htmlFor="bathrooms">Baths</label>
+                <input id="bathrooms" name="bathrooms" type="number" min="0" value={formData.bathrooms} onChange={handleInputChange} style={inputStyle} />
+              </div>
+            </div>
+            <div style={{ gridColumn: '1 / -1' }}>
+              <label style={labelStyle} htmlFor="description">Description</label>
+              <textarea id="description" name="description" rows={5} value={formData.description} onChange={handleInputChange} style={inputStyle} />
+            </div>
+          </div>
+
+          {formError && <p style={{ color: 'var(--color-error)', fontSize: '0.875rem' }}>{formError}</p>}
+
+          <div style={{ display: 'flex', justifyContent: 'flex-end', marginTop: '1rem' }}>
+            <Button type="submit" disabled={updateListingMutation.isPending}>
+              {updateListingMutation.isPending ? 'Saving...' : 'Save Changes'}
+            </Button>
+          </div>
+        </form>
+
+        {/* Linked contacts */}
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '1.5rem' }}>
+          <LinkedContactsSection
+            title="Vendors"
+            role="VENDOR"
+            linkedContacts={listing.vendors || []}
+            allContacts={allContacts}
+            onLink={handleLink}
+            onUnlink={handleUnlink}
+            onViewContact={handleViewContact}
+            isBusy={isLinkBusy}
+          />
+          <LinkedContactsSection
+            title="Interested Buyers"
+            role="BUYER"
+            linkedContacts={listing.buyers || []}
+            allContacts={allContacts}
+            onLink={handleLink}
+            onUnlink={handleUnlink}
+            onViewContact={handleViewContact}
+            isBusy={isLinkBusy}
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ListingDetailPage;
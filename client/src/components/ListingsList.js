@@ -0,0 +1,340 @@
+import React, { useState, useRef, useMemo, useEffect } from 'react';
+import {
+  useReactTable,
+  getCoreRowModel,
+  getSortedRowModel,
+  createColumnHelper
+} from '@tanstack/react-table';
+import { useVirtualizer } from '@tanstack/react-virtual';
+import {
+  DndContext,
+  closestCenter,
+  KeyboardSensor,
+  PointerSensor,
+  useSensor,
+  useSensors,
+} from '@dnd-kit/core';
+import {
+  arrayMove,
+  SortableContext,
+  sortableKeyboardCoordinates,
+  horizontalListSortingStrategy,
+} from '@dnd-kit/sortable';
+import { Table, TableBody, TableHeader, TableRow } from './ui/Table.js';
+import { DraggableHeader } from './DraggableHeader.js';
+import { DefaultCell } from './DefaultCell.js';
+import { Button } from './ui/Button.js';
+import { getListingStatusLabel } from '../hooks/useListings.js';
+import '../styles/tables/table.css';
+
+// Create column helper
+const columnHelper = createColumnHelper();
+
+const priceFormatter = new Intl.NumberFormat(undefined, {
+  style: 'currency',
+  currency: 'AUD',
+  maximumFractionDigits: 0
+});
+
+export const formatListingPrice = (price) =>
+  price === null || price === undefined ? '' : priceFormatter.format(price);
+
+// Address cell with the same integrated view button as the contacts name column
+const AddressCell = ({ info, onViewListing }) => {
+  const handleViewClick = (e) => {
+    e.stopPropagation();
+    onViewListing && onViewListing(info.row.original.id);
+  };
+
+  return (
+    <div className="name-cell-container">
+      <div className="name-cell-content" onClick={handleViewClick}>
+        <span className="name-cell-text">{info.getValue()}</span>
+      </div>
+      <Button
+        onClick={handleViewClick}
+        variant="ghost"
+        size="sm"
+        className="name-cell-view-button"
+      >
+        View
+      </Button>
+    </div>
+  );
+};
+
+const ListingsList = ({ listings = [], onViewListing }) => {
+  const [sorting, setSorting] = useState([]);
+  const [columnOrder, setColumnOrder] = useState([
+    'address', 'suburb', 'status', 'price', 'bedrooms', 'bathrooms',
+    'vendors', 'buyerCount', 'createdAt'
+  ]);
+
+  // Refs for virtualization
+  const tableContainerRef = useRef(null);
+  const outerContainerRef = useRef(null);
+
+  // Dynamic height calculation (matches ContactsList)
+  const [containerHeight, setContainerHeight] = useState('calc(100vh - 280px)');
+
+  useEffect(() => {
+    const calculateHeight = () => {
+      const headerHeight = 180;
+      const paginationHeight = 80;
+      const padding = 80;
+      const availableHeight = window.innerHeight - headerHeight - paginationHeight - padding;
+      setContainerHeight(`${Math.max(300, availableHeight)}px`);
+    };
+
+    calculateHeight();
+    window.addEventListener('resize', calculateHeight);
+
+    return () => window.removeEventListener('resize', calculateHeight);
+  }, []);
+
+  // Drag and drop sensors
+  const sensors = useSensors(
+    useSensor(PointerSensor),
+    useSensor(KeyboardSensor, {
+      coordinateGetter: sortableKeyboardCoordinates,
+    })
+  );
+
+  // Flatten the API shape into sortable row values
+  const data = useMemo(() => {
+    return listings.map(listing => ({
+      id: listing.id,
+      address: listing.address || '',
+      suburb: listing.suburb || '',
+      status: listing.status,
+      price: listing.price,
+      bedrooms: listing.bedrooms,
+      bathrooms: listing.bathrooms,
+      vendors: (listing.vendors || []).map(vendor => vendor.name).join(', '),
+      buyerCount: (listing.buyers || []).length,
+      createdAt: listing.createdAt
+    }));
+  }, [listings]);
+
+  const columns = useMemo(() => [
+    columnHelper.accessor('address', {
+      header: 'Address',
+      cell: (info) => <AddressCell info={info} onViewListing={onViewListing} />,
+      size: 260,
+      enableResizing: true,
+      enableReordering: false, // Keep the address (and its view button) first
+      enableSorting: true,
+    }),
+    columnHelper.accessor('suburb', {
+      header: 'Suburb',
+      size: 160,
+      enableResizing: true,
+      enableSorting: true,
+      enableReordering: true,
+    }),
+    columnHelper.accessor('status', {
+      header: 'Status',
+      cell: ({ getValue }) => getListingStatusLabel(getValue()),
+      size: 130,
+      enableResizing: true,
+      enableSorting: true,
+      enableReordering: true,
+    }),
+    columnHelper.accessor('price', {
+      header: 'Price',
+      cell: ({ getValue }) => formatListingPrice(getValue()),
+      size: 140,
+      enableResizing: true,
+      enableSorting: true,
+      enableReordering: true,
+      sortUndefined: 'last',
+    }),
+    columnHelper.accessor('bedrooms', {
+      header: 'Beds',
+      cell: ({ getValue }) => getValue() ?? '',
+      size: 90,
+      enableResizing: true,
+      enableSorting: true,
+      enableReordering: true,
+    }),
+    columnHelper.accessor('bathrooms', {
+      header: 'Baths',
+      cell: ({ getValue }) => getValue() ?? '',
+      size: 90,
+      enableResizing: true,
+      enableSorting: true,
+      enableReordering: true,
+    }),
+    columnHelper.accessor('vendors', {
+      header: 'Vendor',
+      size: 200,
+      enableResizing: true,
+      enableSorting: true,
+      enableReordering: true,
+    }),
+    columnHelper.accessor('buyerCount', {
+      header: 'Buyers',
+      size: 100,
+      enableResizing: true,
+      enableSorting: true,
+      enableReordering: true,
+    }),
+    columnHelper.accessor('createdAt', {
+      header: 'Created',
+      cell: ({ getValue }) => {
+        const value = getValue();
+        return value ? new Date(value).toLocaleDateString() : '';
+      },
+      size: 120,
+      enableResizing: true,
+      enableSorting: true,
+      enableReordering: true,
+    }),
+  ], [onViewListing]);
+
+  const table = useReactTable({
+    data,
+    columns,
+    columnResizeMode: "onChange",
+    columnResizeDirection: "ltr",
+    getCoreRowModel: getCoreRowModel(),
+    getSortedRowModel: getSortedRowModel(),
+    onSortingChange: setSorting,
+    onColumnOrderChange: setColumnOrder,
+    enableColumnResizing: true,
+    getRowId: (row) => String(row.id),
+    state: {
+      sorting,
+      columnOrder,
+    },
+  });
+
+  const totalTableWidth = table.getTotalSize();
+
+  // Setup virtualization for rows
+  const { rows } = table.getRowModel();
+  const rowVirtualizer = useVirtualizer({
+    count: rows.length,
+    getScrollElement: () => tableContainerRef.current,
+    estimateSize: () => 42,
+    overscan: 10,
+  });
+
+  const virtualRows = rowVirtualizer.getVirtualItems();
+
+  // Handle drag end for column reordering
+  const handleDragEnd = (event) => {
+    const { active, over } = event;
+    if (!over || active.id === over.id) return;
+
+    const activeCol = columns.find(col => col.accessorKey === active.id);
+    const overCol = columns.find(col => col.accessorKey === over.id);
+    if ((activeCol && activeCol.enableReordering === false) || (overCol && overCol.enableReordering === false)) {
+      return;
+    }
+    setColumnOrder((items) => {
+      const oldIndex = items.indexOf(active.id);
+      const newIndex = items.indexOf(over.id);
+      return arrayMove(items, oldIndex, newIndex);
+    });
+  };
+
+  const tableProps = {
+    style: {
+      width: `${totalTableWidth}px`,
+      tableLayout: "fixed",
+    },
+  };
+
+  return (
+    <div className="contacts-container">
+      <DndContext
+        sensors={sensors}
+        collisionDetection={closestCenter}
+        onDragEnd={handleDragEnd}
+      >
+        <div
+          className="table-outer-wrapper"
+          style={{ width: "100%" }}
+          ref={outerContainerRef}
+        >
+          <div style={{ width: Math.max(totalTableWidth + 10, 100) + "px" }}>
+            {/* Header Table */}
+            <div className="table-header-wrapper">
+              <Table {...tableProps}>
+                <TableHeader>
+                  {table.getHeaderGroups().map((headerGroup) => (
+                    <TableRow key={headerGroup.id} className="flex w-full">
+                      <SortableContext
+                        items={columnOrder}
+                        strategy={horizontalListSortingStrategy}
+                      >
+                        {headerGroup.headers.map((header) => (
+                          <DraggableHeader
+                            key={header.column.id}
+                            header={header}
+                            columnId={header.column.id}
+                          />
+                        ))}
+                      </SortableContext>
+                    </TableRow>
+                  ))}
+                </TableHeader>
+              </Table>
+            </div>
+
+            {/* Body Table - only vertical scrolling */}
+            <div
+              ref={tableContainerRef}
+              className="table-body-wrapper"
+              style={{
+                width: Math.max(totalTableWidth + 10, 100) + "px",
+                height: containerHeight,
+                overflowY: "auto",
+                overflowX: "hidden",
+              }}
+            >
+              <Table {...tableProps}>
+                <TableBody
+                  style={{
+                    height: `${rowVirtualizer.getTotalSize()}px`,
+                    width: "100%",
+                    position: "relative",
+                  }}
+                >
+                  {virtualRows.map((virtualItem) => {
+                    const row = rows[virtualItem.index];
+                    return (
+                      <TableRow
+                        key={virtualItem.key}
+                        className="flex w-full items-center"
+                        style={{
+                          position: 'absolute',
+                          top: 0,
+                          left: 0,
+                          height: `${virtualItem.size}px`,
+                          transform: `translateY(${virtualItem.start}px)`,
+                          width: '100%',
+                        }}
+                      >
+                        {row.getVisibleCells().map((cell) => (
+                          <DefaultCell key={cell.id} cell={cell} />
+                        ))}
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+            </div>
+          </div>
+        </div>
+      </DndContext>
+
+      <div className="table-footer">
+        {rows.length} listings
+      </div>
+    </div>
+  );
+};
+
+export default ListingsList;
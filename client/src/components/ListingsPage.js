@@ -0,0 +1,225 @@
+import React, { useState, useMemo, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import ListingsList from './ListingsList';
+import AddListingModal from './AddListingModal';
+import { useListings, useAddListing, LISTING_STATUS_OPTIONS } from '../hooks/useListings.js';
+import { getUserId } from '../utils/auth.js';
+
+const controlStyle = {
+  padding: '0.5rem',
+  border: '1px solid var(--color-primary-border)',
+  borderRadius: '0.375rem',
+  fontSize: '0.875rem',
+  color: 'var(--color-primary-text)',
+  backgroundColor: 'var(--color-primary-bg)'
+};
+
+const pageButtonStyle = (disabled) => ({
+  padding: '0.5rem 0.75rem',
+  border: '1px solid var(--color-primary-border)',
+  borderRadius: '0.375rem',
+  backgroundColor: disabled ? 'var(--color-disabled-bg)' : 'var(--color-primary-bg)',
+  color: disabled ? 'var(--color-disabled-text)' : 'var(--color-primary-text)',
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  fontSize: '0.875rem',
+  fontWeight: '500'
+});
+
+const ListingsPage = () => {
+  const navigate = useNavigate();
+
+  const [isAddModalOpen, setIsAddModalOpen] = useState(false);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [currentPage, setCurrentPage] = useState(1);
+
+  const queryFilters = useMemo(() => ({
+    search: searchTerm.trim(),
+    status: statusFilter
+  }), [searchTerm, statusFilter]);
+
+  const { data: listingsData, isLoading, error } = useListings(queryFilters, currentPage);
+  const addListingMutation = useAddListing();
+
+  const listings = listingsData?.listings || [];
+  const pagination = listingsData?.pagination || {};
+  const totalPages = Math.max(pagination.totalPages || 1, 1);
+
+  // Reset pagination when search or status changes
+  useEffect(() => {
+    setCurrentPage(1);
+  }, [searchTerm, statusFilter]);
+
+  const handleViewListing = (listingId) => {
+    const userId = getUserId();
+    if (userId && listingId) {
+      navigate(`/dashboard/${userId}/listings/${listingId}`);
+    }
+  };
+
+  const handleAddListing = async (newListing) => {
+    await addListingMutation.mutateAsync(newListing);
+  };
+
+  if (error) {
+    return (
+      <div style={{
+        padding: '2rem',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        height: '400px',
+        color: '#dc2626',
+        textAlign: 'center'
+      }}>
+        <div>
+          <h2>Error Loading Listings</h2>
+          <p>{error.message}</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div style={{
+      height: '100%',
+      display: 'flex',
+      flexDirection: 'column',
+      overflow: 'hidden'
+    }}>
+      {/* Header with title */}
+      <div style={{
+        padding: '15px 2rem 0 2rem',
+        backgroundColor: 'var(--color-primary-bg)',
+        flexShrink: 0,
+        display: 'flex',
+        alignItems: 'center',
+        gap: '1rem'
+      }}>
+        <h1 style={{ fontSize: '2rem', fontWeight: 'bold', margin: 0, color: 'var(--color-primary-text)' }}>
+          Listings
+        </h1>
+        <span style={{
+          fontSize: '0.875rem',
+          color: 'var(--color-secondary-text)',
+          backgroundColor: 'var(--color-table-row-hover)',
+          padding: '0.25rem 0.5rem',
+          borderRadius: '0.375rem'
+        }}>
+          {pagination.total || 0} total listings
+        </span>
+      </div>
+
+      {/* Controls section directly above table */}
+      <div style={{
+        padding: '20px 2rem',
+        backgroundColor: 'var(--color-primary-bg)',
+        flexShrink: 0,
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        gap: '1rem'
+      }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '1rem' }}>
+          <input
+            type="text"
+            placeholder="Search address or suburb..."
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            style={{ ...controlStyle, width: '300px' }}
+          />
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            style={controlStyle}
+          >
+            <option value="">All statuses</option>
+            {LISTING_STATUS_OPTIONS.map(opt => (
+              <option key={opt.value} value={opt.value}>{opt.label}</option>
+            ))}
+          </select>
+        </div>
+
+        <button
+          onClick={() => setIsAddModalOpen(true)}
+          style={{
+            padding: '0.5rem 1rem',
+            border: 'none',
+            borderRadius: '0.375rem',
+            backgroundColor: 'var(--color-button-primary-bg)',
+            color: 'var(--color-button-primary-text)',
+            cursor: 'pointer',
+            fontSize: '0.875rem',
+            fontWeight: '500'
+          }}
+          disabled={addListingMutation.isPending}
+        >
+          {addListingMutation.isPending ? 'Adding...' : 'Add Listing'}
+        </button>
+      </div>
+
+      {/* Table */}
+      <div style={{
+        flex: 1,
+        overflow: 'hidden',
+        display: 'flex',
+        flexDirection: 'column',
+        minHeight: 0,
+        padding: '0 2rem'
+      }}>
+        {isLoading ? (
+          <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--color-secondary-text)' }}>
+            Loading listings...
+          </div>
+        ) : listings.length > 0 ? (
+          <ListingsList listings={listings} onViewListing={handleViewListing} />
+        ) : (
+          <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--color-secondary-text)' }}>
+            <h3>No listings found</h3>
+            <p>Try adjusting your filters or add a listing to get started.</p>
+          </div>
+        )}
+      </div>
+
+      {/* Pagination */}
+      {totalPages > 1 && (
+        <div style={{
+          padding: '1rem 2rem',
+          borderTop: '1px solid var(--color-secondary-border)',
+          backgroundColor: 'var(--color-table-header-bg)',
+          display: 'flex',
+          justifyContent: 'center',
+          alignItems: 'center',
+          gap: '1rem',
+          flexShrink: 0
+        }}>
+          <button
+            onClick={() => setCurrentPage(page => page - 1)}
+            disabled={currentPage <= 1}
+            style={pageButtonStyle(currentPage <= 1)}
+          >
+            ← Prev
+          </button>
+          <span style={{ fontSize: '0.875rem', color: 'var(--color-primary-text)' }}>
+            Page {currentPage} of {totalPages}
+          </span>
+          <button
+            onClick={() => setCurrentPage(page => page + 1)}
+            disabled={currentPage >= totalPages}
+            style={pageButtonStyle(currentPage >= totalPages)}
+          >
+            Next →
+          </button>
+        </div>
+      )}
+
+      <AddListingModal
+        isOpen={isAddModalOpen}
+        onClose={() => setIsAddModalOpen(false)}
+        onAddListing={handleAddListing}
+      />
+    </div>
+  );
+};
+
+export default ListingsPage;
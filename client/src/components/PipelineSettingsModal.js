@@ -0,0 +1,243 @@
+import React, { useState, useEffect } from 'react';
+import { ChevronDown, ChevronUp, Plus, Trash2, X } from 'lucide-react';
+import {
+  useRenamePipeline,
+  useDeletePipeline,
+  useAddStage,
+  useRenameStage,
+  useDeleteStage,
+  useReorderStages
+} from '../hooks/useDeals';
+import '../styles/forms/sideform.css';
+
+const iconButtonStyle = {
+  border: 'none',
+  background: 'transparent',
+  cursor: 'pointer',
+  color: 'var(--color-secondary-text)',
+  padding: '0.25rem',
+  display: 'flex',
+  alignItems: 'center'
+};
+
+// Stage name input that saves when it loses focus
+const StageNameInput = ({ stage, onRename }) => {
+  const [name, setName] = useState(stage.name);
+
+  useEffect(() => {
+    setName(stage.name);
+  }, [stage.name]);
+
+  const handleBlur = () => {
+    const trimmed = name.trim();
+    if (!trimmed) {
+      setName(stage.name);
+    } else if (trimmed !== stage.name) {
+      onRename(stage.id, trimmed);
+    }
+  };
+
+  return (
+    <input
+      value={name}
+      onChange={(e) => setName(e.target.value)}
+      onBlur={handleBlur}
+      onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+      aria-label="Stage name"
+      style={{ flex: 1 }}
+    />
+  );
+};
+
+/**
+ * PipelineSettingsModal Component
+ *
+ * Slide-in panel for renaming a pipeline and adding, renaming, reordering and deleting its stages.
+ *
+ * Props:
+ * - isOpen: Boolean indicating if modal should be displayed
+ * - onClose: Function called when modal should be closed
+ * - pipeline: The pipeline being edited
+ * - onPipelineDeleted: Called after the pipeline is deleted
+ */
+const PipelineSettingsModal = ({ isOpen, onClose, pipeline, onPipelineDeleted }) => {
+  const [pipelineName, setPipelineName] = useState('');
+  const [newStageName, setNewStageName] = useState('');
+  const [error, setError] = useState('');
+
+  const renamePipeline = useRenamePipeline();
+  const deletePipeline = useDeletePipeline();
+  const addStage = useAddStage();
+  const renameStage = useRenameStage();
+  const deleteStage = useDeleteStage();
+  const reorderStages = useReorderStages();
+
+  // Animation state for slide-in effect
+  const [animationState, setAnimationState] = useState('entering');
+  const [shouldRender, setShouldRender] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setShouldRender(true);
+      const timer = setTimeout(() => {
+        setAnimationState('entered');
+      }, 10);
+      return () => clearTimeout(timer);
+    } else if (shouldRender) {
+      setAnimationState('exiting');
+      const timer = setTimeout(() => {
+        setShouldRender(false);
+        setAnimationState('entering');
+      }, 300); // Match the CSS transition duration
+      return () => clearTimeout(timer);
+    }
+  }, [isOpen, shouldRender]);
+
+  useEffect(() => {
+    setPipelineName(pipeline?.name || '');
+    setError('');
+  }, [pipeline?.id, pipeline?.name]);
+
+  if ((!shouldRender && !isOpen) || !pipeline) return null;
+
+  const stages = pipeline.stages || [];
+
+  const run = async (mutation, variables) => {
+    setError('');
+    try {
+      return await mutation.mutateAsync(variables);
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
+  };
+
+  const handlePipelineNameBlur = () => {
+    const trimmed = pipelineName.trim();
+    if (!trimmed) {
+      setPipelineName(pipeline.name);
+    } else if (trimmed !== pipeline.name) {
+      run(renamePipeline, { pipelineId: pipeline.id, name: trimmed });
+    }
+  };
+
+  const handleMoveStage = (index, direction) => {
+    const stageIds = stages.map(stage => stage.id);
+    const target = index + direction;
+    if (target < 0 || target >= stageIds.length) return;
+    [stageIds[index], stageIds[target]] = [stageIds[target], stageIds[index]];
+    run(reorderStages, { pipelineId: pipeline.id, stageIds });
+  };
+
+  const handleAddStage = async (e) => {
+    e.preventDefault();
+    const name = newStageName.trim();
+    if (!name) return;
+    const created = await run(addStage, { pipelineId: pipeline.id, name });
+    if (created) setNewStageName('');
+  };
+
+  const handleDeletePipeline = async () => {
+    if (!window.confirm(`Delete "${pipeline.name}" and all of its deals?`)) return;
+    const deleted = await run(deletePipeline, pipeline.id);
+    if (deleted) {
+      onPipelineDeleted && onPipelineDeleted();
+      onClose();
+    }
+  };
+
+  const handleOverlayClick = (e) => {
+    if (e.target === e.currentTarget && animationState !== 'exiting') {
+      onClose();
+    }
+  };
+
+  return (
+    <div className={`modal-overlay ${animationState}`} onClick={handleOverlayClick}>
+      <div className={`modal-content ${animationState}`}>
+        <div className="modal-header">
+          <h2>Pipeline Settings</h2>
+          <button
+            onClick={onClose}
+            className="modal-close-button"
+            type="button"
+            aria-label="Close modal"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="contact-form">
+          <div className="form-group">
+            <label htmlFor="pipelineName">Pipeline Name</label>
+            <input
+              id="pipelineName"
+              value={pipelineName}
+              onChange={(e) => setPipelineName(e.target.value)}
+              onBlur={handlePipelineNameBlur}
+              onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Stages</label>
+            {stages.map((stage, index) => (
+              <div key={stage.id} style={{ display: 'flex', alignItems: 'center', gap: '0.25rem', marginBottom: '0.5rem' }}>
+                <StageNameInput
+                  stage={stage}
+                  onRename={(stageId, name) => run(renameStage, { pipelineId: pipeline.id, stageId, name })}
+                />
+                <button type="button" style={iconButtonStyle} onClick={() => handleMoveStage(index, -1)} disabled={index === 0} aria-label="Move stage up">
+                  <ChevronUp size={16} />
+                </button>
+                <button type="button" style={iconButtonStyle} onClick={() => handleMoveStage(index, 1)} disabled={index === stages.length - 1} aria-label="Move stage down">
+                  <ChevronDown size={16} />
+                </button>
+                <button
+                  type="button"
+                  style={iconButtonStyle}
+                  onClick={() => run(deleteStage, { pipelineId: pipeline.id, stageId: stage.id })}
+                  aria-label="Delete stage"
+                >
+                  <Trash2 size={16} />
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <form onSubmit={handleAddStage} className="form-group" style={{ display: 'flex', gap: '0.5rem' }}>
+            <input
+              value={newStageName}
+              onChange={(e) => setNewStageName(e.target.value)}
+              placeholder="New stage name"
+              style={{ flex: 1 }}
+            />
+            <button type="submit" className="save-button" disabled={!newStageName.trim() || addStage.isPending}>
+              <Plus size={16} style={{ marginRight: 4 }} />
+              Add
+            </button>
+          </form>
+
+          {error && <div className="error-text">{error}</div>}
+
+          <div className="form-actions">
+            <button
+              type="button"
+              onClick={handleDeletePipeline}
+              className="cancel-button"
+              style={{ color: 'var(--color-error)' }}
+              disabled={deletePipeline.isPending}
+            >
+              Delete Pipeline
+            </button>
+            <button type="button" onClick={onClose} className="save-button">
+              Done
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PipelineSettingsModal;
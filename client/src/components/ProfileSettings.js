@@ -1,16 +1,15 @@
 import React, { useState, useRef } from 'react';
 import { Camera, User } from 'lucide-react';
 import { useUpdateDisplayName, useUpdateProfileImage } from '../hooks/useUserSettings';
-import { generateInitials } from '../utils/userUtils';
+import { generateInitials, getProfileImageSrc } from '../utils/userUtils';
 
 const MAX_LENGTH = 50;
-const MAX_IMAGE_SIZE = 2 * 1024 * 1024; // 2MB
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024; // 5MB
 
 const ProfileSettings = ({ user }) => {
   const [displayName, setDisplayName] = useState(user?.displayName || '');
   const [jobTitle, setJobTitle] = useState(user?.jobTitle || '');
-  const [profileImage, setProfileImage] = useState(user?.profileImage || null);
-  const [imagePreview, setImagePreview] = useState(user?.profileImage || null);
+  const [imagePreview, setImagePreview] = useState(getProfileImageSrc(user?.profileImageUrl));
   const [errors, setErrors] = useState({});
   const [success, setSuccess] = useState('');
   const fileInputRef = useRef();
@@ -46,22 +45,22 @@ const ProfileSettings = ({ user }) => {
       return;
     }
     if (file.size > MAX_IMAGE_SIZE) {
-      setErrors({ image: 'Image must be under 2MB' });
+      setErrors({ image: 'Image must be under 5MB' });
       return;
     }
-    const reader = new FileReader();
-    reader.onloadend = async () => {
-      const base64 = reader.result;
-      setImagePreview(base64);
-      try {
-        await updateProfileImageMutation.mutateAsync({ profileImage: base64 });
-        setProfileImage(base64);
-        setSuccess('Profile image updated!');
-      } catch (err) {
-        setErrors({ image: err.message || 'Image upload failed' });
-      }
-    };
-    reader.readAsDataURL(file);
+    const previousPreview = imagePreview;
+    const localPreview = URL.createObjectURL(file);
+    setImagePreview(localPreview);
+    try {
+      const data = await updateProfileImageMutation.mutateAsync({ file });
+      setImagePreview(getProfileImageSrc(data.user.profileImageUrl));
+      setSuccess('Profile image updated!');
+    } catch (err) {
+      setImagePreview(previousPreview);
+      setErrors({ image: err.message || 'Image upload failed' });
+    } finally {
+      URL.revokeObjectURL(localPreview);
+    }
   };
 
   // Remove profile image
@@ -69,8 +68,7 @@ const ProfileSettings = ({ user }) => {
     setErrors({});
     setSuccess('');
     try {
-      await updateProfileImageMutation.mutateAsync({ profileImage: null });
-      setProfileImage(null);
+      await updateProfileImageMutation.mutateAsync({ file: null });
       setImagePreview(null);
       setSuccess('Profile image removed');
       if (fileInputRef.current) fileInputRef.current.value = '';
@@ -129,13 +127,13 @@ const ProfileSettings = ({ user }) => {
             <input
               id="profile-upload"
               type="file"
-              accept="image/jpeg,image/png"
+              accept="image/jpeg,image/png,image/gif,image/webp"
               onChange={handleImageChange}
               ref={fileInputRef}
               style={{ display: 'none' }}
             />
             <div style={{ color: '#888', fontSize: 14, marginTop: 10 }}>
-              Max 2MB. JPG, PNG, GIF, BMP, or WEBP allowed.
+              Max 5MB. JPG, PNG, GIF or WEBP allowed.
             </div>
             {imagePreview && (
               <button
@@ -0,0 +1,276 @@
+import React, { useState } from 'react';
+import {
+  DndContext,
+  closestCenter,
+  KeyboardSensor,
+  PointerSensor,
+  useSensor,
+  useSensors,
+} from '@dnd-kit/core';
+import {
+  arrayMove,
+  SortableContext,
+  sortableKeyboardCoordinates,
+  horizontalListSortingStrategy,
+  useSortable,
+} from '@dnd-kit/sortable';
+import { CSS } from '@dnd-kit/utilities';
+import { Pencil, Share2, Trash2, X } from 'lucide-react';
+import {
+  useCreateSavedView,
+  useUpdateSavedView,
+  useDeleteSavedView,
+  useShareSavedView,
+  useUnshareSavedView,
+  useReorderSavedViews,
+} from '../hooks/useSavedViews.js';
+import { ASSIGNED_TO_ME_FILTER } from './ContactFilterBuilder.js';
+
+export const ALL_CONTACTS_VIEW_ID = 'all';
+
+// Built-in tab with the contacts assigned to whoever is looking; it uses the "All contacts" layout
+export const ASSIGNED_TO_ME_VIEW = {
+  id: 'assigned-to-me',
+  name: 'Assigned to me',
+  isBuiltIn: true,
+  filters: [ASSIGNED_TO_ME_FILTER]
+};
+
+const tabStyle = (isActive) => ({
+  padding: '0.5rem 0.875rem',
+  border: 'none',
+  borderBottom: `2px solid ${isActive ? 'var(--color-button-primary-bg)' : 'transparent'}`,
+  backgroundColor: 'transparent',
+  color: isActive ? 'var(--color-primary-text)' : 'var(--color-secondary-text)',
+  fontSize: '0.875rem',
+  fontWeight: isActive ? 600 : 500,
+  cursor: 'pointer',
+  whiteSpace: 'nowrap',
+  display: 'flex',
+  alignItems: 'center',
+  gap: '0.375rem'
+});
+
+const actionButtonStyle = {
+  padding: '0.25rem 0.5rem',
+  border: '1px solid var(--color-primary-border)',
+  borderRadius: '0.375rem',
+  backgroundColor: 'var(--color-button-secondary-bg)',
+  color: 'var(--color-button-secondary-text)',
+  fontSize: '0.8125rem',
+  cursor: 'pointer',
+  display: 'flex',
+  alignItems: 'center',
+  gap: '0.25rem',
+  whiteSpace: 'nowrap'
+};
+
+const iconButtonStyle = {
+  padding: '0.25rem',
+  border: 'none',
+  backgroundColor: 'transparent',
+  color: 'var(--color-secondary-text)',
+  cursor: 'pointer',
+  display: 'flex',
+  alignItems: 'center'
+};
+
+const SortableViewTab = ({ view, isActive, onSelect }) => {
+  const { attributes, listeners, setNodeRef, transform, transition, isDragging } = useSortable({ id: view.id });
+
+  return (
+    <button
+      ref={setNodeRef}
+      type="button"
+      onClick={() => onSelect(view)}
+      title={view.isOwner ? undefined : `Shared by ${view.owner.displayName || view.owner.email}`}
+      style={{
+        ...tabStyle(isActive),
+        transform: CSS.Transform.toString(transform),
+        transition,
+        opacity: isDragging ? 0.5 : 1
+      }}
+      {...attributes}
+      {...listeners}
+    >
+      {!view.isOwner && <Share2 size={12} />}
+      {view.name}
+    </button>
+  );
+};
+
+/**
+ * Tabs for the built-in "All contacts" and "Assigned to me" views and the user's saved views. Tabs can be dragged to
+ * reorder them; the active view can be saved, renamed, shared or deleted from the actions on the right.
+ * `currentLayout` is what "Save" writes: { search, filters, sorting, columnOrder, columnVisibility, columnSizing }.
+ */
+const SavedViewTabs = ({ views, activeView, currentLayout, isDirty, onSelect }) => {
+  const [actionError, setActionError] = useState('');
+  const createView = useCreateSavedView();
+  const updateView = useUpdateSavedView();
+  const deleteView = useDeleteSavedView();
+  const shareView = useShareSavedView();
+  const unshareView = useUnshareSavedView();
+  const reorderViews = useReorderSavedViews();
+  const savedView = activeView?.isBuiltIn ? null : activeView;
+
+  const sensors = useSensors(
+    useSensor(PointerSensor, { activationConstraint: { distance: 5 } }),
+    useSensor(KeyboardSensor, { coordinateGetter: sortableKeyboardCoordinates })
+  );
+
+  const runAction = async (action) => {
+    setActionError('');
+    try {
+      return await action();
+    } catch (err) {
+      setActionError(err.message);
+      return null;
+    }
+  };
+
+  const handleDragEnd = ({ active, over }) => {
+    if (!over || active.id === over.id) return;
+    const ids = views.map(view => view.id);
+    reorderViews.mutate(arrayMove(ids, ids.indexOf(active.id), ids.indexOf(over.id)), {
+      onError: (err) => setActionError(err.message)
+    });
+  };
+
+  const handleSaveAs = async () => {
+    const name = window.prompt('Name for the new view', activeView ? `${activeView.name} (copy)` : '');
+    if (!name || !name.trim()) return;
+    const created = await runAction(() => createView.mutateAsync({ ...currentLayout, name: name.trim() }));
+    if (created) onSelect(created);
+  };
+
+  const handleSave = () => runAction(() => updateView.mutateAsync({ viewId: activeView.id, updates: currentLayout }));
+
+  const handleRename = () => {
+    const name = window.prompt('Rename view', activeView.name);
+    if (!name || !name.trim() || name.trim() === activeView.name) return;
+    runAction(() => updateView.mutateAsync({ viewId: activeView.id, updates: { name: name.trim() } }));
+  };
+
+  const handleShare = () => {
+    const email = window.prompt(`Share "${activeView.name}" with (email address)`);
+    if (!email || !email.trim()) return;
+    runAction(() => shareView.mutateAsync({ viewId: activeView.id, email: email.trim() }));
+  };
+
+  const handleDelete = async () => {
+    const message = activeView.isOwner
+      ? `Delete the view "${activeView.name}"?${activeView.sharedWith.length > 0 ? ' It will also disappear for everyone it is shared with.' : ''}`
+      : `Remove "${activeView.name}" from your tabs?`;
+    if (!window.confirm(message)) return;
+    const result = await runAction(() => deleteView.mutateAsync(activeView.id));
+    if (result) onSelect(null);
+  };
+
+  const isSaving = createView.isPending || updateView.isPending;
+
+  return (
+    <div style={{ marginBottom: '0.75rem' }}>
+      <div style={{
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        gap: '1rem',
+        borderBottom: '1px solid var(--color-secondary-border)'
+      }}>
+        <div style={{ display: 'flex', alignItems: 'center', overflowX: 'auto', minWidth: 0 }}>
+          <button type="button" onClick={() => onSelect(null)} style={tabStyle(!activeView)}>
+            All contacts
+          </button>
+          <button
+            type="button"
+            onClick={() => onSelect(ASSIGNED_TO_ME_VIEW)}
+            style={tabStyle(activeView?.id === ASSIGNED_TO_ME_VIEW.id)}
+          >
+            {ASSIGNED_TO_ME_VIEW.name}
+          </button>
+          <DndContext sensors={sensors} collisionDetection={closestCenter} onDragEnd={handleDragEnd}>
+            <SortableContext items={views.map(view => view.id)} strategy={horizontalListSortingStrategy}>
+              {views.map(view => (
+                <SortableViewTab
+                  key={view.id}
+                  view={view}
+                  isActive={activeView?.id === view.id}
+                  onSelect={onSelect}
+                />
+              ))}
+            </SortableContext>
+          </DndContext>
+        </div>
+
+        <div style={{ display: 'flex', alignItems: 'center', gap: '0.375rem', paddingBottom: '0.25rem' }}>
+          {isDirty && activeView?.isOwner && (
+            <button type="button" onClick={handleSave} disabled={isSaving} style={actionButtonStyle}>
+              {updateView.isPending ? 'Saving...' : 'Save view'}
+            </button>
+          )}
+          {isDirty && (
+            <button type="button" onClick={handleSaveAs} disabled={isSaving} style={actionButtonStyle}>
+              {activeView ? 'Save as new view' : 'Save as view'}
+            </button>
+          )}
+          {activeView?.isOwner && (
+            <>
+              <button type="button" onClick={handleRename} style={iconButtonStyle} title="Rename view" aria-label="Rename view">
+                <Pencil size={14} />
+              </button>
+              <button type="button" onClick={handleShare} style={iconButtonStyle} title="Share view" aria-label="Share view">
+                <Share2 size={14} />
+              </button>
+            </>
+          )}
+          {savedView && (
+            <button
+              type="button"
+              onClick={handleDelete}
+              style={iconButtonStyle}
+              title={activeView.isOwner ? 'Delete view' : 'Remove from my tabs'}
+              aria-label={activeView.isOwner ? 'Delete view' : 'Remove from my tabs'}
+            >
+              {activeView.isOwner ? <Trash2 size={14} /> : <X size={14} />}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {activeView?.isOwner && activeView.sharedWith.length > 0 && (
+        <div style={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: '0.375rem', marginTop: '0.5rem', fontSize: '0.75rem', color: 'var(--color-secondary-text)' }}>
+          Shared with:
+          {activeView.sharedWith.map(user => (
+            <span
+              key={user.id}
+              style={{ display: 'flex', alignItems: 'center', gap: '0.25rem', padding: '0.125rem 0.375rem', borderRadius: '0.375rem', backgroundColor: 'var(--color-table-row-hover)' }}
+            >
+              {user.displayName || user.email}
+              <button
+                type="button"
+                onClick={() => runAction(() => unshareView.mutateAsync({ viewId: activeView.id, userId: user.id }))}
+                style={{ ...iconButtonStyle, padding: 0 }}
+                aria-label={`Stop sharing with ${user.email}`}
+              >
+                <X size={12} />
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+
+      {!savedView?.isOwner && savedView && (
+        <div style={{ marginTop: '0.5rem', fontSize: '0.75rem', color: 'var(--color-secondary-text)' }}>
+          Shared by {activeView.owner.displayName || activeView.owner.email}. Changes you make here can be saved as a new view.
+        </div>
+      )}
+
+      {actionError && (
+        <div style={{ marginTop: '0.5rem', fontSize: '0.8125rem', color: '#dc2626' }}>{actionError}</div>
+      )}
+    </div>
+  );
+};
+
+export default SavedViewTabs;
@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Monitor, Smartphone } from 'lucide-react';
+import { useSessions, useRevokeSession } from '../hooks/useUserSettings';
+import { logout } from '../utils/auth';
+
+// Rough "Browser on OS" label from a user-agent string
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = /Edg\//.test(userAgent) ? 'Edge'
+    : /OPR\//.test(userAgent) ? 'Opera'
+    : /Firefox\//.test(userAgent) ? 'Firefox'
+    : /Chrome\//.test(userAgent) ? 'Chrome'
+    : /Safari\//.test(userAgent) ? 'Safari'
+    : 'Unknown browser';
+
+  const os = /iPhone|iPad/.test(userAgent) ? 'iOS'
+    : /Android/.test(userAgent) ? 'Android'
+    : /Windows/.test(userAgent) ? 'Windows'
+    : /Mac OS X|Macintosh/.test(userAgent) ? 'macOS'
+    : /Linux/.test(userAgent) ? 'Linux'
+    : 'unknown OS';
+
+  return `${browser} on ${os}`;
+};
+
+const isMobile = (userAgent) => /Mobile|iPhone|iPad|Android/.test(userAgent || '');
+
+const formatDateTime = (value) => new Date(value).toLocaleString(undefined, {
+  dateStyle: 'medium',
+  timeStyle: 'short'
+});
+
+const SessionsSettings = () => {
+  const navigate = useNavigate();
+  const { data: sessions = [], isLoading, error } = useSessions();
+  const revokeSessionMutation = useRevokeSession();
+  const [revokeError, setRevokeError] = useState('');
+
+  const handleRevoke = async (session) => {
+    const message = session.current
+      ? 'This will sign you out of this device. Continue?'
+      : `Sign out ${describeDevice(session.userAgent)}?`;
+    if (!window.confirm(message)) return;
+
+    setRevokeError('');
+    try {
+      await revokeSessionMutation.mutateAsync(session.id);
+      if (session.current) {
+        await logout();
+        navigate('/login');
+      }
+    } catch (err) {
+      setRevokeError(err.message || 'Failed to revoke session');
+    }
+  };
+
+  return (
+    <div className="card mb-4">
+      <div className="card-header">
+        <h5 className="card-title mb-0">
+          <Monitor size={20} className="me-2" />
+          Active Sessions
+        </h5>
+      </div>
+      <div className="card-body">
+        <p className="text-muted small">
+          Devices currently signed in to your account. Signing out a device ends its session within 15 minutes.
+        </p>
+
+        {isLoading && <div>Loading sessions...</div>}
+        {error && <div className="text-danger">{error.message}</div>}
+        {!isLoading && !error && sessions.length === 0 && (
+          <div className="text-muted">No active sessions.</div>
+        )}
+
+        {sessions.map(session => (
+          <div
+            key={session.id}
+            className="d-flex align-items-center justify-content-between py-2"
+            style={{ borderBottom: '1px solid var(--color-primary-border)', gap: '1rem' }}
+          >
+            <div className="d-flex align-items-center" style={{ gap: '0.75rem' }}>
+              {isMobile(session.userAgent) ? <Smartphone size={20} /> : <Monitor size={20} />}
+              <div>
+                <div className="fw-bold" title={session.userAgent || undefined}>
+                  {describeDevice(session.userAgent)}
+                  {session.current && <span className="badge bg-success ms-2">This device</span>}
+                </div>
+                <div className="text-muted small">
+                  {session.ipAddress || 'Unknown IP'}
+                  {' · '}Signed in {formatDateTime(session.createdAt)}
+                  {' · '}Last used {formatDateTime(session.lastUsedAt)}
+                </div>
+              </div>
+            </div>
+            <button
+              type="button"
+              className="btn btn-outline-danger btn-sm"
+              onClick={() => handleRevoke(session)}
+              disabled={revokeSessionMutation.isPending}
+            >
+              Sign out
+            </button>
+          </div>
+        ))}
+
+        {revokeError && <div className="text-danger mt-2">{revokeError}</div>}
+      </div>
+    </div>
+  );
+};
+
+export default SessionsSettings;
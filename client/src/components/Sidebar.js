@@ -1,5 +1,5 @@
 import React from 'react';
-import { Users, CheckCircle, PanelLeftOpen, PanelLeftClose, Home, Store, Banknote, Binoculars, ChartPie } from 'lucide-react';
+import { Users, CheckCircle, PanelLeftOpen, PanelLeftClose, Home, Store, Banknote, Binoculars, ChartPie, LayoutDashboard } from 'lucide-react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { getUserId } from '../utils/auth.js';
 
@@ -35,6 +35,16 @@ const Sidebar = ({ isCollapsed, onToggleCollapse }) => {
       {/* Navigation */}
       <nav className="sidebar-nav">
         <ul>
+          <li>
+            <button
+              className={`nav-item${location.pathname.replace(/\/$/, '') === `/dashboard/${userId}` ? ' active' : ''}`}
+              onClick={() => navigate(`/dashboard/${userId}`)}
+              title={isCollapsed ? 'Dashboard' : ''}
+            >
+              <LayoutDashboard className="sidebar-icon" size={20} />
+              {!isCollapsed && <span>Dashboard</span>}
+            </button>
+          </li>
           <li>
             <button 
               className={`nav-item${location.pathname.includes('/contacts') ? ' active' : ''}`}
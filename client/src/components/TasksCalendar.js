@@ -0,0 +1,160 @@
+import React, { useMemo } from 'react';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const PRIORITY_COLORS = {
+  LOW: 'var(--color-secondary-text)',
+  MEDIUM: '#2563eb',
+  HIGH: '#d97706',
+  URGENT: '#dc2626'
+};
+
+const dayKey = (date) => `${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`;
+
+// First visible day (a Monday) through six full weeks
+const buildMonthGrid = (month) => {
+  const first = new Date(month.getFullYear(), month.getMonth(), 1);
+  const offset = (first.getDay() + 6) % 7; // Monday-based
+  const start = new Date(first.getFullYear(), first.getMonth(), 1 - offset);
+  return Array.from({ length: 42 }, (_, index) =>
+    new Date(start.getFullYear(), start.getMonth(), start.getDate() + index)
+  );
+};
+
+const navButtonStyle = {
+  border: '1px solid var(--color-primary-border)',
+  borderRadius: '0.375rem',
+  background: 'var(--color-primary-bg)',
+  color: 'var(--color-primary-text)',
+  cursor: 'pointer',
+  padding: '0.25rem 0.5rem',
+  display: 'flex',
+  alignItems: 'center'
+};
+
+/**
+ * TasksCalendar Component
+ *
+ * Month grid with each task placed on its due date.
+ *
+ * Props:
+ * - month: Any date within the month to display
+ * - tasks: Tasks due within the month
+ * - onMonthChange: Called with a date in the previous/next month
+ * - onTaskClick: Called with a task when its chip is clicked
+ */
+const TasksCalendar = ({ month, tasks = [], onMonthChange, onTaskClick }) => {
+  const days = useMemo(() => buildMonthGrid(month), [month]);
+  const todayKey = dayKey(new Date());
+
+  const tasksByDay = useMemo(() => {
+    const grouped = {};
+    tasks.forEach(task => {
+      if (!task.dueDate) return;
+      const key = dayKey(new Date(task.dueDate));
+      (grouped[key] = grouped[key] || []).push(task);
+    });
+    return grouped;
+  }, [tasks]);
+
+  const shiftMonth = (delta) => onMonthChange(new Date(month.getFullYear(), month.getMonth() + delta, 1));
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', height: '100%' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', marginBottom: '0.75rem' }}>
+        <button type="button" style={navButtonStyle} onClick={() => shiftMonth(-1)} aria-label="Previous month">
+          <ChevronLeft size={16} />
+        </button>
+        <h3 style={{ margin: 0, minWidth: '10rem', textAlign: 'center', color: 'var(--color-primary-text)' }}>
+          {month.toLocaleDateString(undefined, { month: 'long', year: 'numeric' })}
+        </h3>
+        <button type="button" style={navButtonStyle} onClick={() => shiftMonth(1)} aria-label="Next month">
+          <ChevronRight size={16} />
+        </button>
+        <button type="button" style={navButtonStyle} onClick={() => onMonthChange(new Date())}>
+          Today
+        </button>
+      </div>
+
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: 'repeat(7, 1fr)',
+        gridAutoRows: 'minmax(96px, 1fr)',
+        border: '1px solid var(--color-primary-border)',
+        borderRadius: '0.5rem',
+        overflow: 'hidden',
+        flex: 1
+      }}>
+        {WEEKDAYS.map(day => (
+          <div
+            key={day}
+            style={{
+              padding: '0.5rem',
+              fontSize: '0.75rem',
+              fontWeight: '600',
+              color: 'var(--color-secondary-text)',
+              backgroundColor: 'var(--color-table-header-bg)',
+              borderBottom: '1px solid var(--color-primary-border)',
+              minHeight: 0
+            }}
+          >
+            {day}
+          </div>
+        ))}
+        {days.map(day => {
+          const key = dayKey(day);
+          const dayTasks = tasksByDay[key] || [];
+          const inMonth = day.getMonth() === month.getMonth();
+
+          return (
+            <div
+              key={key}
+              style={{
+                padding: '0.25rem',
+                borderRight: '1px solid var(--color-primary-border)',
+                borderBottom: '1px solid var(--color-primary-border)',
+                backgroundColor: inMonth ? 'var(--color-primary-bg)' : 'var(--color-table-row-hover)',
+                overflow: 'hidden'
+              }}
+            >
+              <div style={{
+                fontSize: '0.75rem',
+                fontWeight: key === todayKey ? '700' : '500',
+                color: key === todayKey ? 'var(--color-accent)' : inMonth ? 'var(--color-primary-text)' : 'var(--color-disabled-text)',
+                marginBottom: '0.25rem'
+              }}>
+                {day.getDate()}
+              </div>
+              {dayTasks.map(task => (
+                <div
+                  key={task.id}
+                  onClick={() => onTaskClick && onTaskClick(task)}
+                  title={`${task.title}${task.contact ? ` — ${task.contact.name}` : ''}`}
+                  style={{
+                    fontSize: '0.7rem',
+                    padding: '0.125rem 0.25rem',
+                    marginBottom: '0.125rem',
+                    borderRadius: '0.25rem',
+                    borderLeft: `3px solid ${PRIORITY_COLORS[task.priority] || PRIORITY_COLORS.MEDIUM}`,
+                    backgroundColor: 'var(--color-table-row-hover)',
+                    color: 'var(--color-primary-text)',
+                    whiteSpace: 'nowrap',
+                    overflow: 'hidden',
+                    textOverflow: 'ellipsis',
+                    cursor: 'pointer',
+                    textDecoration: task.status === 'COMPLETED' ? 'line-through' : 'none'
+                  }}
+                >
+                  {task.title}
+                </div>
+              ))}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default TasksCalendar;
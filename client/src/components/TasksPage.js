@@ -0,0 +1,381 @@
+import React, { useState, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { CalendarDays, List } from 'lucide-react';
+import { Checkbox } from './ui/Checkbox.js';
+import TasksCalendar from './TasksCalendar';
+import { useTasks, useUpdateTask, useBulkUpdateTasks } from '../hooks/useTasks.js';
+import { useContacts } from '../hooks/useContacts.js';
+import { getUserId } from '../utils/auth.js';
+
+const STATUS_FILTERS = [
+  { value: 'PENDING,IN_PROGRESS', label: 'Open' },
+  { value: '', label: 'All statuses' },
+  { value: 'PENDING', label: 'Pending' },
+  { value: 'IN_PROGRESS', label: 'In progress' },
+  { value: 'COMPLETED', label: 'Completed' },
+  { value: 'CANCELLED', label: 'Cancelled' },
+];
+
+const PRIORITIES = ['LOW', 'MEDIUM', 'HIGH', 'URGENT'];
+
+const BUCKETS = [
+  { id: 'overdue', label: 'Overdue' },
+  { id: 'today', label: 'Today' },
+  { id: 'week', label: 'This week' },
+  { id: 'later', label: 'Later' },
+];
+
+const controlStyle = {
+  padding: '0.5rem',
+  border: '1px solid var(--color-primary-border)',
+  borderRadius: '0.375rem',
+  fontSize: '0.875rem',
+  color: 'var(--color-primary-text)',
+  backgroundColor: 'var(--color-primary-bg)'
+};
+
+const buttonStyle = {
+  ...controlStyle,
+  cursor: 'pointer',
+  fontWeight: '500',
+  backgroundColor: 'var(--color-button-secondary-bg)',
+  color: 'var(--color-button-secondary-text)'
+};
+
+const capitalize = (value) => value.charAt(0) + value.slice(1).toLowerCase().replace('_', ' ');
+
+// Day boundaries in the browser's local time zone
+const getBucketBoundaries = () => {
+  const now = new Date();
+  const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const startOfTomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+  // Weeks run Monday to Sunday
+  const daysUntilNextMonday = 7 - ((now.getDay() + 6) % 7);
+  const startOfNextWeek = new Date(now.getFullYear(), now.getMonth(), now.getDate() + daysUntilNextMonday);
+  return { startOfToday, startOfTomorrow, startOfNextWeek };
+};
+
+const getBucket = (task, boundaries) => {
+  if (!task.dueDate) return 'later';
+  const due = new Date(task.dueDate);
+  if (due < boundaries.startOfToday) return 'overdue';
+  if (due < boundaries.startOfTomorrow) return 'today';
+  if (due < boundaries.startOfNextWeek) return 'week';
+  return 'later';
+};
+
+const TaskRow = ({ task, isSelected, onSelect, onToggleComplete, onViewContact, isOverdue }) => {
+  const isCompleted = task.status === 'COMPLETED';
+
+  return (
+    <div style={{
+      display: 'flex',
+      alignItems: 'center',
+      gap: '0.75rem',
+      padding: '0.5rem 0.75rem',
+      borderBottom: '1px solid var(--color-primary-border)',
+      backgroundColor: isSelected ? 'var(--color-table-row-hover)' : 'transparent'
+    }}>
+      <Checkbox
+        checked={isSelected}
+        onCheckedChange={(value) => onSelect(task.id, !!value)}
+        aria-label="Select task"
+      />
+      <input
+        type="checkbox"
+        checked={isCompleted}
+        onChange={() => onToggleComplete(task)}
+        title={isCompleted ? 'Mark as pending' : 'Mark as completed'}
+        style={{ cursor: 'pointer' }}
+      />
+      <div style={{ flex: 1, minWidth: 0 }}>
+        <div style={{
+          fontWeight: '500',
+          color: 'var(--color-primary-text)',
+          textDecoration: isCompleted ? 'line-through' : 'none'
+        }}>
+          {task.title}
+        </div>
+        <div style={{ fontSize: '0.75rem', color: 'var(--color-secondary-text)', display: 'flex', gap: '0.5rem' }}>
+          {task.contact && (
+            <span style={{ cursor: 'pointer', textDecoration: 'underline' }} onClick={() => onViewContact(task.contact.id)}>
+              {task.contact.name}
+            </span>
+          )}
+          {task.user && <span>• {task.user.displayName || task.user.email}</span>}
+        </div>
+      </div>
+      <span style={{ fontSize: '0.75rem', color: 'var(--color-secondary-text)', minWidth: '5rem' }}>
+        {capitalize(task.priority)}
+      </span>
+      <span style={{
+        fontSize: '0.75rem',
+        minWidth: '6rem',
+        textAlign: 'right',
+        color: isOverdue && !isCompleted ? 'var(--color-error)' : 'var(--color-secondary-text)'
+      }}>
+        {task.dueDate ? new Date(task.dueDate).toLocaleDateString() : 'No due date'}
+      </span>
+    </div>
+  );
+};
+
+const TasksPage = () => {
+  const navigate = useNavigate();
+  const [view, setView] = useState('list');
+  const [statusFilter, setStatusFilter] = useState('PENDING,IN_PROGRESS');
+  const [priorityFilter, setPriorityFilter] = useState('');
+  const [contactFilter, setContactFilter] = useState('');
+  const [calendarMonth, setCalendarMonth] = useState(() => new Date());
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [rescheduleDate, setRescheduleDate] = useState('');
+  const [assigneeEmail, setAssigneeEmail] = useState('');
+  const [actionError, setActionError] = useState('');
+
+  // The calendar only needs the visible month
+  const monthRange = useMemo(() => {
+    const start = new Date(calendarMonth.getFullYear(), calendarMonth.getMonth(), 1);
+    const end = new Date(calendarMonth.getFullYear(), calendarMonth.getMonth() + 1, 1);
+    return { dueFrom: start.toISOString(), dueTo: end.toISOString() };
+  }, [calendarMonth]);
+
+  const filters = {
+    status: statusFilter,
+    priority: priorityFilter,
+    contactId: contactFilter,
+    ...(view === 'calendar' && monthRange)
+  };
+
+  const { data, isLoading, error } = useTasks(filters);
+  const { data: contactsData } = useContacts({}, 1, 1000);
+  const updateTask = useUpdateTask();
+  const bulkUpdate = useBulkUpdateTasks();
+
+  const tasks = useMemo(() => data?.tasks || [], [data]);
+  const pagination = data?.pagination || {};
+  const contacts = contactsData?.contacts || [];
+
+  const buckets = useMemo(() => {
+    const boundaries = getBucketBoundaries();
+    const grouped = Object.fromEntries(BUCKETS.map(bucket => [bucket.id, []]));
+    tasks.forEach(task => grouped[getBucket(task, boundaries)].push(task));
+    return grouped;
+  }, [tasks]);
+
+  const handleSelect = (taskId, checked) => {
+    setSelectedIds(prev => checked ? [...prev, taskId] : prev.filter(id => id !== taskId));
+  };
+
+  const handleSelectBucket = (bucketTasks, checked) => {
+    const ids = bucketTasks.map(task => task.id);
+    setSelectedIds(prev => checked
+      ? Array.from(new Set([...prev, ...ids]))
+      : prev.filter(id => !ids.includes(id)));
+  };
+
+  const handleToggleComplete = (task) => {
+    setActionError('');
+    updateTask.mutate(
+      { task, updates: { status: task.status === 'COMPLETED' ? 'PENDING' : 'COMPLETED' } },
+      { onError: (err) => setActionError(err.message) }
+    );
+  };
+
+  const runBulk = async (payload) => {
+    setActionError('');
+    try {
+      await bulkUpdate.mutateAsync({ taskIds: selectedIds, ...payload });
+      setSelectedIds([]);
+      setRescheduleDate('');
+      setAssigneeEmail('');
+    } catch (err) {
+      setActionError(err.message);
+    }
+  };
+
+  const handleViewContact = (contactId) => {
+    navigate(`/dashboard/${getUserId()}/contacts/${contactId}`);
+  };
+
+  if (error) {
+    return (
+      <div style={{ padding: '2rem', color: '#dc2626', textAlign: 'center' }}>
+        <h2>Error Loading Tasks</h2>
+        <p>{error.message}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ height: '100%', display: 'flex', flexDirection: 'column', overflow: 'hidden' }}>
+      {/* Header */}
+      <div style={{ padding: '15px 2rem 0 2rem', display: 'flex', alignItems: 'center', gap: '1rem', flexShrink: 0 }}>
+        <h1 style={{ fontSize: '2rem', fontWeight: 'bold', margin: 0, color: 'var(--color-primary-text)' }}>
+          Tasks
+        </h1>
+        <span style={{
+          fontSize: '0.875rem',
+          color: 'var(--color-secondary-text)',
+          backgroundColor: 'var(--color-table-row-hover)',
+          padding: '0.25rem 0.5rem',
+          borderRadius: '0.375rem'
+        }}>
+          {pagination.total || 0} tasks
+        </span>
+      </div>
+
+      {/* Filters and view toggle */}
+      <div style={{ padding: '20px 2rem', display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem', flexShrink: 0 }}>
+        <div style={{ display: 'flex', gap: '0.75rem', alignItems: 'center' }}>
+          <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} style={controlStyle}>
+            {STATUS_FILTERS.map(opt => (
+              <option key={opt.label} value={opt.value}>{opt.label}</option>
+            ))}
+          </select>
+          <select value={priorityFilter} onChange={(e) => setPriorityFilter(e.target.value)} style={controlStyle}>
+            <option value="">All priorities</option>
+            {PRIORITIES.map(priority => (
+              <option key={priority} value={priority}>{capitalize(priority)}</option>
+            ))}
+          </select>
+          <select value={contactFilter} onChange={(e) => setContactFilter(e.target.value)} style={controlStyle}>
+            <option value="">All contacts</option>
+            {contacts.map(contact => (
+              <option key={contact.id} value={contact.id}>{contact.name}</option>
+            ))}
+          </select>
+        </div>
+        <div style={{ display: 'flex', gap: '0.25rem' }}>
+          <button
+            type="button"
+            onClick={() => setView('list')}
+            style={{ ...buttonStyle, fontWeight: view === 'list' ? '700' : '500', display: 'flex', alignItems: 'center', gap: '0.25rem' }}
+          >
+            <List size={16} /> List
+          </button>
+          <button
+            type="button"
+            onClick={() => setView('calendar')}
+            style={{ ...buttonStyle, fontWeight: view === 'calendar' ? '700' : '500', display: 'flex', alignItems: 'center', gap: '0.25rem' }}
+          >
+            <CalendarDays size={16} /> Calendar
+          </button>
+        </div>
+      </div>
+
+      {/* Bulk actions - only when tasks are selected */}
+      {selectedIds.length > 0 && (
+        <div style={{
+          margin: '0 2rem 1rem 2rem',
+          padding: '0.5rem 0.75rem',
+          border: '1px solid var(--color-primary-border)',
+          borderRadius: '0.375rem',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '0.75rem',
+          flexWrap: 'wrap',
+          flexShrink: 0
+        }}>
+          <span style={{ fontSize: '0.875rem', color: 'var(--color-primary-text)' }}>{selectedIds.length} selected</span>
+          <button type="button" style={buttonStyle} disabled={bulkUpdate.isPending} onClick={() => runBulk({ action: 'complete' })}>
+            Complete
+          </button>
+          <input type="date" value={rescheduleDate} onChange={(e) => setRescheduleDate(e.target.value)} style={controlStyle} />
+          <button
+            type="button"
+            style={buttonStyle}
+            disabled={bulkUpdate.isPending}
+            onClick={() => runBulk({ action: 'reschedule', dueDate: rescheduleDate ? new Date(`${rescheduleDate}T09:00:00`).toISOString() : null })}
+          >
+            {rescheduleDate ? 'Reschedule' : 'Clear due date'}
+          </button>
+          <input
+            type="email"
+            placeholder="Assign to (email)"
+            value={assigneeEmail}
+            onChange={(e) => setAssigneeEmail(e.target.value)}
+            style={controlStyle}
+          />
+          <button
+            type="button"
+            style={buttonStyle}
+            disabled={!assigneeEmail.trim() || bulkUpdate.isPending}
+            onClick={() => runBulk({ action: 'reassign', assigneeEmail: assigneeEmail.trim() })}
+          >
+            Reassign
+          </button>
+          <button type="button" style={{ ...buttonStyle, border: 'none', background: 'transparent' }} onClick={() => setSelectedIds([])}>
+            Clear selection
+          </button>
+        </div>
+      )}
+
+      {actionError && (
+        <div style={{ padding: '0 2rem 0.5rem', color: 'var(--color-error)', fontSize: '0.875rem' }}>{actionError}</div>
+      )}
+
+      {/* Content */}
+      <div style={{ flex: 1, minHeight: 0, overflowY: 'auto', padding: '0 2rem 2rem 2rem' }}>
+        {isLoading ? (
+          <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--color-secondary-text)' }}>Loading tasks...</div>
+        ) : view === 'calendar' ? (
+          <TasksCalendar
+            month={calendarMonth}
+            tasks={tasks}
+            onMonthChange={setCalendarMonth}
+            onTaskClick={(task) => task.contact && handleViewContact(task.contact.id)}
+          />
+        ) : (
+          BUCKETS.map(bucket => {
+            const bucketTasks = buckets[bucket.id];
+            if (bucketTasks.length === 0) return null;
+            const allSelected = bucketTasks.every(task => selectedIds.includes(task.id));
+
+            return (
+              <div key={bucket.id} style={{ marginBottom: '1.5rem' }}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', padding: '0.5rem 0.75rem', backgroundColor: 'var(--color-table-header-bg)', borderRadius: '0.375rem' }}>
+                  <Checkbox
+                    checked={allSelected}
+                    onCheckedChange={(value) => handleSelectBucket(bucketTasks, !!value)}
+                    aria-label={`Select all ${bucket.label} tasks`}
+                  />
+                  <h3 style={{
+                    margin: 0,
+                    fontSize: '1rem',
+                    color: bucket.id === 'overdue' ? 'var(--color-error)' : 'var(--color-primary-text)'
+                  }}>
+                    {bucket.label} ({bucketTasks.length})
+                  </h3>
+                </div>
+                {bucketTasks.map(task => (
+                  <TaskRow
+                    key={task.id}
+                    task={task}
+                    isSelected={selectedIds.includes(task.id)}
+                    isOverdue={bucket.id === 'overdue'}
+                    onSelect={handleSelect}
+                    onToggleComplete={handleToggleComplete}
+                    onViewContact={handleViewContact}
+                  />
+                ))}
+              </div>
+            );
+          })
+        )}
+        {!isLoading && view === 'list' && tasks.length === 0 && (
+          <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--color-secondary-text)' }}>
+            <h3>No tasks found</h3>
+            <p>Try adjusting your filters.</p>
+          </div>
+        )}
+        {view === 'list' && pagination.total > tasks.length && (
+          <p style={{ fontSize: '0.75rem', color: 'var(--color-secondary-text)' }}>
+            Showing the first {tasks.length} of {pagination.total} tasks. Narrow the filters to see the rest.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TasksPage;
@@ -2,13 +2,15 @@ import React, { useState, useRef, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { Settings, ChevronDown, LogOut } from 'lucide-react';
 import { getUserData, getUserId, getAuthHeaders, logout, authenticatedFetch } from '../utils/auth';
-import { generateInitials, getDisplayName } from '../utils/userUtils';
+import { generateInitials, getDisplayName, getProfileImageSrc } from '../utils/userUtils';
+import WorkspaceSwitcher from './WorkspaceSwitcher';
 import '../styles/layout/TopBar.css';
 
 /**
  * TopBar Component
  * 
  * A persistent top navigation bar with:
+ * - Workspace switcher
  * - User display name
  * - Profile icon with user initials
  * - Dropdown menu with settings option
@@ -94,13 +96,14 @@ const TopBar = ({ isCollapsed }) => {
   return (
     <div className={`topbar${isCollapsed ? ' sidebar-collapsed' : ''}`}>
       <div className="topbar-content">
+        <WorkspaceSwitcher />
         <div className="topbar-spacer"></div>
         <div className="topbar-user-section" ref={dropdownRef}>
           <div className="user-info" onClick={toggleDropdown} style={{ display: 'flex', alignItems: 'center', cursor: 'pointer' }}>
             <div className="user-avatar" style={{ marginRight: '10px' }}>
-              {userData.profileImage ? (
+              {userData.profileImageThumbUrl ? (
                 <img 
-                  src={userData.profileImage} 
+                  src={getProfileImageSrc(userData.profileImageThumbUrl)} 
                   alt="Profile" 
                   className="profile-image"
                 />
@@ -1,9 +1,14 @@
 import React from 'react';
 import { NavLink, Routes, Route, useLocation, useNavigate, Navigate, useMatch } from 'react-router-dom';
-import { User, Lock, Mail, Moon, ChevronRight, Columns3Cog } from 'lucide-react';
+import { User, Lock, Mail, Moon, ChevronRight, Columns3Cog, MonitorSmartphone, Users, Shuffle, Webhook, KeyRound } from 'lucide-react';
 import ProfileSettings from './ProfileSettings';
 import AccountSettings from './AccountSettings';
+import SessionsSettings from './SessionsSettings';
 import ThemeSettings from './ThemeSettings';
+import WorkspaceMembersSettings from './WorkspaceMembersSettings';
+import AssignmentRulesSettings from './AssignmentRulesSettings';
+import WebhooksSettings from './WebhooksSettings';
+import ApiKeysSettings from './ApiKeysSettings';
 import CustomProperties from './CustomProperties';
 import { useUserProfile } from '../hooks/useUserSettings';
 import { useTheme } from '../ThemeContext';
@@ -23,6 +28,11 @@ const UserSettings = () => {
   const navItems = [
     { label: 'Profile', icon: <User size={18} />, path: `${basePath}/profile` },
     { label: 'Account Settings', icon: <Lock size={18} />, path: `${basePath}/account-settings` },
+    { label: 'Sessions', icon: <MonitorSmartphone size={18} />, path: `${basePath}/sessions` },
+    { label: 'Members & Roles', icon: <Users size={18} />, path: `${basePath}/members` },
+    { label: 'Assignment Rules', icon: <Shuffle size={18} />, path: `${basePath}/assignment-rules` },
+    { label: 'Webhooks', icon: <Webhook size={18} />, path: `${basePath}/webhooks` },
+    { label: 'API Keys', icon: <KeyRound size={18} />, path: `${basePath}/api-keys` },
     { label: 'Theme', icon: <Moon size={18} />, path: `${basePath}/theme` },
   { label: 'Custom Properties', icon: <Columns3Cog size={18} />, path: `${basePath}/custom-properties` },
   ];
@@ -63,6 +73,11 @@ const UserSettings = () => {
             <Route index element={<Navigate to="profile" replace />} />
             <Route path="profile" element={<ProfileSettings user={user} />} />
             <Route path="account-settings" element={<AccountSettings user={user} />} />
+            <Route path="sessions" element={<SessionsSettings />} />
+            <Route path="members" element={<WorkspaceMembersSettings />} />
+            <Route path="assignment-rules" element={<AssignmentRulesSettings />} />
+            <Route path="webhooks" element={<WebhooksSettings />} />
+            <Route path="api-keys" element={<ApiKeysSettings />} />
             <Route path="theme" element={<ThemeSettings theme={theme} setTheme={setTheme} themeLoading={themeLoading} />} />
             <Route path="custom-properties" element={<CustomProperties />} />
           </Routes>
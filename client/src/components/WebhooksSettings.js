@@ -0,0 +1,282 @@
+import React, { useState } from 'react';
+import { Webhook } from 'lucide-react';
+import {
+  WEBHOOK_EVENT_LABELS,
+  useWebhooks,
+  useWebhookDeliveries,
+  useCreateWebhook,
+  useUpdateWebhook,
+  useDeleteWebhook,
+  useRotateWebhookSecret,
+  useSendTestWebhook
+} from '../hooks/useWebhooks';
+import { PERMISSIONS, useWorkspacePermissions } from '../hooks/useWorkspaces';
+
+const EMPTY_WEBHOOK = { url: '', description: '', events: [] };
+
+const DELIVERY_STATUS_BADGES = {
+  SUCCEEDED: { className: 'bg-success', label: 'Delivered' },
+  PENDING: { className: 'bg-warning text-dark', label: 'Retrying' },
+  FAILED: { className: 'bg-danger', label: 'Failed' }
+};
+
+const formatDateTime = (value) => new Date(value).toLocaleString(undefined, {
+  dateStyle: 'medium',
+  timeStyle: 'short'
+});
+
+const DeliveryStatusBadge = ({ delivery }) => {
+  // A delivery that has not been attempted yet is just queued, not retrying
+  const badge = delivery.status === 'PENDING' && delivery.attempts === 0
+    ? { className: 'bg-secondary', label: 'Queued' }
+    : DELIVERY_STATUS_BADGES[delivery.status];
+  return <span className={`badge ${badge.className}`}>{badge.label}</span>;
+};
+
+// The signing secret is only returned when it is created, so it is shown once with a warning
+const SecretNotice = ({ secret, onDismiss }) => (
+  <div className="alert alert-warning small mt-2 mb-0">
+    <div className="mb-1">Copy this signing secret now - it won't be shown again.</div>
+    <div className="d-flex" style={{ gap: '0.5rem' }}>
+      <input type="text" className="form-control" value={secret} readOnly onFocus={e => e.target.select()} aria-label="Signing secret" />
+      <button type="button" className="btn btn-outline-secondary btn-sm" onClick={onDismiss}>Done</button>
+    </div>
+  </div>
+);
+
+// Recent deliveries of one webhook with the endpoint's response codes
+const DeliveryLog = ({ webhookId }) => {
+  const { data: deliveries = [], isLoading, error } = useWebhookDeliveries(webhookId);
+
+  if (isLoading) return <div className="text-muted small mt-2">Loading deliveries...</div>;
+  if (error) return <div className="text-danger small mt-2">{error.message}</div>;
+  if (deliveries.length === 0) return <div className="text-muted small mt-2">No deliveries yet.</div>;
+
+  return (
+    <table className="table table-sm small mt-2 mb-0">
+      <thead>
+        <tr>
+          <th>Sent</th>
+          <th>Event</th>
+          <th>Status</th>
+          <th>Response</th>
+          <th>Attempts</th>
+        </tr>
+      </thead>
+      <tbody>
+        {deliveries.map(delivery => (
+          <tr key={delivery.id}>
+            <td>{formatDateTime(delivery.createdAt)}</td>
+            <td><code>{delivery.event}</code></td>
+            <td><DeliveryStatusBadge delivery={delivery} /></td>
+            <td>
+              {delivery.responseStatus || '-'}
+              {delivery.error && <div className="text-danger">{delivery.error}</div>}
+              {delivery.status === 'PENDING' && delivery.attempts > 0 && delivery.nextAttemptAt && (
+                <div className="text-muted">Next try {formatDateTime(delivery.nextAttemptAt)}</div>
+              )}
+            </td>
+            <td>{delivery.attempts}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+const WebhookList = () => {
+  const { data: webhooks = [], isLoading, error } = useWebhooks();
+  const createWebhook = useCreateWebhook();
+  const updateWebhook = useUpdateWebhook();
+  const deleteWebhook = useDeleteWebhook();
+  const rotateSecret = useRotateWebhookSecret();
+  const sendTest = useSendTestWebhook();
+  const [draft, setDraft] = useState(EMPTY_WEBHOOK);
+  const [revealedSecret, setRevealedSecret] = useState(null);
+  const [openLogId, setOpenLogId] = useState(null);
+  const [actionError, setActionError] = useState('');
+
+  const runAction = async (action) => {
+    setActionError('');
+    try {
+      await action();
+    } catch (err) {
+      setActionError(err.message);
+    }
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      const created = await createWebhook.mutateAsync({
+        url: draft.url.trim(),
+        description: draft.description.trim() || null,
+        events: draft.events
+      });
+      setRevealedSecret({ webhookId: created.id, secret: created.secret });
+      setDraft(EMPTY_WEBHOOK);
+    });
+  };
+
+  const handleRotate = (webhook) => {
+    if (!window.confirm(`Replace the signing secret for ${webhook.url}? The current secret stops working immediately.`)) return;
+    runAction(async () => {
+      const rotated = await rotateSecret.mutateAsync(webhook.id);
+      setRevealedSecret({ webhookId: rotated.id, secret: rotated.secret });
+    });
+  };
+
+  const handleDelete = (webhook) => {
+    if (!window.confirm(`Delete the webhook for ${webhook.url}? Its delivery log is deleted too.`)) return;
+    runAction(() => deleteWebhook.mutateAsync(webhook.id));
+  };
+
+  const handleSendTest = (webhook) => runAction(async () => {
+    await sendTest.mutateAsync(webhook.id);
+    setOpenLogId(webhook.id);
+  });
+
+  const toggleDraftEvent = (event, checked) => setDraft(prev => ({
+    ...prev,
+    events: checked ? [...prev.events, event] : prev.events.filter(existing => existing !== event)
+  }));
+
+  return (
+    <>
+      {isLoading && <div>Loading webhooks...</div>}
+      {error && <div className="text-danger">{error.message}</div>}
+      {!isLoading && !error && webhooks.length === 0 && (
+        <div className="text-muted">No webhooks yet.</div>
+      )}
+
+      {webhooks.map(webhook => (
+        <div
+          key={webhook.id}
+          className="py-2"
+          style={{ borderBottom: '1px solid var(--color-primary-border)', opacity: webhook.isActive ? 1 : 0.6 }}
+        >
+          <div className="d-flex align-items-center justify-content-between" style={{ gap: '1rem' }}>
+            <div style={{ minWidth: 0 }}>
+              <div className="fw-bold" style={{ wordBreak: 'break-all' }}>
+                {webhook.url}
+                {!webhook.isActive && <span className="badge bg-secondary ms-2">Paused</span>}
+              </div>
+              <div className="text-muted small">
+                {webhook.description && <>{webhook.description}{' · '}</>}
+                {webhook.events.map(event => WEBHOOK_EVENT_LABELS[event] || event).join(', ')}
+                {webhook.lastDelivery && (
+                  <>{' · '}Last delivery <DeliveryStatusBadge delivery={webhook.lastDelivery} /></>
+                )}
+              </div>
+            </div>
+            <label className="small d-flex align-items-center" style={{ gap: '0.25rem' }}>
+              <input
+                type="checkbox"
+                checked={webhook.isActive}
+                onChange={e => runAction(() => updateWebhook.mutateAsync({ webhookId: webhook.id, updates: { isActive: e.target.checked } }))}
+              />
+              Active
+            </label>
+          </div>
+
+          <div className="d-flex mt-2" style={{ flexWrap: 'wrap', gap: '0.5rem' }}>
+            <button type="button" className="btn btn-outline-secondary btn-sm" onClick={() => handleSendTest(webhook)} disabled={sendTest.isPending}>
+              Send test event
+            </button>
+            <button type="button" className="btn btn-outline-secondary btn-sm" onClick={() => setOpenLogId(openLogId === webhook.id ? null : webhook.id)}>
+              {openLogId === webhook.id ? 'Hide deliveries' : 'Show deliveries'}
+            </button>
+            <button type="button" className="btn btn-outline-secondary btn-sm" onClick={() => handleRotate(webhook)} disabled={rotateSecret.isPending}>
+              Rotate secret
+            </button>
+            <button type="button" className="btn btn-outline-danger btn-sm" onClick={() => handleDelete(webhook)} disabled={deleteWebhook.isPending}>
+              Delete
+            </button>
+          </div>
+
+          {revealedSecret?.webhookId === webhook.id && (
+            <SecretNotice secret={revealedSecret.secret} onDismiss={() => setRevealedSecret(null)} />
+          )}
+          {openLogId === webhook.id && <DeliveryLog webhookId={webhook.id} />}
+        </div>
+      ))}
+
+      <form className="mt-3" onSubmit={handleCreate}>
+        <div className="d-flex mb-2" style={{ gap: '0.5rem' }}>
+          <input
+            type="url"
+            className="form-control"
+            value={draft.url}
+            onChange={e => setDraft(prev => ({ ...prev, url: e.target.value }))}
+            placeholder="https://example.com/webhooks/crm"
+            maxLength={2000}
+            aria-label="Endpoint URL"
+          />
+          <input
+            type="text"
+            className="form-control"
+            value={draft.description}
+            onChange={e => setDraft(prev => ({ ...prev, description: e.target.value }))}
+            placeholder="Description (optional)"
+            maxLength={255}
+            aria-label="Description"
+          />
+        </div>
+        <div className="small mb-1">Send these events:</div>
+        <div className="d-flex mb-2" style={{ flexWrap: 'wrap', gap: '0.75rem' }}>
+          {Object.entries(WEBHOOK_EVENT_LABELS).map(([event, label]) => (
+            <label key={event} className="small d-flex align-items-center" style={{ gap: '0.25rem' }}>
+              <input
+                type="checkbox"
+                checked={draft.events.includes(event)}
+                onChange={e => toggleDraftEvent(event, e.target.checked)}
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+        <button
+          type="submit"
+          className="btn btn-primary"
+          disabled={!draft.url.trim() || draft.events.length === 0 || createWebhook.isPending}
+        >
+          {createWebhook.isPending ? 'Adding...' : 'Add webhook'}
+        </button>
+      </form>
+
+      {actionError && <div className="text-danger mt-2">{actionError}</div>}
+    </>
+  );
+};
+
+/**
+ * Endpoints that receive a signed JSON POST when contacts, tasks, activities or imports change.
+ * Failed deliveries are retried with exponential backoff; each attempt is listed in the log.
+ */
+const WebhooksSettings = () => {
+  const { can } = useWorkspacePermissions();
+
+  return (
+    <div className="card mb-4">
+      <div className="card-header">
+        <h5 className="card-title mb-0">
+          <Webhook size={20} className="me-2" />
+          Webhooks
+        </h5>
+      </div>
+      <div className="card-body">
+        <p className="text-muted small">
+          Each event is sent as a JSON POST. Verify it by computing the HMAC-SHA256 of
+          {' '}<code>{'<X-Webhook-Timestamp>.<body>'}</code> with the webhook's signing secret and comparing it
+          to the <code>X-Webhook-Signature</code> header, which reads <code>sha256=&lt;hex&gt;</code>. Deliveries that fail are retried for about an hour.
+        </p>
+
+        {can(PERMISSIONS.MANAGE_WEBHOOKS)
+          ? <WebhookList />
+          : <div className="text-muted">Only workspace owners and admins can manage webhooks.</div>}
+      </div>
+    </div>
+  );
+};
+
+export default WebhooksSettings;
@@ -0,0 +1,170 @@
+import React, { useState } from 'react';
+import { Users } from 'lucide-react';
+import { getUserId } from '../utils/auth';
+import {
+  PERMISSIONS,
+  WORKSPACE_ROLE_LABELS,
+  useCurrentWorkspace,
+  useWorkspaceMembers,
+  useWorkspacePermissions,
+  useAddWorkspaceMember,
+  useUpdateWorkspaceMember,
+  useRemoveWorkspaceMember
+} from '../hooks/useWorkspaces';
+
+// Owners and admins always see every contact, so the per-member toggle only applies to the other roles
+const SEES_ALL_CONTACTS = ['OWNER', 'ADMIN'];
+
+const WorkspaceMembersSettings = () => {
+  const currentUserId = getUserId();
+  const { workspace } = useCurrentWorkspace();
+  const { role: myRole, can } = useWorkspacePermissions();
+  const { data: members = [], isLoading, error } = useWorkspaceMembers(workspace?.id);
+  const addMemberMutation = useAddWorkspaceMember(workspace?.id);
+  const updateMemberMutation = useUpdateWorkspaceMember(workspace?.id);
+  const removeMemberMutation = useRemoveWorkspaceMember(workspace?.id);
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState('AGENT');
+  const [actionError, setActionError] = useState('');
+
+  const canManage = can(PERMISSIONS.MANAGE_MEMBERS);
+  // Only owners can hand out or take away ownership
+  const assignableRoles = Object.keys(WORKSPACE_ROLE_LABELS).filter(candidate => myRole === 'OWNER' || candidate !== 'OWNER');
+  const canEditMember = (member) => canManage && member.id !== currentUserId && (myRole === 'OWNER' || member.role !== 'OWNER');
+
+  const runAction = async (action) => {
+    setActionError('');
+    try {
+      await action();
+    } catch (err) {
+      setActionError(err.message);
+    }
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (!email.trim()) return;
+    runAction(async () => {
+      await addMemberMutation.mutateAsync({ email: email.trim(), role });
+      setEmail('');
+      setRole('AGENT');
+    });
+  };
+
+  const handleRemove = (member) => {
+    const isSelf = member.id === currentUserId;
+    const message = isSelf
+      ? `Leave ${workspace.name}? You will lose access to its contacts.`
+      : `Remove ${member.displayName || member.email} from ${workspace.name}? Their contacts become unassigned.`;
+    if (!window.confirm(message)) return;
+    runAction(() => removeMemberMutation.mutateAsync(member.id));
+  };
+
+  if (!workspace) {
+    return null;
+  }
+
+  return (
+    <div className="card mb-4">
+      <div className="card-header">
+        <h5 className="card-title mb-0">
+          <Users size={20} className="me-2" />
+          Members &amp; Roles
+        </h5>
+      </div>
+      <div className="card-body">
+        <p className="text-muted small">
+          Members of {workspace.name}. Owners and admins manage members and properties; agents edit records;
+          read-only members can only look. Agents and read-only members see the contacts assigned to them
+          unless they are given access to all contacts.
+        </p>
+
+        {isLoading && <div>Loading members...</div>}
+        {error && <div className="text-danger">{error.message}</div>}
+
+        {members.map(member => (
+          <div
+            key={member.id}
+            className="d-flex align-items-center justify-content-between py-2"
+            style={{ borderBottom: '1px solid var(--color-primary-border)', gap: '1rem' }}
+          >
+            <div>
+              <div className="fw-bold">
+                {member.displayName || member.email}
+                {member.id === currentUserId && <span className="badge bg-success ms-2">You</span>}
+              </div>
+              <div className="text-muted small">{member.email}</div>
+            </div>
+            <div className="d-flex align-items-center" style={{ gap: '0.75rem' }}>
+              {canEditMember(member) ? (
+                <select
+                  className="form-control form-control-sm"
+                  value={member.role}
+                  onChange={e => runAction(() => updateMemberMutation.mutateAsync({ userId: member.id, role: e.target.value }))}
+                  disabled={updateMemberMutation.isPending}
+                  aria-label={`Role of ${member.email}`}
+                >
+                  {assignableRoles.map(candidate => (
+                    <option key={candidate} value={candidate}>{WORKSPACE_ROLE_LABELS[candidate]}</option>
+                  ))}
+                </select>
+              ) : (
+                <span className="text-muted small">{WORKSPACE_ROLE_LABELS[member.role]}</span>
+              )}
+              <label className="small d-flex align-items-center" style={{ gap: '0.25rem', whiteSpace: 'nowrap' }}>
+                <input
+                  type="checkbox"
+                  checked={SEES_ALL_CONTACTS.includes(member.role) || member.canViewAllContacts}
+                  onChange={e => runAction(() => updateMemberMutation.mutateAsync({ userId: member.id, canViewAllContacts: e.target.checked }))}
+                  disabled={!canEditMember(member) || SEES_ALL_CONTACTS.includes(member.role) || updateMemberMutation.isPending}
+                />
+                All contacts
+              </label>
+              {(member.id === currentUserId || canEditMember(member)) && (
+                <button
+                  type="button"
+                  className="btn btn-outline-danger btn-sm"
+                  onClick={() => handleRemove(member)}
+                  disabled={removeMemberMutation.isPending}
+                >
+                  {member.id === currentUserId ? 'Leave' : 'Remove'}
+                </button>
+              )}
+            </div>
+          </div>
+        ))}
+
+        {canManage && (
+          <form className="d-flex align-items-center mt-3" style={{ gap: '0.5rem' }} onSubmit={handleAdd}>
+            <input
+              type="email"
+              className="form-control"
+              value={email}
+              onChange={e => setEmail(e.target.value)}
+              placeholder="Email of an existing user"
+              aria-label="Member email"
+            />
+            <select
+              className="form-control"
+              style={{ width: 'auto' }}
+              value={role}
+              onChange={e => setRole(e.target.value)}
+              aria-label="Role"
+            >
+              {assignableRoles.map(candidate => (
+                <option key={candidate} value={candidate}>{WORKSPACE_ROLE_LABELS[candidate]}</option>
+              ))}
+            </select>
+            <button type="submit" className="btn btn-primary" disabled={!email.trim() || addMemberMutation.isPending}>
+              {addMemberMutation.isPending ? 'Adding...' : 'Add member'}
+            </button>
+          </form>
+        )}
+
+        {actionError && <div className="text-danger mt-2">{actionError}</div>}
+      </div>
+    </div>
+  );
+};
+
+export default WorkspaceMembersSettings;
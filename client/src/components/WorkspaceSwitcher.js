@@ -0,0 +1,110 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useQueryClient } from '@tanstack/react-query';
+import { Building2, Check, ChevronDown, Plus } from 'lucide-react';
+import { getUserId, setWorkspaceId } from '../utils/auth';
+import { useCurrentWorkspace, useCreateWorkspace } from '../hooks/useWorkspaces';
+
+/**
+ * Workspace switcher shown in the TopBar. Every request carries the selected workspace, so
+ * switching drops all cached data and returns to the dashboard of the new workspace.
+ */
+const WorkspaceSwitcher = () => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [newName, setNewName] = useState('');
+  const [createError, setCreateError] = useState(null);
+  const containerRef = useRef(null);
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const { workspace, workspaces } = useCurrentWorkspace();
+  const createWorkspace = useCreateWorkspace();
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const switchTo = (workspaceId) => {
+    setIsOpen(false);
+    if (workspaceId === workspace?.id) return;
+
+    setWorkspaceId(workspaceId);
+    navigate(`/dashboard/${getUserId()}`);
+    queryClient.resetQueries();
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+    setCreateError(null);
+    try {
+      const created = await createWorkspace.mutateAsync(newName.trim());
+      setNewName('');
+      switchTo(created.id);
+    } catch (err) {
+      setCreateError(err.message);
+    }
+  };
+
+  if (!workspace) {
+    return null;
+  }
+
+  return (
+    <div className="workspace-switcher" ref={containerRef}>
+      <button
+        type="button"
+        className="workspace-switcher-button"
+        onClick={() => setIsOpen(!isOpen)}
+        aria-haspopup="menu"
+        aria-expanded={isOpen}
+      >
+        <Building2 size={16} />
+        <span className="workspace-switcher-name">{workspace.name}</span>
+        <ChevronDown className={`dropdown-arrow ${isOpen ? 'open' : ''}`} size={16} />
+      </button>
+
+      {isOpen && (
+        <div className="user-dropdown workspace-dropdown" role="menu">
+          {workspaces.map(candidate => (
+            <button
+              key={candidate.id}
+              type="button"
+              role="menuitem"
+              className="dropdown-item"
+              onClick={() => switchTo(candidate.id)}
+            >
+              {candidate.id === workspace.id ? <Check size={16} /> : <span style={{ width: 16 }} />}
+              <span className="workspace-switcher-name">{candidate.name}</span>
+              <span className="workspace-member-count">
+                {candidate.memberCount} {candidate.memberCount === 1 ? 'member' : 'members'}
+              </span>
+            </button>
+          ))}
+          <form className="workspace-create-form" onSubmit={handleCreate}>
+            <input
+              type="text"
+              value={newName}
+              onChange={e => setNewName(e.target.value)}
+              placeholder="New workspace name"
+              maxLength={100}
+              aria-label="New workspace name"
+            />
+            <button type="submit" disabled={!newName.trim() || createWorkspace.isPending} aria-label="Create workspace">
+              <Plus size={16} />
+            </button>
+          </form>
+          {createError && <div className="workspace-create-error" role="alert">{createError}</div>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WorkspaceSwitcher;
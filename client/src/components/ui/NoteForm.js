@@ -1,26 +1,66 @@
 import React, { useState, useRef } from 'react';
+import { Paperclip, X } from 'lucide-react';
 import { authenticatedFetch } from '../../utils/auth';
+import { uploadNoteAttachment, deleteNoteAttachment, formatFileSize } from '../../utils/noteAttachments';
+import RichTextEditor from './RichTextEditor';
 import '../../styles/forms/Popupform.css';
 
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
 const NoteForm = ({ contactId, onSubmit, onCancel, onDelete, initialData = null, isEditing = false }) => {
   const [formData, setFormData] = useState({
     content: initialData?.content || ''
   });
+  const [attachments, setAttachments] = useState(initialData?.attachments || []);
+  const [removedAttachmentIds, setRemovedAttachmentIds] = useState([]);
+  const [pendingFiles, setPendingFiles] = useState([]);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [error, setError] = useState('');
   const [validationError, setValidationError] = useState('');
   const submissionRef = useRef(false);
+  const fileInputRef = useRef(null);
 
-  const handleChange = (e) => {
-    const { name, value } = e.target;
+  const handleContentChange = (content) => {
     setFormData(prev => ({
       ...prev,
-      [name]: value
+      content
     }));
     if (validationError) setValidationError('');
     if (error) setError('');
   };
 
+  const handleFilesSelected = (e) => {
+    const files = Array.from(e.target.files || []);
+    const tooLarge = files.filter(file => file.size > MAX_ATTACHMENT_BYTES);
+    if (tooLarge.length > 0) {
+      setError(`${tooLarge.map(file => file.name).join(', ')} ${tooLarge.length === 1 ? 'is' : 'are'} larger than 10 MB`);
+    }
+    setPendingFiles(prev => [...prev, ...files.filter(file => file.size <= MAX_ATTACHMENT_BYTES)]);
+    e.target.value = '';
+  };
+
+  const handleRemoveAttachment = (attachmentId) => {
+    setAttachments(prev => prev.filter(attachment => attachment.id !== attachmentId));
+    setRemovedAttachmentIds(prev => [...prev, attachmentId]);
+  };
+
+  // Apply attachment changes once the note exists; returns the names of files that failed
+  const syncAttachments = async (noteId) => {
+    const failed = [];
+    for (const attachmentId of removedAttachmentIds) {
+      await deleteNoteAttachment(contactId, noteId, attachmentId).catch(() => failed.push('a removed attachment'));
+    }
+    const uploaded = [];
+    for (const file of pendingFiles) {
+      try {
+        uploaded.push(await uploadNoteAttachment(contactId, noteId, file));
+      } catch {
+        failed.push(file.name);
+      }
+    }
+    return { uploaded, failed };
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     if (isSubmitting || submissionRef.current) return;
@@ -39,14 +79,16 @@ const NoteForm = ({ contactId, onSubmit, onCancel, onDelete, initialData = null,
         response = await authenticatedFetch(`/api/contacts/${contactId}/notes/${initialData.id}`, {
           method: 'PUT',
           body: JSON.stringify({
-            content: formData.content.trim()
+            content: formData.content.trim(),
+            format: 'RICH_TEXT'
           })
         });
       } else {
         response = await authenticatedFetch(`/api/contacts/${contactId}/notes`, {
           method: 'POST',
           body: JSON.stringify({
-            content: formData.content.trim()
+            content: formData.content.trim(),
+            format: 'RICH_TEXT'
           })
         });
       }
@@ -54,7 +96,12 @@ const NoteForm = ({ contactId, onSubmit, onCancel, onDelete, initialData = null,
         const errorData = await response.json();
         throw new Error(errorData.error || `Failed to ${isEditing ? 'update' : 'create'} note`);
       }
-      const noteResult = await response.json();
+      const savedNote = await response.json();
+      const { uploaded, failed } = await syncAttachments(savedNote.id);
+      const noteResult = { ...savedNote, attachments: [...attachments, ...uploaded] };
+      if (failed.length > 0) {
+        alert(`The note was saved, but these attachments could not be saved: ${failed.join(', ')}`);
+      }
       if (onSubmit) {
         if (isEditing) {
           onSubmit(initialData.id, noteResult);
@@ -65,6 +112,7 @@ const NoteForm = ({ contactId, onSubmit, onCancel, onDelete, initialData = null,
       onCancel();
       if (!isEditing) {
         setFormData({ content: '' });
+        setPendingFiles([]);
       }
     } catch (err) {
       console.error(`Error ${isEditing ? 'updating' : 'creating'} note:`, err);
@@ -98,15 +146,39 @@ const NoteForm = ({ contactId, onSubmit, onCancel, onDelete, initialData = null,
       )}
       <div className="form-group description-group">
         <label htmlFor="content">Note *</label>
-        <textarea
+        <RichTextEditor
           id="content"
-          name="content"
           value={formData.content}
-          onChange={handleChange}
-          placeholder="Enter your note here..."
-          required
+          onChange={handleContentChange}
+          placeholder="Enter your note here... Type @ to mention a contact"
+          excludeContactId={contactId}
         />
       </div>
+      <div className="form-group">
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem', alignItems: 'center' }}>
+          {attachments.map(attachment => (
+            <span key={attachment.id} style={attachmentChipStyle}>
+              {attachment.fileName} ({formatFileSize(attachment.size)})
+              <button type="button" onClick={() => handleRemoveAttachment(attachment.id)} style={chipButtonStyle} aria-label={`Remove ${attachment.fileName}`}>
+                <X size={12} />
+              </button>
+            </span>
+          ))}
+          {pendingFiles.map((file, index) => (
+            <span key={`${file.name}-${index}`} style={{ ...attachmentChipStyle, borderStyle: 'dashed' }}>
+              {file.name} ({formatFileSize(file.size)})
+              <button type="button" onClick={() => setPendingFiles(prev => prev.filter((_, i) => i !== index))} style={chipButtonStyle} aria-label={`Remove ${file.name}`}>
+                <X size={12} />
+              </button>
+            </span>
+          ))}
+          <button type="button" className="btn-secondary" onClick={() => fileInputRef.current?.click()} disabled={isSubmitting}>
+            <Paperclip size={14} style={{ marginRight: 4, verticalAlign: 'middle' }} />
+            Attach files
+          </button>
+          <input ref={fileInputRef} type="file" multiple hidden onChange={handleFilesSelected} />
+        </div>
+      </div>
       <div className="form-actions">
         <div className="form-validation-text">{validationError}</div>
         <div className="form-actions-buttons">
@@ -141,4 +213,22 @@ const NoteForm = ({ contactId, onSubmit, onCancel, onDelete, initialData = null,
   );
 };
 
+const attachmentChipStyle = {
+  display: 'inline-flex',
+  alignItems: 'center',
+  gap: '0.25rem',
+  padding: '0.2rem 0.5rem',
+  border: '1px solid #d1d5db',
+  borderRadius: '999px',
+  fontSize: '0.8rem',
+};
+
+const chipButtonStyle = {
+  display: 'inline-flex',
+  padding: 0,
+  border: 'none',
+  background: 'none',
+  cursor: 'pointer',
+};
+
 export default NoteForm;
@@ -0,0 +1,191 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { getUserId } from '../../utils/auth';
+
+/*
+ * Rich text notes are stored as a small markdown subset, rendered here to React elements
+ * (never raw HTML):
+ *   # Heading / ## Heading / ### Heading
+ *   - item, * item, 1. item
+ *   - [ ] open checklist item, - [x] done checklist item
+ *   **bold**, *italic*, [label](https://example.com)
+ *   @[Jane Doe](contact:<contactId>) - a mention, which the server turns into a back-link
+ */
+
+const HEADING = /^(#{1,3})\s+(.*)$/;
+const CHECKLIST_ITEM = /^\s*[-*]\s+\[( |x|X)\]\s+(.*)$/;
+const BULLET_ITEM = /^\s*[-*]\s+(.*)$/;
+const NUMBERED_ITEM = /^\s*\d+[.)]\s+(.*)$/;
+const INLINE = /@\[([^\]\n]+)\]\(contact:([A-Za-z0-9_-]+)\)|\[([^\]\n]+)\]\(((?:https?:\/\/|mailto:)[^\s)]+)\)|\*\*([^*\n]+)\*\*|\*([^*\n]+)\*/g;
+
+export const mentionMarkup = (contact) => `@[${contact.name.replace(/[[\]\n]/g, '')}](contact:${contact.id})`;
+
+// Flip the checklist item on `lineIndex`, returning the new content
+export const toggleChecklistItem = (content, lineIndex) => content
+  .split('\n')
+  .map((line, index) => (index === lineIndex
+    ? line.replace(/\[( |x|X)\]/, (match, mark) => (mark === ' ' ? '[x]' : '[ ]'))
+    : line))
+  .join('\n');
+
+// Plain text for previews: markup removed, mentions and links reduced to their labels
+export const richTextToPlain = (content = '') => content
+  .replace(INLINE, (match, mentionName, mentionId, linkLabel, linkUrl, bold, italic) =>
+    (mentionName ? `@${mentionName}` : linkLabel || bold || italic || match))
+  .replace(/^\s*(#{1,3}|[-*]\s+\[(?: |x|X)\]|[-*]|\d+[.)])\s+/gm, '');
+
+const parseBlocks = (content) => {
+  const blocks = [];
+  const lastBlock = () => blocks[blocks.length - 1];
+  const pushItem = (type, item) => {
+    const block = lastBlock();
+    if (block?.type === type) {
+      block.items.push(item);
+    } else {
+      blocks.push({ type, items: [item] });
+    }
+  };
+
+  content.split('\n').forEach((line, index) => {
+    let match;
+    if ((match = line.match(HEADING))) {
+      blocks.push({ type: 'heading', level: match[1].length, text: match[2] });
+    } else if ((match = line.match(CHECKLIST_ITEM))) {
+      pushItem('checklist', { checked: match[1] !== ' ', text: match[2], line: index });
+    } else if ((match = line.match(BULLET_ITEM))) {
+      pushItem('bullets', { text: match[1] });
+    } else if ((match = line.match(NUMBERED_ITEM))) {
+      pushItem('numbered', { text: match[1] });
+    } else if (line.trim() === '') {
+      blocks.push({ type: 'break' });
+    } else if (lastBlock()?.type === 'paragraph') {
+      lastBlock().lines.push(line);
+    } else {
+      blocks.push({ type: 'paragraph', lines: [line] });
+    }
+  });
+
+  return blocks;
+};
+
+const renderInline = (text) => {
+  const parts = [];
+  let lastIndex = 0;
+  text.replace(INLINE, (match, mentionName, mentionId, linkLabel, linkUrl, bold, italic, offset) => {
+    if (offset > lastIndex) parts.push(text.slice(lastIndex, offset));
+    const key = `${offset}-${match.length}`;
+    if (mentionName) {
+      parts.push(
+        <Link key={key} to={`/dashboard/${getUserId()}/contacts/${mentionId}`} style={styles.mention} onClick={e => e.stopPropagation()}>
+          @{mentionName}
+        </Link>
+      );
+    } else if (linkLabel) {
+      parts.push(
+        <a key={key} href={linkUrl} target="_blank" rel="noopener noreferrer" onClick={e => e.stopPropagation()}>
+          {linkLabel}
+        </a>
+      );
+    } else if (bold) {
+      parts.push(<strong key={key}>{bold}</strong>);
+    } else {
+      parts.push(<em key={key}>{italic}</em>);
+    }
+    lastIndex = offset + match.length;
+    return match;
+  });
+  if (lastIndex < text.length) parts.push(text.slice(lastIndex));
+  return parts;
+};
+
+/**
+ * Render note content. PLAIN notes (written before rich text) keep their line breaks as-is.
+ * Pass onToggleChecklistItem(lineIndex) to make checklist items clickable.
+ */
+export const RichTextContent = ({ content = '', format = 'RICH_TEXT', onToggleChecklistItem }) => {
+  if (format === 'PLAIN') {
+    return <div style={{ whiteSpace: 'pre-wrap' }}>{content}</div>;
+  }
+
+  return (
+    <div style={styles.container}>
+      {parseBlocks(content).map((block, index) => {
+        switch (block.type) {
+          case 'heading': {
+            const Heading = `h${block.level + 2}`;
+            return <Heading key={index} style={styles.heading}>{renderInline(block.text)}</Heading>;
+          }
+          case 'checklist':
+            return (
+              <ul key={index} style={styles.checklist}>
+                {block.items.map(item => (
+                  <li key={item.line} style={styles.checklistItem}>
+                    <input
+                      type="checkbox"
+                      checked={item.checked}
+                      disabled={!onToggleChecklistItem}
+                      onClick={e => e.stopPropagation()}
+                      onChange={() => onToggleChecklistItem(item.line)}
+                    />
+                    <span style={item.checked ? styles.checkedText : undefined}>{renderInline(item.text)}</span>
+                  </li>
+                ))}
+              </ul>
+            );
+          case 'bullets':
+            return <ul key={index} style={styles.list}>{block.items.map((item, i) => <li key={i}>{renderInline(item.text)}</li>)}</ul>;
+          case 'numbered':
+            return <ol key={index} style={styles.list}>{block.items.map((item, i) => <li key={i}>{renderInline(item.text)}</li>)}</ol>;
+          case 'paragraph':
+            return (
+              <p key={index} style={styles.paragraph}>
+                {block.lines.map((line, i) => (
+                  <React.Fragment key={i}>
+                    {i > 0 && <br />}
+                    {renderInline(line)}
+                  </React.Fragment>
+                ))}
+              </p>
+            );
+          default:
+            return null;
+        }
+      })}
+    </div>
+  );
+};
+
+const styles = {
+  container: {
+    lineHeight: 1.5,
+  },
+  heading: {
+    margin: '0.5rem 0 0.25rem',
+  },
+  paragraph: {
+    margin: '0 0 0.5rem',
+  },
+  list: {
+    margin: '0 0 0.5rem',
+    paddingLeft: '1.25rem',
+  },
+  checklist: {
+    listStyle: 'none',
+    margin: '0 0 0.5rem',
+    padding: 0,
+  },
+  checklistItem: {
+    display: 'flex',
+    alignItems: 'flex-start',
+    gap: '0.5rem',
+  },
+  checkedText: {
+    textDecoration: 'line-through',
+    color: '#6b7280',
+  },
+  mention: {
+    color: 'var(--color-primary, #2563eb)',
+    fontWeight: 500,
+    textDecoration: 'none',
+  },
+};
@@ -0,0 +1,271 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Heading, Bold, Italic, List, ListOrdered, ListChecks, Link2, AtSign } from 'lucide-react';
+import { useContacts } from '../../hooks/useContacts';
+import { useDebounce } from '../../hooks/useDebounce';
+import { RichTextContent, mentionMarkup } from './RichText';
+
+// "@query" immediately before the caret starts a mention
+const MENTION_TRIGGER = /(^|\s)@([^\s@[\]()]{0,30})$/;
+
+// `contactsRef` receives the listed contacts so the editor's keyboard handling can pick one
+const MentionSuggestions = ({ query, activeIndex, onSelect, excludeContactId, contactsRef }) => {
+  const search = useDebounce(query, 200);
+  const { data, isLoading } = useContacts(search ? { search } : {}, 1, 6);
+  const contacts = (data?.contacts || []).filter(contact => contact.id !== excludeContactId).slice(0, 5);
+
+  useEffect(() => {
+    contactsRef.current = contacts;
+  });
+
+  return (
+    <div style={styles.suggestions} role="listbox">
+      {isLoading && <div style={styles.suggestionHint}>Searching...</div>}
+      {!isLoading && contacts.length === 0 && <div style={styles.suggestionHint}>No matching contacts</div>}
+      {contacts.map((contact, index) => (
+        <button
+          key={contact.id}
+          type="button"
+          role="option"
+          aria-selected={index === activeIndex}
+          // Keep focus in the textarea so the caret position survives the click
+          onMouseDown={e => { e.preventDefault(); onSelect(contact); }}
+          style={{ ...styles.suggestion, ...(index === activeIndex ? styles.suggestionActive : {}) }}
+        >
+          <span>{contact.name}</span>
+          {contact.email && <span style={styles.suggestionMeta}>{contact.email}</span>}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+/**
+ * Textarea editor for rich text notes (see RichText.js for the format) with a formatting toolbar,
+ * a preview, and @-mention autocomplete. `excludeContactId` keeps the note's own contact out of mentions.
+ */
+const RichTextEditor = ({ id, value, onChange, placeholder, excludeContactId }) => {
+  const textareaRef = useRef(null);
+  const [isPreview, setIsPreview] = useState(false);
+  const [mention, setMention] = useState(null); // { start, end, query }
+  const [activeIndex, setActiveIndex] = useState(0);
+  const suggestionsRef = useRef([]);
+
+  const update = (nextValue, selectionStart, selectionEnd = selectionStart) => {
+    onChange(nextValue);
+    requestAnimationFrame(() => {
+      const textarea = textareaRef.current;
+      if (!textarea) return;
+      textarea.focus();
+      textarea.setSelectionRange(selectionStart, selectionEnd);
+    });
+  };
+
+  const detectMention = (text, caret) => {
+    const match = text.slice(0, caret).match(MENTION_TRIGGER);
+    if (match) {
+      setMention({ start: caret - match[2].length - 1, end: caret, query: match[2] });
+      setActiveIndex(0);
+    } else {
+      setMention(null);
+    }
+  };
+
+  const handleChange = (e) => {
+    onChange(e.target.value);
+    detectMention(e.target.value, e.target.selectionStart);
+  };
+
+  const insertMention = (contact) => {
+    if (!mention) return;
+    const markup = `${mentionMarkup(contact)} `;
+    const nextValue = value.slice(0, mention.start) + markup + value.slice(mention.end);
+    setMention(null);
+    update(nextValue, mention.start + markup.length);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!mention) return;
+    const contacts = suggestionsRef.current;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActiveIndex(prev => (contacts.length ? (prev + step + contacts.length) % contacts.length : 0));
+    } else if ((e.key === 'Enter' || e.key === 'Tab') && contacts[activeIndex]) {
+      e.preventDefault();
+      insertMention(contacts[activeIndex]);
+    } else if (e.key === 'Escape') {
+      e.stopPropagation();
+      setMention(null);
+    }
+  };
+
+  // Wrap the selection in markup, e.g. **bold**; an empty selection gets `fallback` selected inside
+  const wrapSelection = (before, after, fallback) => {
+    const { selectionStart, selectionEnd } = textareaRef.current;
+    const selected = value.slice(selectionStart, selectionEnd) || fallback;
+    const nextValue = value.slice(0, selectionStart) + before + selected + after + value.slice(selectionEnd);
+    update(nextValue, selectionStart + before.length, selectionStart + before.length + selected.length);
+  };
+
+  // Prefix every line touched by the selection, e.g. "- " for a list
+  const prefixLines = (prefixFor) => {
+    const { selectionStart, selectionEnd } = textareaRef.current;
+    const lineStart = value.lastIndexOf('\n', selectionStart - 1) + 1;
+    const nextBreak = value.indexOf('\n', selectionEnd);
+    const lineEnd = nextBreak === -1 ? value.length : nextBreak;
+    const lines = value.slice(lineStart, lineEnd).split('\n').map((line, index) => prefixFor(index) + line);
+    const replaced = lines.join('\n');
+    update(value.slice(0, lineStart) + replaced + value.slice(lineEnd), lineStart + replaced.length);
+  };
+
+  const startMention = () => {
+    const { selectionStart } = textareaRef.current;
+    const needsSpace = selectionStart > 0 && !/\s/.test(value[selectionStart - 1]);
+    const insert = needsSpace ? ' @' : '@';
+    const nextValue = value.slice(0, selectionStart) + insert + value.slice(selectionStart);
+    const caret = selectionStart + insert.length;
+    update(nextValue, caret);
+    setMention({ start: caret - 1, end: caret, query: '' });
+    setActiveIndex(0);
+  };
+
+  const toolbar = [
+    { icon: Heading, label: 'Heading', action: () => prefixLines(() => '## ') },
+    { icon: Bold, label: 'Bold', action: () => wrapSelection('**', '**', 'bold text') },
+    { icon: Italic, label: 'Italic', action: () => wrapSelection('*', '*', 'italic text') },
+    { icon: List, label: 'Bulleted list', action: () => prefixLines(() => '- ') },
+    { icon: ListOrdered, label: 'Numbered list', action: () => prefixLines(index => `${index + 1}. `) },
+    { icon: ListChecks, label: 'Checklist', action: () => prefixLines(() => '- [ ] ') },
+    { icon: Link2, label: 'Link', action: () => wrapSelection('[', '](https://)', 'link text') },
+    { icon: AtSign, label: 'Mention a contact', action: startMention },
+  ];
+
+  return (
+    <div style={styles.editor}>
+      <div style={styles.toolbar}>
+        {toolbar.map(({ icon: Icon, label, action }) => (
+          <button
+            key={label}
+            type="button"
+            title={label}
+            aria-label={label}
+            onClick={action}
+            disabled={isPreview}
+            style={styles.toolbarButton}
+          >
+            <Icon size={15} />
+          </button>
+        ))}
+        <button
+          type="button"
+          onClick={() => { setIsPreview(prev => !prev); setMention(null); }}
+          style={{ ...styles.toolbarButton, marginLeft: 'auto', padding: '0.25rem 0.5rem' }}
+        >
+          {isPreview ? 'Edit' : 'Preview'}
+        </button>
+      </div>
+
+      {isPreview ? (
+        <div style={styles.preview}>
+          {value.trim() ? <RichTextContent content={value} /> : <span style={styles.suggestionHint}>Nothing to preview</span>}
+        </div>
+      ) : (
+        <div style={{ position: 'relative', flex: 1, display: 'flex' }}>
+          <textarea
+            id={id}
+            ref={textareaRef}
+            value={value}
+            onChange={handleChange}
+            onKeyDown={handleKeyDown}
+            onClick={e => detectMention(value, e.target.selectionStart)}
+            onBlur={() => setMention(null)}
+            placeholder={placeholder}
+            style={{ flex: 1 }}
+          />
+          {mention && (
+            <MentionSuggestions
+              query={mention.query}
+              activeIndex={activeIndex}
+              excludeContactId={excludeContactId}
+              onSelect={insertMention}
+              contactsRef={suggestionsRef}
+            />
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const styles = {
+  editor: {
+    display: 'flex',
+    flexDirection: 'column',
+    flex: 1,
+    gap: '0.25rem',
+  },
+  toolbar: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '0.25rem',
+    flexWrap: 'wrap',
+  },
+  toolbarButton: {
+    display: 'inline-flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: '0.25rem',
+    border: '1px solid #e5e7eb',
+    borderRadius: '4px',
+    background: 'white',
+    cursor: 'pointer',
+    fontSize: '0.8rem',
+  },
+  preview: {
+    flex: 1,
+    minHeight: '120px',
+    padding: '0.5rem',
+    border: '1px solid #e5e7eb',
+    borderRadius: '4px',
+    overflowY: 'auto',
+  },
+  suggestions: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    bottom: '100%',
+    marginBottom: '4px',
+    background: 'white',
+    border: '1px solid #e5e7eb',
+    borderRadius: '6px',
+    boxShadow: '0 4px 12px rgba(0, 0, 0, 0.1)',
+    zIndex: 10,
+    maxHeight: '200px',
+    overflowY: 'auto',
+  },
+  suggestion: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    gap: '0.5rem',
+    width: '100%',
+    padding: '0.4rem 0.6rem',
+    border: 'none',
+    background: 'none',
+    textAlign: 'left',
+    cursor: 'pointer',
+  },
+  suggestionActive: {
+    background: '#eff6ff',
+  },
+  suggestionMeta: {
+    color: '#6b7280',
+    fontSize: '0.8rem',
+  },
+  suggestionHint: {
+    padding: '0.4rem 0.6rem',
+    color: '#6b7280',
+    fontSize: '0.85rem',
+  },
+};
+
+export default RichTextEditor;
@@ -0,0 +1,63 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { getAuthHeaders, getUserId } from '../utils/auth';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:4000';
+
+export const apiKeysQueryKeys = {
+  all: ['apiKeys'],
+  list: (userId) => [...apiKeysQueryKeys.all, 'list', userId],
+};
+
+// Resources a key can be scoped to; matches API_KEY_RESOURCES on the server
+export const API_KEY_RESOURCE_LABELS = {
+  contacts: 'Contacts & imports',
+  tasks: 'Tasks',
+  properties: 'Custom properties',
+  listings: 'Listings',
+  deals: 'Deals & pipelines',
+};
+
+const request = async (path, options = {}, fallback = 'Request failed') => {
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    ...options,
+    headers: getAuthHeaders(),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `${fallback}: ${response.status} ${response.statusText}`);
+  }
+
+  return response.json();
+};
+
+// The current user's API keys in every workspace, newest first
+export const useApiKeys = () => {
+  const userId = getUserId();
+
+  return useQuery({
+    queryKey: apiKeysQueryKeys.list(userId),
+    queryFn: () => request('/api/api-keys', {}, 'Failed to fetch API keys'),
+    enabled: !!userId,
+  });
+};
+
+const useApiKeyMutation = (mutationFn) => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: apiKeysQueryKeys.all });
+    },
+  });
+};
+
+// Resolves to the new key, including the key itself, which is not returned again
+export const useCreateApiKey = () => useApiKeyMutation(
+  (apiKey) => request('/api/api-keys', { method: 'POST', body: JSON.stringify(apiKey) }, 'Failed to create API key')
+);
+
+export const useRevokeApiKey = () => useApiKeyMutation(
+  (apiKeyId) => request(`/api/api-keys/${apiKeyId}`, { method: 'DELETE' }, 'Failed to revoke API key')
+);
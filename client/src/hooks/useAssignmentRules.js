@@ -0,0 +1,68 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { getAuthHeaders, getUserId } from '../utils/auth';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:4000';
+
+export const assignmentRulesQueryKeys = {
+  all: ['assignmentRules'],
+  list: (userId) => [...assignmentRulesQueryKeys.all, 'list', userId],
+};
+
+export const ASSIGNMENT_RULE_TYPE_LABELS = {
+  ROUND_ROBIN: 'Every new contact',
+  SUBURB: 'Suburb is one of',
+  LEAD_SOURCE: 'Lead source is one of',
+};
+
+const request = async (path, options = {}, fallback = 'Request failed') => {
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    ...options,
+    headers: getAuthHeaders(),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `${fallback}: ${response.status} ${response.statusText}`);
+  }
+
+  return response.json();
+};
+
+// The workspace's assignment rules in the order they are tried
+export const useAssignmentRules = () => {
+  const userId = getUserId();
+
+  return useQuery({
+    queryKey: assignmentRulesQueryKeys.list(userId),
+    queryFn: () => request('/api/assignment-rules', {}, 'Failed to fetch assignment rules'),
+    enabled: !!userId,
+    staleTime: 5 * 60 * 1000,
+  });
+};
+
+const useAssignmentRuleMutation = (mutationFn) => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: assignmentRulesQueryKeys.all });
+    },
+  });
+};
+
+export const useCreateAssignmentRule = () => useAssignmentRuleMutation(
+  (rule) => request('/api/assignment-rules', { method: 'POST', body: JSON.stringify(rule) }, 'Failed to create rule')
+);
+
+export const useUpdateAssignmentRule = () => useAssignmentRuleMutation(
+  ({ ruleId, updates }) => request(`/api/assignment-rules/${ruleId}`, { method: 'PUT', body: JSON.stringify(updates) }, 'Failed to update rule')
+);
+
+export const useDeleteAssignmentRule = () => useAssignmentRuleMutation(
+  (ruleId) => request(`/api/assignment-rules/${ruleId}`, { method: 'DELETE' }, 'Failed to delete rule')
+);
+
+export const useReorderAssignmentRules = () => useAssignmentRuleMutation(
+  (ruleIds) => request('/api/assignment-rules/order', { method: 'PUT', body: JSON.stringify({ ruleIds }) }, 'Failed to reorder rules')
+);
@@ -0,0 +1,90 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { authenticatedFetch, getUserId } from '../utils/auth';
+import { auditQueryKeys } from './useAudit';
+
+export const attachmentsQueryKeys = {
+  all: ['attachments'],
+  contact: (userId, contactId) => [...attachmentsQueryKeys.all, userId, contactId],
+};
+
+const throwResponseError = async (response, fallback) => {
+  const errorData = await response.json().catch(() => ({}));
+  throw new Error(errorData.error || `${fallback}: ${response.status} ${response.statusText}`);
+};
+
+// A contact's documents, including files attached to its notes, newest first
+export const useContactAttachments = (contactId) => {
+  const userId = getUserId();
+
+  return useQuery({
+    queryKey: attachmentsQueryKeys.contact(userId, contactId),
+    queryFn: async () => {
+      const response = await authenticatedFetch(`/api/contacts/${contactId}/attachments`);
+      if (!response.ok) {
+        await throwResponseError(response, 'Failed to fetch documents');
+      }
+      return response.json();
+    },
+    enabled: !!userId && !!contactId,
+  });
+};
+
+// Files are sent as the raw request body with their name and type in headers (see utils/noteAttachments.js)
+export const useUploadAttachment = (contactId) => {
+  const queryClient = useQueryClient();
+  const userId = getUserId();
+
+  return useMutation({
+    mutationFn: async (file) => {
+      const response = await authenticatedFetch(`/api/contacts/${contactId}/attachments`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/octet-stream',
+          'X-File-Name': encodeURIComponent(file.name),
+          'X-File-Type': file.type || 'application/octet-stream',
+        },
+        body: file,
+      });
+      if (!response.ok) {
+        await throwResponseError(response, `Failed to upload ${file.name}`);
+      }
+      return response.json();
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: attachmentsQueryKeys.contact(userId, contactId) });
+      queryClient.invalidateQueries({ queryKey: auditQueryKeys.all });
+    },
+  });
+};
+
+export const useDeleteAttachment = (contactId) => {
+  const queryClient = useQueryClient();
+  const userId = getUserId();
+
+  return useMutation({
+    mutationFn: async (attachmentId) => {
+      const response = await authenticatedFetch(`/api/contacts/${contactId}/attachments/${attachmentId}`, {
+        method: 'DELETE',
+      });
+      if (!response.ok) {
+        await throwResponseError(response, 'Failed to delete document');
+      }
+      return response.json();
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: attachmentsQueryKeys.contact(userId, contactId) });
+      queryClient.invalidateQueries({ queryKey: auditQueryKeys.all });
+    },
+  });
+};
+
+// The file as a Blob; `inline` asks for the preview-safe variant served to images and PDFs
+export const fetchAttachmentBlob = async (contactId, attachmentId, { inline = false } = {}) => {
+  const response = await authenticatedFetch(
+    `/api/contacts/${contactId}/attachments/${attachmentId}${inline ? '?inline=true' : ''}`
+  );
+  if (!response.ok) {
+    await throwResponseError(response, 'Download failed');
+  }
+  return response.blob();
+};
@@ -0,0 +1,50 @@
+import { useQuery, keepPreviousData } from '@tanstack/react-query';
+import { getAuthHeaders, getUserId } from '../utils/auth';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:4000';
+
+export const auditQueryKeys = {
+  all: ['audit'],
+  list: (userId, filters) => [...auditQueryKeys.all, 'list', userId, filters],
+  contact: (userId, contactId, limit) => [...auditQueryKeys.all, 'contact', userId, contactId, limit],
+};
+
+const fetchAuditEvents = async (filters) => {
+  const params = new URLSearchParams(
+    Object.entries(filters).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  );
+  const response = await fetch(`${API_BASE_URL}/api/audit?${params}`, {
+    headers: getAuthHeaders(),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Failed to fetch history: ${response.status} ${response.statusText}`);
+  }
+
+  return response.json();
+};
+
+// Audit events for the account, filtered by { entityType, entityId, contactId, action, from, to, page, limit }
+export const useAuditEvents = (filters = {}) => {
+  const userId = getUserId();
+
+  return useQuery({
+    queryKey: auditQueryKeys.list(userId, filters),
+    queryFn: () => fetchAuditEvents(filters),
+    enabled: !!userId,
+    placeholderData: keepPreviousData,
+  });
+};
+
+// Newest `limit` changes to a contact, including its custom fields, tasks and notes
+export const useContactHistory = (contactId, limit = 50) => {
+  const userId = getUserId();
+
+  return useQuery({
+    queryKey: auditQueryKeys.contact(userId, contactId, limit),
+    queryFn: () => fetchAuditEvents({ contactId, limit }),
+    enabled: !!userId && !!contactId,
+    placeholderData: keepPreviousData,
+  });
+};
@@ -1,5 +1,6 @@
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { getAuthHeaders, getUserId } from '../utils/auth';
+import { tasksQueryKeys } from './useTasks';
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:4000';
 
@@ -10,6 +11,8 @@ export const contactsQueryKeys = {
   list: (userId, filters) => [...contactsQueryKeys.lists(), userId, { filters }],
   details: () => [...contactsQueryKeys.all, 'detail'],
   detail: (userId, id) => [...contactsQueryKeys.details(), userId, id],
+  assignments: (userId, id) => [...contactsQueryKeys.detail(userId, id), 'assignments'],
+  duplicates: (userId, minScore) => [...contactsQueryKeys.all, 'duplicates', userId, { minScore }],
 };
 
 // Custom hook for fetching all contacts with pagination
@@ -25,10 +28,13 @@ export const useContacts = (filters = {}, page = 1, limit = 100) => {
       searchParams.append('page', page.toString());
       searchParams.append('limit', limit.toString());
       
-      // Add filter parameters
+      // Add filter parameters (structured ones like `filters` are sent as JSON)
       Object.entries(filters).forEach(([key, value]) => {
+        if (Array.isArray(value) && value.length === 0) {
+          return;
+        }
         if (value) {
-          searchParams.append(key, value);
+          searchParams.append(key, typeof value === 'object' ? JSON.stringify(value) : value);
         }
       });
       
@@ -80,6 +86,29 @@ export const useContact = (contactId) => {
   });
 };
 
+// Who a contact has been assigned to over time, newest first
+export const useContactAssignments = (contactId, { enabled = true } = {}) => {
+  const userId = getUserId();
+
+  return useQuery({
+    queryKey: contactsQueryKeys.assignments(userId, contactId),
+    queryFn: async () => {
+      const response = await fetch(`${API_BASE_URL}/api/contacts/${contactId}/assignments`, {
+        method: 'GET',
+        headers: getAuthHeaders(),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Failed to fetch assignment history: ${response.status} ${response.statusText}`);
+      }
+
+      return response.json();
+    },
+    enabled: !!(contactId && userId) && enabled,
+    staleTime: 0, // Reassignments happen outside React Query, so refetch whenever the history is opened
+  });
+};
+
 // Mutation for adding a new contact
 export const useAddContact = () => {
   const queryClient = useQueryClient();
@@ -231,31 +260,128 @@ export const useDeleteContacts = () => {
   });
 };
 
-// Mutation for bulk import
-export const useBulkImportContacts = () => {
+// Mutation for bulk editing contacts. `target` is { contactIds } or { all: true, search, filters };
+// the response lists per-contact failures rather than failing the whole request.
+export const useBulkUpdateContacts = () => {
   const queryClient = useQueryClient();
-  
+
   return useMutation({
-    mutationFn: async (importData) => {
-      const response = await fetch(`${API_BASE_URL}/api/contacts/bulk-import`, {
+    mutationFn: async ({ target, changes, task, note }) => {
+      const response = await fetch(`${API_BASE_URL}/api/contacts/bulk`, {
+        method: 'PATCH',
+        headers: getAuthHeaders(),
+        body: JSON.stringify({ ...target, changes, task, note }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+        const details = (Array.isArray(errorData.details) ? errorData.details : [])
+          .map(detail => (typeof detail === 'string' ? detail : detail.message));
+        throw new Error([errorData.error || `Bulk update failed: ${response.status} ${response.statusText}`, ...details].join('\n'));
+      }
+
+      return response.json();
+    },
+    onSuccess: (_, { task }) => {
+      queryClient.invalidateQueries({ queryKey: contactsQueryKeys.all });
+      if (task) {
+        queryClient.invalidateQueries({ queryKey: tasksQueryKeys.all });
+      }
+    },
+    onError: (error) => {
+      console.error('Failed to bulk update contacts:', error);
+    },
+  });
+};
+
+// Likely duplicate pairs, best matches first
+export const useDuplicateContacts = (minScore = 50) => {
+  const userId = getUserId();
+
+  return useQuery({
+    queryKey: contactsQueryKeys.duplicates(userId, minScore),
+    queryFn: async () => {
+      const response = await fetch(`${API_BASE_URL}/api/contacts/duplicates?minScore=${minScore}&limit=100`, {
+        headers: getAuthHeaders(),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Failed to find duplicates: ${response.status} ${response.statusText}`);
+      }
+
+      return response.json();
+    },
+    enabled: !!userId,
+  });
+};
+
+// Mutation for merging a duplicate into the contact that is kept
+export const useMergeContacts = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    // mergeData: { survivorId, duplicateId, fields: { name: contactId, ... }, customFields: { fieldKey: contactId } }
+    mutationFn: async (mergeData) => {
+      const response = await fetch(`${API_BASE_URL}/api/contacts/merge`, {
         method: 'POST',
         headers: getAuthHeaders(),
-        body: JSON.stringify({ contacts: importData }),
+        body: JSON.stringify(mergeData),
       });
 
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
-        throw new Error(errorData.error || `Import failed: ${response.status} ${response.statusText}`);
+        throw new Error(errorData.error || `Merge failed: ${response.status} ${response.statusText}`);
       }
 
       return response.json();
     },
-    onSuccess: () => {
-      // Invalidate all contact queries to refetch fresh data
+    onSuccess: (data) => {
+      const userId = getUserId();
+      queryClient.removeQueries({ queryKey: contactsQueryKeys.detail(userId, data.mergedId) });
       queryClient.invalidateQueries({ queryKey: contactsQueryKeys.all });
     },
     onError: (error) => {
-      console.error('Failed to import CSV:', error);
+      console.error('Failed to merge contacts:', error);
+    },
+  });
+};
+
+// Pull the download name out of a Content-Disposition header
+const getDownloadFilename = (response, fallback) => {
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const match = disposition.match(/filename="?([^";]+)"?/);
+  return match ? match[1] : fallback;
+};
+
+// Mutation for exporting contacts (CSV, XLSX or vCard) as a file download
+export const useExportContacts = () => {
+  return useMutation({
+    mutationFn: async ({ format = 'csv', search, filters, sortBy, sortOrder, columns, contactIds }) => {
+      const response = await fetch(`${API_BASE_URL}/api/contacts/export`, {
+        method: 'POST',
+        headers: getAuthHeaders(),
+        body: JSON.stringify({ format, search, filters, sortBy, sortOrder, columns, contactIds }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+        throw new Error(errorData.error || `Export failed: ${response.status} ${response.statusText}`);
+      }
+
+      const blob = await response.blob();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = getDownloadFilename(response, `contacts.${format}`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+
+      return { count: Number(response.headers.get('X-Export-Count')) || 0 };
+    },
+    onError: (error) => {
+      console.error('Failed to export contacts:', error);
     },
   });
 };
@@ -0,0 +1,31 @@
+import { useQuery } from '@tanstack/react-query';
+import { getAuthHeaders, getUserId } from '../utils/auth';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:4000';
+
+export const customPropertiesQueryKeys = {
+  all: ['customProperties'],
+  list: (userId) => [...customPropertiesQueryKeys.all, userId],
+};
+
+// Active custom property definitions (with options), in display order
+export const useCustomProperties = () => {
+  const userId = getUserId();
+
+  return useQuery({
+    queryKey: customPropertiesQueryKeys.list(userId),
+    queryFn: async () => {
+      const response = await fetch(`${API_BASE_URL}/api/custom-properties`, {
+        headers: getAuthHeaders(),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Failed to fetch custom properties: ${response.status} ${response.statusText}`);
+      }
+
+      return response.json();
+    },
+    enabled: !!userId,
+    staleTime: 5 * 60 * 1000,
+  });
+};
@@ -0,0 +1,189 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { getAuthHeaders, getUserId } from '../utils/auth';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:4000';
+
+// Query Keys - centralized for better cache management
+export const pipelinesQueryKeys = {
+  all: ['pipelines'],
+  list: (userId) => [...pipelinesQueryKeys.all, 'list', userId],
+};
+
+export const dealsQueryKeys = {
+  all: ['deals'],
+  lists: () => [...dealsQueryKeys.all, 'list'],
+  list: (userId, pipelineId) => [...dealsQueryKeys.lists(), userId, { pipelineId }],
+};
+
+const request = async (path, options = {}, fallback = 'Request failed') => {
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    ...options,
+    headers: getAuthHeaders(),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `${fallback}: ${response.status} ${response.statusText}`);
+  }
+
+  return response.json();
+};
+
+// Pipelines (with ordered stages); the server seeds a default one on first load
+export const usePipelines = () => {
+  const userId = getUserId();
+
+  return useQuery({
+    queryKey: pipelinesQueryKeys.list(userId),
+    queryFn: () => request('/api/pipelines', {}, 'Failed to fetch pipelines'),
+    enabled: !!userId,
+  });
+};
+
+// Shared factory for pipeline/stage mutations - they all just refresh the pipeline list
+const usePipelineMutation = (mutationFn, label) => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: pipelinesQueryKeys.all });
+    },
+    onError: (error) => {
+      console.error(`Failed to ${label}:`, error);
+    },
+  });
+};
+
+export const useCreatePipeline = () => usePipelineMutation(
+  (pipeline) => request('/api/pipelines', { method: 'POST', body: JSON.stringify(pipeline) }, 'Failed to create pipeline'),
+  'create pipeline'
+);
+
+export const useRenamePipeline = () => usePipelineMutation(
+  ({ pipelineId, name }) => request(`/api/pipelines/${pipelineId}`, { method: 'PUT', body: JSON.stringify({ name }) }, 'Failed to rename pipeline'),
+  'rename pipeline'
+);
+
+export const useDeletePipeline = () => usePipelineMutation(
+  (pipelineId) => request(`/api/pipelines/${pipelineId}`, { method: 'DELETE' }, 'Failed to delete pipeline'),
+  'delete pipeline'
+);
+
+export const useAddStage = () => usePipelineMutation(
+  ({ pipelineId, name }) => request(`/api/pipelines/${pipelineId}/stages`, { method: 'POST', body: JSON.stringify({ name }) }, 'Failed to add stage'),
+  'add stage'
+);
+
+export const useRenameStage = () => usePipelineMutation(
+  ({ pipelineId, stageId, name }) => request(`/api/pipelines/${pipelineId}/stages/${stageId}`, { method: 'PUT', body: JSON.stringify({ name }) }, 'Failed to rename stage'),
+  'rename stage'
+);
+
+export const useDeleteStage = () => usePipelineMutation(
+  ({ pipelineId, stageId }) => request(`/api/pipelines/${pipelineId}/stages/${stageId}`, { method: 'DELETE' }, 'Failed to delete stage'),
+  'delete stage'
+);
+
+export const useReorderStages = () => usePipelineMutation(
+  ({ pipelineId, stageIds }) => request(`/api/pipelines/${pipelineId}/stages/order`, { method: 'PUT', body: JSON.stringify({ stageIds }) }, 'Failed to reorder stages'),
+  'reorder stages'
+);
+
+// Deals for one pipeline, in board order
+export const useDeals = (pipelineId) => {
+  const userId = getUserId();
+
+  return useQuery({
+    queryKey: dealsQueryKeys.list(userId, pipelineId),
+    queryFn: () => request(`/api/deals?pipelineId=${encodeURIComponent(pipelineId)}`, {}, 'Failed to fetch deals'),
+    enabled: !!(userId && pipelineId),
+    staleTime: 60 * 1000,
+  });
+};
+
+export const useAddDeal = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (deal) => request('/api/deals', { method: 'POST', body: JSON.stringify(deal) }, 'Failed to add deal'),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: dealsQueryKeys.lists() });
+      queryClient.invalidateQueries({ queryKey: pipelinesQueryKeys.all });
+    },
+    onError: (error) => {
+      console.error('Failed to add deal:', error);
+    },
+  });
+};
+
+export const useUpdateDeal = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ dealId, updates }) => request(`/api/deals/${dealId}`, { method: 'PUT', body: JSON.stringify(updates) }, 'Failed to update deal'),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: dealsQueryKeys.lists() });
+    },
+    onError: (error) => {
+      console.error('Failed to update deal:', error);
+    },
+  });
+};
+
+export const useDeleteDeal = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (dealId) => request(`/api/deals/${dealId}`, { method: 'DELETE' }, 'Failed to delete deal'),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: dealsQueryKeys.lists() });
+      queryClient.invalidateQueries({ queryKey: pipelinesQueryKeys.all });
+    },
+    onError: (error) => {
+      console.error('Failed to delete deal:', error);
+    },
+  });
+};
+
+// Move a deal between Kanban columns; the card moves immediately and rolls back on failure
+export const useMoveDeal = (pipelineId) => {
+  const queryClient = useQueryClient();
+  const queryKey = dealsQueryKeys.list(getUserId(), pipelineId);
+
+  return useMutation({
+    mutationFn: ({ dealId, stageId, position }) => request(
+      `/api/deals/${dealId}/move`,
+      { method: 'PATCH', body: JSON.stringify({ stageId, position }) },
+      'Failed to move deal'
+    ),
+    onMutate: async ({ dealId, stageId, position }) => {
+      await queryClient.cancelQueries({ queryKey });
+      const previousDeals = queryClient.getQueryData(queryKey);
+
+      queryClient.setQueryData(queryKey, (deals = []) => {
+        const moving = deals.find(deal => deal.id === dealId);
+        if (!moving) return deals;
+
+        const others = deals.filter(deal => deal.id !== dealId);
+        const column = others.filter(deal => deal.stageId === stageId);
+        const insertAt = position === undefined ? column.length : Math.min(position, column.length);
+        column.splice(insertAt, 0, { ...moving, stageId });
+
+        const renumbered = column.map((deal, index) => ({ ...deal, position: index }));
+        return [...others.filter(deal => deal.stageId !== stageId), ...renumbered];
+      });
+
+      return { previousDeals };
+    },
+    onError: (error, _, context) => {
+      console.error('Failed to move deal:', error);
+      if (context?.previousDeals) {
+        queryClient.setQueryData(queryKey, context.previousDeals);
+      }
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey });
+    },
+  });
+};
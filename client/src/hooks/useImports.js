@@ -0,0 +1,140 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { getAuthHeaders, getUserId } from '../utils/auth';
+import { contactsQueryKeys } from './useContacts';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:4000';
+
+export const importsQueryKeys = {
+  all: ['imports'],
+  list: (userId) => [...importsQueryKeys.all, 'list', userId],
+  detail: (userId, id) => [...importsQueryKeys.all, 'detail', userId, id],
+};
+
+// Statuses where the server is still working through the file
+export const ACTIVE_IMPORT_STATUSES = ['QUEUED', 'RUNNING'];
+
+const IMPORT_POLL_INTERVAL = 1000;
+
+const throwResponseError = async (response, fallback) => {
+  const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+  const error = new Error(errorData.error || `${fallback}: ${response.status} ${response.statusText}`);
+  error.details = errorData.details;
+  throw error;
+};
+
+// Mutation for queuing a CSV import job
+export const useStartImport = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    // importData: { fileName, headers, rows, mapping, duplicateStrategy, matchBy }
+    mutationFn: async (importData) => {
+      const response = await fetch(`${API_BASE_URL}/api/imports`, {
+        method: 'POST',
+        headers: getAuthHeaders(),
+        body: JSON.stringify(importData),
+      });
+
+      if (!response.ok) {
+        await throwResponseError(response, 'Import failed');
+      }
+
+      return response.json();
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: importsQueryKeys.all });
+    },
+    onError: (error) => {
+      console.error('Failed to start import:', error);
+    },
+  });
+};
+
+// Poll an import job until it finishes, then refresh the contact list
+export const useImportJob = (jobId) => {
+  const userId = getUserId();
+  const queryClient = useQueryClient();
+
+  return useQuery({
+    queryKey: importsQueryKeys.detail(userId, jobId),
+    queryFn: async () => {
+      const response = await fetch(`${API_BASE_URL}/api/imports/${jobId}`, {
+        headers: getAuthHeaders(),
+      });
+
+      if (!response.ok) {
+        await throwResponseError(response, 'Failed to fetch import');
+      }
+
+      const job = await response.json();
+      if (!ACTIVE_IMPORT_STATUSES.includes(job.status)) {
+        queryClient.invalidateQueries({ queryKey: contactsQueryKeys.all });
+      }
+      return job;
+    },
+    enabled: !!userId && !!jobId,
+    refetchInterval: (query) => (
+      ACTIVE_IMPORT_STATUSES.includes(query.state.data?.status) ? IMPORT_POLL_INTERVAL : false
+    ),
+  });
+};
+
+// Mutation for deleting the contacts an import created
+export const useUndoImport = () => {
+  const queryClient = useQueryClient();
+  const userId = getUserId();
+
+  return useMutation({
+    mutationFn: async (jobId) => {
+      const response = await fetch(`${API_BASE_URL}/api/imports/${jobId}/undo`, {
+        method: 'POST',
+        headers: getAuthHeaders(),
+      });
+
+      if (!response.ok) {
+        await throwResponseError(response, 'Undo failed');
+      }
+
+      return response.json();
+    },
+    onSuccess: (data) => {
+      queryClient.setQueryData(importsQueryKeys.detail(userId, data.job.id), data.job);
+      queryClient.invalidateQueries({ queryKey: importsQueryKeys.all });
+      queryClient.invalidateQueries({ queryKey: contactsQueryKeys.all });
+    },
+    onError: (error) => {
+      console.error('Failed to undo import:', error);
+    },
+  });
+};
+
+// Mutation for downloading the failed rows of an import as CSV
+export const useDownloadImportErrors = () => {
+  return useMutation({
+    mutationFn: async (jobId) => {
+      const response = await fetch(`${API_BASE_URL}/api/imports/${jobId}/errors.csv`, {
+        headers: getAuthHeaders(),
+      });
+
+      if (!response.ok) {
+        await throwResponseError(response, 'Download failed');
+      }
+
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const match = disposition.match(/filename="?([^";]+)"?/);
+
+      const blob = await response.blob();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = match ? match[1] : 'import-errors.csv';
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    },
+    onError: (error) => {
+      console.error('Failed to download import errors:', error);
+    },
+  });
+};
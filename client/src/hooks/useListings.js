@@ -0,0 +1,224 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { getAuthHeaders, getUserId } from '../utils/auth';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:4000';
+
+export const LISTING_STATUS_OPTIONS = [
+  { value: 'APPRAISAL', label: 'Appraisal' },
+  { value: 'LISTED', label: 'Listed' },
+  { value: 'UNDER_OFFER', label: 'Under Offer' },
+  { value: 'SOLD', label: 'Sold' },
+  { value: 'WITHDRAWN', label: 'Withdrawn' },
+];
+
+export const getListingStatusLabel = (status) =>
+  LISTING_STATUS_OPTIONS.find(option => option.value === status)?.label || status || '';
+
+// Query Keys - centralized for better cache management
+export const listingsQueryKeys = {
+  all: ['listings'],
+  lists: () => [...listingsQueryKeys.all, 'list'],
+  list: (userId, filters) => [...listingsQueryKeys.lists(), userId, { filters }],
+  details: () => [...listingsQueryKeys.all, 'detail'],
+  detail: (userId, id) => [...listingsQueryKeys.details(), userId, id],
+};
+
+const parseError = async (response, fallback) => {
+  const errorData = await response.json().catch(() => ({}));
+  return new Error(errorData.error || `${fallback}: ${response.status} ${response.statusText}`);
+};
+
+// Custom hook for fetching listings with pagination
+export const useListings = (filters = {}, page = 1, limit = 100) => {
+  const userId = getUserId();
+
+  return useQuery({
+    queryKey: listingsQueryKeys.list(userId, { ...filters, page, limit }),
+    queryFn: async () => {
+      const searchParams = new URLSearchParams();
+      searchParams.append('page', page.toString());
+      searchParams.append('limit', limit.toString());
+
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) {
+          searchParams.append(key, value);
+        }
+      });
+
+      const response = await fetch(`${API_BASE_URL}/api/listings?${searchParams}`, {
+        method: 'GET',
+        headers: getAuthHeaders(),
+      });
+
+      if (!response.ok) {
+        throw await parseError(response, 'Failed to fetch listings');
+      }
+
+      return response.json();
+    },
+    enabled: !!userId,
+    staleTime: 2 * 60 * 1000, // 2 minutes
+    refetchOnWindowFocus: false,
+    select: (data) => ({
+      listings: data.listings || [],
+      pagination: data.pagination || {}
+    }),
+  });
+};
+
+// Custom hook for fetching a single listing with its vendors and buyers
+export const useListing = (listingId) => {
+  const userId = getUserId();
+
+  return useQuery({
+    queryKey: listingsQueryKeys.detail(userId, listingId),
+    queryFn: async () => {
+      const response = await fetch(`${API_BASE_URL}/api/listings/${listingId}`, {
+        method: 'GET',
+        headers: getAuthHeaders(),
+      });
+
+      if (!response.ok) {
+        throw await parseError(response, 'Failed to fetch listing');
+      }
+
+      return response.json();
+    },
+    enabled: !!(listingId && userId),
+  });
+};
+
+// Store a listing returned by the API in the detail cache and refresh lists
+const syncListing = (queryClient, listing) => {
+  const userId = getUserId();
+  queryClient.setQueryData(listingsQueryKeys.detail(userId, listing.id), listing);
+  queryClient.invalidateQueries({ queryKey: listingsQueryKeys.lists() });
+};
+
+// Mutation for adding a new listing
+export const useAddListing = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (newListing) => {
+      const response = await fetch(`${API_BASE_URL}/api/listings`, {
+        method: 'POST',
+        headers: getAuthHeaders(),
+        body: JSON.stringify(newListing),
+      });
+
+      if (!response.ok) {
+        throw await parseError(response, 'Failed to add listing');
+      }
+
+      return response.json();
+    },
+    onSuccess: (listing) => syncListing(queryClient, listing),
+    onError: (error) => {
+      console.error('Failed to add listing:', error);
+    },
+  });
+};
+
+// Mutation for updating a listing
+export const useUpdateListing = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ listingId, updates }) => {
+      const response = await fetch(`${API_BASE_URL}/api/listings/${listingId}`, {
+        method: 'PUT',
+        headers: getAuthHeaders(),
+        body: JSON.stringify(updates),
+      });
+
+      if (!response.ok) {
+        throw await parseError(response, 'Failed to update listing');
+      }
+
+      return response.json();
+    },
+    onSuccess: (listing) => syncListing(queryClient, listing),
+    onError: (error) => {
+      console.error('Failed to update listing:', error);
+    },
+  });
+};
+
+// Mutation for deleting a listing
+export const useDeleteListing = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (listingId) => {
+      const response = await fetch(`${API_BASE_URL}/api/listings/${listingId}`, {
+        method: 'DELETE',
+        headers: getAuthHeaders(),
+      });
+
+      if (!response.ok) {
+        throw await parseError(response, 'Failed to delete listing');
+      }
+
+      return response.json();
+    },
+    onSuccess: (_, listingId) => {
+      const userId = getUserId();
+      queryClient.removeQueries({ queryKey: listingsQueryKeys.detail(userId, listingId) });
+      queryClient.invalidateQueries({ queryKey: listingsQueryKeys.lists() });
+    },
+    onError: (error) => {
+      console.error('Failed to delete listing:', error);
+    },
+  });
+};
+
+// Mutation for linking a contact to a listing as VENDOR or BUYER
+export const useLinkListingContact = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ listingId, contactId, role }) => {
+      const response = await fetch(`${API_BASE_URL}/api/listings/${listingId}/contacts`, {
+        method: 'POST',
+        headers: getAuthHeaders(),
+        body: JSON.stringify({ contactId, role }),
+      });
+
+      if (!response.ok) {
+        throw await parseError(response, 'Failed to link contact');
+      }
+
+      return response.json();
+    },
+    onSuccess: (listing) => syncListing(queryClient, listing),
+    onError: (error) => {
+      console.error('Failed to link contact to listing:', error);
+    },
+  });
+};
+
+// Mutation for removing a contact link from a listing
+export const useUnlinkListingContact = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ listingId, contactId, role }) => {
+      const query = role ? `?role=${encodeURIComponent(role)}` : '';
+      const response = await fetch(`${API_BASE_URL}/api/listings/${listingId}/contacts/${contactId}${query}`, {
+        method: 'DELETE',
+        headers: getAuthHeaders(),
+      });
+
+      if (!response.ok) {
+        throw await parseError(response, 'Failed to unlink contact');
+      }
+
+      return response.json();
+    },
+    onSuccess: (listing) => syncListing(queryClient, listing),
+    onError: (error) => {
+      console.error('Failed to unlink contact from listing:', error);
+    },
+  });
+};
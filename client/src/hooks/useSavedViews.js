@@ -0,0 +1,102 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { getAuthHeaders, getUserId } from '../utils/auth';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:4000';
+
+// Query Keys - centralized for better cache management
+export const savedViewsQueryKeys = {
+  all: ['savedViews'],
+  list: (userId) => [...savedViewsQueryKeys.all, 'list', userId],
+};
+
+const request = async (path, options = {}, fallback = 'Request failed') => {
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    ...options,
+    headers: getAuthHeaders(),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `${fallback}: ${response.status} ${response.statusText}`);
+  }
+
+  return response.json();
+};
+
+// Own and shared contact views, in tab order
+export const useSavedViews = () => {
+  const userId = getUserId();
+
+  return useQuery({
+    queryKey: savedViewsQueryKeys.list(userId),
+    queryFn: () => request('/api/views', {}, 'Failed to fetch views'),
+    enabled: !!userId,
+    staleTime: 5 * 60 * 1000,
+  });
+};
+
+// Shared factory for view mutations - they all just refresh the view list
+const useSavedViewMutation = (mutationFn, label) => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: savedViewsQueryKeys.all });
+    },
+    onError: (error) => {
+      console.error(`Failed to ${label}:`, error);
+    },
+  });
+};
+
+export const useCreateSavedView = () => useSavedViewMutation(
+  (view) => request('/api/views', { method: 'POST', body: JSON.stringify(view) }, 'Failed to save view'),
+  'save view'
+);
+
+export const useUpdateSavedView = () => useSavedViewMutation(
+  ({ viewId, updates }) => request(`/api/views/${viewId}`, { method: 'PUT', body: JSON.stringify(updates) }, 'Failed to update view'),
+  'update view'
+);
+
+export const useDeleteSavedView = () => useSavedViewMutation(
+  (viewId) => request(`/api/views/${viewId}`, { method: 'DELETE' }, 'Failed to delete view'),
+  'delete view'
+);
+
+export const useShareSavedView = () => useSavedViewMutation(
+  ({ viewId, email }) => request(`/api/views/${viewId}/shares`, { method: 'POST', body: JSON.stringify({ email }) }, 'Failed to share view'),
+  'share view'
+);
+
+export const useUnshareSavedView = () => useSavedViewMutation(
+  ({ viewId, userId }) => request(`/api/views/${viewId}/shares/${userId}`, { method: 'DELETE' }, 'Failed to stop sharing view'),
+  'stop sharing view'
+);
+
+// Reorders optimistically so dragged tabs don't jump back while the request is in flight
+export const useReorderSavedViews = () => {
+  const queryClient = useQueryClient();
+  const queryKey = savedViewsQueryKeys.list(getUserId());
+
+  return useMutation({
+    mutationFn: (viewIds) => request('/api/views/order', { method: 'PUT', body: JSON.stringify({ viewIds }) }, 'Failed to reorder views'),
+    onMutate: async (viewIds) => {
+      await queryClient.cancelQueries({ queryKey });
+      const previous = queryClient.getQueryData(queryKey);
+      if (previous) {
+        const byId = new Map(previous.map(view => [view.id, view]));
+        queryClient.setQueryData(queryKey, viewIds.map(id => byId.get(id)).filter(Boolean));
+      }
+      return { previous };
+    },
+    onError: (error, viewIds, context) => {
+      if (context?.previous) queryClient.setQueryData(queryKey, context.previous);
+      console.error('Failed to reorder views:', error);
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: savedViewsQueryKeys.all });
+    },
+  });
+};
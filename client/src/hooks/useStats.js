@@ -0,0 +1,34 @@
+import { useQuery, keepPreviousData } from '@tanstack/react-query';
+import { getAuthHeaders, getUserId } from '../utils/auth';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:4000';
+
+export const statsQueryKeys = {
+  all: ['stats'],
+  dashboard: (userId, range) => [...statsQueryKeys.all, 'dashboard', userId, range],
+};
+
+// Dashboard analytics for a { from, to } range of ISO date strings
+export const useDashboardStats = (range) => {
+  const userId = getUserId();
+
+  return useQuery({
+    queryKey: statsQueryKeys.dashboard(userId, range),
+    queryFn: async () => {
+      const params = new URLSearchParams(range);
+      const response = await fetch(`${API_BASE_URL}/api/stats?${params}`, {
+        headers: getAuthHeaders(),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || `Failed to fetch statistics: ${response.status} ${response.statusText}`);
+      }
+
+      return response.json();
+    },
+    enabled: !!userId,
+    placeholderData: keepPreviousData,
+    staleTime: 60 * 1000,
+  });
+};
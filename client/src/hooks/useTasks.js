@@ -0,0 +1,116 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { getAuthHeaders, getUserId } from '../utils/auth';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:4000';
+
+// Query Keys - centralized for better cache management
+export const tasksQueryKeys = {
+  all: ['tasks'],
+  lists: () => [...tasksQueryKeys.all, 'list'],
+  list: (userId, filters) => [...tasksQueryKeys.lists(), userId, { filters }],
+};
+
+const parseError = async (response, fallback) => {
+  const errorData = await response.json().catch(() => ({}));
+  return new Error(errorData.error || `${fallback}: ${response.status} ${response.statusText}`);
+};
+
+// Tasks across all contacts, ordered by due date (undated last)
+export const useTasks = (filters = {}, limit = 500) => {
+  const userId = getUserId();
+
+  return useQuery({
+    queryKey: tasksQueryKeys.list(userId, { ...filters, limit }),
+    queryFn: async () => {
+      const searchParams = new URLSearchParams({ sortBy: 'dueDate', limit: limit.toString() });
+
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) {
+          searchParams.append(key, value);
+        }
+      });
+
+      const response = await fetch(`${API_BASE_URL}/api/tasks?${searchParams}`, {
+        method: 'GET',
+        headers: getAuthHeaders(),
+      });
+
+      if (!response.ok) {
+        throw await parseError(response, 'Failed to fetch tasks');
+      }
+
+      return response.json();
+    },
+    enabled: !!userId,
+    staleTime: 60 * 1000,
+    refetchOnWindowFocus: false,
+    select: (data) => ({
+      tasks: data.tasks || [],
+      pagination: data.pagination || {}
+    }),
+  });
+};
+
+// Update a single task; completing it logs the TASK_COMPLETED activity server-side
+export const useUpdateTask = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ task, updates }) => {
+      // PUT /api/tasks/:id replaces the editable fields, so send the full task
+      const body = {
+        title: task.title,
+        description: task.description,
+        status: task.status,
+        priority: task.priority,
+        dueDate: task.dueDate,
+        ...updates
+      };
+
+      const response = await fetch(`${API_BASE_URL}/api/tasks/${task.id}`, {
+        method: 'PUT',
+        headers: getAuthHeaders(),
+        body: JSON.stringify(body),
+      });
+
+      if (!response.ok) {
+        throw await parseError(response, 'Failed to update task');
+      }
+
+      return response.json();
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: tasksQueryKeys.lists() });
+    },
+    onError: (error) => {
+      console.error('Failed to update task:', error);
+    },
+  });
+};
+
+// Bulk complete / reschedule / reassign
+export const useBulkUpdateTasks = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (payload) => {
+      const response = await fetch(`${API_BASE_URL}/api/tasks/bulk`, {
+        method: 'PATCH',
+        headers: getAuthHeaders(),
+        body: JSON.stringify(payload),
+      });
+
+      if (!response.ok) {
+        throw await parseError(response, 'Failed to update tasks');
+      }
+
+      return response.json();
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: tasksQueryKeys.lists() });
+    },
+    onError: (error) => {
+      console.error('Failed to bulk update tasks:', error);
+    },
+  });
+};
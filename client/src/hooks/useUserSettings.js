@@ -74,24 +74,88 @@ const updateUserDisplayName = async ({ displayName, jobTitle }) => {
   return response.json();
 };
 
-const updateUserProfileImage = async ({ profileImage }) => {
-  const response = await fetch(`${API_BASE_URL}/api/users/profile-image`, {
+// Uploads the image file as the raw request body; passing no file removes the current image
+const updateUserProfileImage = async ({ file }) => {
+  const response = await fetch(`${API_BASE_URL}/api/users/profile-image`, file ? {
     method: 'PUT',
     headers: {
       ...getAuthHeaders(),
-      'Content-Type': 'application/json',
+      'Content-Type': 'application/octet-stream',
+      'X-File-Name': encodeURIComponent(file.name),
+      'X-File-Type': file.type || 'application/octet-stream',
     },
-    body: JSON.stringify({ profileImage }),
+    body: file,
+  } : {
+    method: 'DELETE',
+    headers: getAuthHeaders(),
   });
 
   if (!response.ok) {
-    const error = await response.json();
+    const error = await response.json().catch(() => ({}));
     throw new Error(error.error || 'Failed to update profile image');
   }
 
   return response.json();
 };
 
+const fetchSessions = async () => {
+  const response = await fetch(`${API_BASE_URL}/api/users/sessions`, {
+    headers: getAuthHeaders(),
+  });
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw new Error(error.error || 'Failed to fetch sessions');
+  }
+
+  return response.json();
+};
+
+const revokeSession = async (sessionId) => {
+  const response = await fetch(`${API_BASE_URL}/api/users/sessions/${sessionId}`, {
+    method: 'DELETE',
+    headers: getAuthHeaders(),
+  });
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw new Error(error.error || 'Failed to revoke session');
+  }
+
+  return response.json();
+};
+
+const fetchTableLayout = async (table) => {
+  const response = await fetch(`${API_BASE_URL}/api/users/table-layouts/${table}`, {
+    headers: getAuthHeaders(),
+  });
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw new Error(error.error || 'Failed to fetch table layout');
+  }
+
+  return response.json();
+};
+
+const saveTableLayout = async ({ table, layout }) => {
+  const response = await fetch(`${API_BASE_URL}/api/users/table-layouts/${table}`, {
+    method: 'PUT',
+    headers: {
+      ...getAuthHeaders(),
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(layout),
+  });
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw new Error(error.error || 'Failed to save table layout');
+  }
+
+  return response.json();
+};
+
 // Custom hooks
 export const useUserProfile = () => {
   return useQuery({
@@ -177,3 +241,51 @@ export const useUpdateProfileImage = () => {
     },
   });
 };
+
+export const useSessions = () => {
+  return useQuery({
+    queryKey: ['userSessions'],
+    queryFn: fetchSessions,
+    staleTime: 30 * 1000,
+    select: (data) => data.sessions || [],
+  });
+};
+
+export const useRevokeSession = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: revokeSession,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['userSessions'] });
+    },
+    onError: (error) => {
+      console.error('Session revoke error:', error);
+    },
+  });
+};
+
+// Saved layout (column order, widths, hidden/pinned columns, page size) for a table; null until saved
+export const useTableLayout = (table) => {
+  return useQuery({
+    queryKey: ['tableLayout', table],
+    queryFn: () => fetchTableLayout(table),
+    staleTime: Infinity,
+    retry: 1,
+    select: (data) => data.layout,
+  });
+};
+
+export const useSaveTableLayout = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: saveTableLayout,
+    onSuccess: (data) => {
+      queryClient.setQueryData(['tableLayout', data.table], data);
+    },
+    onError: (error) => {
+      console.error('Table layout save error:', error);
+    },
+  });
+};
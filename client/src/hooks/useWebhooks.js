@@ -0,0 +1,85 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { getAuthHeaders, getUserId } from '../utils/auth';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:4000';
+
+export const webhooksQueryKeys = {
+  all: ['webhooks'],
+  list: (userId) => [...webhooksQueryKeys.all, 'list', userId],
+  deliveries: (webhookId) => [...webhooksQueryKeys.all, 'deliveries', webhookId],
+};
+
+export const WEBHOOK_EVENT_LABELS = {
+  'contact.created': 'Contact created',
+  'contact.updated': 'Contact updated',
+  'contact.deleted': 'Contact deleted',
+  'task.completed': 'Task completed',
+  'activity.created': 'Activity logged',
+  'import.finished': 'Import finished',
+};
+
+const request = async (path, options = {}, fallback = 'Request failed') => {
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    ...options,
+    headers: getAuthHeaders(),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `${fallback}: ${response.status} ${response.statusText}`);
+  }
+
+  return response.json();
+};
+
+// The workspace's webhook subscriptions, each with its latest delivery
+export const useWebhooks = () => {
+  const userId = getUserId();
+
+  return useQuery({
+    queryKey: webhooksQueryKeys.list(userId),
+    queryFn: () => request('/api/webhooks', {}, 'Failed to fetch webhooks'),
+    enabled: !!userId,
+  });
+};
+
+// Recent deliveries of one webhook; refreshed while any are still being sent or retried
+export const useWebhookDeliveries = (webhookId) => useQuery({
+  queryKey: webhooksQueryKeys.deliveries(webhookId),
+  queryFn: () => request(`/api/webhooks/${webhookId}/deliveries`, {}, 'Failed to fetch deliveries'),
+  enabled: !!webhookId,
+  refetchInterval: (query) => (query.state.data?.some(delivery => delivery.status === 'PENDING') ? 5000 : false),
+});
+
+const useWebhookMutation = (mutationFn) => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: webhooksQueryKeys.all });
+    },
+  });
+};
+
+// Resolves to the new webhook, including its signing secret
+export const useCreateWebhook = () => useWebhookMutation(
+  (webhook) => request('/api/webhooks', { method: 'POST', body: JSON.stringify(webhook) }, 'Failed to create webhook')
+);
+
+export const useUpdateWebhook = () => useWebhookMutation(
+  ({ webhookId, updates }) => request(`/api/webhooks/${webhookId}`, { method: 'PUT', body: JSON.stringify(updates) }, 'Failed to update webhook')
+);
+
+export const useDeleteWebhook = () => useWebhookMutation(
+  (webhookId) => request(`/api/webhooks/${webhookId}`, { method: 'DELETE' }, 'Failed to delete webhook')
+);
+
+// Resolves to the webhook with its new signing secret
+export const useRotateWebhookSecret = () => useWebhookMutation(
+  (webhookId) => request(`/api/webhooks/${webhookId}/rotate-secret`, { method: 'POST' }, 'Failed to rotate secret')
+);
+
+export const useSendTestWebhook = () => useWebhookMutation(
+  (webhookId) => request(`/api/webhooks/${webhookId}/test`, { method: 'POST' }, 'Failed to send test event')
+);
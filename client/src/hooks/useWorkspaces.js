@@ -0,0 +1,166 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { authenticatedFetch, getUserId, getWorkspaceId } from '../utils/auth';
+
+export const workspacesQueryKeys = {
+  all: ['workspaces'],
+  list: (userId) => [...workspacesQueryKeys.all, 'list', userId],
+  members: (workspaceId) => [...workspacesQueryKeys.all, 'members', workspaceId],
+};
+
+const throwResponseError = async (response, fallback) => {
+  const errorData = await response.json().catch(() => ({}));
+  throw new Error(errorData.error || `${fallback}: ${response.status} ${response.statusText}`);
+};
+
+// Workspaces the user belongs to, with their role in each
+export const useWorkspaces = () => {
+  const userId = getUserId();
+
+  return useQuery({
+    queryKey: workspacesQueryKeys.list(userId),
+    queryFn: async () => {
+      const response = await authenticatedFetch('/api/workspaces');
+      if (!response.ok) {
+        await throwResponseError(response, 'Failed to fetch workspaces');
+      }
+      return response.json();
+    },
+    enabled: !!userId,
+    staleTime: 5 * 60 * 1000,
+  });
+};
+
+// The workspace requests act in: the stored one, else the first (which the server also defaults to)
+export const useCurrentWorkspace = () => {
+  const { data: workspaces = [], ...query } = useWorkspaces();
+  const storedId = getWorkspaceId();
+  const workspace = workspaces.find(candidate => candidate.id === storedId) || workspaces[0] || null;
+  return { workspace, workspaces, ...query };
+};
+
+export const useCreateWorkspace = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (name) => {
+      const response = await authenticatedFetch('/api/workspaces', {
+        method: 'POST',
+        body: JSON.stringify({ name }),
+      });
+      if (!response.ok) {
+        await throwResponseError(response, 'Failed to create workspace');
+      }
+      return response.json();
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: workspacesQueryKeys.all });
+    },
+  });
+};
+
+// Members of a workspace, e.g. to pick who a contact is assigned to
+export const useWorkspaceMembers = (workspaceId) => {
+  return useQuery({
+    queryKey: workspacesQueryKeys.members(workspaceId),
+    queryFn: async () => {
+      const response = await authenticatedFetch(`/api/workspaces/${workspaceId}/members`);
+      if (!response.ok) {
+        await throwResponseError(response, 'Failed to fetch workspace members');
+      }
+      return response.json();
+    },
+    enabled: !!workspaceId,
+    staleTime: 5 * 60 * 1000,
+  });
+};
+
+// Mirrors server/utils/permissions.js; the server enforces these, the UI only hides what would be refused
+export const PERMISSIONS = {
+  VIEW_ALL_CONTACTS: 'viewAllContacts',
+  EDIT_RECORDS: 'editRecords',
+  DELETE_RECORDS: 'deleteRecords',
+  BULK_DELETE: 'bulkDelete',
+  EXPORT_CONTACTS: 'exportContacts',
+  IMPORT_CONTACTS: 'importContacts',
+  MANAGE_PROPERTIES: 'manageProperties',
+  MANAGE_MEMBERS: 'manageMembers',
+  MANAGE_WEBHOOKS: 'manageWebhooks',
+  MANAGE_WORKSPACE: 'manageWorkspace',
+};
+
+export const WORKSPACE_ROLE_LABELS = {
+  OWNER: 'Owner',
+  ADMIN: 'Admin',
+  AGENT: 'Agent',
+  READ_ONLY: 'Read-only',
+};
+
+// What the user may do in the current workspace; nothing until the workspaces have loaded
+export const useWorkspacePermissions = () => {
+  const { workspace } = useCurrentWorkspace();
+  const permissions = workspace?.permissions || [];
+  return {
+    role: workspace?.role || null,
+    can: (permission) => permissions.includes(permission),
+  };
+};
+
+export const useAddWorkspaceMember = (workspaceId) => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ email, role, canViewAllContacts }) => {
+      const response = await authenticatedFetch(`/api/workspaces/${workspaceId}/members`, {
+        method: 'POST',
+        body: JSON.stringify({ email, role, canViewAllContacts }),
+      });
+      if (!response.ok) {
+        await throwResponseError(response, 'Failed to add member');
+      }
+      return response.json();
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: workspacesQueryKeys.all });
+    },
+  });
+};
+
+export const useUpdateWorkspaceMember = (workspaceId) => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ userId, ...updates }) => {
+      const response = await authenticatedFetch(`/api/workspaces/${workspaceId}/members/${userId}`, {
+        method: 'PUT',
+        body: JSON.stringify(updates),
+      });
+      if (!response.ok) {
+        await throwResponseError(response, 'Failed to update member');
+      }
+      return response.json();
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: workspacesQueryKeys.all });
+    },
+  });
+};
+
+// Removing yourself leaves the workspace
+export const useRemoveWorkspaceMember = (workspaceId) => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (userId) => {
+      const response = await authenticatedFetch(`/api/workspaces/${workspaceId}/members/${userId}`, {
+        method: 'DELETE',
+      });
+      if (!response.ok) {
+        await throwResponseError(response, 'Failed to remove member');
+      }
+      return response.json();
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: workspacesQueryKeys.all });
+    },
+  });
+};
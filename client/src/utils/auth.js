@@ -2,6 +2,8 @@
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:4000';
 
+const WORKSPACE_STORAGE_KEY = 'workspaceId';
+
 // Token management with refresh token support
 export const setAuthTokens = (tokens) => {
   localStorage.setItem('accessToken', tokens.accessToken);
@@ -24,6 +26,7 @@ export const removeAuthTokens = () => {
   localStorage.removeItem('token'); // Legacy token
   localStorage.removeItem('user');
   localStorage.removeItem('userId'); // Legacy key that might be used elsewhere
+  localStorage.removeItem(WORKSPACE_STORAGE_KEY);
   localStorage.removeItem('crm_contacts'); // Clear any cached contacts
   
   // Set a logout flag to prevent immediate re-authentication
@@ -55,12 +58,29 @@ export const getUserId = () => {
   return user?.id || null;
 };
 
+// Workspace the app is acting in. Without one the server uses the user's first workspace
+export const getWorkspaceId = () => localStorage.getItem(WORKSPACE_STORAGE_KEY);
+
+export const setWorkspaceId = (workspaceId) => {
+  if (workspaceId) {
+    localStorage.setItem(WORKSPACE_STORAGE_KEY, workspaceId);
+  } else {
+    localStorage.removeItem(WORKSPACE_STORAGE_KEY);
+  }
+};
+
+export const getWorkspaceHeaders = () => {
+  const workspaceId = getWorkspaceId();
+  return workspaceId ? { 'X-Workspace-Id': workspaceId } : {};
+};
+
 // Authentication headers for API requests
 export const getAuthHeaders = () => {
   const token = getAuthToken();
   return {
     'Authorization': `Bearer ${token}`,
     'Content-Type': 'application/json',
+    ...getWorkspaceHeaders(),
   };
 };
 
@@ -97,8 +117,21 @@ export const isAuthenticated = () => {
   }
 };
 
+// In-flight refresh request shared by concurrent callers. Refresh tokens are
+// single-use, so two parallel refreshes would look like token reuse to the server
+let refreshPromise = null;
+
 // Refresh access token using refresh token
-export const refreshAccessToken = async () => {
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = requestTokenRefresh().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
+const requestTokenRefresh = async () => {
   try {
     const refreshToken = getRefreshToken();
     
@@ -148,6 +181,7 @@ export const authenticatedFetch = async (url, options = {}) => {
       headers: {
         'Content-Type': 'application/json',
         'Authorization': `Bearer ${accessToken}`,
+        ...getWorkspaceHeaders(),
         ...options.headers,
       },
     };
@@ -171,6 +205,15 @@ export const authenticatedFetch = async (url, options = {}) => {
     }
   }
 
+  // The stored workspace is gone or the user was removed from it: fall back to their default one
+  if (response.status === 403 && getWorkspaceId()) {
+    const errorData = await response.clone().json().catch(() => ({}));
+    if (errorData.code === 'WORKSPACE_ACCESS_DENIED') {
+      setWorkspaceId(null);
+      response = await makeRequest(getAuthToken());
+    }
+  }
+
   if (response.status === 403) {
     throw new Error('Access denied');
   }
@@ -383,6 +426,18 @@ export const logout = async () => {
   }
 };
 
+// Sign out of every session (all devices), then clear this one locally
+export const logoutEverywhere = async () => {
+  const response = await authenticatedFetch('/api/auth/logout-all', { method: 'POST' });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || 'Failed to sign out of all sessions');
+  }
+
+  await logout();
+};
+
 // Update user theme
 export const updateUserTheme = async (theme) => {
   const token = getAuthToken();
@@ -0,0 +1,60 @@
+import { authenticatedFetch } from './auth';
+
+const throwResponseError = async (response, fallback) => {
+  const errorData = await response.json().catch(() => ({}));
+  throw new Error(errorData.error || `${fallback}: ${response.status} ${response.statusText}`);
+};
+
+// Files are sent as the raw request body with their name and type in headers
+export const uploadNoteAttachment = async (contactId, noteId, file) => {
+  const response = await authenticatedFetch(`/api/contacts/${contactId}/notes/${noteId}/attachments`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/octet-stream',
+      'X-File-Name': encodeURIComponent(file.name),
+      'X-File-Type': file.type || 'application/octet-stream',
+    },
+    body: file,
+  });
+
+  if (!response.ok) {
+    await throwResponseError(response, `Failed to upload ${file.name}`);
+  }
+
+  return response.json();
+};
+
+export const deleteNoteAttachment = async (contactId, noteId, attachmentId) => {
+  const response = await authenticatedFetch(`/api/contacts/${contactId}/notes/${noteId}/attachments/${attachmentId}`, {
+    method: 'DELETE',
+  });
+
+  if (!response.ok) {
+    await throwResponseError(response, 'Failed to delete attachment');
+  }
+};
+
+// Downloads go through fetch because the API authenticates with a bearer token, not cookies
+export const downloadNoteAttachment = async (contactId, attachment) => {
+  const response = await authenticatedFetch(`/api/contacts/${contactId}/notes/${attachment.noteId}/attachments/${attachment.id}`);
+
+  if (!response.ok) {
+    await throwResponseError(response, 'Download failed');
+  }
+
+  const blob = await response.blob();
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = attachment.fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
@@ -1,3 +1,5 @@
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:4000';
+
 // Utility function to generate user initials
 export const generateInitials = (userData) => {
   if (!userData) return 'U';
@@ -33,3 +35,6 @@ export const getDisplayName = (userData) => {
   
   return 'User';
 };
+
+// Absolute URL for a profile image path returned by the API (profileImageUrl / profileImageThumbUrl)
+export const getProfileImageSrc = (path) => (path ? `${API_BASE_URL}${path}` : null);
@@ -8,9 +8,44 @@ import usersRouter from './routes/users.js';
 import userContactPropertiesRouter from './routes/userContactProperties.js';
 import customPropertiesRouter from './routes/custom-properties.js';
 import contactCustomFieldsRouter from './routes/contact-custom-fields.js';
-import { authenticateToken } from './middleware/auth.js';
-import { generalLimiter, progressiveLimiter } from './middleware/rateLimiting.js';
+import contactAttachmentsRouter from './routes/contact-attachments.js';
+import listingsRouter from './routes/listings.js';
+import pipelinesRouter from './routes/pipelines.js';
+import dealsRouter from './routes/deals.js';
+import importsRouter from './routes/imports.js';
+import statsRouter from './routes/stats.js';
+import viewsRouter from './routes/views.js';
+import auditRouter from './routes/audit.js';
+import workspacesRouter from './routes/workspaces.js';
+import assignmentRulesRouter from './routes/assignment-rules.js';
+import webhooksRouter from './routes/webhooks.js';
+import apiKeysRouter from './routes/api-keys.js';
+import { authenticateToken, loadApiKey, requirePermission } from './middleware/auth.js';
+import {
+    generalLimiter,
+    progressiveLimiter,
+    apiKeyFailureLimiter,
+    apiKeyLimiter,
+    bulkOperationLimiter
+} from './middleware/rateLimiting.js';
+import { validateBody, bulkTaskUpdateSchema } from './middleware/validation.js';
 import { cleanupExpiredTokens } from './utils/tokenUtils.js';
+import { resumeImportJobs } from './utils/importJobs.js';
+import {
+    TASK_AUDIT_FIELDS,
+    NOTE_AUDIT_FIELDS,
+    auditContext,
+    changeEvent,
+    recordAuditEvents,
+    recordChange
+} from './utils/audit.js';
+import { syncNoteMentions } from './utils/noteMentions.js';
+import { attachmentStorageKeys, removeAttachmentFiles } from './utils/attachments.js';
+import { convertLegacyProfileImages } from './utils/profileImages.js';
+import { isWorkspaceMember } from './utils/workspaces.js';
+import { PERMISSIONS } from './utils/permissions.js';
+import { emitWebhookEvent, startWebhookWorker, webhookTask } from './utils/webhooks.js';
+import { announceActivities, recordActivities, recordActivity } from './utils/activities.js';
 
 const app = express();
 // Trust the first proxy (needed for correct client IP detection behind proxies)
@@ -36,10 +71,14 @@ prisma.$connect()
         console.log('✅ Database connected successfully');
         
         // Setup periodic cleanup of expired refresh tokens
-        const cleanupInterval = setInterval(() => {
-            const cleanedCount = cleanupExpiredTokens();
-            if (cleanedCount > 0) {
-                console.log(`🧹 Cleaned up ${cleanedCount} expired refresh tokens`);
+        const cleanupInterval = setInterval(async () => {
+            try {
+                const cleanedCount = await cleanupExpiredTokens();
+                if (cleanedCount > 0) {
+                    console.log(`🧹 Cleaned up ${cleanedCount} expired refresh tokens`);
+                }
+            } catch (error) {
+                console.error('Refresh token cleanup failed:', error);
             }
         }, 60 * 60 * 1000); // Run every hour
         
@@ -90,11 +129,15 @@ const corsOptions = {
         'http://localhost:3001' // Add support for alternative port
     ],
     credentials: true,
+    // Let the client read download names and export counts
+    exposedHeaders: ['Content-Disposition', 'X-Export-Count'],
     optionsSuccessStatus: 200
 };
 app.use(cors(corsOptions));
 
 // Body parsing middleware
+// CSV imports send the whole file, so they get a larger limit than other requests
+app.use('/api/imports', express.json({ limit: '50mb' }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -104,8 +147,11 @@ app.use((req, res, next) => {
     next();
 });
 
-// Apply rate limiting
+// Apply rate limiting. API keys are looked up first so that only valid keys get their own limit
+app.use('/api/', apiKeyFailureLimiter);
+app.use('/api/', loadApiKey);
 app.use('/api/', progressiveLimiter);
+app.use('/api/', apiKeyLimiter);
 
 // Mount auth routes (no authentication required)
 app.use('/api/auth', authRouter);
@@ -118,16 +164,27 @@ app.use('/api/contacts', contactsRouter);
 app.use('/api/user-contact-properties', userContactPropertiesRouter);
 app.use('/api/custom-properties', customPropertiesRouter);
 app.use('/api/contacts', contactCustomFieldsRouter);
+app.use('/api/contacts', contactAttachmentsRouter);
+app.use('/api/listings', listingsRouter);
+app.use('/api/pipelines', pipelinesRouter);
+app.use('/api/deals', dealsRouter);
+app.use('/api/imports', importsRouter);
+app.use('/api/stats', statsRouter);
+app.use('/api/views', viewsRouter);
+app.use('/api/audit', auditRouter);
+app.use('/api/workspaces', workspacesRouter);
+app.use('/api/assignment-rules', assignmentRulesRouter);
+app.use('/api/webhooks', webhooksRouter);
+app.use('/api/api-keys', apiKeysRouter);
 
 // Tasks endpoints
 app.get('/api/leads/:leadId/tasks', authenticateToken, async (req, res) => {
     try {
-        const userId = req.user.id;
         const leadId = req.params.leadId;
 
         // Verify contact ownership
         const contact = await prisma.contact.findFirst({
-            where: { id: leadId, userId },
+            where: { id: leadId, ...req.workspace.contactScope },
             select: { id: true }
         });
 
@@ -153,7 +210,7 @@ app.get('/api/leads/:leadId/tasks', authenticateToken, async (req, res) => {
     }
 });
 
-app.post('/api/leads/:leadId/tasks', authenticateToken, async (req, res) => {
+app.post('/api/leads/:leadId/tasks', authenticateToken, requirePermission(PERMISSIONS.EDIT_RECORDS), async (req, res) => {
     try {
         const userId = req.user.id;
         const leadId = req.params.leadId;
@@ -161,7 +218,7 @@ app.post('/api/leads/:leadId/tasks', authenticateToken, async (req, res) => {
 
         // Verify contact ownership
         const contact = await prisma.contact.findFirst({
-            where: { id: leadId, userId },
+            where: { id: leadId, ...req.workspace.contactScope },
             select: { id: true }
         });
 
@@ -197,15 +254,20 @@ app.post('/api/leads/:leadId/tasks', authenticateToken, async (req, res) => {
                 dueDate: dueDate ? new Date(dueDate) : null
             }
         });
+        await recordChange(prisma, auditContext(req), {
+            entityType: 'TASK',
+            entityId: task.id,
+            contactId: leadId,
+            after: task,
+            fields: TASK_AUDIT_FIELDS
+        });
 
         // Log activity
-        await prisma.activity.create({
-            data: {
-                contactId: leadId,
-                type: 'TASK_CREATED',
-                title: 'Task Created',
-                description: `New task: ${title}`
-            }
+        await recordActivity(prisma, req.workspace.id, {
+            contactId: leadId,
+            type: 'TASK_CREATED',
+            title: 'Task Created',
+            description: `New task: ${title}`
         });
 
         console.log('Task created successfully:', task.id);
@@ -219,9 +281,8 @@ app.post('/api/leads/:leadId/tasks', authenticateToken, async (req, res) => {
     }
 });
 
-app.put('/api/tasks/:id', authenticateToken, async (req, res) => {
+app.put('/api/tasks/:id', authenticateToken, requirePermission(PERMISSIONS.EDIT_RECORDS), async (req, res) => {
     try {
-        const userId = req.user.id;
         const taskId = req.params.id;
         const { title, description, status, priority, dueDate } = req.body;
 
@@ -229,10 +290,7 @@ app.put('/api/tasks/:id', authenticateToken, async (req, res) => {
         const existingTask = await prisma.task.findFirst({
             where: { 
                 id: taskId,
-                OR: [
-                    { userId },
-                    { contact: { userId } }
-                ]
+                contact: req.workspace.contactScope
             }
         });
 
@@ -277,17 +335,24 @@ app.put('/api/tasks/:id', authenticateToken, async (req, res) => {
                 dueDate: dueDate ? new Date(dueDate) : null
             }
         });
+        await recordChange(prisma, auditContext(req), {
+            entityType: 'TASK',
+            entityId: taskId,
+            contactId: task.contactId,
+            before: existingTask,
+            after: task,
+            fields: TASK_AUDIT_FIELDS
+        });
 
         // Log completion activity if status changed to completed
         if (status && status.toUpperCase() === 'COMPLETED' && existingTask.status !== 'COMPLETED') {
-            await prisma.activity.create({
-                data: {
-                    contactId: task.contactId,
-                    type: 'TASK_COMPLETED',
-                    title: 'Task Completed',
-                    description: `Task completed: ${title}`
-                }
+            await recordActivity(prisma, req.workspace.id, {
+                contactId: task.contactId,
+                type: 'TASK_COMPLETED',
+                title: 'Task Completed',
+                description: `Task completed: ${title}`
             });
+            emitWebhookEvent(req.workspace.id, 'task.completed', { task: webhookTask(task) });
         }
 
         console.log('Task updated successfully:', task.id);
@@ -301,19 +366,15 @@ app.put('/api/tasks/:id', authenticateToken, async (req, res) => {
     }
 });
 
-app.delete('/api/tasks/:id', authenticateToken, async (req, res) => {
+app.delete('/api/tasks/:id', authenticateToken, requirePermission(PERMISSIONS.DELETE_RECORDS), async (req, res) => {
     try {
-        const userId = req.user.id;
         const taskId = req.params.id;
 
         // Verify task ownership
         const existingTask = await prisma.task.findFirst({
             where: { 
                 id: taskId,
-                OR: [
-                    { userId },
-                    { contact: { userId } }
-                ]
+                contact: req.workspace.contactScope
             }
         });
 
@@ -327,6 +388,13 @@ app.delete('/api/tasks/:id', authenticateToken, async (req, res) => {
         await prisma.task.delete({
             where: { id: taskId }
         });
+        await recordChange(prisma, auditContext(req), {
+            entityType: 'TASK',
+            entityId: taskId,
+            contactId: existingTask.contactId,
+            before: existingTask,
+            fields: TASK_AUDIT_FIELDS
+        });
 
         console.log('Task deleted successfully:', taskId);
         res.status(204).send();
@@ -342,12 +410,11 @@ app.delete('/api/tasks/:id', authenticateToken, async (req, res) => {
 // Notes endpoints
 app.get('/api/leads/:leadId/notes', authenticateToken, async (req, res) => {
     try {
-        const userId = req.user.id;
         const leadId = req.params.leadId;
 
         // Verify contact ownership
         const contact = await prisma.contact.findFirst({
-            where: { id: leadId, userId },
+            where: { id: leadId, ...req.workspace.contactScope },
             select: { id: true }
         });
 
@@ -373,15 +440,14 @@ app.get('/api/leads/:leadId/notes', authenticateToken, async (req, res) => {
     }
 });
 
-app.post('/api/leads/:leadId/notes', authenticateToken, async (req, res) => {
+app.post('/api/leads/:leadId/notes', authenticateToken, requirePermission(PERMISSIONS.EDIT_RECORDS), async (req, res) => {
     try {
-        const userId = req.user.id;
         const leadId = req.params.leadId;
-        const { content } = req.body;
+        const { content, format } = req.body;
 
         // Verify contact ownership
         const contact = await prisma.contact.findFirst({
-            where: { id: leadId, userId },
+            where: { id: leadId, ...req.workspace.contactScope },
             select: { id: true }
         });
 
@@ -402,18 +468,25 @@ app.post('/api/leads/:leadId/notes', authenticateToken, async (req, res) => {
         const note = await prisma.note.create({
             data: {
                 contactId: leadId,
-                content: content.trim()
+                content: content.trim(),
+                format: format === 'RICH_TEXT' ? 'RICH_TEXT' : 'PLAIN'
             }
         });
+        await syncNoteMentions(prisma, { contactScope: req.workspace.contactScope, noteId: note.id, contactId: leadId, content: note.content });
+        await recordChange(prisma, auditContext(req), {
+            entityType: 'NOTE',
+            entityId: note.id,
+            contactId: leadId,
+            after: note,
+            fields: NOTE_AUDIT_FIELDS
+        });
 
         // Log activity
-        await prisma.activity.create({
-            data: {
-                contactId: leadId,
-                type: 'NOTE',
-                title: 'Note Added',
-                description: content.substring(0, 100) + (content.length > 100 ? '...' : '')
-            }
+        await recordActivity(prisma, req.workspace.id, {
+            contactId: leadId,
+            type: 'NOTE',
+            title: 'Note Added',
+            description: content.substring(0, 100) + (content.length > 100 ? '...' : '')
         });
 
         console.log('Note created successfully:', note.id);
@@ -427,17 +500,16 @@ app.post('/api/leads/:leadId/notes', authenticateToken, async (req, res) => {
     }
 });
 
-app.put('/api/notes/:id', authenticateToken, async (req, res) => {
+app.put('/api/notes/:id', authenticateToken, requirePermission(PERMISSIONS.EDIT_RECORDS), async (req, res) => {
     try {
-        const userId = req.user.id;
         const noteId = req.params.id;
-        const { content } = req.body;
+        const { content, format } = req.body;
 
         // Verify note ownership through contact
         const existingNote = await prisma.note.findFirst({
             where: { 
                 id: noteId,
-                contact: { userId }
+                contact: req.workspace.contactScope
             }
         });
 
@@ -457,7 +529,20 @@ app.put('/api/notes/:id', authenticateToken, async (req, res) => {
 
         const note = await prisma.note.update({
             where: { id: noteId },
-            data: { content: content.trim() }
+            // Notes keep their format unless the update names one
+            data: {
+                content: content.trim(),
+                ...(format && { format: format === 'RICH_TEXT' ? 'RICH_TEXT' : 'PLAIN' })
+            }
+        });
+        await syncNoteMentions(prisma, { contactScope: req.workspace.contactScope, noteId, contactId: note.contactId, content: note.content });
+        await recordChange(prisma, auditContext(req), {
+            entityType: 'NOTE',
+            entityId: noteId,
+            contactId: note.contactId,
+            before: existingNote,
+            after: note,
+            fields: NOTE_AUDIT_FIELDS
         });
 
         console.log('Note updated successfully:', note.id);
@@ -471,16 +556,15 @@ app.put('/api/notes/:id', authenticateToken, async (req, res) => {
     }
 });
 
-app.delete('/api/notes/:id', authenticateToken, async (req, res) => {
+app.delete('/api/notes/:id', authenticateToken, requirePermission(PERMISSIONS.DELETE_RECORDS), async (req, res) => {
     try {
-        const userId = req.user.id;
         const noteId = req.params.id;
 
         // Verify note ownership through contact
         const existingNote = await prisma.note.findFirst({
             where: { 
                 id: noteId,
-                contact: { userId }
+                contact: req.workspace.contactScope
             }
         });
 
@@ -491,9 +575,18 @@ app.delete('/api/notes/:id', authenticateToken, async (req, res) => {
             });
         }
 
+        const storageKeys = await attachmentStorageKeys(prisma, { noteId });
         await prisma.note.delete({
             where: { id: noteId }
         });
+        await removeAttachmentFiles(storageKeys);
+        await recordChange(prisma, auditContext(req), {
+            entityType: 'NOTE',
+            entityId: noteId,
+            contactId: existingNote.contactId,
+            before: existingNote,
+            fields: NOTE_AUDIT_FIELDS
+        });
 
         console.log('Note deleted successfully:', noteId);
         res.status(204).send();
@@ -509,12 +602,11 @@ app.delete('/api/notes/:id', authenticateToken, async (req, res) => {
 // Activities endpoint
 app.get('/api/leads/:leadId/activities', authenticateToken, async (req, res) => {
     try {
-        const userId = req.user.id;
         const leadId = req.params.leadId;
 
         // Verify contact ownership
         const contact = await prisma.contact.findFirst({
-            where: { id: leadId, userId },
+            where: { id: leadId, ...req.workspace.contactScope },
             select: { id: true }
         });
 
@@ -541,35 +633,55 @@ app.get('/api/leads/:leadId/activities', authenticateToken, async (req, res) =>
     }
 });
 
-// All tasks endpoint
+// All tasks endpoint (powers the Tasks page)
 app.get('/api/tasks', authenticateToken, async (req, res) => {
     try {
-        const userId = req.user.id;
-        const { status, priority, page = 1, limit = 50 } = req.query;
+        const { status, priority, contactId, dueFrom, dueTo, sortBy, page = 1, limit = 50 } = req.query;
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 1000);
 
-        const where = {
-            OR: [
-                { userId },
-                { contact: { userId } }
-            ]
-        };
+        const where = { contact: req.workspace.contactScope };
 
+        // status and priority accept a single value or a comma-separated list
         if (status) {
-            where.status = status.toUpperCase();
+            where.status = { in: String(status).split(',').map(value => value.trim().toUpperCase()) };
         }
 
         if (priority) {
-            where.priority = priority.toUpperCase();
+            where.priority = { in: String(priority).split(',').map(value => value.trim().toUpperCase()) };
+        }
+
+        if (contactId) {
+            where.contactId = String(contactId);
+        }
+
+        if (dueFrom || dueTo) {
+            const from = dueFrom ? new Date(dueFrom) : null;
+            const to = dueTo ? new Date(dueTo) : null;
+            if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+                return res.status(400).json({
+                    error: 'dueFrom and dueTo must be valid dates',
+                    code: 'INVALID_DATE_RANGE'
+                });
+            }
+            where.dueDate = {
+                ...(from && { gte: from }),
+                ...(to && { lt: to })
+            };
         }
 
-        const offset = (parseInt(page) - 1) * parseInt(limit);
+        const orderBy = sortBy === 'dueDate'
+            ? [{ dueDate: { sort: 'asc', nulls: 'last' } }, { createdAt: 'desc' }]
+            : { createdAt: 'desc' };
+
+        const offset = (pageNumber - 1) * pageSize;
 
         const [tasks, totalCount] = await Promise.all([
             prisma.task.findMany({
                 where,
-                orderBy: { createdAt: 'desc' },
+                orderBy,
                 skip: offset,
-                take: parseInt(limit),
+                take: pageSize,
                 select: {
                     id: true,
                     title: true,
@@ -585,6 +697,13 @@ app.get('/api/tasks', authenticateToken, async (req, res) => {
                             id: true, 
                             name: true 
                         }
+                    },
+                    user: {
+                        select: {
+                            id: true,
+                            email: true,
+                            displayName: true
+                        }
                     }
                 }
             }),
@@ -594,10 +713,10 @@ app.get('/api/tasks', authenticateToken, async (req, res) => {
         res.json({
             tasks,
             pagination: {
-                page: parseInt(page),
-                limit: parseInt(limit),
+                page: pageNumber,
+                limit: pageSize,
                 total: totalCount,
-                totalPages: Math.ceil(totalCount / parseInt(limit))
+                totalPages: Math.ceil(totalCount / pageSize)
             }
         });
     } catch (error) {
@@ -609,50 +728,111 @@ app.get('/api/tasks', authenticateToken, async (req, res) => {
     }
 });
 
-// Statistics endpoint
-app.get('/api/stats', authenticateToken, async (req, res) => {
+// Bulk complete, reschedule or reassign tasks
+app.patch('/api/tasks/bulk', authenticateToken, requirePermission(PERMISSIONS.EDIT_RECORDS), bulkOperationLimiter, validateBody(bulkTaskUpdateSchema), async (req, res) => {
     try {
         const userId = req.user.id;
+        const workspaceId = req.workspace.id;
+        const { taskIds, action, dueDate, assigneeEmail } = req.body;
 
-        const [totalContacts, contactsByStatus, pendingTasks, totalTasks] = await Promise.all([
-            prisma.contact.count({
-                where: { userId }
-            }),
-            prisma.contact.groupBy({
-                by: ['status'],
-                where: { userId },
-                _count: true
-            }),
-            prisma.task.count({
-                where: { 
-                    status: { not: 'COMPLETED' },
-                    OR: [
-                        { userId },
-                        { contact: { userId } }
-                    ]
-                }
-            }),
-            prisma.task.count({
-                where: {
-                    OR: [
-                        { userId },
-                        { contact: { userId } }
-                    ]
-                }
-            })
-        ]);
+        const tasks = await prisma.task.findMany({
+            where: {
+                id: { in: taskIds },
+                contact: req.workspace.contactScope
+            },
+            select: { id: true, title: true, description: true, status: true, priority: true, dueDate: true, userId: true, contactId: true }
+        });
+
+        if (tasks.length !== taskIds.length) {
+            return res.status(403).json({
+                error: 'Some tasks do not belong to this workspace',
+                code: 'OWNERSHIP_VIOLATION'
+            });
+        }
+
+        // The tasks to change and how; completing also logs activities
+        let taskWhere = { id: { in: taskIds } };
+        let taskData;
+        let activityData = [];
+        // Audit entry for each task changed by the bulk action
+        const taskEvent = (task, after, extra) => changeEvent({
+            entityType: 'TASK',
+            entityId: task.id,
+            contactId: task.contactId,
+            before: task,
+            after: { ...task, ...after },
+            fields: TASK_AUDIT_FIELDS,
+            extra
+        });
+        let auditEvents = [];
+        let completedTasks = [];
+
+        if (action === 'complete') {
+            const openTasks = tasks.filter(task => task.status !== 'COMPLETED');
+            completedTasks = openTasks;
+            taskWhere = { id: { in: openTasks.map(task => task.id) } };
+            taskData = { status: 'COMPLETED' };
+            // Same timeline entry as completing a single task
+            activityData = openTasks.map(task => ({
+                contactId: task.contactId,
+                type: 'TASK_COMPLETED',
+                title: 'Task Completed',
+                description: `Task completed: ${task.title}`
+            }));
+            auditEvents = openTasks.map(task => taskEvent(task, { status: 'COMPLETED' }));
+        } else if (action === 'reschedule') {
+            taskData = { dueDate: dueDate ? new Date(dueDate) : null };
+            auditEvents = tasks.map(task => taskEvent(task, { dueDate: dueDate ? new Date(dueDate) : null }));
+        } else if (action === 'reassign') {
+            const assignee = await prisma.user.findUnique({
+                where: { email: assigneeEmail },
+                select: { id: true }
+            });
 
+            if (!assignee) {
+                return res.status(404).json({
+                    error: 'No user found with that email',
+                    code: 'ASSIGNEE_NOT_FOUND'
+                });
+            }
+
+            if (!await isWorkspaceMember(prisma, workspaceId, assignee.id)) {
+                return res.status(400).json({
+                    error: 'Tasks can only be assigned to members of this workspace',
+                    code: 'INVALID_ASSIGNEE'
+                });
+            }
+
+            taskData = { userId: assignee.id };
+            auditEvents = tasks
+                .filter(task => task.userId !== assignee.id)
+                .map(task => taskEvent(task, {}, { assignee: { from: task.userId, to: assignee.id } }));
+        }
+
+        const activities = [];
+        const updatedCount = await prisma.$transaction(async (tx) => {
+            const { count } = await tx.task.updateMany({ where: taskWhere, data: taskData });
+            await recordActivities(tx, workspaceId, activityData, activities);
+            await recordAuditEvents(tx, auditContext(req), auditEvents);
+            return count;
+        });
+        announceActivities(workspaceId, activities);
+
+        for (const task of completedTasks) {
+            emitWebhookEvent(workspaceId, 'task.completed', { task: webhookTask({ ...task, status: 'COMPLETED' }) });
+        }
+
+        console.log(`Bulk ${action} applied to ${updatedCount} tasks for user ${userId}`);
         res.json({
-            totalContacts,
-            contactsByStatus,
-            pendingTasks,
-            totalTasks
+            message: `Updated ${updatedCount} tasks`,
+            action,
+            updatedCount
         });
     } catch (error) {
-        console.error('Error fetching stats:', error);
-        res.status(500).json({ 
-            error: 'Failed to fetch statistics',
-            code: 'FETCH_STATS_ERROR'
+        console.error('Error bulk updating tasks:', error);
+        res.status(500).json({
+            error: 'Failed to update tasks',
+            code: 'BULK_UPDATE_TASKS_ERROR'
         });
     }
 });
@@ -710,4 +890,14 @@ app.listen(PORT, () => {
     console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
     console.log(`🗄️ Database: Connected`);
     console.log(`🔐 Auth: ${process.env.JWT_SECRET && process.env.JWT_SECRET !== 'your-secret-key' ? 'Secured' : '⚠️  Using default secret!'}`);
+
+    resumeImportJobs()
+        .then(count => count > 0 && console.log(`📥 Resumed ${count} import job(s)`))
+        .catch(error => console.error('Failed to resume import jobs:', error));
+
+    convertLegacyProfileImages(prisma)
+        .then(count => count > 0 && console.log(`🖼️ Moved ${count} profile image(s) into storage`))
+        .catch(error => console.error('Failed to convert profile images:', error));
+
+    startWebhookWorker();
 });
\ No newline at end of file
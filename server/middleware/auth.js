@@ -1,12 +1,89 @@
 import jwt from 'jsonwebtoken';
 import { PrismaClient } from '@prisma/client';
-import { verifyAccessToken } from '../utils/tokenUtils.js';
+import { isSessionActive, verifyAccessToken } from '../utils/tokenUtils.js';
+import { WORKSPACE_HEADER, resolveMembership } from '../utils/workspaces.js';
+import { contactScopeFor, permissionsFor } from '../utils/permissions.js';
+import { extractApiKey, findApiKey, isApiKeyExpired, checkApiKeyScope, touchApiKey } from '../utils/apiKeys.js';
 
 const prisma = new PrismaClient();
 
-// Main authentication middleware with enhanced security
+// The workspace a request acts in, as set on req.workspace
+const workspaceContext = (membership, userId) => ({
+  id: membership.workspaceId,
+  role: membership.role,
+  permissions: permissionsFor(membership),
+  // Spread into contact queries so members only reach the contacts they can see
+  contactScope: contactScopeFor(membership, userId)
+});
+
+// Look up the API key a request carries before it is rate limited, so the limiters can tell real
+// keys from made-up ones. Sets req.apiKey to the stored key, or null when none matches
+export const loadApiKey = async (req, res, next) => {
+  const key = extractApiKey(req);
+  if (!key) return next();
+
+  try {
+    req.apiKey = await findApiKey(prisma, key);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Authenticate with a personal API key: it acts as its owner, in the workspace it was created
+// for, with the owner's current role there, and only on the resources its scopes cover
+const authenticateApiKey = async (req, res, next, key) => {
+  const apiKey = req.apiKey !== undefined ? req.apiKey : await findApiKey(prisma, key);
+  if (!apiKey) {
+    return res.status(401).json({
+      error: 'Invalid API key',
+      code: 'INVALID_API_KEY'
+    });
+  }
+
+  if (isApiKeyExpired(apiKey)) {
+    return res.status(401).json({
+      error: 'API key has expired',
+      code: 'API_KEY_EXPIRED'
+    });
+  }
+
+  const scope = checkApiKeyScope(apiKey.scopes, req.method, req.originalUrl.split('?')[0]);
+  if (!scope.allowed) {
+    return res.status(403).json({
+      error: scope.reason,
+      code: 'API_KEY_SCOPE_DENIED'
+    });
+  }
+
+  const membership = await resolveMembership(prisma, apiKey.user, apiKey.workspaceId);
+  if (!membership) {
+    return res.status(403).json({
+      error: 'You are not a member of this workspace',
+      code: 'WORKSPACE_ACCESS_DENIED'
+    });
+  }
+
+  touchApiKey(prisma, apiKey, req.ip);
+
+  req.user = {
+    id: apiKey.user.id,
+    email: apiKey.user.email,
+    apiKeyId: apiKey.id
+  };
+  req.workspace = workspaceContext(membership, apiKey.user.id);
+
+  next();
+};
+
+// Main authentication middleware with enhanced security; accepts a JWT or a personal API key
 export const authenticateToken = async (req, res, next) => {
   try {
+    const apiKey = extractApiKey(req);
+    if (apiKey) {
+      return await authenticateApiKey(req, res, next, apiKey);
+    }
+
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
@@ -19,13 +96,22 @@ export const authenticateToken = async (req, res, next) => {
 
     // Verify token using utility function
     const decoded = verifyAccessToken(token);
+
+    // Reject tokens from a session that has been signed out or revoked
+    if (!await isSessionActive(decoded.sessionId)) {
+      return res.status(401).json({
+        error: 'Session has been signed out',
+        code: 'SESSION_REVOKED'
+      });
+    }
     
     // Verify user still exists in database
     const user = await prisma.user.findUnique({
       where: { id: decoded.userId },
       select: {
         id: true,
-        email: true
+        email: true,
+        displayName: true
       }
     });
 
@@ -36,11 +122,22 @@ export const authenticateToken = async (req, res, next) => {
       });
     }
 
-    // Add user info to request object
+    // Resolve the workspace the request acts in (X-Workspace-Id header, else the user's first)
+    const membership = await resolveMembership(prisma, user, req.get(WORKSPACE_HEADER));
+    if (!membership) {
+      return res.status(403).json({
+        error: 'You are not a member of this workspace',
+        code: 'WORKSPACE_ACCESS_DENIED'
+      });
+    }
+
+    // Add user and workspace info to request object
     req.user = {
       id: user.id,
-      email: user.email
+      email: user.email,
+      sessionId: decoded.sessionId
     };
+    req.workspace = workspaceContext(membership, user.id);
 
     next();
   } catch (error) {
@@ -96,19 +193,24 @@ export const devAuthBypass = (req, res, next) => {
   next();
 };
 
-// Optional: Role-based access control middleware
+// Role-based access control middleware: the user's role in the current workspace must be one of `roles`
 export const requireRole = (roles) => {
   return async (req, res, next) => {
     try {
-      if (!req.user) {
+      if (!req.user || !req.workspace) {
         return res.status(401).json({
           error: 'Authentication required',
           code: 'NO_AUTH'
         });
       }
 
-      // For now, all users have the same role
-      // You can extend this when you add roles to your User model
+      if (!roles.includes(req.workspace.role)) {
+        return res.status(403).json({
+          error: 'Your role in this workspace does not allow this',
+          code: 'PERMISSION_DENIED'
+        });
+      }
+
       next();
     } catch (error) {
       console.error('Role check error:', error);
@@ -120,11 +222,33 @@ export const requireRole = (roles) => {
   };
 };
 
-// Middleware to ensure user can only access their own resources
+// Permission check against the role matrix in utils/permissions.js (use PERMISSIONS constants)
+export const requirePermission = (permission) => {
+  return (req, res, next) => {
+    if (!req.workspace) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        code: 'NO_AUTH'
+      });
+    }
+
+    if (!req.workspace.permissions.includes(permission)) {
+      return res.status(403).json({
+        error: 'Your role in this workspace does not allow this',
+        code: 'PERMISSION_DENIED'
+      });
+    }
+
+    next();
+  };
+};
+
+// Middleware to ensure user can only access resources in the workspace the request acts in
 export const validateResourceOwnership = (resourceType) => {
   return async (req, res, next) => {
     try {
-      const userId = req.user.id;
+      const workspaceId = req.workspace.id;
+      const contactScope = req.workspace.contactScope;
       const resourceId = req.params.id || req.params.contactId || req.params.leadId;
 
       if (!resourceId) {
@@ -136,7 +260,7 @@ export const validateResourceOwnership = (resourceType) => {
       switch (resourceType) {
         case 'contact':
           const contact = await prisma.contact.findFirst({
-            where: { id: resourceId, userId },
+            where: { id: resourceId, ...contactScope },
             select: { id: true }
           });
           isOwner = !!contact;
@@ -146,10 +270,7 @@ export const validateResourceOwnership = (resourceType) => {
           const task = await prisma.task.findFirst({
             where: { 
               id: resourceId,
-              OR: [
-                { userId },
-                { contact: { userId } }
-              ]
+              contact: contactScope
             },
             select: { id: true }
           });
@@ -160,13 +281,38 @@ export const validateResourceOwnership = (resourceType) => {
           const note = await prisma.note.findFirst({
             where: { 
               id: resourceId,
-              contact: { userId }
+              contact: contactScope
             },
             select: { id: true }
           });
           isOwner = !!note;
           break;
 
+        case 'listing':
+          const listing = await prisma.listing.findFirst({
+            where: { id: resourceId, workspaceId },
+            select: { id: true }
+          });
+          isOwner = !!listing;
+          break;
+
+        case 'pipeline':
+          const pipeline = await prisma.pipeline.findFirst({
+            where: { id: resourceId, workspaceId },
+            select: { id: true }
+          });
+          isOwner = !!pipeline;
+          break;
+
+        case 'deal':
+          // Deals carry their contact's details, so they follow the contact's visibility
+          const deal = await prisma.deal.findFirst({
+            where: { id: resourceId, workspaceId, contact: contactScope },
+            select: { id: true }
+          });
+          isOwner = !!deal;
+          break;
+
         default:
           return next();
       }
@@ -1,4 +1,8 @@
 import rateLimit from 'express-rate-limit';
+import { extractApiKey, isApiKeyExpired } from '../utils/apiKeys.js';
+
+// Whether loadApiKey found a usable key for this request
+const hasValidApiKey = (req) => !!req.apiKey && !isApiKeyExpired(req.apiKey);
 
 // Standard rate limiter for general API endpoints
 export const generalLimiter = rateLimit({
@@ -66,7 +70,8 @@ export const uploadLimiter = rateLimit({
   legacyHeaders: false,
 });
 
-// Progressive rate limiter that gets stricter with more requests
+// Progressive rate limiter that gets stricter with more requests. Requests made with a valid
+// API key are counted by apiKeyLimiter instead; unknown or expired keys still count here
 export const progressiveLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: (req) => {
@@ -83,4 +88,37 @@ export const progressiveLimiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  skip: hasValidApiKey,
+});
+
+// Rate limiter for requests with API keys that don't exist or have expired, per IP. Runs before
+// loadApiKey so guessing keys is cut off before it reaches the database
+export const apiKeyFailureLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // Limit each IP to 20 failed API key lookups per windowMs
+  skip: (req) => !extractApiKey(req),
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: hasValidApiKey,
+  message: {
+    error: 'Too many requests with an invalid API key. Please wait 15 minutes before trying again.',
+    code: 'API_KEY_FAILURE_RATE_LIMIT_EXCEEDED',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Rate limiter for scripted access, counted per API key rather than per IP
+export const apiKeyLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 1000, // Limit each API key to 1000 requests per windowMs
+  keyGenerator: (req) => req.apiKey.id,
+  skip: (req) => !hasValidApiKey(req),
+  message: {
+    error: 'API key request limit exceeded. Please slow down your requests.',
+    code: 'API_KEY_RATE_LIMIT_EXCEEDED',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
 });
@@ -0,0 +1,55 @@
+import express from 'express';
+
+const MIME_TYPE_PATTERN = /^[a-z0-9][a-z0-9!#$&^_.+-]*\/[a-z0-9][a-z0-9!#$&^_.+-]*$/;
+
+/**
+ * Read a single file sent as the raw request body, with its name in the X-File-Name header
+ * (URI-encoded) and its type in X-File-Type. Clients send Content-Type: application/octet-stream
+ * so the app-wide JSON and form parsers leave the body alone. Sets req.file = { fileName, mimeType, data }.
+ */
+export const rawFileUpload = (maxBytes) => {
+  const parse = express.raw({ type: () => true, limit: maxBytes });
+
+  return (req, res, next) => {
+    parse(req, res, (error) => {
+      if (error?.type === 'entity.too.large') {
+        return res.status(413).json({
+          error: `File must be smaller than ${Math.round(maxBytes / (1024 * 1024))} MB`,
+          code: 'FILE_TOO_LARGE'
+        });
+      }
+      if (error) {
+        return next(error);
+      }
+
+      let fileName = '';
+      try {
+        fileName = decodeURIComponent(req.get('x-file-name') || '').trim();
+      } catch {
+        fileName = '';
+      }
+      const data = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+
+      if (!fileName || fileName.length > 255 || /[\\/\0]/.test(fileName)) {
+        return res.status(400).json({
+          error: 'A file name of up to 255 characters is required in the X-File-Name header',
+          code: 'INVALID_FILE_NAME'
+        });
+      }
+      if (data.length === 0) {
+        return res.status(400).json({
+          error: 'File is empty',
+          code: 'EMPTY_FILE'
+        });
+      }
+
+      const fileType = (req.get('x-file-type') || '').split(';')[0].trim().toLowerCase();
+      req.file = {
+        fileName,
+        mimeType: MIME_TYPE_PATTERN.test(fileType) ? fileType : 'application/octet-stream',
+        data
+      };
+      next();
+    });
+  };
+};
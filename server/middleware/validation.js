@@ -1,4 +1,9 @@
 import { z } from 'zod';
+import { FILTER_OPERATORS } from '../utils/contactFilters.js';
+import { WORKSPACE_ROLES } from '../utils/permissions.js';
+import { ASSIGNMENT_RULE_TYPES } from '../utils/assignments.js';
+import { WEBHOOK_EVENTS } from '../utils/webhooks.js';
+import { API_KEY_SCOPES } from '../utils/apiKeys.js';
 
 // Validation schemas
 export const contactSchema = z.object({
@@ -70,11 +75,17 @@ export const taskSchema = z.object({
     })
 });
 
+// RICH_TEXT content is the editor's markdown subset, so it gets more room than plain notes used to
 export const noteSchema = z.object({
   content: z.string()
     .min(1, 'Content is required')
-    .max(10000, 'Content must be less than 10000 characters')
-    .trim()
+    .max(50000, 'Content must be less than 50000 characters')
+    .trim(),
+  format: z.enum(['PLAIN', 'RICH_TEXT']).optional()
+});
+
+export const notePinSchema = z.object({
+  isPinned: z.boolean()
 });
 
 export const activitySchema = z.object({
@@ -164,6 +175,126 @@ export const passwordChangeSchema = z.object({
   path: ["confirmPassword"]
 });
 
+export const LISTING_STATUSES = ['APPRAISAL', 'LISTED', 'UNDER_OFFER', 'SOLD', 'WITHDRAWN'];
+
+const optionalCount = (label) => z.number()
+  .int(`${label} must be a whole number`)
+  .min(0, `${label} cannot be negative`)
+  .max(100, `${label} must be 100 or less`)
+  .optional()
+  .nullable();
+
+export const listingSchema = z.object({
+  address: z.string()
+    .min(1, 'Address is required')
+    .max(500, 'Address must be less than 500 characters')
+    .trim(),
+  suburb: z.string()
+    .max(255, 'Suburb must be less than 255 characters')
+    .optional()
+    .nullable()
+    .transform(val => val === '' || val === null ? null : val),
+  price: z.number()
+    .int('Price must be a whole number')
+    .min(0, 'Price cannot be negative')
+    .optional()
+    .nullable(),
+  bedrooms: optionalCount('Bedrooms'),
+  bathrooms: optionalCount('Bathrooms'),
+  status: z.enum(LISTING_STATUSES)
+    .optional()
+    .default('APPRAISAL'),
+  description: z.string()
+    .max(5000, 'Description must be less than 5000 characters')
+    .optional()
+    .nullable()
+    .transform(val => val === '' || val === null ? null : val)
+});
+
+export const listingCreateSchema = listingSchema.extend({
+  // Optional vendor to link when the listing is created
+  vendorContactId: z.string()
+    .min(1, 'Vendor contact ID cannot be empty')
+    .optional()
+});
+
+export const listingUpdateSchema = listingSchema.partial().extend({
+  status: z.enum(LISTING_STATUSES).optional()
+});
+
+export const listingContactSchema = z.object({
+  contactId: z.string().min(1, 'Contact ID is required'),
+  role: z.enum(['VENDOR', 'BUYER'])
+});
+
+export const listingFilterSchema = z.object({
+  search: z.string()
+    .max(255, 'Search term must be less than 255 characters')
+    .optional(),
+  status: z.enum(LISTING_STATUSES)
+    .optional()
+});
+
+const stageNameSchema = z.string()
+  .min(1, 'Stage name is required')
+  .max(100, 'Stage name must be less than 100 characters')
+  .trim();
+
+export const pipelineSchema = z.object({
+  name: z.string()
+    .min(1, 'Pipeline name is required')
+    .max(100, 'Pipeline name must be less than 100 characters')
+    .trim(),
+  stages: z.array(stageNameSchema)
+    .min(1, 'A pipeline needs at least one stage')
+    .max(30, 'Maximum 30 stages per pipeline')
+    .optional()
+});
+
+export const pipelineStageSchema = z.object({
+  name: stageNameSchema
+});
+
+export const stageOrderSchema = z.object({
+  stageIds: z.array(z.string().min(1))
+    .min(1, 'At least one stage ID is required')
+    .max(30, 'Maximum 30 stages per pipeline')
+});
+
+const optionalDateString = z.string()
+  .optional()
+  .nullable()
+  .refine(val => !val || !isNaN(new Date(val).getTime()), 'Invalid date format')
+  .transform(val => (val === undefined ? undefined : val ? new Date(val) : null));
+
+export const dealSchema = z.object({
+  title: z.string()
+    .min(1, 'Title is required')
+    .max(255, 'Title must be less than 255 characters')
+    .trim(),
+  value: z.number()
+    .int('Value must be a whole number')
+    .min(0, 'Value cannot be negative')
+    .optional()
+    .nullable(),
+  expectedCloseDate: optionalDateString,
+  contactId: z.string().min(1, 'Contact is required'),
+  listingId: z.string().min(1).optional().nullable(),
+  pipelineId: z.string().min(1, 'Pipeline is required'),
+  // Defaults to the pipeline's first stage
+  stageId: z.string().min(1).optional()
+});
+
+// Stage changes go through the move endpoint so they are recorded on the timeline
+export const dealUpdateSchema = dealSchema
+  .omit({ pipelineId: true, stageId: true })
+  .partial();
+
+export const dealMoveSchema = z.object({
+  stageId: z.string().min(1, 'Stage is required'),
+  position: z.number().int().min(0).optional()
+});
+
 // Query parameter validation schemas
 export const paginationSchema = z.object({
   page: z.string()
@@ -176,6 +307,38 @@ export const paginationSchema = z.object({
     .default('100')
 });
 
+// A single condition on a core or custom contact field, e.g.
+// { field: 'lead_source', operator: 'in', value: ['Website', 'Referral'] }
+export const contactFilterConditionSchema = z.object({
+  field: z.string()
+    .min(1, 'Filter field is required')
+    .max(100, 'Filter field must be less than 100 characters'),
+  operator: z.enum(FILTER_OPERATORS),
+  value: z.union([
+    z.string().max(1000, 'Filter value must be less than 1000 characters'),
+    z.number(),
+    z.boolean(),
+    z.array(z.union([z.string().max(1000), z.number()])).max(100, 'Maximum 100 values per filter')
+  ])
+    .optional()
+    .nullable()
+});
+
+// A group combines conditions (or nested groups) with AND/OR, e.g.
+// { logic: 'or', filters: [{ field: 'status', ... }, { field: 'lead_source', ... }] }
+const contactFilterNodeSchema = z.lazy(() => z.union([contactFilterConditionSchema, contactFilterGroupSchema]));
+
+export const contactFilterGroupSchema = z.object({
+  logic: z.enum(['and', 'or']),
+  filters: z.array(contactFilterNodeSchema)
+    .min(1, 'A filter group needs at least one condition')
+    .max(25, 'Maximum 25 filters per group')
+});
+
+// Top-level filters are ANDed together; nesting depth and total size are checked by validateContactFilters
+export const contactFiltersSchema = z.array(contactFilterNodeSchema)
+  .max(25, 'Maximum 25 filters allowed');
+
 export const contactFilterSchema = z.object({
   status: z.enum(['NEW', 'CONTACTED', 'QUALIFIED', 'PROPOSAL', 'NEGOTIATION', 'CLOSED_WON', 'CLOSED_LOST'])
     .optional(),
@@ -183,9 +346,275 @@ export const contactFilterSchema = z.object({
     .optional(),
   search: z.string()
     .max(255, 'Search term must be less than 255 characters')
+    .optional(),
+  // JSON-encoded array of filter conditions (query strings can't carry nested objects)
+  filters: z.string()
+    .max(10000, 'Filters must be less than 10000 characters')
+    .transform((val, ctx) => {
+      try {
+        return JSON.parse(val);
+      } catch {
+        ctx.addIssue({ code: 'custom', message: 'Filters must be valid JSON' });
+        return z.NEVER;
+      }
+    })
+    .pipe(contactFiltersSchema)
+    .optional(),
+  sortBy: z.string()
+    .max(100, 'Sort field must be less than 100 characters')
+    .optional(),
+  sortOrder: z.enum(['asc', 'desc'])
+    .optional()
+});
+
+// Contact export: the same search/filters/sort as the contacts list, the visible
+// column ids in table order, and optionally an explicit selection of contact ids
+export const contactExportSchema = z.object({
+  format: z.enum(['csv', 'xlsx', 'vcf']).default('csv'),
+  search: z.string()
+    .max(255, 'Search term must be less than 255 characters')
+    .optional(),
+  filters: contactFiltersSchema
+    .optional(),
+  sortBy: z.string()
+    .max(100, 'Sort field must be less than 100 characters')
+    .optional(),
+  sortOrder: z.enum(['asc', 'desc'])
+    .optional(),
+  columns: z.array(z.string().min(1).max(100))
+    .max(200, 'Maximum 200 columns allowed')
+    .optional(),
+  contactIds: z.array(z.string().min(1, 'Contact ID cannot be empty'))
+    .max(10000, 'Maximum 10000 contacts can be exported by selection')
     .optional()
 });
 
+export const duplicatesQuerySchema = z.object({
+  minScore: z.coerce.number()
+    .int('Minimum score must be a whole number')
+    .min(1, 'Minimum score must be between 1 and 100')
+    .max(100, 'Minimum score must be between 1 and 100')
+    .default(50),
+  limit: z.coerce.number()
+    .int('Limit must be a positive integer')
+    .min(1, 'Limit must be a positive integer')
+    .transform(val => Math.min(val, 200))
+    .default(50)
+});
+
+// Merge `duplicateId` into `survivorId`. Each field names the contact whose value wins;
+// fields left out keep the survivor's value, or the duplicate's when the survivor has none
+export const contactMergeSchema = z.object({
+  survivorId: z.string().min(1, 'Surviving contact is required'),
+  duplicateId: z.string().min(1, 'Duplicate contact is required'),
+  fields: z.object({
+    name: z.string().min(1).optional(),
+    email: z.string().min(1).optional(),
+    phone: z.string().min(1).optional(),
+    address: z.string().min(1).optional()
+  }).default({}),
+  // Custom property fieldKey -> contact id whose value wins
+  customFields: z.record(z.string(), z.string().min(1)).default({})
+}).refine(data => data.survivorId !== data.duplicateId, {
+  message: 'A contact cannot be merged into itself',
+  path: ['duplicateId']
+}).refine(data => [...Object.values(data.fields), ...Object.values(data.customFields)]
+  .every(id => id === data.survivorId || id === data.duplicateId), {
+  message: 'Field values must come from one of the merged contacts',
+  path: ['fields']
+});
+
+const columnIdSchema = z.string().min(1).max(100);
+
+// Saved contacts-table view. No defaults here so the same shape works for partial updates
+export const savedViewSchema = z.object({
+  name: z.string()
+    .min(1, 'View name is required')
+    .max(100, 'View name must be less than 100 characters')
+    .trim(),
+  search: z.string()
+    .max(255, 'Search term must be less than 255 characters')
+    .optional()
+    .nullable(),
+  filters: contactFiltersSchema
+    .optional(),
+  // The contacts list sorts server-side on a single column
+  sorting: z.array(z.object({ id: columnIdSchema, desc: z.boolean() }))
+    .max(1, 'Views can sort by one column')
+    .optional(),
+  columnOrder: z.array(columnIdSchema)
+    .max(200, 'Maximum 200 columns allowed')
+    .optional(),
+  columnVisibility: z.record(columnIdSchema, z.boolean())
+    .optional(),
+  columnSizing: z.record(columnIdSchema, z.number().min(20).max(2000))
+    .optional()
+});
+
+export const savedViewUpdateSchema = savedViewSchema.partial();
+
+export const savedViewOrderSchema = z.object({
+  viewIds: z.array(z.string().min(1))
+    .min(1, 'At least one view ID is required')
+    .max(200, 'Maximum 200 views')
+});
+
+export const savedViewShareSchema = z.object({
+  email: z.string()
+    .email('Invalid email format')
+    .max(255, 'Email must be less than 255 characters')
+    .toLowerCase()
+});
+
+export const workspaceSchema = z.object({
+  name: z.string()
+    .min(1, 'Workspace name is required')
+    .max(100, 'Workspace name must be less than 100 characters')
+    .trim()
+});
+
+const workspaceMemberAccessSchema = z.object({
+  role: z.enum(WORKSPACE_ROLES),
+  // Only matters for agents and read-only members; owners and admins always see every contact
+  canViewAllContacts: z.boolean()
+});
+
+export const workspaceMemberSchema = workspaceMemberAccessSchema.partial().extend({
+  email: z.string()
+    .email('Invalid email format')
+    .max(255, 'Email must be less than 255 characters')
+    .toLowerCase()
+});
+
+export const workspaceMemberUpdateSchema = workspaceMemberAccessSchema.partial()
+  .refine(data => data.role !== undefined || data.canViewAllContacts !== undefined, {
+    message: 'Nothing to update'
+  });
+
+const assignmentRuleFieldsSchema = z.object({
+  name: z.string()
+    .min(1, 'Rule name is required')
+    .max(100, 'Rule name must be less than 100 characters')
+    .trim(),
+  type: z.enum(ASSIGNMENT_RULE_TYPES),
+  // Suburbs or lead sources the rule applies to
+  matchValues: z.array(z.string().trim().min(1).max(255))
+    .max(200, 'Maximum 200 values per rule'),
+  assigneeIds: z.array(z.string().min(1))
+    .min(1, 'Choose at least one member to assign contacts to')
+    .max(100, 'Maximum 100 members per rule'),
+  isActive: z.boolean()
+});
+
+// Changing the type to a conditional one must come with the values to match
+const requiresMatchValues = (data) => data.type === undefined || data.type === 'ROUND_ROBIN' || data.matchValues?.length > 0;
+const matchValuesMessage = { message: 'Suburb and lead source rules need at least one value to match', path: ['matchValues'] };
+
+export const assignmentRuleSchema = assignmentRuleFieldsSchema
+  .extend({
+    matchValues: assignmentRuleFieldsSchema.shape.matchValues.default([]),
+    isActive: z.boolean().default(true)
+  })
+  .refine(requiresMatchValues, matchValuesMessage);
+
+export const assignmentRuleUpdateSchema = assignmentRuleFieldsSchema.partial()
+  .refine(requiresMatchValues, matchValuesMessage);
+
+export const assignmentRuleOrderSchema = z.object({
+  ruleIds: z.array(z.string().min(1))
+    .min(1, 'At least one rule ID is required')
+    .max(200, 'Maximum 200 rules')
+});
+
+const webhookFieldsSchema = z.object({
+  url: z.string()
+    .trim()
+    .max(2000, 'URL must be less than 2000 characters')
+    .url('Invalid URL')
+    .refine(url => /^https?:\/\//i.test(url), 'Webhook URLs must use http or https'),
+  description: z.string()
+    .trim()
+    .max(255, 'Description must be less than 255 characters')
+    .nullable()
+    .optional(),
+  events: z.array(z.enum(WEBHOOK_EVENTS))
+    .min(1, 'Choose at least one event'),
+  isActive: z.boolean()
+});
+
+export const webhookSubscriptionSchema = webhookFieldsSchema.extend({
+  isActive: z.boolean().default(true)
+});
+
+export const webhookSubscriptionUpdateSchema = webhookFieldsSchema.partial()
+  .refine(data => Object.keys(data).length > 0, { message: 'Nothing to update' });
+
+export const apiKeySchema = z.object({
+  name: z.string()
+    .trim()
+    .min(1, 'Name is required')
+    .max(100, 'Name must be less than 100 characters'),
+  scopes: z.array(z.enum(API_KEY_SCOPES))
+    .min(1, 'Choose at least one scope')
+    .refine(scopes => new Set(scopes.map(scope => scope.split(':')[0])).size === scopes.length,
+      'Choose read or write access once per resource'),
+  // Omitted or null for a key that never expires
+  expiresAt: z.string()
+    .refine(val => !isNaN(new Date(val).getTime()), 'Invalid date format')
+    .transform(val => new Date(val))
+    .refine(date => date > new Date(), 'Expiry must be in the future')
+    .nullable()
+    .optional()
+});
+
+// Tables whose layout is saved to the user's profile
+export const TABLE_LAYOUT_IDS = ['contacts'];
+
+// Column order, widths, hidden and pinned columns, and page size for one table
+export const tableLayoutSchema = z.object({
+  columnOrder: z.array(columnIdSchema)
+    .max(200, 'Maximum 200 columns allowed')
+    .default([]),
+  columnSizing: z.record(columnIdSchema, z.number().min(20).max(2000))
+    .default({}),
+  columnVisibility: z.record(columnIdSchema, z.boolean())
+    .default({}),
+  columnPinning: z.object({
+    left: z.array(columnIdSchema).max(50).default([]),
+    right: z.array(columnIdSchema).max(50).default([])
+  }).default({ left: [], right: [] }),
+  pageSize: z.number()
+    .int('Page size must be a whole number')
+    .min(1, 'Page size must be between 1 and 1000')
+    .max(1000, 'Page size must be between 1 and 1000')
+    .optional()
+});
+
+const isoDateString = (label) => z.string()
+  .refine(val => !isNaN(new Date(val).getTime()), `${label} must be a valid date`)
+  .optional();
+
+// Dashboard date range; defaults are applied by the stats route
+export const statsQuerySchema = z.object({
+  from: isoDateString('Start date'),
+  to: isoDateString('End date')
+}).refine(data => !data.from || !data.to || new Date(data.from) <= new Date(data.to), {
+  message: 'Start date must be before end date',
+  path: ['from']
+});
+
+export const AUDIT_ENTITY_TYPES = ['CONTACT', 'CUSTOM_FIELD_VALUE', 'CUSTOM_PROPERTY', 'TASK', 'NOTE', 'USER', 'ATTACHMENT'];
+
+// Audit log filters; contactId returns everything recorded against a contact (its fields, tasks and notes)
+export const auditQuerySchema = z.object({
+  entityType: z.enum(AUDIT_ENTITY_TYPES).optional(),
+  entityId: z.string().min(1).max(100).optional(),
+  contactId: z.string().min(1).max(100).optional(),
+  action: z.enum(['CREATE', 'UPDATE', 'DELETE']).optional(),
+  from: isoDateString('Start date'),
+  to: isoDateString('End date')
+});
+
 // Validation middleware factory
 export const validateBody = (schema) => {
   return (req, res, next) => {
@@ -195,11 +624,11 @@ export const validateBody = (schema) => {
       if (!result.success) {
         console.error(`❌ Validation failed for ${req.method} ${req.route?.path || req.url}:`, {
           body: req.body,
-          errors: result.error?.errors || result.error
+          errors: result.error?.issues || result.error
         });
         
         // Handle both ZodError and other error formats
-        const errors = result.error?.errors ? result.error.errors.map(err => ({
+        const errors = result.error?.issues ? result.error.issues.map(err => ({
           field: err.path?.join?.('.') || 'unknown',
           message: err.message || 'Invalid input',
           code: err.code || 'INVALID'
@@ -237,7 +666,7 @@ export const validateQuery = (schema) => {
       const result = schema.safeParse(req.query);
       
       if (!result.success) {
-        const errors = result.error.errors.map(err => ({
+        const errors = result.error.issues.map(err => ({
           field: err.path.join('.'),
           message: err.message,
           code: err.code
@@ -264,10 +693,53 @@ export const validateQuery = (schema) => {
 };
 
 // Bulk operations validation
-export const bulkContactsSchema = z.object({
-  contacts: z.array(contactSchema)
-    .min(1, 'At least one contact is required')
-    .max(1000, 'Maximum 1000 contacts allowed per import')
+// One CSV row after column mapping. Values are raw cell text; custom fields are
+// coerced by fieldType on the server, so they are only length-checked here
+const importFieldSchema = z.union([
+  z.enum(['name', 'email', 'phone', 'address']),
+  z.string().regex(/^custom:[a-zA-Z0-9_]+$/, 'Invalid custom field mapping')
+]);
+
+export const importJobSchema = z.object({
+  fileName: z.string().max(255).optional(),
+  headers: z.array(z.string().max(255, 'Column names must be less than 255 characters'))
+    .min(1, 'The file has no columns')
+    .max(200, 'Maximum 200 columns allowed per import'),
+  rows: z.array(z.array(z.string().max(5000, 'Cells must be less than 5000 characters')))
+    .min(1, 'At least one row is required')
+    .max(50000, 'Maximum 50000 rows allowed per import'),
+  // CSV header -> core field or custom:<fieldKey>; unmapped columns are left out
+  mapping: z.record(z.string(), importFieldSchema),
+  // What to do with rows whose email/phone matches an existing contact
+  duplicateStrategy: z.enum(['skip', 'update', 'create']).default('skip'),
+  matchBy: z.enum(['email', 'phone']).default('email')
+}).refine(data => Object.keys(data.mapping).every(header => data.headers.includes(header)), {
+  message: 'Mapping refers to a column that is not in the file',
+  path: ['mapping']
+}).refine(data => new Set(Object.values(data.mapping)).size === Object.values(data.mapping).length, {
+  message: 'Each field can only be mapped once',
+  path: ['mapping']
+});
+
+export const bulkTaskUpdateSchema = z.object({
+  taskIds: z.array(z.string().min(1, 'Task ID cannot be empty'))
+    .min(1, 'At least one task ID is required')
+    .max(500, 'Maximum 500 tasks can be updated at once'),
+  action: z.enum(['complete', 'reschedule', 'reassign']),
+  dueDate: z.string()
+    .optional()
+    .nullable()
+    .refine(val => !val || !isNaN(new Date(val).getTime()), 'Invalid date format'),
+  assigneeEmail: z.string()
+    .email('Invalid email format')
+    .toLowerCase()
+    .optional()
+}).refine(data => data.action !== 'reassign' || !!data.assigneeEmail, {
+  message: 'Assignee email is required to reassign tasks',
+  path: ['assigneeEmail']
+}).refine(data => data.action !== 'reschedule' || data.dueDate !== undefined, {
+  message: 'A due date (or null to clear it) is required to reschedule tasks',
+  path: ['dueDate']
 });
 
 export const bulkDeleteSchema = z.object({
@@ -275,3 +747,47 @@ export const bulkDeleteSchema = z.object({
     .min(1, 'At least one contact ID is required')
     .max(1000, 'Maximum 1000 contacts can be deleted at once')
 });
+
+export const BULK_UPDATE_LIMIT = 1000;
+
+const bulkFieldChangeSchema = z.object({
+  field: z.string()
+    .min(1, 'Field is required')
+    .max(100, 'Field must be less than 100 characters'),
+  action: z.enum(['set', 'clear', 'add', 'remove']),
+  value: z.unknown().optional()
+}).refine(data => data.action === 'clear' || (data.value !== undefined && data.value !== null && data.value !== ''), {
+  message: 'A value is required unless the field is being cleared',
+  path: ['value']
+}).refine(data => !['add', 'remove'].includes(data.action) || (Array.isArray(data.value) && data.value.length > 0), {
+  message: 'Adding or removing values needs a non-empty list of values',
+  path: ['value']
+});
+
+// Either an explicit selection or every contact matching search + filters
+export const contactBulkUpdateSchema = z.object({
+  contactIds: z.array(z.string().min(1, 'Contact ID cannot be empty'))
+    .min(1, 'At least one contact ID is required')
+    .max(BULK_UPDATE_LIMIT, `Maximum ${BULK_UPDATE_LIMIT} contacts can be updated at once`)
+    .optional(),
+  all: z.boolean().optional(),
+  search: z.string()
+    .max(255, 'Search term must be less than 255 characters')
+    .optional(),
+  filters: contactFiltersSchema
+    .optional(),
+  changes: z.array(bulkFieldChangeSchema)
+    .max(50, 'Maximum 50 field changes allowed')
+    .optional(),
+  task: taskSchema.optional(),
+  note: noteSchema.optional()
+}).refine(data => !!data.contactIds !== !!data.all, {
+  message: 'Provide either contactIds or all: true',
+  path: ['contactIds']
+}).refine(data => (data.changes?.length ?? 0) > 0 || !!data.task || !!data.note, {
+  message: 'Nothing to update - add a field change, task or note',
+  path: ['changes']
+}).refine(data => new Set((data.changes || []).map(change => change.field)).size === (data.changes || []).length, {
+  message: 'Each field can only be changed once',
+  path: ['changes']
+});
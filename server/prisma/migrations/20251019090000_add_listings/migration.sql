@@ -0,0 +1,54 @@
+-- CreateEnum
+CREATE TYPE "public"."ListingStatus" AS ENUM ('APPRAISAL', 'LISTED', 'UNDER_OFFER', 'SOLD', 'WITHDRAWN');
+
+-- CreateEnum
+CREATE TYPE "public"."ListingContactRole" AS ENUM ('VENDOR', 'BUYER');
+
+-- CreateTable
+CREATE TABLE "public"."listings" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "address" TEXT NOT NULL,
+    "suburb" TEXT,
+    "price" INTEGER,
+    "bedrooms" INTEGER,
+    "bathrooms" INTEGER,
+    "status" "public"."ListingStatus" NOT NULL DEFAULT 'APPRAISAL',
+    "description" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "listings_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."listing_contacts" (
+    "id" TEXT NOT NULL,
+    "listingId" TEXT NOT NULL,
+    "contactId" TEXT NOT NULL,
+    "role" "public"."ListingContactRole" NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "listing_contacts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "listings_userId_idx" ON "public"."listings"("userId");
+
+-- CreateIndex
+CREATE INDEX "listings_userId_status_idx" ON "public"."listings"("userId", "status");
+
+-- CreateIndex
+CREATE INDEX "listing_contacts_contactId_idx" ON "public"."listing_contacts"("contactId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "listing_contacts_listingId_contactId_role_key" ON "public"."listing_contacts"("listingId", "contactId", "role");
+
+-- AddForeignKey
+ALTER TABLE "public"."listings" ADD CONSTRAINT "listings_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."listing_contacts" ADD CONSTRAINT "listing_contacts_listingId_fkey" FOREIGN KEY ("listingId") REFERENCES "public"."listings"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."listing_contacts" ADD CONSTRAINT "listing_contacts_contactId_fkey" FOREIGN KEY ("contactId") REFERENCES "public"."contacts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "public"."refresh_tokens" ADD COLUMN     "ipAddress" TEXT,
+ADD COLUMN     "userAgent" TEXT;
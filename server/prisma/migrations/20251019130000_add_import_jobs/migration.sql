@@ -0,0 +1,47 @@
+-- CreateEnum
+CREATE TYPE "public"."ImportJobStatus" AS ENUM ('QUEUED', 'RUNNING', 'COMPLETED', 'FAILED', 'UNDONE');
+
+-- AlterTable
+ALTER TABLE "public"."contacts" ADD COLUMN     "importJobId" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."import_jobs" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "fileName" TEXT,
+    "status" "public"."ImportJobStatus" NOT NULL DEFAULT 'QUEUED',
+    "duplicateStrategy" TEXT NOT NULL,
+    "matchBy" TEXT NOT NULL,
+    "headers" JSONB NOT NULL,
+    "mapping" JSONB NOT NULL,
+    "rows" JSONB,
+    "totalRows" INTEGER NOT NULL,
+    "processedRows" INTEGER NOT NULL DEFAULT 0,
+    "createdCount" INTEGER NOT NULL DEFAULT 0,
+    "updatedCount" INTEGER NOT NULL DEFAULT 0,
+    "skippedCount" INTEGER NOT NULL DEFAULT 0,
+    "failedCount" INTEGER NOT NULL DEFAULT 0,
+    "failures" JSONB NOT NULL DEFAULT '[]',
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "startedAt" TIMESTAMP(3),
+    "completedAt" TIMESTAMP(3),
+    "undoneAt" TIMESTAMP(3),
+
+    CONSTRAINT "import_jobs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "contacts_importJobId_idx" ON "public"."contacts"("importJobId");
+
+-- CreateIndex
+CREATE INDEX "import_jobs_userId_createdAt_idx" ON "public"."import_jobs"("userId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "import_jobs_status_idx" ON "public"."import_jobs"("status");
+
+-- AddForeignKey
+ALTER TABLE "public"."contacts" ADD CONSTRAINT "contacts_importJobId_fkey" FOREIGN KEY ("importJobId") REFERENCES "public"."import_jobs"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."import_jobs" ADD CONSTRAINT "import_jobs_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
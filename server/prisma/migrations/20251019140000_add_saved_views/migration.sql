@@ -0,0 +1,46 @@
+-- CreateTable
+CREATE TABLE "public"."saved_views" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "search" TEXT,
+    "filters" JSONB NOT NULL DEFAULT '[]',
+    "sorting" JSONB NOT NULL DEFAULT '[]',
+    "columnOrder" JSONB NOT NULL DEFAULT '[]',
+    "columnVisibility" JSONB NOT NULL DEFAULT '{}',
+    "columnSizing" JSONB NOT NULL DEFAULT '{}',
+    "sortOrder" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "saved_views_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."saved_view_shares" (
+    "id" TEXT NOT NULL,
+    "viewId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "sortOrder" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "saved_view_shares_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "saved_views_userId_sortOrder_idx" ON "public"."saved_views"("userId", "sortOrder");
+
+-- CreateIndex
+CREATE INDEX "saved_view_shares_userId_sortOrder_idx" ON "public"."saved_view_shares"("userId", "sortOrder");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "saved_view_shares_viewId_userId_key" ON "public"."saved_view_shares"("viewId", "userId");
+
+-- AddForeignKey
+ALTER TABLE "public"."saved_views" ADD CONSTRAINT "saved_views_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."saved_view_shares" ADD CONSTRAINT "saved_view_shares_viewId_fkey" FOREIGN KEY ("viewId") REFERENCES "public"."saved_views"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."saved_view_shares" ADD CONSTRAINT "saved_view_shares_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
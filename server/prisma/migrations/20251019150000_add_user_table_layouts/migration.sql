@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."users" ADD COLUMN     "tableLayouts" JSONB NOT NULL DEFAULT '{}';
@@ -0,0 +1,37 @@
+-- CreateEnum
+CREATE TYPE "public"."AuditEntityType" AS ENUM ('CONTACT', 'CUSTOM_FIELD_VALUE', 'CUSTOM_PROPERTY', 'TASK', 'NOTE', 'USER');
+
+-- CreateEnum
+CREATE TYPE "public"."AuditAction" AS ENUM ('CREATE', 'UPDATE', 'DELETE');
+
+-- CreateTable
+CREATE TABLE "public"."audit_events" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "actorId" TEXT,
+    "entityType" "public"."AuditEntityType" NOT NULL,
+    "entityId" TEXT NOT NULL,
+    "contactId" TEXT,
+    "action" "public"."AuditAction" NOT NULL,
+    "changes" JSONB NOT NULL DEFAULT '{}',
+    "ipAddress" TEXT,
+    "userAgent" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "audit_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "audit_events_userId_createdAt_idx" ON "public"."audit_events"("userId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "audit_events_contactId_createdAt_idx" ON "public"."audit_events"("contactId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "audit_events_entityType_entityId_idx" ON "public"."audit_events"("entityType", "entityId");
+
+-- AddForeignKey
+ALTER TABLE "public"."audit_events" ADD CONSTRAINT "audit_events_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."audit_events" ADD CONSTRAINT "audit_events_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,8 @@
+-- AlterEnum
+ALTER TYPE "public"."ActivityType" ADD VALUE 'FIELD_CHANGED';
+
+-- AlterTable
+ALTER TABLE "public"."activities" ADD COLUMN     "metadata" JSONB;
+
+-- AlterTable
+ALTER TABLE "public"."custom_property_definitions" ADD COLUMN     "trackChanges" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,65 @@
+-- CreateEnum
+CREATE TYPE "public"."NoteFormat" AS ENUM ('PLAIN', 'RICH_TEXT');
+
+-- AlterTable
+ALTER TABLE "public"."notes" ADD COLUMN     "format" "public"."NoteFormat" NOT NULL DEFAULT 'PLAIN',
+ADD COLUMN     "isPinned" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "pinnedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "public"."note_mentions" (
+    "id" TEXT NOT NULL,
+    "noteId" TEXT NOT NULL,
+    "contactId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "note_mentions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."attachments" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "contactId" TEXT NOT NULL,
+    "noteId" TEXT,
+    "fileName" TEXT NOT NULL,
+    "mimeType" TEXT NOT NULL,
+    "size" INTEGER NOT NULL,
+    "storageKey" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "attachments_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "notes_contactId_isPinned_idx" ON "public"."notes"("contactId", "isPinned");
+
+-- CreateIndex
+CREATE INDEX "note_mentions_contactId_idx" ON "public"."note_mentions"("contactId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "note_mentions_noteId_contactId_key" ON "public"."note_mentions"("noteId", "contactId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "attachments_storageKey_key" ON "public"."attachments"("storageKey");
+
+-- CreateIndex
+CREATE INDEX "attachments_contactId_createdAt_idx" ON "public"."attachments"("contactId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "attachments_noteId_idx" ON "public"."attachments"("noteId");
+
+-- AddForeignKey
+ALTER TABLE "public"."note_mentions" ADD CONSTRAINT "note_mentions_noteId_fkey" FOREIGN KEY ("noteId") REFERENCES "public"."notes"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."note_mentions" ADD CONSTRAINT "note_mentions_contactId_fkey" FOREIGN KEY ("contactId") REFERENCES "public"."contacts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."attachments" ADD CONSTRAINT "attachments_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."attachments" ADD CONSTRAINT "attachments_contactId_fkey" FOREIGN KEY ("contactId") REFERENCES "public"."contacts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."attachments" ADD CONSTRAINT "attachments_noteId_fkey" FOREIGN KEY ("noteId") REFERENCES "public"."notes"("id") ON DELETE CASCADE ON UPDATE CASCADE;
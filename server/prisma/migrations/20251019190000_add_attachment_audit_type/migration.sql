@@ -0,0 +1,2 @@
+-- AlterEnum
+ALTER TYPE "public"."AuditEntityType" ADD VALUE 'ATTACHMENT';
@@ -0,0 +1,3 @@
+-- AlterTable
+-- Existing base64 values stay in "profileImage" until the server converts them into stored files on startup
+ALTER TABLE "public"."users" ADD COLUMN     "profileImageKey" TEXT;
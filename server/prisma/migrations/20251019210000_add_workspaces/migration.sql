@@ -0,0 +1,186 @@
+-- CreateEnum
+CREATE TYPE "public"."WorkspaceRole" AS ENUM ('OWNER', 'MEMBER');
+
+-- CreateTable
+CREATE TABLE "public"."workspaces" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "workspaces_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."workspace_members" (
+    "id" TEXT NOT NULL,
+    "workspaceId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "role" "public"."WorkspaceRole" NOT NULL DEFAULT 'MEMBER',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "workspace_members_pkey" PRIMARY KEY ("id")
+);
+
+-- Give every existing user a personal workspace that takes over their records
+INSERT INTO "public"."workspaces" ("id", "name", "createdAt", "updatedAt")
+SELECT 'ws_' || "id", COALESCE(NULLIF(TRIM("displayName"), ''), SPLIT_PART("email", '@', 1)) || '''s workspace', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+FROM "public"."users";
+
+INSERT INTO "public"."workspace_members" ("id", "workspaceId", "userId", "role")
+SELECT 'wsm_' || "id", 'ws_' || "id", "id", 'OWNER'
+FROM "public"."users";
+
+-- AlterTable
+ALTER TABLE "public"."contacts" ADD COLUMN     "workspaceId" TEXT,
+ADD COLUMN     "assignedToId" TEXT;
+UPDATE "public"."contacts" SET "workspaceId" = 'ws_' || "userId", "assignedToId" = "userId";
+ALTER TABLE "public"."contacts" ALTER COLUMN "workspaceId" SET NOT NULL;
+
+-- AlterTable
+ALTER TABLE "public"."custom_property_definitions" ADD COLUMN     "workspaceId" TEXT;
+UPDATE "public"."custom_property_definitions" SET "workspaceId" = 'ws_' || "userId";
+ALTER TABLE "public"."custom_property_definitions" ALTER COLUMN "workspaceId" SET NOT NULL;
+
+-- AlterTable
+ALTER TABLE "public"."listings" ADD COLUMN     "workspaceId" TEXT;
+UPDATE "public"."listings" SET "workspaceId" = 'ws_' || "userId";
+ALTER TABLE "public"."listings" ALTER COLUMN "workspaceId" SET NOT NULL;
+
+-- AlterTable
+ALTER TABLE "public"."pipelines" ADD COLUMN     "workspaceId" TEXT;
+UPDATE "public"."pipelines" SET "workspaceId" = 'ws_' || "userId";
+ALTER TABLE "public"."pipelines" ALTER COLUMN "workspaceId" SET NOT NULL;
+
+-- AlterTable
+ALTER TABLE "public"."deals" ADD COLUMN     "workspaceId" TEXT;
+UPDATE "public"."deals" SET "workspaceId" = 'ws_' || "userId";
+ALTER TABLE "public"."deals" ALTER COLUMN "workspaceId" SET NOT NULL;
+
+-- AlterTable
+ALTER TABLE "public"."import_jobs" ADD COLUMN     "workspaceId" TEXT;
+UPDATE "public"."import_jobs" SET "workspaceId" = 'ws_' || "userId";
+ALTER TABLE "public"."import_jobs" ALTER COLUMN "workspaceId" SET NOT NULL;
+
+-- AlterTable
+ALTER TABLE "public"."saved_views" ADD COLUMN     "workspaceId" TEXT;
+UPDATE "public"."saved_views" SET "workspaceId" = 'ws_' || "userId";
+ALTER TABLE "public"."saved_views" ALTER COLUMN "workspaceId" SET NOT NULL;
+
+-- AlterTable
+ALTER TABLE "public"."audit_events" ADD COLUMN     "workspaceId" TEXT;
+UPDATE "public"."audit_events" SET "workspaceId" = 'ws_' || "userId" WHERE "entityType" <> 'USER';
+
+-- DropIndex
+DROP INDEX "public"."contacts_userId_idx";
+
+-- DropIndex
+DROP INDEX "public"."contacts_userId_createdAt_idx";
+
+-- DropIndex
+DROP INDEX "public"."custom_property_definitions_userId_fieldKey_key";
+
+-- DropIndex
+DROP INDEX "public"."custom_property_definitions_userId_isActive_idx";
+
+-- DropIndex
+DROP INDEX "public"."custom_property_definitions_userId_sortOrder_idx";
+
+-- DropIndex
+DROP INDEX "public"."listings_userId_idx";
+
+-- DropIndex
+DROP INDEX "public"."listings_userId_status_idx";
+
+-- DropIndex
+DROP INDEX "public"."pipelines_userId_sortOrder_idx";
+
+-- DropIndex
+DROP INDEX "public"."deals_userId_pipelineId_idx";
+
+-- DropIndex
+DROP INDEX "public"."import_jobs_userId_createdAt_idx";
+
+-- DropIndex
+DROP INDEX "public"."saved_views_userId_sortOrder_idx";
+
+-- DropIndex
+DROP INDEX "public"."audit_events_userId_createdAt_idx";
+
+-- CreateIndex
+CREATE INDEX "workspace_members_userId_idx" ON "public"."workspace_members"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "workspace_members_workspaceId_userId_key" ON "public"."workspace_members"("workspaceId", "userId");
+
+-- CreateIndex
+CREATE INDEX "contacts_workspaceId_idx" ON "public"."contacts"("workspaceId");
+
+-- CreateIndex
+CREATE INDEX "contacts_workspaceId_createdAt_idx" ON "public"."contacts"("workspaceId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "contacts_assignedToId_idx" ON "public"."contacts"("assignedToId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "custom_property_definitions_workspaceId_fieldKey_key" ON "public"."custom_property_definitions"("workspaceId", "fieldKey");
+
+-- CreateIndex
+CREATE INDEX "custom_property_definitions_workspaceId_isActive_idx" ON "public"."custom_property_definitions"("workspaceId", "isActive");
+
+-- CreateIndex
+CREATE INDEX "custom_property_definitions_workspaceId_sortOrder_idx" ON "public"."custom_property_definitions"("workspaceId", "sortOrder");
+
+-- CreateIndex
+CREATE INDEX "listings_workspaceId_idx" ON "public"."listings"("workspaceId");
+
+-- CreateIndex
+CREATE INDEX "listings_workspaceId_status_idx" ON "public"."listings"("workspaceId", "status");
+
+-- CreateIndex
+CREATE INDEX "pipelines_workspaceId_sortOrder_idx" ON "public"."pipelines"("workspaceId", "sortOrder");
+
+-- CreateIndex
+CREATE INDEX "deals_workspaceId_pipelineId_idx" ON "public"."deals"("workspaceId", "pipelineId");
+
+-- CreateIndex
+CREATE INDEX "import_jobs_workspaceId_createdAt_idx" ON "public"."import_jobs"("workspaceId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "saved_views_workspaceId_userId_sortOrder_idx" ON "public"."saved_views"("workspaceId", "userId", "sortOrder");
+
+-- CreateIndex
+CREATE INDEX "audit_events_workspaceId_createdAt_idx" ON "public"."audit_events"("workspaceId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."workspace_members" ADD CONSTRAINT "workspace_members_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "public"."workspaces"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."workspace_members" ADD CONSTRAINT "workspace_members_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."contacts" ADD CONSTRAINT "contacts_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "public"."workspaces"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."contacts" ADD CONSTRAINT "contacts_assignedToId_fkey" FOREIGN KEY ("assignedToId") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."custom_property_definitions" ADD CONSTRAINT "custom_property_definitions_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "public"."workspaces"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."listings" ADD CONSTRAINT "listings_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "public"."workspaces"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."pipelines" ADD CONSTRAINT "pipelines_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "public"."workspaces"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."deals" ADD CONSTRAINT "deals_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "public"."workspaces"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."import_jobs" ADD CONSTRAINT "import_jobs_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "public"."workspaces"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."saved_views" ADD CONSTRAINT "saved_views_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "public"."workspaces"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."audit_events" ADD CONSTRAINT "audit_events_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "public"."workspaces"("id") ON DELETE CASCADE ON UPDATE CASCADE;
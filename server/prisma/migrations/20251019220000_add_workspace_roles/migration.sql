@@ -0,0 +1,8 @@
+-- AlterEnum: existing members become agents
+ALTER TYPE "public"."WorkspaceRole" RENAME VALUE 'MEMBER' TO 'AGENT';
+ALTER TYPE "public"."WorkspaceRole" ADD VALUE 'ADMIN' BEFORE 'AGENT';
+ALTER TYPE "public"."WorkspaceRole" ADD VALUE 'READ_ONLY';
+
+-- AlterTable
+ALTER TABLE "public"."workspace_members" ADD COLUMN     "canViewAllContacts" BOOLEAN NOT NULL DEFAULT false,
+ALTER COLUMN "role" SET DEFAULT 'AGENT';
@@ -0,0 +1,62 @@
+-- CreateEnum
+CREATE TYPE "public"."AssignmentRuleType" AS ENUM ('ROUND_ROBIN', 'SUBURB', 'LEAD_SOURCE');
+
+-- CreateTable
+CREATE TABLE "public"."contact_assignments" (
+    "id" TEXT NOT NULL,
+    "contactId" TEXT NOT NULL,
+    "previousAssigneeId" TEXT,
+    "assigneeId" TEXT,
+    "assignedById" TEXT,
+    "ruleId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "contact_assignments_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."assignment_rules" (
+    "id" TEXT NOT NULL,
+    "workspaceId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "type" "public"."AssignmentRuleType" NOT NULL,
+    "matchValues" TEXT[],
+    "assigneeIds" TEXT[],
+    "assignedCount" INTEGER NOT NULL DEFAULT 0,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "assignment_rules_pkey" PRIMARY KEY ("id")
+);
+
+-- Start each contact's history with its current assignee
+INSERT INTO "public"."contact_assignments" ("id", "contactId", "assigneeId", "assignedById", "createdAt")
+SELECT 'ca_' || "id", "id", "assignedToId", "userId", "createdAt"
+FROM "public"."contacts"
+WHERE "assignedToId" IS NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "contact_assignments_contactId_createdAt_idx" ON "public"."contact_assignments"("contactId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "assignment_rules_workspaceId_position_idx" ON "public"."assignment_rules"("workspaceId", "position");
+
+-- AddForeignKey
+ALTER TABLE "public"."contact_assignments" ADD CONSTRAINT "contact_assignments_contactId_fkey" FOREIGN KEY ("contactId") REFERENCES "public"."contacts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."contact_assignments" ADD CONSTRAINT "contact_assignments_previousAssigneeId_fkey" FOREIGN KEY ("previousAssigneeId") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."contact_assignments" ADD CONSTRAINT "contact_assignments_assigneeId_fkey" FOREIGN KEY ("assigneeId") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."contact_assignments" ADD CONSTRAINT "contact_assignments_assignedById_fkey" FOREIGN KEY ("assignedById") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."contact_assignments" ADD CONSTRAINT "contact_assignments_ruleId_fkey" FOREIGN KEY ("ruleId") REFERENCES "public"."assignment_rules"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."assignment_rules" ADD CONSTRAINT "assignment_rules_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "public"."workspaces"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,99 @@
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { authenticateToken } from '../middleware/auth.js';
+import { validateBody, apiKeySchema } from '../middleware/validation.js';
+import { generateApiKey } from '../utils/apiKeys.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Apply authentication to all routes. API keys are not scoped to these paths, so keys can only
+// be managed by a signed-in user, never by another key
+router.use(authenticateToken);
+
+// Never includes the key itself or its hash
+const apiKeySelect = {
+  id: true,
+  name: true,
+  prefix: true,
+  scopes: true,
+  expiresAt: true,
+  lastUsedAt: true,
+  lastUsedIp: true,
+  createdAt: true,
+  workspace: { select: { id: true, name: true } }
+};
+
+// GET /api/api-keys - The current user's keys across all their workspaces
+router.get('/', async (req, res) => {
+  try {
+    const apiKeys = await prisma.apiKey.findMany({
+      where: { userId: req.user.id },
+      select: apiKeySelect,
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json(apiKeys);
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({
+      error: 'Failed to fetch API keys',
+      code: 'FETCH_API_KEYS_ERROR'
+    });
+  }
+});
+
+// POST /api/api-keys - Create a key for the current workspace; the response is the only time the key is shown
+router.post('/', validateBody(apiKeySchema), async (req, res) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+    const { key, prefix, keyHash } = generateApiKey();
+
+    const apiKey = await prisma.apiKey.create({
+      data: {
+        userId: req.user.id,
+        workspaceId: req.workspace.id,
+        name,
+        prefix,
+        keyHash,
+        scopes,
+        expiresAt: expiresAt || null
+      },
+      select: apiKeySelect
+    });
+
+    res.status(201).json({ ...apiKey, key });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({
+      error: 'Failed to create API key',
+      code: 'CREATE_API_KEY_ERROR'
+    });
+  }
+});
+
+// DELETE /api/api-keys/:id - Revoke a key; requests using it fail immediately
+router.delete('/:id', async (req, res) => {
+  try {
+    const { count } = await prisma.apiKey.deleteMany({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({
+        error: 'API key not found',
+        code: 'API_KEY_NOT_FOUND'
+      });
+    }
+
+    res.json({ message: 'API key revoked successfully', id: req.params.id });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({
+      error: 'Failed to revoke API key',
+      code: 'REVOKE_API_KEY_ERROR'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,170 @@
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import {
+  validateBody,
+  assignmentRuleSchema,
+  assignmentRuleUpdateSchema,
+  assignmentRuleOrderSchema
+} from '../middleware/validation.js';
+import { PERMISSIONS } from '../utils/permissions.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+const listRules = (workspaceId) => prisma.assignmentRule.findMany({
+  where: { workspaceId },
+  orderBy: [{ position: 'asc' }, { createdAt: 'asc' }]
+});
+
+// Assignees must be members of the workspace; responds 400 and returns false otherwise
+const checkAssignees = async (req, res) => {
+  const { assigneeIds } = req.body;
+  if (!assigneeIds) return true;
+
+  const memberCount = await prisma.workspaceMember.count({
+    where: { workspaceId: req.workspace.id, userId: { in: assigneeIds } }
+  });
+  if (memberCount !== new Set(assigneeIds).size) {
+    res.status(400).json({
+      error: 'Contacts can only be assigned to members of this workspace',
+      code: 'INVALID_ASSIGNEE'
+    });
+    return false;
+  }
+  return true;
+};
+
+const findRule = async (req, res) => {
+  const rule = await prisma.assignmentRule.findFirst({
+    where: { id: req.params.id, workspaceId: req.workspace.id }
+  });
+
+  if (!rule) {
+    res.status(404).json({
+      error: 'Assignment rule not found',
+      code: 'ASSIGNMENT_RULE_NOT_FOUND'
+    });
+  }
+  return rule;
+};
+
+// GET /api/assignment-rules - The workspace's rules in the order they are tried
+router.get('/', async (req, res) => {
+  try {
+    res.json(await listRules(req.workspace.id));
+  } catch (error) {
+    console.error('Error fetching assignment rules:', error);
+    res.status(500).json({
+      error: 'Failed to fetch assignment rules',
+      code: 'FETCH_ASSIGNMENT_RULES_ERROR'
+    });
+  }
+});
+
+// POST /api/assignment-rules - Add a rule, tried after the existing ones
+router.post('/', requirePermission(PERMISSIONS.MANAGE_MEMBERS), validateBody(assignmentRuleSchema), async (req, res) => {
+  try {
+    const workspaceId = req.workspace.id;
+    if (!await checkAssignees(req, res)) return;
+
+    const last = await prisma.assignmentRule.findFirst({
+      where: { workspaceId },
+      orderBy: { position: 'desc' },
+      select: { position: true }
+    });
+
+    const rule = await prisma.assignmentRule.create({
+      data: { ...req.body, workspaceId, position: last ? last.position + 1 : 0 }
+    });
+
+    res.status(201).json(rule);
+  } catch (error) {
+    console.error('Error creating assignment rule:', error);
+    res.status(500).json({
+      error: 'Failed to create assignment rule',
+      code: 'CREATE_ASSIGNMENT_RULE_ERROR'
+    });
+  }
+});
+
+// PUT /api/assignment-rules/order - Reorder rules; must list every rule exactly once
+router.put('/order', requirePermission(PERMISSIONS.MANAGE_MEMBERS), validateBody(assignmentRuleOrderSchema), async (req, res) => {
+  try {
+    const workspaceId = req.workspace.id;
+    const { ruleIds } = req.body;
+
+    const rules = await prisma.assignmentRule.findMany({ where: { workspaceId }, select: { id: true } });
+    const existingIds = new Set(rules.map(rule => rule.id));
+
+    if (ruleIds.length !== existingIds.size
+      || new Set(ruleIds).size !== ruleIds.length
+      || !ruleIds.every(id => existingIds.has(id))) {
+      return res.status(400).json({
+        error: 'Rule order must include every rule exactly once',
+        code: 'INVALID_RULE_ORDER'
+      });
+    }
+
+    await prisma.$transaction(ruleIds.map((id, index) => prisma.assignmentRule.update({
+      where: { id },
+      data: { position: index }
+    })));
+
+    res.json(await listRules(workspaceId));
+  } catch (error) {
+    console.error('Error reordering assignment rules:', error);
+    res.status(500).json({
+      error: 'Failed to reorder assignment rules',
+      code: 'REORDER_ASSIGNMENT_RULES_ERROR'
+    });
+  }
+});
+
+// PUT /api/assignment-rules/:id - Change a rule, or pause it with isActive: false
+router.put('/:id', requirePermission(PERMISSIONS.MANAGE_MEMBERS), validateBody(assignmentRuleUpdateSchema), async (req, res) => {
+  try {
+    const rule = await findRule(req, res);
+    if (!rule || !await checkAssignees(req, res)) return;
+
+    const data = { ...req.body };
+    // A round-robin rule matches everything, so values left over from another type are dropped
+    if (data.type === 'ROUND_ROBIN') data.matchValues = [];
+
+    const updated = await prisma.assignmentRule.update({
+      where: { id: rule.id },
+      data
+    });
+
+    res.json(updated);
+  } catch (error) {
+    console.error('Error updating assignment rule:', error);
+    res.status(500).json({
+      error: 'Failed to update assignment rule',
+      code: 'UPDATE_ASSIGNMENT_RULE_ERROR'
+    });
+  }
+});
+
+// DELETE /api/assignment-rules/:id - Contacts it assigned keep their assignee
+router.delete('/:id', requirePermission(PERMISSIONS.MANAGE_MEMBERS), async (req, res) => {
+  try {
+    const rule = await findRule(req, res);
+    if (!rule) return;
+
+    await prisma.assignmentRule.delete({ where: { id: rule.id } });
+
+    res.json({ message: 'Assignment rule deleted successfully', id: rule.id });
+  } catch (error) {
+    console.error('Error deleting assignment rule:', error);
+    res.status(500).json({
+      error: 'Failed to delete assignment rule',
+      code: 'DELETE_ASSIGNMENT_RULE_ERROR'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,82 @@
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { authenticateToken } from '../middleware/auth.js';
+import { validateQuery, paginationSchema, auditQuerySchema } from '../middleware/validation.js';
+import { PERMISSIONS } from '../utils/permissions.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+// GET /api/audit - Audit events for the workspace plus the user's own account changes, newest first.
+// Members who can't see every contact get a contact's history only if they can see that contact,
+// and otherwise just their own changes
+router.get('/', validateQuery(paginationSchema.merge(auditQuerySchema)), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const workspaceId = req.workspace.id;
+    const { entityType, entityId, contactId, action, from, to } = req.query;
+    // Defaults come through untransformed, so normalise page and limit here
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 100;
+
+    const canViewAll = req.workspace.permissions.includes(PERMISSIONS.VIEW_ALL_CONTACTS);
+    if (!canViewAll && contactId) {
+      const contact = await prisma.contact.findFirst({
+        where: { id: contactId, ...req.workspace.contactScope },
+        select: { id: true }
+      });
+      if (!contact) {
+        return res.status(404).json({
+          error: 'Contact not found',
+          code: 'CONTACT_NOT_FOUND'
+        });
+      }
+    }
+
+    const workspaceEvents = canViewAll || contactId ? { workspaceId } : { workspaceId, actorId: userId };
+    const where = { OR: [workspaceEvents, { workspaceId: null, userId }] };
+    if (entityType) where.entityType = entityType;
+    if (entityId) where.entityId = entityId;
+    if (contactId) where.contactId = contactId;
+    if (action) where.action = action;
+    if (from || to) {
+      where.createdAt = {};
+      if (from) where.createdAt.gte = new Date(from);
+      if (to) where.createdAt.lte = new Date(to);
+    }
+
+    const [events, total] = await Promise.all([
+      prisma.auditEvent.findMany({
+        where,
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        skip: (page - 1) * limit,
+        take: limit,
+        include: {
+          actor: { select: { id: true, email: true, displayName: true } }
+        }
+      }),
+      prisma.auditEvent.count({ where })
+    ]);
+
+    res.json({
+      events,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching audit events:', error);
+    res.status(500).json({
+      error: 'Failed to fetch audit events',
+      code: 'FETCH_AUDIT_EVENTS_ERROR'
+    });
+  }
+});
+
+export default router;
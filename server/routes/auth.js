@@ -8,14 +8,23 @@ import { authLimiter } from '../middleware/rateLimiting.js';
 import { validateBody, authSchema, loginSchema } from '../middleware/validation.js';
 import { 
   generateTokenPair, 
-  verifyRefreshToken, 
+  rotateRefreshToken, 
   revokeRefreshToken, 
-  revokeAllUserRefreshTokens 
+  revokeAllUserRefreshTokens,
+  isSessionActive
 } from '../utils/tokenUtils.js';
+import { USER_AUDIT_FIELDS, recordChange } from '../utils/audit.js';
+import { createWorkspace, ensurePersonalWorkspace, personalWorkspaceName } from '../utils/workspaces.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+// Device details stored with the session for the sessions list in settings
+const getSessionMetadata = (req) => ({
+  userAgent: req.get('user-agent'),
+  ipAddress: req.ip
+});
+
 // Register endpoint with validation and rate limiting
 router.post('/register', authLimiter, validateBody(authSchema), async (req, res) => {
   try {
@@ -42,21 +51,32 @@ router.post('/register', authLimiter, validateBody(authSchema), async (req, res)
     // Generate a unique 10-digit user ID
     const userId = await generateUniqueUserId(prisma);
     
-    // Create user with custom ID
-    const user = await prisma.user.create({
-      data: {
-        id: userId,
-        email: email.toLowerCase().trim(),
-        displayName: normalizedDisplayName,
-        jobTitle: normalizedJobTitle,
-        passwordHash
-      },
-      select: {
-        id: true,
-        email: true,
-        displayName: true,
-        jobTitle: true
-      }
+    // Create user with custom ID, along with their personal workspace
+    const user = await prisma.$transaction(async (tx) => {
+      const created = await tx.user.create({
+        data: {
+          id: userId,
+          email: email.toLowerCase().trim(),
+          displayName: normalizedDisplayName,
+          jobTitle: normalizedJobTitle,
+          passwordHash
+        },
+        select: {
+          id: true,
+          email: true,
+          displayName: true,
+          jobTitle: true
+        }
+      });
+      await createWorkspace(tx, { name: personalWorkspaceName(created), ownerId: created.id });
+      return created;
+    });
+
+    await recordChange(prisma, { ...getSessionMetadata(req), userId: user.id, actorId: user.id }, {
+      entityType: 'USER',
+      entityId: user.id,
+      after: { ...user, password: passwordHash },
+      fields: USER_AUDIT_FIELDS
     });
 
     console.log(`New user registered: ${user.email} (ID: ${user.id})`);
@@ -109,8 +129,10 @@ router.post('/login', authLimiter, validateBody(loginSchema), async (req, res) =
       });
     }
 
+    await ensurePersonalWorkspace(prisma, user.id);
+
     // Generate token pair (access + refresh)
-    const tokens = generateTokenPair(user.id, user.email);
+    const tokens = await generateTokenPair(user.id, user.email, getSessionMetadata(req));
     
     console.log(`User logged in successfully: ${user.email} (ID: ${user.id})`);
     
@@ -153,6 +175,13 @@ router.get('/verify', async (req, res) => {
     }
 
     const decoded = jwt.verify(token, jwtSecret);
+
+    if (!await isSessionActive(decoded.sid)) {
+      return res.status(401).json({
+        error: 'Session has been signed out',
+        code: 'SESSION_REVOKED'
+      });
+    }
     
     // Verify user still exists
     const user = await prisma.user.findUnique({
@@ -196,15 +225,14 @@ router.get('/verify', async (req, res) => {
   }
 });
 
-// Logout endpoint - revoke refresh token
-router.post('/logout', (req, res) => {
+// Logout endpoint - revoke this session's refresh token family
+router.post('/logout', async (req, res) => {
   try {
     const { refreshToken } = req.body;
     
     if (refreshToken) {
       try {
-        const decoded = verifyRefreshToken(refreshToken);
-        revokeRefreshToken(decoded.tokenId);
+        await revokeRefreshToken(refreshToken);
       } catch (error) {
         // Even if refresh token is invalid, we'll still return success
         console.log('Invalid refresh token during logout:', error.message);
@@ -218,7 +246,27 @@ router.post('/logout', (req, res) => {
   }
 });
 
-// Refresh token endpoint
+// Sign out everywhere - revoke every refresh token issued to the user
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const revokedCount = await revokeAllUserRefreshTokens(req.user.id);
+
+    console.log(`User ${req.user.id} signed out everywhere (${revokedCount} sessions revoked)`);
+
+    res.json({ 
+      message: 'Signed out of all sessions',
+      revokedCount
+    });
+  } catch (error) {
+    console.error('Logout everywhere error:', error);
+    res.status(500).json({
+      error: 'Failed to sign out of all sessions',
+      code: 'LOGOUT_ALL_ERROR'
+    });
+  }
+});
+
+// Refresh token endpoint - rotates the refresh token on every use
 router.post('/refresh', authLimiter, async (req, res) => {
   try {
     const { refreshToken } = req.body;
@@ -230,12 +278,12 @@ router.post('/refresh', authLimiter, async (req, res) => {
       });
     }
 
-    // Verify refresh token
-    const decoded = verifyRefreshToken(refreshToken);
+    // Verify, revoke and replace the refresh token
+    const { userId, tokens } = await rotateRefreshToken(refreshToken, getSessionMetadata(req));
     
     // Verify user still exists
     const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
+      where: { id: userId },
       select: {
         id: true,
         email: true,
@@ -244,19 +292,11 @@ router.post('/refresh', authLimiter, async (req, res) => {
     });
 
     if (!user) {
-      // Revoke the refresh token if user no longer exists
-      revokeRefreshToken(decoded.tokenId);
       return res.status(401).json({
         error: 'User no longer exists',
         code: 'USER_NOT_FOUND'
       });
     }
-
-    // Generate new token pair
-    const tokens = generateTokenPair(user.id, user.email);
-    
-    // Optionally revoke the old refresh token (rotate tokens)
-    revokeRefreshToken(decoded.tokenId);
     
     res.json({
       ...tokens,
@@ -267,7 +307,15 @@ router.post('/refresh', authLimiter, async (req, res) => {
       }
     });
   } catch (error) {
-    console.error('Token refresh error:', error);
+    if (error.code === 'REFRESH_TOKEN_REUSED') {
+      return res.status(401).json({
+        error: 'Refresh token has already been used. Please sign in again.',
+        code: 'REFRESH_TOKEN_REUSED'
+      });
+    }
+    if (error.code !== 'INVALID_REFRESH_TOKEN') {
+      console.error('Token refresh error:', error);
+    }
     return res.status(401).json({
       error: 'Invalid or expired refresh token',
       code: 'INVALID_REFRESH_TOKEN'
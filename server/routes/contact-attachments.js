@@ -0,0 +1,131 @@
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { authenticateToken, requirePermission, validateResourceOwnership } from '../middleware/auth.js';
+import { rawFileUpload } from '../middleware/upload.js';
+import { ATTACHMENT_AUDIT_FIELDS, auditContext, recordChange } from '../utils/audit.js';
+import {
+  ATTACHMENT_MAX_BYTES,
+  attachmentSelect,
+  prepareAttachment,
+  removeAttachmentFiles,
+  saveAttachment,
+  sendAttachment
+} from '../utils/attachments.js';
+import { PERMISSIONS } from '../utils/permissions.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+// GET /api/contacts/:id/attachments - The contact's documents, including files attached to its notes
+router.get('/:id/attachments', validateResourceOwnership('contact'), async (req, res) => {
+  try {
+    const attachments = await prisma.attachment.findMany({
+      where: { contactId: req.params.id },
+      select: attachmentSelect,
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json(attachments);
+  } catch (error) {
+    console.error('Error fetching attachments:', error);
+    res.status(500).json({
+      error: 'Failed to fetch attachments',
+      code: 'FETCH_ATTACHMENTS_ERROR'
+    });
+  }
+});
+
+// POST /api/contacts/:id/attachments - Upload a document; the file is the raw request body (see middleware/upload.js)
+router.post('/:id/attachments', requirePermission(PERMISSIONS.EDIT_RECORDS), validateResourceOwnership('contact'), rawFileUpload(ATTACHMENT_MAX_BYTES), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const contactId = req.params.id;
+
+    const prepared = await prepareAttachment(req.file);
+    if (prepared.error) {
+      return res.status(prepared.status).json({ error: prepared.error, code: prepared.code });
+    }
+
+    const attachment = await saveAttachment(prisma, { userId, contactId, file: prepared.file });
+    await recordChange(prisma, auditContext(req), {
+      entityType: 'ATTACHMENT',
+      entityId: attachment.id,
+      contactId,
+      after: attachment,
+      fields: ATTACHMENT_AUDIT_FIELDS
+    });
+
+    res.status(201).json(attachment);
+  } catch (error) {
+    console.error('Error uploading attachment:', error);
+    res.status(500).json({
+      error: 'Failed to upload attachment',
+      code: 'UPLOAD_ATTACHMENT_ERROR'
+    });
+  }
+});
+
+// GET /api/contacts/:id/attachments/:attachmentId - Download a document; ?inline=true serves images and PDFs for previews
+router.get('/:id/attachments/:attachmentId', validateResourceOwnership('contact'), async (req, res) => {
+  try {
+    const attachment = await prisma.attachment.findFirst({
+      where: { id: req.params.attachmentId, contactId: req.params.id }
+    });
+
+    if (!attachment) {
+      return res.status(404).json({
+        error: 'Attachment not found',
+        code: 'ATTACHMENT_NOT_FOUND'
+      });
+    }
+
+    await sendAttachment(res, attachment, { inline: req.query.inline === 'true' });
+  } catch (error) {
+    console.error('Error downloading attachment:', error);
+    res.status(500).json({
+      error: 'Failed to download attachment',
+      code: 'DOWNLOAD_ATTACHMENT_ERROR'
+    });
+  }
+});
+
+// DELETE /api/contacts/:id/attachments/:attachmentId - Delete a document and its stored file
+router.delete('/:id/attachments/:attachmentId', requirePermission(PERMISSIONS.DELETE_RECORDS), validateResourceOwnership('contact'), async (req, res) => {
+  try {
+    const contactId = req.params.id;
+
+    const attachment = await prisma.attachment.findFirst({
+      where: { id: req.params.attachmentId, contactId }
+    });
+
+    if (!attachment) {
+      return res.status(404).json({
+        error: 'Attachment not found',
+        code: 'ATTACHMENT_NOT_FOUND'
+      });
+    }
+
+    await prisma.attachment.delete({ where: { id: attachment.id } });
+    await removeAttachmentFiles([attachment.storageKey]);
+    await recordChange(prisma, auditContext(req), {
+      entityType: 'ATTACHMENT',
+      entityId: attachment.id,
+      contactId,
+      before: attachment,
+      fields: ATTACHMENT_AUDIT_FIELDS
+    });
+
+    res.json({ message: 'Attachment deleted successfully', id: attachment.id });
+  } catch (error) {
+    console.error('Error deleting attachment:', error);
+    res.status(500).json({
+      error: 'Failed to delete attachment',
+      code: 'DELETE_ATTACHMENT_ERROR'
+    });
+  }
+});
+
+export default router;
@@ -1,6 +1,11 @@
 import express from 'express';
 import { PrismaClient } from '@prisma/client';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import { auditContext, customValueAuditEvents, recordAuditEvents } from '../utils/audit.js';
+import { fieldChangeActivities } from '../utils/fieldActivities.js';
+import { announceActivities, recordActivities } from '../utils/activities.js';
+import { PERMISSIONS } from '../utils/permissions.js';
+import { emitContactEvent } from '../utils/webhooks.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -74,18 +79,18 @@ const parseStoredValue = (value, fieldType) => {
 // GET /api/contacts/:id/custom-fields - Get all custom field values for a contact
 router.get('/:contactId/custom-fields', async (req, res) => {
   try {
-    const userId = req.user?.id;
-    if (!userId) {
+    const workspaceId = req.workspace?.id;
+    if (!workspaceId) {
       return res.status(401).json({ error: 'Unauthorized' });
     }
 
     const contactId = req.params.contactId;
 
-    // Verify contact belongs to user
+    // Verify the contact is in the workspace and visible to the member
     const contact = await prisma.contact.findFirst({
       where: {
         id: contactId,
-        userId,
+        ...req.workspace.contactScope,
       },
     });
 
@@ -93,10 +98,10 @@ router.get('/:contactId/custom-fields', async (req, res) => {
       return res.status(404).json({ error: 'Contact not found' });
     }
 
-    // Get all custom properties for the user
+    // Get all custom properties for the workspace
     const customProperties = await prisma.customPropertyDefinition.findMany({
       where: {
-        userId,
+        workspaceId,
         isActive: true,
       },
       include: {
@@ -146,21 +151,21 @@ router.get('/:contactId/custom-fields', async (req, res) => {
 });
 
 // PUT /api/contacts/:id/custom-fields - Update custom field values for a contact
-router.put('/:contactId/custom-fields', async (req, res) => {
+router.put('/:contactId/custom-fields', requirePermission(PERMISSIONS.EDIT_RECORDS), async (req, res) => {
   try {
-    const userId = req.user?.id;
-    if (!userId) {
+    const workspaceId = req.workspace?.id;
+    if (!workspaceId) {
       return res.status(401).json({ error: 'Unauthorized' });
     }
 
     const contactId = req.params.contactId;
     const customFieldData = req.body;
 
-    // Verify contact belongs to user
+    // Verify the contact is in the workspace and visible to the member
     const contact = await prisma.contact.findFirst({
       where: {
         id: contactId,
-        userId,
+        ...req.workspace.contactScope,
       },
     });
 
@@ -168,12 +173,13 @@ router.put('/:contactId/custom-fields', async (req, res) => {
       return res.status(404).json({ error: 'Contact not found' });
     }
 
-    // Get all custom properties for the user
+    // Get all custom properties for the workspace
     const customProperties = await prisma.customPropertyDefinition.findMany({
       where: {
-        userId,
+        workspaceId,
         isActive: true,
       },
+      include: { options: true },
     });
 
     const propertyMap = new Map(
@@ -212,8 +218,19 @@ router.put('/:contactId/custom-fields', async (req, res) => {
       });
     }
 
-    // Use transaction to update all values
+    // Use transaction to update all values; timeline activities are announced once it commits
+    const activities = [];
     await prisma.$transaction(async (tx) => {
+      const previousValues = await tx.contactCustomFieldValue.findMany({
+        where: {
+          contactId,
+          propertyId: {
+            in: updates.map(u => u.propertyId),
+          },
+        },
+        select: { propertyId: true, value: true },
+      });
+
       // Delete existing values for this contact
       await tx.contactCustomFieldValue.deleteMany({
         where: {
@@ -231,7 +248,15 @@ router.put('/:contactId/custom-fields', async (req, res) => {
           data: nonEmptyUpdates,
         });
       }
+
+      const updatedProperties = customProperties.filter(p => updates.some(u => u.propertyId === p.id));
+      const valuesBefore = new Map(previousValues.map(v => [v.propertyId, v.value]));
+      const valuesAfter = new Map(nonEmptyUpdates.map(u => [u.propertyId, u.value]));
+      await recordAuditEvents(tx, auditContext(req), customValueAuditEvents(contactId, updatedProperties, valuesBefore, valuesAfter));
+      await recordActivities(tx, workspaceId, fieldChangeActivities(contactId, updatedProperties, valuesBefore, valuesAfter), activities);
     });
+    emitContactEvent(workspaceId, 'contact.updated', contactId);
+    announceActivities(workspaceId, activities);
 
     // Return updated custom fields
     const updatedFields = await prisma.contactCustomFieldValue.findMany({
@@ -270,19 +295,19 @@ router.put('/:contactId/custom-fields', async (req, res) => {
 // GET /api/contacts/:id/custom-fields/:fieldKey - Get specific custom field value
 router.get('/:contactId/custom-fields/:fieldKey', async (req, res) => {
   try {
-    const userId = req.user?.id;
-    if (!userId) {
+    const workspaceId = req.workspace?.id;
+    if (!workspaceId) {
       return res.status(401).json({ error: 'Unauthorized' });
     }
 
     const contactId = req.params.contactId;
     const fieldKey = req.params.fieldKey;
 
-    // Verify contact belongs to user
+    // Verify the contact is in the workspace and visible to the member
     const contact = await prisma.contact.findFirst({
       where: {
         id: contactId,
-        userId,
+        ...req.workspace.contactScope,
       },
     });
 
@@ -293,8 +318,8 @@ router.get('/:contactId/custom-fields/:fieldKey', async (req, res) => {
     // Get the custom property
     const property = await prisma.customPropertyDefinition.findUnique({
       where: {
-        userId_fieldKey: {
-          userId,
+        workspaceId_fieldKey: {
+          workspaceId,
           fieldKey,
         },
       },
@@ -1,8 +1,8 @@
 import express from 'express';
 import { PrismaClient } from '@prisma/client';
 import { generateUniqueContactId } from '../utils/idGenerator.js';
-import { authenticateToken, validateResourceOwnership } from '../middleware/auth.js';
-import { bulkOperationLimiter, uploadLimiter } from '../middleware/rateLimiting.js';
+import { authenticateToken, requirePermission, validateResourceOwnership } from '../middleware/auth.js';
+import { bulkOperationLimiter } from '../middleware/rateLimiting.js';
 import { 
   validateBody, 
   validateQuery, 
@@ -13,9 +13,62 @@ import {
   activitySchema,
   paginationSchema,
   contactFilterSchema,
-  bulkContactsSchema,
-  bulkDeleteSchema 
+  bulkDeleteSchema,
+  contactExportSchema,
+  duplicatesQuerySchema,
+  contactMergeSchema,
+  contactBulkUpdateSchema,
+  notePinSchema,
+  BULK_UPDATE_LIMIT
 } from '../middleware/validation.js';
+import { rawFileUpload } from '../middleware/upload.js';
+import {
+  validateContactFilters,
+  buildContactWhere,
+  resolveContactSort,
+  findContactIdsSortedByProperty
+} from '../utils/contactFilters.js';
+import {
+  EXPORT_FORMATS,
+  EXPORT_BATCH_SIZE,
+  resolveExportColumns,
+  withCustomValues,
+  createExportWriter
+} from '../utils/contactExport.js';
+import { findDuplicatePairs } from '../utils/contactDuplicates.js';
+import { resolveBulkChanges, applyBulkUpdate } from '../utils/contactBulkUpdate.js';
+import {
+    CONTACT_AUDIT_FIELDS,
+    TASK_AUDIT_FIELDS,
+    NOTE_AUDIT_FIELDS,
+    ATTACHMENT_AUDIT_FIELDS,
+    auditContext,
+    changeEvent,
+    customValueAuditEvents,
+    recordAuditEvents,
+    recordChange
+} from '../utils/audit.js';
+import { isWorkspaceMember } from '../utils/workspaces.js';
+import {
+    loadAssignmentRules,
+    pickRuleAssignee,
+    recordAssignments,
+    findAssignmentHistory
+} from '../utils/assignments.js';
+import { PERMISSIONS } from '../utils/permissions.js';
+import { emitContactEvent, emitWebhookEvent, webhookContact, webhookTask } from '../utils/webhooks.js';
+import { fieldChangeActivities } from '../utils/fieldActivities.js';
+import { announceActivities, recordActivities, recordActivity } from '../utils/activities.js';
+import { syncNoteMentions } from '../utils/noteMentions.js';
+import {
+    ATTACHMENT_MAX_BYTES,
+    attachmentSelect,
+    attachmentStorageKeys,
+    prepareAttachment,
+    removeAttachmentFiles,
+    saveAttachment,
+    sendAttachment
+} from '../utils/attachments.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -26,14 +79,16 @@ const prisma = new PrismaClient();
 /** @typedef {{ id: string }} AuthUser */
 /** @typedef {import('express').Request & { user?: AuthUser }} AuthRequest */
 
+// Assigned agent as returned with contacts
+const assigneeSelect = { id: true, email: true, displayName: true };
+
 // Apply authentication to all routes
 router.use(authenticateToken);
 
 // Quick health check endpoint for contacts
 router.get('/health', async (req, res) => {
     try {
-        const userId = req.user.id;
-        const contactCount = await prisma.contact.count({ where: { userId } });
+        const contactCount = await prisma.contact.count({ where: req.workspace.contactScope });
         
         res.json({
             status: 'healthy',
@@ -49,75 +104,121 @@ router.get('/health', async (req, res) => {
     }
 });
 
-// GET all contacts for the authenticated user with validation
+// GET all contacts in the request's workspace with validation
 router.get('/', validateQuery(paginationSchema.merge(contactFilterSchema)), async (req, res) => {
     try {
-        const userId = req.user && req.user.id;
-        const status = typeof req.query.status === 'string' ? req.query.status : undefined;
-        const contactType = typeof req.query.contactType === 'string' ? req.query.contactType : undefined;
+        const workspaceId = req.workspace.id;
         const search = typeof req.query.search === 'string' ? req.query.search : undefined;
-        const page = typeof req.query.page === 'string' ? req.query.page : '1';
-        const limit = typeof req.query.limit === 'string' ? req.query.limit : '100';
-        // Build where clause
-        const where = { userId };
-        
-        // For now, we'll handle custom field filtering in the application layer
-        // since Prisma doesn't easily support filtering on nested custom field values
-        // TODO: Implement custom field filtering with more complex queries if needed
-        
-        if (search) {
-            where.OR = [
-                { name: { contains: search, mode: 'insensitive' } },
-                { email: { contains: search, mode: 'insensitive' } },
-                { phone: { contains: search, mode: 'insensitive' } }
-            ];
+        const filters = Array.isArray(req.query.filters) ? req.query.filters : [];
+        const { sortBy, sortOrder } = req.query;
+        // validateQuery has already turned page/limit into numbers when they were supplied
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 100;
+
+        // Custom property definitions are needed to resolve filter and sort fields by fieldType
+        const properties = filters.length > 0 || sortBy
+            ? await prisma.customPropertyDefinition.findMany({
+                where: { workspaceId, isActive: true },
+                select: { id: true, fieldKey: true, fieldType: true }
+            })
+            : [];
+
+        const filterErrors = validateContactFilters(filters, properties);
+        if (filterErrors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid contact filters',
+                code: 'INVALID_FILTERS',
+                details: filterErrors
+            });
+        }
+
+        const sort = resolveContactSort(sortBy, sortOrder, properties);
+        if (!sort) {
+            return res.status(400).json({
+                error: `Cannot sort by unknown field "${sortBy}"`,
+                code: 'INVALID_SORT'
+            });
         }
+
+        // Build where clause (core fields, search and custom field conditions)
+        const where = await buildContactWhere(prisma, {
+            contactScope: req.workspace.contactScope,
+            userId: req.user.id,
+            search,
+            filters,
+            properties
+        });
+
         // Calculate pagination
-        const offset = (parseInt(page) - 1) * parseInt(limit);
-        // Get contacts with pagination using select for performance
-        const [contacts, totalCount] = await Promise.all([
-            prisma.contact.findMany({
-                where,
-                orderBy: { createdAt: 'desc' },
-                skip: offset,
-                take: parseInt(limit),
+        const offset = (page - 1) * limit;
+        const contactSelect = {
+            id: true,
+            name: true,
+            email: true,
+            phone: true,
+            address: true,
+            createdAt: true,
+            updatedAt: true,
+            assignedTo: { select: assigneeSelect },
+            customFieldValues: {
                 select: {
-                    id: true,
-                    name: true,
-                    email: true,
-                    phone: true,
-                    address: true,
-                    createdAt: true,
-                    updatedAt: true,
-                    customFieldValues: {
+                    value: true,
+                    property: {
                         select: {
-                            value: true,
-                            property: {
-                                select: {
-                                    fieldKey: true,
-                                    fieldType: true,
-                                    name: true
-                                }
-                            }
+                            fieldKey: true,
+                            fieldType: true,
+                            name: true
                         }
-                    },
-                    tasks: {
-                        select: {
-                            id: true,
-                            description: true,
-                            status: true,
-                            priority: true,
-                            dueDate: true,
-                            createdAt: true,
-                            updatedAt: true,
-                            contactId: true
-                        },
-                        orderBy: { createdAt: 'desc' }
                     }
                 }
-            }),
-            prisma.contact.count({ where })
-        ]);
+            },
+            tasks: {
+                select: {
+                    id: true,
+                    description: true,
+                    status: true,
+                    priority: true,
+                    dueDate: true,
+                    createdAt: true,
+                    updatedAt: true,
+                    contactId: true
+                },
+                orderBy: { createdAt: 'desc' }
+            }
+        };
+
+        let contacts;
+        let totalCount;
+        if (sort.property) {
+            // Prisma can't order by a related row's value, so page the ids in SQL first
+            const matching = await prisma.contact.findMany({ where, select: { id: true } });
+            totalCount = matching.length;
+            const pageIds = await findContactIdsSortedByProperty(prisma, {
+                ids: matching.map(c => c.id),
+                property: sort.property,
+                direction: sort.direction,
+                skip: offset,
+                take: limit
+            });
+            const pageContacts = await prisma.contact.findMany({
+                where: { id: { in: pageIds } },
+                select: contactSelect
+            });
+            const byId = new Map(pageContacts.map(c => [c.id, c]));
+            contacts = pageIds.map(id => byId.get(id)).filter(Boolean);
+        } else {
+            // Get contacts with pagination using select for performance
+            [contacts, totalCount] = await Promise.all([
+                prisma.contact.findMany({
+                    where,
+                    orderBy: sort.orderBy,
+                    skip: offset,
+                    take: limit,
+                    select: contactSelect
+                }),
+                prisma.contact.count({ where })
+            ]);
+        }
         // Format contacts with custom fields
         const formattedContacts = contacts.map(contact => {
             const customFields = {};
@@ -160,10 +261,10 @@ router.get('/', validateQuery(paginationSchema.merge(contactFilterSchema)), asyn
         res.json({
             contacts: formattedContacts,
             pagination: {
-                page: parseInt(page),
-                limit: parseInt(limit),
+                page,
+                limit,
                 total: totalCount,
-                totalPages: Math.ceil(totalCount / parseInt(limit))
+                totalPages: Math.ceil(totalCount / limit)
             }
         });
     } catch (error) {
@@ -176,16 +277,311 @@ router.get('/', validateQuery(paginationSchema.merge(contactFilterSchema)), asyn
     }
 });
 
+// Export contacts matching the current list view (or an explicit selection) as CSV, XLSX or vCard
+router.post('/export', requirePermission(PERMISSIONS.EXPORT_CONTACTS), validateBody(contactExportSchema), bulkOperationLimiter, async (req, res) => {
+    try {
+        const workspaceId = req.workspace.id;
+        const { contactScope } = req.workspace;
+        const { format, search, filters = [], sortBy, sortOrder, columns: columnKeys, contactIds } = req.body;
+
+        const properties = await prisma.customPropertyDefinition.findMany({
+            where: { workspaceId, isActive: true },
+            orderBy: { sortOrder: 'asc' },
+            select: {
+                id: true,
+                fieldKey: true,
+                fieldType: true,
+                name: true,
+                options: {
+                    where: { isActive: true },
+                    select: { value: true, label: true }
+                }
+            }
+        });
+
+        const filterErrors = validateContactFilters(filters, properties);
+        if (filterErrors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid contact filters',
+                code: 'INVALID_FILTERS',
+                details: filterErrors
+            });
+        }
+
+        const sort = resolveContactSort(sortBy, sortOrder, properties);
+        if (!sort) {
+            return res.status(400).json({
+                error: `Cannot sort by unknown field "${sortBy}"`,
+                code: 'INVALID_SORT'
+            });
+        }
+
+        const columns = resolveExportColumns(columnKeys, properties);
+        if (columns.length === 0) {
+            return res.status(400).json({
+                error: 'No exportable columns selected',
+                code: 'NO_EXPORT_COLUMNS'
+            });
+        }
+
+        // A selection is exported as-is; otherwise everything matching the search and filters
+        const where = contactIds
+            ? { ...contactScope, id: { in: contactIds } }
+            : await buildContactWhere(prisma, { contactScope, userId: req.user.id, search, filters, properties });
+
+        // Resolve the full ordering up front (ids only), then load contacts batch by batch
+        let orderedIds;
+        if (sort.property) {
+            const matching = await prisma.contact.findMany({ where, select: { id: true } });
+            orderedIds = await findContactIdsSortedByProperty(prisma, {
+                ids: matching.map(c => c.id),
+                property: sort.property,
+                direction: sort.direction,
+                skip: 0,
+                take: matching.length
+            });
+        } else {
+            const matching = await prisma.contact.findMany({ where, orderBy: sort.orderBy, select: { id: true } });
+            orderedIds = matching.map(c => c.id);
+        }
+
+        const { contentType, extension } = EXPORT_FORMATS[format];
+        const filename = `contacts-${new Date().toISOString().slice(0, 10)}.${extension}`;
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.setHeader('X-Export-Count', String(orderedIds.length));
+
+        const writer = createExportWriter(format, res, columns);
+        writer.start();
+
+        for (let offset = 0; offset < orderedIds.length; offset += EXPORT_BATCH_SIZE) {
+            const batchIds = orderedIds.slice(offset, offset + EXPORT_BATCH_SIZE);
+            const batch = await prisma.contact.findMany({
+                where: { id: { in: batchIds } },
+                select: {
+                    id: true,
+                    name: true,
+                    email: true,
+                    phone: true,
+                    address: true,
+                    createdAt: true,
+                    updatedAt: true,
+                    customFieldValues: {
+                        select: {
+                            value: true,
+                            property: { select: { fieldKey: true } }
+                        }
+                    }
+                }
+            });
+            const byId = new Map(batch.map(c => [c.id, c]));
+            await writer.writeContacts(batchIds.map(id => byId.get(id)).filter(Boolean).map(withCustomValues));
+        }
+
+        await writer.finish();
+        console.log(`User ${req.user.id} exported ${orderedIds.length} contacts as ${format}`);
+    } catch (error) {
+        console.error('Error exporting contacts:', error);
+        if (res.headersSent) {
+            // Part of the file is already on the wire; cut it off so the download fails visibly
+            return res.destroy(error);
+        }
+        res.status(500).json({
+            error: 'Failed to export contacts',
+            code: 'EXPORT_CONTACTS_ERROR'
+        });
+    }
+});
+
+// GET likely duplicate pairs, scored on email, phone, name and address
+router.get('/duplicates', validateQuery(duplicatesQuerySchema), async (req, res) => {
+    try {
+        const { minScore, limit } = req.query;
+
+        const contacts = await prisma.contact.findMany({
+            where: req.workspace.contactScope,
+            select: {
+                id: true,
+                name: true,
+                email: true,
+                phone: true,
+                address: true,
+                createdAt: true
+            },
+            // Older contact first, so it is suggested as the one to keep
+            orderBy: { createdAt: 'asc' }
+        });
+
+        const pairs = findDuplicatePairs(contacts, { minScore, limit });
+        res.json({ pairs, scannedContacts: contacts.length });
+    } catch (error) {
+        console.error('Error finding duplicate contacts:', error);
+        res.status(500).json({
+            error: 'Failed to find duplicate contacts',
+            code: 'FIND_DUPLICATES_ERROR'
+        });
+    }
+});
+
+const MERGE_CORE_FIELDS = ['name', 'email', 'phone', 'address'];
+
+// POST merge a duplicate into the surviving contact. The chosen value wins per field;
+// tasks, notes, activities, deals, listing links and custom values move to the survivor
+router.post('/merge', requirePermission(PERMISSIONS.DELETE_RECORDS), validateBody(contactMergeSchema), async (req, res) => {
+    try {
+        const { contactScope } = req.workspace;
+        const { survivorId, duplicateId, fields, customFields } = req.body;
+
+        const mergeSelect = {
+            id: true,
+            name: true,
+            email: true,
+            phone: true,
+            address: true,
+            assignedToId: true,
+            createdAt: true,
+            updatedAt: true,
+            customFieldValues: {
+                select: { id: true, propertyId: true, value: true, property: { select: { fieldKey: true, fieldType: true } } }
+            },
+            listingLinks: { select: { id: true, listingId: true, role: true } }
+        };
+        const [survivor, duplicate] = await Promise.all([
+            prisma.contact.findFirst({ where: { id: survivorId, ...contactScope }, select: mergeSelect }),
+            prisma.contact.findFirst({ where: { id: duplicateId, ...contactScope }, select: mergeSelect })
+        ]);
+
+        if (!survivor || !duplicate) {
+            return res.status(404).json({
+                error: 'Contact not found',
+                code: 'CONTACT_NOT_FOUND'
+            });
+        }
+
+        // Unless told otherwise keep the survivor's value, falling back to the duplicate's when empty
+        const winnerOf = (choice, survivorValue) => choice || (survivorValue ? survivorId : duplicateId);
+
+        const coreData = {};
+        MERGE_CORE_FIELDS.forEach(field => {
+            if (winnerOf(fields[field], survivor[field]) === duplicateId && duplicate[field]) {
+                coreData[field] = duplicate[field];
+            }
+        });
+
+        const survivorValues = new Map(survivor.customFieldValues.map(v => [v.propertyId, v]));
+        const survivorListingLinks = new Set(survivor.listingLinks.map(link => `${link.listingId}:${link.role}`));
+
+        const moved = await prisma.$transaction(async (tx) => {
+            if (Object.keys(coreData).length > 0) {
+                await tx.contact.update({ where: { id: survivorId }, data: coreData });
+            }
+
+            const movedProperties = [];
+            for (const value of duplicate.customFieldValues) {
+                const existing = survivorValues.get(value.propertyId);
+                if (winnerOf(customFields[value.property.fieldKey], existing) !== duplicateId) continue;
+
+                movedProperties.push({ id: value.propertyId, ...value.property, value: value.value });
+                if (existing) {
+                    await tx.contactCustomFieldValue.update({ where: { id: existing.id }, data: { value: value.value } });
+                } else {
+                    await tx.contactCustomFieldValue.update({ where: { id: value.id }, data: { contactId: survivorId } });
+                }
+            }
+
+            // Listing links the survivor already has in the same role are dropped with the duplicate
+            const listingLinkIds = duplicate.listingLinks
+                .filter(link => !survivorListingLinks.has(`${link.listingId}:${link.role}`))
+                .map(link => link.id);
+
+            const reparent = { where: { contactId: duplicateId }, data: { contactId: survivorId } };
+            const tasks = await tx.task.updateMany(reparent);
+            const notes = await tx.note.updateMany(reparent);
+            const activities = await tx.activity.updateMany(reparent);
+            await tx.attachment.updateMany(reparent);
+            // Mentions of the duplicate become mentions of the survivor, except where that note
+            // already mentions the survivor or now belongs to it
+            await tx.noteMention.deleteMany({
+                where: {
+                    contactId: duplicateId,
+                    OR: [
+                        { note: { contactId: survivorId } },
+                        { note: { mentions: { some: { contactId: survivorId } } } }
+                    ]
+                }
+            });
+            await tx.noteMention.updateMany(reparent);
+            const deals = await tx.deal.updateMany(reparent);
+            const listingLinks = await tx.listingContact.updateMany({
+                where: { id: { in: listingLinkIds } },
+                data: { contactId: survivorId }
+            });
+
+            await tx.contact.delete({ where: { id: duplicateId } });
+
+            await recordAuditEvents(tx, auditContext(req), [
+                changeEvent({
+                    entityType: 'CONTACT',
+                    entityId: survivorId,
+                    contactId: survivorId,
+                    before: survivor,
+                    after: { ...survivor, ...coreData },
+                    fields: CONTACT_AUDIT_FIELDS
+                }),
+                ...customValueAuditEvents(
+                    survivorId,
+                    movedProperties,
+                    new Map(survivor.customFieldValues.map(v => [v.propertyId, v.value])),
+                    new Map(movedProperties.map(p => [p.id, p.value]))
+                ),
+                changeEvent({
+                    entityType: 'CONTACT',
+                    entityId: duplicateId,
+                    contactId: duplicateId,
+                    before: duplicate,
+                    fields: CONTACT_AUDIT_FIELDS,
+                    extra: { mergedInto: { from: null, to: survivorId } }
+                })
+            ]);
+
+            return {
+                tasks: tasks.count,
+                notes: notes.count,
+                activities: activities.count,
+                deals: deals.count,
+                listingLinks: listingLinks.count
+            };
+        });
+
+        emitContactEvent(req.workspace.id, 'contact.updated', survivorId);
+        emitWebhookEvent(req.workspace.id, 'contact.deleted', { contact: webhookContact(duplicate), mergedInto: survivorId });
+
+        console.log(`Contact ${duplicateId} merged into ${survivorId}:`, moved);
+        res.json({
+            message: 'Contacts merged successfully',
+            id: survivorId,
+            mergedId: duplicateId,
+            moved
+        });
+    } catch (error) {
+        console.error('Error merging contacts:', error);
+        res.status(500).json({
+            error: 'Failed to merge contacts',
+            code: 'MERGE_CONTACTS_ERROR'
+        });
+    }
+});
+
 // GET single contact by ID (with ownership validation)
 router.get('/:id', validateResourceOwnership('contact'), async (req, res) => {
     try {
-        const userId = req.user.id;
+        const workspaceId = req.workspace.id;
         const contactId = req.params.id;
         
         const contact = await prisma.contact.findFirst({
             where: { 
                 id: contactId,
-                userId 
+                workspaceId 
             },
             select: {
                 id: true,
@@ -195,6 +591,7 @@ router.get('/:id', validateResourceOwnership('contact'), async (req, res) => {
                 address: true,
                 createdAt: true,
                 updatedAt: true,
+                assignedTo: { select: assigneeSelect },
                 customFieldValues: {
                     select: {
                         value: true,
@@ -226,13 +623,35 @@ router.get('/:id', validateResourceOwnership('contact'), async (req, res) => {
                     select: {
                         id: true,
                         content: true,
+                        format: true,
+                        isPinned: true,
+                        pinnedAt: true,
                         createdAt: true,
                         updatedAt: true,
-                        contactId: true
+                        contactId: true,
+                        attachments: { select: attachmentSelect, orderBy: { createdAt: 'asc' } }
                     },
-                    orderBy: { createdAt: 'desc' },
+                    // Pinned notes first so they're always loaded, however old they are
+                    orderBy: [{ isPinned: 'desc' }, { createdAt: 'desc' }],
                     take: 20 // Increased limit for better UX
                 },
+                // Notes on other contacts that @-mention this one, if the user can see those contacts
+                mentionedIn: {
+                    where: { note: { contact: req.workspace.contactScope } },
+                    select: {
+                        note: {
+                            select: {
+                                id: true,
+                                content: true,
+                                format: true,
+                                createdAt: true,
+                                contact: { select: { id: true, name: true } }
+                            }
+                        }
+                    },
+                    orderBy: { createdAt: 'desc' },
+                    take: 20
+                },
                 activities: {
                     select: {
                         id: true,
@@ -287,6 +706,7 @@ router.get('/:id', validateResourceOwnership('contact'), async (req, res) => {
 
         const formattedContact = {
             ...contact,
+            mentionedIn: contact.mentionedIn.map(mention => mention.note),
             customFields,
             // Remove the raw customFieldValues from response
             customFieldValues: undefined
@@ -303,9 +723,9 @@ router.get('/:id', validateResourceOwnership('contact'), async (req, res) => {
 });
 
 // POST a new contact with validation
-router.post('/', async (req, res) => {
+router.post('/', requirePermission(PERMISSIONS.EDIT_RECORDS), async (req, res) => {
     try {
-        const { name, email, phone, address, customFields = {}, contactType, leadSource, status, suburb } = req.body;
+        const { name, email, phone, address, customFields = {}, contactType, leadSource, status, suburb, assignedToId } = req.body;
         
         // Handle backward compatibility - convert old field names to custom fields
         const legacyFieldMapping = {
@@ -327,6 +747,7 @@ router.post('/', async (req, res) => {
             ...customFields
         };
         const userId = req.user.id;
+        const workspaceId = req.workspace.id;
         
         // Generate a unique 7-digit contact ID
         const contactId = await generateUniqueContactId(prisma);
@@ -353,7 +774,7 @@ router.post('/', async (req, res) => {
             const existingContact = await prisma.contact.findFirst({
                 where: {
                     email: email.trim().toLowerCase(),
-                    userId
+                    workspaceId
                 }
             });
 
@@ -365,81 +786,119 @@ router.post('/', async (req, res) => {
             }
         }
 
-        // Create the contact first
-        const newContact = await prisma.contact.create({
-            data: {
-                id: contactId,
-                name: name.trim(),
-                email: email ? email.trim().toLowerCase() : null,
-                phone: phone ? phone.trim() : null,
-                address: address ? address.trim() : null,
-                userId,
-            },
-        });
+        if (assignedToId && !(await isWorkspaceMember(prisma, workspaceId, assignedToId))) {
+            return res.status(400).json({
+                error: 'Contacts can only be assigned to members of this workspace',
+                code: 'INVALID_ASSIGNEE'
+            });
+        }
 
-        // Handle custom fields if provided (including legacy field conversions)
-        if (Object.keys(allCustomFields).length > 0) {
-            // Get custom property definitions for this user
-            const customProperties = await prisma.customPropertyDefinition.findMany({
-                where: {
+        // New contacts go to the member named in the request, else to whoever the workspace's
+        // assignment rules pick, else to their creator
+        const assignment = assignedToId ? null : await loadAssignmentRules(prisma, workspaceId);
+
+        // The rule's assignment counter, the contact, its custom values and the audit trail commit together
+        const newContact = await prisma.$transaction(async (tx) => {
+            const ruleAssignment = assignment ? await pickRuleAssignee(tx, assignment, allCustomFields) : null;
+
+            const created = await tx.contact.create({
+                data: {
+                    id: contactId,
+                    name: name.trim(),
+                    email: email ? email.trim().toLowerCase() : null,
+                    phone: phone ? phone.trim() : null,
+                    address: address ? address.trim() : null,
+                    workspaceId,
                     userId,
-                    isActive: true,
+                    assignedToId: assignedToId || ruleAssignment?.assigneeId || userId,
                 },
             });
+            await recordAssignments(tx, userId, [{
+                contactId: created.id,
+                assigneeId: created.assignedToId,
+                ruleId: ruleAssignment?.ruleId
+            }]);
+            const auditEvents = [changeEvent({
+                entityType: 'CONTACT',
+                entityId: created.id,
+                contactId: created.id,
+                after: created,
+                fields: CONTACT_AUDIT_FIELDS
+            })];
+
+            // Handle custom fields if provided (including legacy field conversions)
+            if (Object.keys(allCustomFields).length > 0) {
+                // Get custom property definitions for this workspace
+                const customProperties = await tx.customPropertyDefinition.findMany({
+                    where: {
+                        workspaceId,
+                        isActive: true,
+                    },
+                });
 
-            const propertyMap = new Map(customProperties.map(p => [p.fieldKey, p]));
+                const propertyMap = new Map(customProperties.map(p => [p.fieldKey, p]));
 
-            // Create custom field values
-            const customFieldValues = [];
-            for (const [fieldKey, value] of Object.entries(allCustomFields)) {
-                const property = propertyMap.get(fieldKey);
-                if (property && value !== null && value !== undefined && value !== '') {
-                    let formattedValue = String(value);
+                // Create custom field values
+                const customFieldValues = [];
+                for (const [fieldKey, value] of Object.entries(allCustomFields)) {
+                    const property = propertyMap.get(fieldKey);
+                    if (property && value !== null && value !== undefined && value !== '') {
+                        let formattedValue = String(value);
                     
-                    // Format value based on field type
-                    switch (property.fieldType) {
-                        case 'NUMBER':
-                            const num = parseFloat(value);
-                            formattedValue = isNaN(num) ? '0' : num.toString();
-                            break;
-                        case 'BOOLEAN':
-                            formattedValue = value === true || value === 'true' ? 'true' : 'false';
-                            break;
-                        case 'DATE':
-                        case 'DATETIME':
-                            if (value instanceof Date) {
-                                formattedValue = value.toISOString();
-                            } else if (typeof value === 'string') {
-                                const date = new Date(value);
-                                formattedValue = isNaN(date.getTime()) ? '' : date.toISOString();
-                            }
-                            break;
-                        case 'MULTISELECT':
-                            if (Array.isArray(value)) {
-                                formattedValue = JSON.stringify(value);
-                            } else {
-                                formattedValue = JSON.stringify([]);
-                            }
-                            break;
-                    }
+                        // Format value based on field type
+                        switch (property.fieldType) {
+                            case 'NUMBER':
+                                const num = parseFloat(value);
+                                formattedValue = isNaN(num) ? '0' : num.toString();
+                                break;
+                            case 'BOOLEAN':
+                                formattedValue = value === true || value === 'true' ? 'true' : 'false';
+                                break;
+                            case 'DATE':
+                            case 'DATETIME':
+                                if (value instanceof Date) {
+                                    formattedValue = value.toISOString();
+                                } else if (typeof value === 'string') {
+                                    const date = new Date(value);
+                                    formattedValue = isNaN(date.getTime()) ? '' : date.toISOString();
+                                }
+                                break;
+                            case 'MULTISELECT':
+                                if (Array.isArray(value)) {
+                                    formattedValue = JSON.stringify(value);
+                                } else {
+                                    formattedValue = JSON.stringify([]);
+                                }
+                                break;
+                        }
 
-                    if (formattedValue !== '') {
-                        customFieldValues.push({
-                            contactId: newContact.id,
-                            propertyId: property.id,
-                            value: formattedValue,
-                        });
+                        if (formattedValue !== '') {
+                            customFieldValues.push({
+                                contactId: created.id,
+                                propertyId: property.id,
+                                value: formattedValue,
+                            });
+                        }
                     }
                 }
-            }
 
-            if (customFieldValues.length > 0) {
-                await prisma.contactCustomFieldValue.createMany({
-                    data: customFieldValues,
-                });
+                if (customFieldValues.length > 0) {
+                    await tx.contactCustomFieldValue.createMany({
+                        data: customFieldValues,
+                    });
+                    auditEvents.push(...customValueAuditEvents(
+                        created.id,
+                        customProperties,
+                        new Map(),
+                        new Map(customFieldValues.map(v => [v.propertyId, v.value]))
+                    ));
+                }
             }
-        }
 
+            await recordAuditEvents(tx, auditContext(req), auditEvents);
+            return created;
+        });
+        emitContactEvent(workspaceId, 'contact.created', newContact.id);
         console.log('Contact created successfully:', newContact.id);
         res.status(201).json(newContact);
     } catch (error) {
@@ -459,15 +918,15 @@ router.post('/', async (req, res) => {
 });
 
 // PUT update contact with validation
-router.put('/:id', validateResourceOwnership('contact'), async (req, res) => {
+router.put('/:id', requirePermission(PERMISSIONS.EDIT_RECORDS), validateResourceOwnership('contact'), async (req, res) => {
     try {
-        const userId = req.user.id;
+        const workspaceId = req.workspace.id;
         const contactId = req.params.id;
         const updates = req.body;
 
         // Get existing contact first
         const existingContact = await prisma.contact.findFirst({
-            where: { id: contactId, userId }
+            where: { id: contactId, workspaceId }
         });
 
         if (!existingContact) {
@@ -500,7 +959,7 @@ router.put('/:id', validateResourceOwnership('contact'), async (req, res) => {
                 const duplicateContact = await prisma.contact.findFirst({
                     where: {
                         email: emailLower,
-                        userId,
+                        workspaceId,
                         id: { not: contactId }
                     }
                 });
@@ -533,6 +992,16 @@ router.put('/:id', validateResourceOwnership('contact'), async (req, res) => {
             processedUpdates.address = updates.address ? updates.address.trim() : null;
         }
 
+        if ('assignedToId' in updates) {
+            if (updates.assignedToId && !(await isWorkspaceMember(prisma, workspaceId, updates.assignedToId))) {
+                return res.status(400).json({
+                    error: 'Contacts can only be assigned to members of this workspace',
+                    code: 'INVALID_ASSIGNEE'
+                });
+            }
+            processedUpdates.assignedToId = updates.assignedToId || null;
+        }
+
         // Handle backward compatibility - convert old field names to custom fields
         const legacyFieldMapping = {
             'contactType': 'contact_type',
@@ -554,27 +1023,36 @@ router.put('/:id', validateResourceOwnership('contact'), async (req, res) => {
             ...(updates.customFields || {})
         };
 
-        console.log('Received updates:', updates);
-        console.log('Processing updates for contact:', contactId);
-        console.log('Updating contact with data:', processedUpdates);
-        console.log('All custom fields to process:', allCustomFields);
-        
         // Update core contact fields
         const updatedContact = await prisma.contact.update({
             where: { id: contactId },
             data: processedUpdates,
         });
+        await recordAssignments(prisma, req.user.id, [{
+            contactId,
+            previousAssigneeId: existingContact.assignedToId,
+            assigneeId: updatedContact.assignedToId
+        }]);
+        const auditEvents = [changeEvent({
+            entityType: 'CONTACT',
+            entityId: contactId,
+            contactId,
+            before: existingContact,
+            after: updatedContact,
+            fields: CONTACT_AUDIT_FIELDS
+        })];
 
         // Handle custom fields if provided (including legacy field conversions)
         if (Object.keys(allCustomFields).length > 0) {
             console.log('Processing custom fields for contact:', contactId);
             
-            // Get custom property definitions for this user
+            // Get custom property definitions for this workspace
             const customProperties = await prisma.customPropertyDefinition.findMany({
                 where: {
-                    userId,
+                    workspaceId,
                     isActive: true,
                 },
+                include: { options: true },
             });
 
             console.log('Found custom properties:', customProperties.map(p => ({ id: p.id, fieldKey: p.fieldKey, fieldType: p.fieldType })));
@@ -590,6 +1068,14 @@ router.put('/:id', validateResourceOwnership('contact'), async (req, res) => {
             console.log('Properties to update:', propertiesToUpdate.map(p => ({ id: p.id, fieldKey: p.fieldKey })));
 
             if (propertiesToUpdate.length > 0) {
+                const previousValues = await prisma.contactCustomFieldValue.findMany({
+                    where: {
+                        contactId,
+                        propertyId: { in: propertiesToUpdate.map(p => p.id) }
+                    },
+                    select: { propertyId: true, value: true }
+                });
+
                 await prisma.contactCustomFieldValue.deleteMany({
                     where: {
                         contactId,
@@ -601,11 +1087,8 @@ router.put('/:id', validateResourceOwnership('contact'), async (req, res) => {
 
                 // Create new custom field values
                 const customFieldValues = [];
-                console.log('Creating custom field values for:', allCustomFields);
-                
                 for (const [fieldKey, value] of Object.entries(allCustomFields)) {
                     const property = propertyMap.get(fieldKey);
-                    console.log(`Processing field ${fieldKey} with value ${value}, property found:`, !!property);
                     
                     if (property && value !== null && value !== undefined && value !== '') {
                         let formattedValue = String(value);
@@ -647,22 +1130,25 @@ router.put('/:id', validateResourceOwnership('contact'), async (req, res) => {
                     }
                 }
 
-                console.log('Custom field values to create:', customFieldValues);
-                
                 if (customFieldValues.length > 0) {
                     await prisma.contactCustomFieldValue.createMany({
                         data: customFieldValues,
                     });
-                    console.log('Successfully created custom field values');
-                } else {
-                    console.log('No custom field values to create');
                 }
+
+                const valuesBefore = new Map(previousValues.map(v => [v.propertyId, v.value]));
+                const valuesAfter = new Map(customFieldValues.map(v => [v.propertyId, v.value]));
+                auditEvents.push(...customValueAuditEvents(contactId, propertiesToUpdate, valuesBefore, valuesAfter));
+                await recordActivities(prisma, workspaceId, fieldChangeActivities(contactId, propertiesToUpdate, valuesBefore, valuesAfter));
             }
         }
 
+        await recordAuditEvents(prisma, auditContext(req), auditEvents);
+        emitContactEvent(workspaceId, 'contact.updated', contactId);
+
         // Fetch the complete updated contact with custom fields
         const completeUpdatedContact = await prisma.contact.findFirst({
-            where: { id: contactId, userId },
+            where: { id: contactId, workspaceId },
             select: {
                 id: true,
                 name: true,
@@ -671,6 +1157,7 @@ router.put('/:id', validateResourceOwnership('contact'), async (req, res) => {
                 address: true,
                 createdAt: true,
                 updatedAt: true,
+                assignedTo: { select: assigneeSelect },
                 customFieldValues: {
                     select: {
                         value: true,
@@ -735,13 +1222,13 @@ router.put('/:id', validateResourceOwnership('contact'), async (req, res) => {
 });
 
 // DELETE contact (with ownership validation)
-router.delete('/:id', validateResourceOwnership('contact'), async (req, res) => {
+router.delete('/:id', requirePermission(PERMISSIONS.DELETE_RECORDS), validateResourceOwnership('contact'), async (req, res) => {
     try {
-        const userId = req.user.id;
+        const workspaceId = req.workspace.id;
         const contactId = req.params.id;
 
         const existingContact = await prisma.contact.findFirst({
-            where: { id: contactId, userId }
+            where: { id: contactId, workspaceId }
         });
 
         if (!existingContact) {
@@ -751,9 +1238,19 @@ router.delete('/:id', validateResourceOwnership('contact'), async (req, res) =>
             });
         }
 
+        const storageKeys = await attachmentStorageKeys(prisma, { contactId });
         await prisma.contact.delete({
             where: { id: contactId }
         });
+        await removeAttachmentFiles(storageKeys);
+        await recordChange(prisma, auditContext(req), {
+            entityType: 'CONTACT',
+            entityId: contactId,
+            contactId,
+            before: existingContact,
+            fields: CONTACT_AUDIT_FIELDS
+        });
+        emitWebhookEvent(workspaceId, 'contact.deleted', { contact: webhookContact(existingContact) });
 
         console.log('Contact deleted successfully:', contactId);
         res.json({ 
@@ -769,240 +1266,184 @@ router.delete('/:id', validateResourceOwnership('contact'), async (req, res) =>
     }
 });
 
-// Bulk delete contacts with validation and rate limiting
-router.delete('/', validateBody(bulkDeleteSchema), bulkOperationLimiter, async (req, res) => {
+// Bulk edit the selected contacts (or every contact matching search + filters): set or clear
+// fields, add/remove multi-select values, and optionally create a task and/or note on each.
+// Each contact is updated in its own transaction; contacts that fail are reported, not fatal.
+router.patch('/bulk', requirePermission(PERMISSIONS.EDIT_RECORDS), validateBody(contactBulkUpdateSchema), bulkOperationLimiter, async (req, res) => {
     try {
         const userId = req.user.id;
-        const { contactIds } = req.body;
+        const workspaceId = req.workspace.id;
+        const { contactScope } = req.workspace;
+        const { contactIds, all, search, filters = [], changes = [], task, note } = req.body;
 
-        if (!contactIds || !Array.isArray(contactIds) || contactIds.length === 0) {
-            return res.status(400).json({ 
-                error: 'Contact IDs are required',
-                code: 'CONTACT_IDS_REQUIRED'
+        const properties = await prisma.customPropertyDefinition.findMany({
+            where: { workspaceId, isActive: true },
+            select: {
+                id: true,
+                fieldKey: true,
+                fieldType: true,
+                name: true,
+                options: {
+                    where: { isActive: true },
+                    select: { value: true, label: true }
+                }
+            }
+        });
+
+        const { changes: resolvedChanges, errors: changeErrors } = resolveBulkChanges(changes, properties);
+        if (changeErrors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid bulk changes',
+                code: 'INVALID_BULK_CHANGES',
+                details: changeErrors
             });
         }
 
-        // Verify ownership of all contacts
-        const ownedContacts = await prisma.contact.findMany({
-            where: {
-                id: { in: contactIds },
-                userId
-            },
-            select: { id: true }
+        let where;
+        if (all) {
+            const filterErrors = validateContactFilters(filters, properties);
+            if (filterErrors.length > 0) {
+                return res.status(400).json({
+                    error: 'Invalid contact filters',
+                    code: 'INVALID_FILTERS',
+                    details: filterErrors
+                });
+            }
+            where = await buildContactWhere(prisma, { contactScope, userId: req.user.id, search, filters, properties });
+        } else {
+            where = { ...contactScope, id: { in: contactIds } };
+        }
+
+        const contacts = await prisma.contact.findMany({
+            where,
+            orderBy: { createdAt: 'asc' },
+            select: { id: true, name: true }
         });
 
-        if (ownedContacts.length !== contactIds.length) {
+        if (!all && contacts.length !== new Set(contactIds).size) {
             return res.status(403).json({
-                error: 'Some contacts do not belong to you',
+                error: 'Some contacts do not belong to this workspace',
                 code: 'OWNERSHIP_VIOLATION'
             });
         }
 
-        const deletedContacts = await prisma.contact.deleteMany({
-            where: {
-                id: { in: contactIds },
-                userId
+        if (contacts.length > BULK_UPDATE_LIMIT) {
+            return res.status(400).json({
+                error: `${contacts.length} contacts match - narrow the filters to at most ${BULK_UPDATE_LIMIT} to bulk edit`,
+                code: 'TOO_MANY_CONTACTS'
+            });
+        }
+
+        const failures = [];
+        for (const contact of contacts) {
+            try {
+                const outcome = await prisma.$transaction((tx) => applyBulkUpdate(tx, {
+                    userId,
+                    workspaceId,
+                    contactId: contact.id,
+                    changes: resolvedChanges,
+                    task,
+                    note,
+                    audit: auditContext(req)
+                }));
+                if (outcome.reason) {
+                    failures.push({ contactId: contact.id, name: contact.name, reason: outcome.reason });
+                } else {
+                    emitContactEvent(workspaceId, 'contact.updated', contact.id);
+                    announceActivities(workspaceId, outcome.activities);
+                }
+            } catch (error) {
+                console.error(`Bulk update failed for contact ${contact.id}:`, error.message);
+                failures.push({ contactId: contact.id, name: contact.name, reason: 'Unexpected error while updating this contact' });
             }
-        });
+        }
 
-        console.log(`Bulk deleted ${deletedContacts.count} contacts for user ${userId}`);
-        res.json({ 
-            message: `Successfully deleted ${deletedContacts.count} contacts`,
-            deletedCount: deletedContacts.count 
+        const updatedCount = contacts.length - failures.length;
+        console.log(`Bulk updated ${updatedCount} contacts for user ${userId} (${failures.length} failed)`);
+        res.json({
+            message: `Successfully updated ${updatedCount} of ${contacts.length} contacts`,
+            updatedCount,
+            failedCount: failures.length,
+            failures
         });
     } catch (error) {
-        console.error('Error bulk deleting contacts:', error);
-        res.status(500).json({ 
-            error: 'Failed to delete contacts',
-            code: 'BULK_DELETE_ERROR'
+        console.error('Error bulk updating contacts:', error);
+        res.status(500).json({
+            error: 'Failed to update contacts',
+            code: 'BULK_UPDATE_ERROR'
         });
     }
 });
 
-// Bulk import contacts from CSV with validation and rate limiting
-router.post('/bulk-import', validateBody(bulkContactsSchema), bulkOperationLimiter, uploadLimiter, async (req, res) => {
+// Bulk delete contacts with validation and rate limiting
+router.delete('/', requirePermission(PERMISSIONS.BULK_DELETE), validateBody(bulkDeleteSchema), bulkOperationLimiter, async (req, res) => {
     try {
-        const { contacts } = req.body;
         const userId = req.user.id;
+        const workspaceId = req.workspace.id;
+        const { contactIds } = req.body;
 
-        if (!contacts || !Array.isArray(contacts)) {
-            return res.status(400).json({ 
-                error: 'Invalid request. Expected an array of contacts',
-                code: 'INVALID_IMPORT_DATA'
-            });
-        }
-
-        if (contacts.length === 0) {
+        if (!contactIds || !Array.isArray(contactIds) || contactIds.length === 0) {
             return res.status(400).json({ 
-                error: 'No contacts provided for import',
-                code: 'EMPTY_IMPORT'
-            });
-        }
-
-        if (contacts.length > 1000) {
-            return res.status(400).json({
-                error: 'Too many contacts. Maximum 1000 contacts per import',
-                code: 'IMPORT_TOO_LARGE'
-            });
-        }
-
-        const validStatuses = ['NEW', 'CONTACTED', 'QUALIFIED', 'PROPOSAL', 'NEGOTIATION', 'CLOSED_WON', 'CLOSED_LOST'];
-        const validContactTypes = ['BUYER', 'SELLER', 'PAST_CLIENT', 'LEAD'];
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-
-        const processedContacts = [];
-        const errors = [];
-
-        // Validate and prepare contacts
-        for (let i = 0; i < contacts.length; i++) {
-            const contact = contacts[i];
-            const row = i + 1;
-
-            // Validate required fields
-            if (!contact.name || contact.name.trim() === '') {
-                errors.push({ row, field: 'name', error: 'Name is required' });
-                continue;
-            }
-
-            // Validate email format
-            if (contact.email && contact.email.trim() !== '' && !emailRegex.test(contact.email.trim())) {
-                errors.push({ row, field: 'email', error: 'Invalid email format' });
-                continue;
-            }
-
-            // Validate enums
-            if (contact.status && !validStatuses.includes(contact.status.toUpperCase())) {
-                errors.push({ row, field: 'status', error: `Invalid status. Must be one of: ${validStatuses.join(', ')}` });
-                continue;
-            }
-
-            if (contact.contactType && !validContactTypes.includes(contact.contactType.toUpperCase())) {
-                errors.push({ row, field: 'contactType', error: `Invalid contact type. Must be one of: ${validContactTypes.join(', ')}` });
-                continue;
-            }
-
-            const contactId = await generateUniqueContactId(prisma);
-            processedContacts.push({
-                id: contactId,
-                name: contact.name.trim(),
-                email: contact.email ? contact.email.trim().toLowerCase() : null,
-                phone: contact.phone ? contact.phone.trim() : null,
-                address: contact.address ? contact.address.trim() : null,
-                suburb: contact.suburb ? contact.suburb.trim() : null,
-                contactType: contact.contactType ? contact.contactType.toUpperCase() : 'LEAD',
-                leadSource: contact.leadSource ? contact.leadSource.trim() : null,
-                status: contact.status ? contact.status.toUpperCase() : 'NEW',
-                userId
-            });
-        }
-
-        // Return validation errors if any
-        if (errors.length > 0) {
-            return res.status(400).json({
-                error: 'Validation failed for some contacts',
-                errors,
-                validContactsCount: processedContacts.length
+                error: 'Contact IDs are required',
+                code: 'CONTACT_IDS_REQUIRED'
             });
         }
 
-        // Check for duplicate emails within the import
-        const emailMap = new Map();
-        const duplicateEmails = [];
-        
-        processedContacts.forEach((contact, index) => {
-            if (contact.email) {
-                if (emailMap.has(contact.email)) {
-                    duplicateEmails.push({
-                        row: index + 1,
-                        email: contact.email,
-                        error: 'Duplicate email within import'
-                    });
-                } else {
-                    emailMap.set(contact.email, index + 1);
-                }
-            }
+        // Verify ownership of all contacts
+        const ownedContacts = await prisma.contact.findMany({
+            where: {
+                id: { in: contactIds },
+                ...req.workspace.contactScope
+            },
+            select: { id: true, name: true, email: true, phone: true, address: true, assignedToId: true, createdAt: true, updatedAt: true }
         });
 
-        if (duplicateEmails.length > 0) {
-            return res.status(400).json({
-                error: 'Duplicate emails found within import',
-                duplicates: duplicateEmails
+        if (ownedContacts.length !== contactIds.length) {
+            return res.status(403).json({
+                error: 'Some contacts do not belong to this workspace',
+                code: 'OWNERSHIP_VIOLATION'
             });
         }
 
-        // Use transaction to ensure data consistency
-        const result = await prisma.$transaction(async (tx) => {
-            const createdContacts = [];
-            const skippedContacts = [];
-            
-            for (const contactData of processedContacts) {
-                try {
-                    // Check for existing email in database
-                    if (contactData.email) {
-                        const existingContact = await tx.contact.findFirst({
-                            where: {
-                                email: contactData.email,
-                                userId
-                            }
-                        });
-
-                        if (existingContact) {
-                            skippedContacts.push({
-                                name: contactData.name,
-                                email: contactData.email,
-                                reason: 'Email already exists'
-                            });
-                            continue;
-                        }
-                    }
-
-                    const createdContact = await tx.contact.create({
-                        data: contactData
-                    });
-
-                    createdContacts.push(createdContact);
-                } catch (error) {
-                    console.error('Error creating contact during import:', error);
-                    skippedContacts.push({
-                        name: contactData.name,
-                        email: contactData.email,
-                        reason: 'Database error'
-                    });
+        const storageKeys = await attachmentStorageKeys(prisma, { contactId: { in: contactIds } });
+        const deletedContacts = await prisma.$transaction(async (tx) => {
+            const deleted = await tx.contact.deleteMany({
+                where: {
+                    id: { in: contactIds },
+                    workspaceId
                 }
-            }
-
-            return { createdContacts, skippedContacts };
+            });
+            await recordAuditEvents(tx, auditContext(req), ownedContacts.map(contact => changeEvent({
+                entityType: 'CONTACT',
+                entityId: contact.id,
+                contactId: contact.id,
+                before: contact,
+                fields: CONTACT_AUDIT_FIELDS
+            })));
+            return deleted;
         });
+        await removeAttachmentFiles(storageKeys);
+        for (const contact of ownedContacts) {
+            emitWebhookEvent(workspaceId, 'contact.deleted', { contact: webhookContact(contact) });
+        }
 
-        const response = {
-            success: true,
-            message: `Successfully imported ${result.createdContacts.length} contacts`,
-            imported: result.createdContacts.length,
-            skipped: result.skippedContacts.length,
-            total: contacts.length,
-            skippedContacts: result.skippedContacts,
-            contacts: result.createdContacts
-        };
-
-        console.log(`CSV Import completed for user ${userId}:`, {
-            imported: result.createdContacts.length,
-            skipped: result.skippedContacts.length
+        console.log(`Bulk deleted ${deletedContacts.count} contacts for user ${userId}`);
+        res.json({ 
+            message: `Successfully deleted ${deletedContacts.count} contacts`,
+            deletedCount: deletedContacts.count 
         });
-        
-        res.status(201).json(response);
-
     } catch (error) {
-        console.error('CSV import error:', error);
+        console.error('Error bulk deleting contacts:', error);
         res.status(500).json({ 
-            error: 'Failed to import contacts. Please try again',
-            code: 'IMPORT_ERROR'
+            error: 'Failed to delete contacts',
+            code: 'BULK_DELETE_ERROR'
         });
     }
 });
 
 // TASKS ENDPOINTS
 // POST create a new task for a contact with validation
-router.post('/:id/tasks', validateResourceOwnership('contact'), validateBody(taskSchema), async (req, res) => {
+router.post('/:id/tasks', requirePermission(PERMISSIONS.EDIT_RECORDS), validateResourceOwnership('contact'), validateBody(taskSchema), async (req, res) => {
     try {
         const contactId = req.params.id;
         const userId = req.user.id;
@@ -1039,6 +1480,13 @@ router.post('/:id/tasks', validateResourceOwnership('contact'), validateBody(tas
         const task = await prisma.task.create({
             data: taskData
         });
+        await recordChange(prisma, auditContext(req), {
+            entityType: 'TASK',
+            entityId: task.id,
+            contactId,
+            after: task,
+            fields: TASK_AUDIT_FIELDS
+        });
 
         res.status(201).json(task);
     } catch (error) {
@@ -1051,7 +1499,7 @@ router.post('/:id/tasks', validateResourceOwnership('contact'), validateBody(tas
 });
 
 // PUT update a task with validation
-router.put('/:id/tasks/:taskId', validateResourceOwnership('contact'), validateBody(taskSchema.partial()), async (req, res) => {
+router.put('/:id/tasks/:taskId', requirePermission(PERMISSIONS.EDIT_RECORDS), validateResourceOwnership('contact'), validateBody(taskSchema.partial()), async (req, res) => {
     try {
         const contactId = req.params.id;
         const taskId = req.params.taskId;
@@ -1080,6 +1528,17 @@ router.put('/:id/tasks/:taskId', validateResourceOwnership('contact'), validateB
             where: { id: taskId },
             data: updateData
         });
+        await recordChange(prisma, auditContext(req), {
+            entityType: 'TASK',
+            entityId: taskId,
+            contactId,
+            before: existingTask,
+            after: updatedTask,
+            fields: TASK_AUDIT_FIELDS
+        });
+        if (updatedTask.status === 'COMPLETED' && existingTask.status !== 'COMPLETED') {
+            emitWebhookEvent(req.workspace.id, 'task.completed', { task: webhookTask(updatedTask) });
+        }
 
         res.json(updatedTask);
     } catch (error) {
@@ -1092,7 +1551,7 @@ router.put('/:id/tasks/:taskId', validateResourceOwnership('contact'), validateB
 });
 
 // DELETE a task
-router.delete('/:id/tasks/:taskId', validateResourceOwnership('contact'), async (req, res) => {
+router.delete('/:id/tasks/:taskId', requirePermission(PERMISSIONS.DELETE_RECORDS), validateResourceOwnership('contact'), async (req, res) => {
     try {
         const contactId = req.params.id;
         const taskId = req.params.taskId;
@@ -1111,6 +1570,13 @@ router.delete('/:id/tasks/:taskId', validateResourceOwnership('contact'), async
         await prisma.task.delete({
             where: { id: taskId }
         });
+        await recordChange(prisma, auditContext(req), {
+            entityType: 'TASK',
+            entityId: taskId,
+            contactId,
+            before: existingTask,
+            fields: TASK_AUDIT_FIELDS
+        });
 
         res.json({ message: 'Task deleted successfully', id: taskId });
     } catch (error) {
@@ -1123,11 +1589,15 @@ router.delete('/:id/tasks/:taskId', validateResourceOwnership('contact'), async
 });
 
 // NOTES ENDPOINTS
+const noteInclude = {
+    attachments: { select: attachmentSelect, orderBy: { createdAt: 'asc' } }
+};
+
 // POST create a new note for a contact with validation
-router.post('/:id/notes', validateResourceOwnership('contact'), validateBody(noteSchema), async (req, res) => {
+router.post('/:id/notes', requirePermission(PERMISSIONS.EDIT_RECORDS), validateResourceOwnership('contact'), validateBody(noteSchema), async (req, res) => {
     try {
         const contactId = req.params.id;
-        const { content } = req.body;
+        const { content, format = 'PLAIN' } = req.body;
 
         if (!content || content.trim() === '') {
             return res.status(400).json({
@@ -1136,11 +1606,24 @@ router.post('/:id/notes', validateResourceOwnership('contact'), validateBody(not
             });
         }
 
-        const note = await prisma.note.create({
-            data: {
-                contactId,
-                content: content.trim()
-            }
+        const note = await prisma.$transaction(async (tx) => {
+            const created = await tx.note.create({
+                data: {
+                    contactId,
+                    content: content.trim(),
+                    format
+                },
+                include: noteInclude
+            });
+            await syncNoteMentions(tx, { contactScope: req.workspace.contactScope, noteId: created.id, contactId, content: created.content });
+            return created;
+        });
+        await recordChange(prisma, auditContext(req), {
+            entityType: 'NOTE',
+            entityId: note.id,
+            contactId,
+            after: note,
+            fields: NOTE_AUDIT_FIELDS
         });
 
         res.status(201).json(note);
@@ -1154,11 +1637,11 @@ router.post('/:id/notes', validateResourceOwnership('contact'), validateBody(not
 });
 
 // PUT update a note with validation
-router.put('/:id/notes/:noteId', validateResourceOwnership('contact'), validateBody(noteSchema), async (req, res) => {
+router.put('/:id/notes/:noteId', requirePermission(PERMISSIONS.EDIT_RECORDS), validateResourceOwnership('contact'), validateBody(noteSchema), async (req, res) => {
     try {
         const contactId = req.params.id;
         const noteId = req.params.noteId;
-        const { content } = req.body;
+        const { content, format } = req.body;
 
         if (!content || content.trim() === '') {
             return res.status(400).json({
@@ -1178,9 +1661,22 @@ router.put('/:id/notes/:noteId', validateResourceOwnership('contact'), validateB
             });
         }
 
-        const updatedNote = await prisma.note.update({
-            where: { id: noteId },
-            data: { content: content.trim() }
+        const updatedNote = await prisma.$transaction(async (tx) => {
+            const updated = await tx.note.update({
+                where: { id: noteId },
+                data: { content: content.trim(), ...(format && { format }) },
+                include: noteInclude
+            });
+            await syncNoteMentions(tx, { contactScope: req.workspace.contactScope, noteId, contactId, content: updated.content });
+            return updated;
+        });
+        await recordChange(prisma, auditContext(req), {
+            entityType: 'NOTE',
+            entityId: noteId,
+            contactId,
+            before: existingNote,
+            after: updatedNote,
+            fields: NOTE_AUDIT_FIELDS
         });
 
         res.json(updatedNote);
@@ -1193,8 +1689,50 @@ router.put('/:id/notes/:noteId', validateResourceOwnership('contact'), validateB
     }
 });
 
+// PATCH pin or unpin a note at the top of the contact's timeline
+router.patch('/:id/notes/:noteId/pin', requirePermission(PERMISSIONS.EDIT_RECORDS), validateResourceOwnership('contact'), validateBody(notePinSchema), async (req, res) => {
+    try {
+        const contactId = req.params.id;
+        const noteId = req.params.noteId;
+        const { isPinned } = req.body;
+
+        const existingNote = await prisma.note.findFirst({
+            where: { id: noteId, contactId }
+        });
+
+        if (!existingNote) {
+            return res.status(404).json({
+                error: 'Note not found',
+                code: 'NOTE_NOT_FOUND'
+            });
+        }
+
+        const updatedNote = await prisma.note.update({
+            where: { id: noteId },
+            data: { isPinned, pinnedAt: isPinned ? new Date() : null },
+            include: noteInclude
+        });
+        await recordChange(prisma, auditContext(req), {
+            entityType: 'NOTE',
+            entityId: noteId,
+            contactId,
+            before: existingNote,
+            after: updatedNote,
+            fields: NOTE_AUDIT_FIELDS
+        });
+
+        res.json(updatedNote);
+    } catch (error) {
+        console.error('Error pinning note:', error);
+        res.status(500).json({
+            error: 'Failed to update note',
+            code: 'PIN_NOTE_ERROR'
+        });
+    }
+});
+
 // DELETE a note
-router.delete('/:id/notes/:noteId', validateResourceOwnership('contact'), async (req, res) => {
+router.delete('/:id/notes/:noteId', requirePermission(PERMISSIONS.DELETE_RECORDS), validateResourceOwnership('contact'), async (req, res) => {
     try {
         const contactId = req.params.id;
         const noteId = req.params.noteId;
@@ -1210,9 +1748,18 @@ router.delete('/:id/notes/:noteId', validateResourceOwnership('contact'), async
             });
         }
 
+        const storageKeys = await attachmentStorageKeys(prisma, { noteId });
         await prisma.note.delete({
             where: { id: noteId }
         });
+        await removeAttachmentFiles(storageKeys);
+        await recordChange(prisma, auditContext(req), {
+            entityType: 'NOTE',
+            entityId: noteId,
+            contactId,
+            before: existingNote,
+            fields: NOTE_AUDIT_FIELDS
+        });
 
         res.json({ message: 'Note deleted successfully', id: noteId });
     } catch (error) {
@@ -1224,9 +1771,127 @@ router.delete('/:id/notes/:noteId', validateResourceOwnership('contact'), async
     }
 });
 
+// POST attach a file to a note; the file is the raw request body (see middleware/upload.js)
+router.post('/:id/notes/:noteId/attachments', requirePermission(PERMISSIONS.EDIT_RECORDS), validateResourceOwnership('contact'), rawFileUpload(ATTACHMENT_MAX_BYTES), async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const contactId = req.params.id;
+        const noteId = req.params.noteId;
+
+        const note = await prisma.note.findFirst({
+            where: { id: noteId, contactId },
+            select: { id: true }
+        });
+
+        if (!note) {
+            return res.status(404).json({
+                error: 'Note not found',
+                code: 'NOTE_NOT_FOUND'
+            });
+        }
+
+        const prepared = await prepareAttachment(req.file);
+        if (prepared.error) {
+            return res.status(prepared.status).json({ error: prepared.error, code: prepared.code });
+        }
+
+        const attachment = await saveAttachment(prisma, { userId, contactId, noteId, file: prepared.file });
+        await recordChange(prisma, auditContext(req), {
+            entityType: 'ATTACHMENT',
+            entityId: attachment.id,
+            contactId,
+            after: attachment,
+            fields: ATTACHMENT_AUDIT_FIELDS
+        });
+
+        res.status(201).json(attachment);
+    } catch (error) {
+        console.error('Error uploading note attachment:', error);
+        res.status(500).json({
+            error: 'Failed to upload attachment',
+            code: 'UPLOAD_ATTACHMENT_ERROR'
+        });
+    }
+});
+
+// GET download a note attachment
+router.get('/:id/notes/:noteId/attachments/:attachmentId', validateResourceOwnership('contact'), async (req, res) => {
+    try {
+        const attachment = await prisma.attachment.findFirst({
+            where: { id: req.params.attachmentId, noteId: req.params.noteId, contactId: req.params.id }
+        });
+
+        if (!attachment) {
+            return res.status(404).json({
+                error: 'Attachment not found',
+                code: 'ATTACHMENT_NOT_FOUND'
+            });
+        }
+
+        await sendAttachment(res, attachment);
+    } catch (error) {
+        console.error('Error downloading note attachment:', error);
+        res.status(500).json({
+            error: 'Failed to download attachment',
+            code: 'DOWNLOAD_ATTACHMENT_ERROR'
+        });
+    }
+});
+
+// DELETE remove a note attachment and its stored file
+router.delete('/:id/notes/:noteId/attachments/:attachmentId', requirePermission(PERMISSIONS.DELETE_RECORDS), validateResourceOwnership('contact'), async (req, res) => {
+    try {
+        const contactId = req.params.id;
+        const noteId = req.params.noteId;
+
+        const attachment = await prisma.attachment.findFirst({
+            where: { id: req.params.attachmentId, noteId, contactId }
+        });
+
+        if (!attachment) {
+            return res.status(404).json({
+                error: 'Attachment not found',
+                code: 'ATTACHMENT_NOT_FOUND'
+            });
+        }
+
+        await prisma.attachment.delete({ where: { id: attachment.id } });
+        await removeAttachmentFiles([attachment.storageKey]);
+        await recordChange(prisma, auditContext(req), {
+            entityType: 'ATTACHMENT',
+            entityId: attachment.id,
+            contactId,
+            before: attachment,
+            fields: ATTACHMENT_AUDIT_FIELDS
+        });
+
+        res.json({ message: 'Attachment deleted successfully', id: attachment.id });
+    } catch (error) {
+        console.error('Error deleting note attachment:', error);
+        res.status(500).json({
+            error: 'Failed to delete attachment',
+            code: 'DELETE_ATTACHMENT_ERROR'
+        });
+    }
+});
+
+// GET who a contact has been assigned to over time, newest first
+router.get('/:id/assignments', validateResourceOwnership('contact'), async (req, res) => {
+    try {
+        const assignments = await findAssignmentHistory(prisma, req.params.id);
+        res.json(assignments);
+    } catch (error) {
+        console.error('Error fetching assignment history:', error);
+        res.status(500).json({
+            error: 'Failed to fetch assignment history',
+            code: 'FETCH_ASSIGNMENTS_ERROR'
+        });
+    }
+});
+
 // ACTIVITIES ENDPOINTS
 // POST create a new activity for a contact with validation
-router.post('/:id/activities', validateResourceOwnership('contact'), validateBody(activitySchema), async (req, res) => {
+router.post('/:id/activities', requirePermission(PERMISSIONS.EDIT_RECORDS), validateResourceOwnership('contact'), validateBody(activitySchema), async (req, res) => {
     try {
         const contactId = req.params.id;
         const { type, title, description } = req.body;
@@ -1246,13 +1911,11 @@ router.post('/:id/activities', validateResourceOwnership('contact'), validateBod
             });
         }
 
-        const activity = await prisma.activity.create({
-            data: {
-                contactId,
-                type: type.toUpperCase(),
-                title: title.trim(),
-                description: description ? description.trim() : null
-            }
+        const activity = await recordActivity(prisma, req.workspace.id, {
+            contactId,
+            type: type.toUpperCase(),
+            title: title.trim(),
+            description: description ? description.trim() : null
         });
 
         res.status(201).json(activity);
@@ -1266,7 +1929,7 @@ router.post('/:id/activities', validateResourceOwnership('contact'), validateBod
 });
 
 // DELETE an activity
-router.delete('/:id/activities/:activityId', validateResourceOwnership('contact'), async (req, res) => {
+router.delete('/:id/activities/:activityId', requirePermission(PERMISSIONS.DELETE_RECORDS), validateResourceOwnership('contact'), async (req, res) => {
     try {
         const contactId = req.params.id;
         const activityId = req.params.activityId;
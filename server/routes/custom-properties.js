@@ -1,6 +1,15 @@
 import express from 'express';
 import { PrismaClient } from '@prisma/client';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import {
+  PROPERTY_AUDIT_FIELDS,
+  PROPERTY_OPTION_AUDIT_FIELDS,
+  auditContext,
+  changeEvent,
+  recordAuditEvent,
+  recordChange
+} from '../utils/audit.js';
+import { PERMISSIONS } from '../utils/permissions.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -24,21 +33,36 @@ const validateCreateProperty = (data) => {
   if (!data.fieldType || !validFieldTypes.includes(data.fieldType)) {
     errors.push(`Field type must be one of: ${validFieldTypes.join(', ')}`);
   }
+
+  if (data.trackChanges !== undefined && typeof data.trackChanges !== 'boolean') {
+    errors.push('Track changes must be true or false');
+  }
   
   return errors;
 };
 
-// GET /api/custom-properties - List all custom properties for user
+// Option changes are audited on their property, e.g. { "options.hot.label": { from, to } }
+const recordOptionChange = (req, propertyId, before, after) => {
+  const event = changeEvent({ entityType: 'CUSTOM_PROPERTY', entityId: propertyId, before, after, fields: PROPERTY_OPTION_AUDIT_FIELDS });
+  const optionValue = (before || after).value;
+  return recordAuditEvent(prisma, auditContext(req), {
+    ...event,
+    action: 'UPDATE',
+    changes: Object.fromEntries(Object.entries(event.changes).map(([field, change]) => [`options.${optionValue}.${field}`, change])),
+  });
+};
+
+// GET /api/custom-properties - List all custom properties in the workspace
 router.get('/', async (req, res) => {
   try {
-    const userId = req.user?.id;
-    if (!userId) {
+    const workspaceId = req.workspace?.id;
+    if (!workspaceId) {
       return res.status(401).json({ error: 'Unauthorized' });
     }
 
     const properties = await prisma.customPropertyDefinition.findMany({
       where: {
-        userId,
+        workspaceId,
         isActive: true,
       },
       include: {
@@ -58,7 +82,7 @@ router.get('/', async (req, res) => {
 });
 
 // POST /api/custom-properties - Create new custom property
-router.post('/', async (req, res) => {
+router.post('/', requirePermission(PERMISSIONS.MANAGE_PROPERTIES), async (req, res) => {
   try {
     const userId = req.user?.id;
     if (!userId) {
@@ -70,13 +94,14 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ error: 'Validation error', details: validationErrors });
     }
 
-    const { name, fieldKey, fieldType, isRequired = false, defaultValue, sortOrder = 0 } = req.body;
+    const workspaceId = req.workspace.id;
+    const { name, fieldKey, fieldType, isRequired = false, defaultValue, sortOrder = 0, trackChanges = false } = req.body;
 
-    // Check if fieldKey is unique for this user
+    // Check if fieldKey is unique for this workspace
     const existingProperty = await prisma.customPropertyDefinition.findUnique({
       where: {
-        userId_fieldKey: {
-          userId,
+        workspaceId_fieldKey: {
+          workspaceId,
           fieldKey,
         },
       },
@@ -94,6 +119,8 @@ router.post('/', async (req, res) => {
         isRequired,
         defaultValue,
         sortOrder,
+        trackChanges,
+        workspaceId,
         userId,
       },
       include: {
@@ -103,6 +130,13 @@ router.post('/', async (req, res) => {
       },
     });
 
+    await recordChange(prisma, auditContext(req), {
+      entityType: 'CUSTOM_PROPERTY',
+      entityId: property.id,
+      after: property,
+      fields: PROPERTY_AUDIT_FIELDS,
+    });
+
     res.status(201).json(property);
   } catch (error) {
     console.error('Error creating custom property:', error);
@@ -111,21 +145,21 @@ router.post('/', async (req, res) => {
 });
 
 // PUT /api/custom-properties/:id - Update custom property
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission(PERMISSIONS.MANAGE_PROPERTIES), async (req, res) => {
   try {
-    const userId = req.user?.id;
-    if (!userId) {
+    const workspaceId = req.workspace?.id;
+    if (!workspaceId) {
       return res.status(401).json({ error: 'Unauthorized' });
     }
 
     const propertyId = req.params.id;
     const updates = req.body;
 
-    // Check if property belongs to user
+    // Check if property belongs to the workspace
     const existingProperty = await prisma.customPropertyDefinition.findFirst({
       where: {
         id: propertyId,
-        userId,
+        workspaceId,
       },
     });
 
@@ -137,8 +171,8 @@ router.put('/:id', async (req, res) => {
     if (updates.fieldKey && updates.fieldKey !== existingProperty.fieldKey) {
       const duplicateProperty = await prisma.customPropertyDefinition.findUnique({
         where: {
-          userId_fieldKey: {
-            userId,
+          workspaceId_fieldKey: {
+            workspaceId,
             fieldKey: updates.fieldKey,
           },
         },
@@ -160,6 +194,14 @@ router.put('/:id', async (req, res) => {
       },
     });
 
+    await recordChange(prisma, auditContext(req), {
+      entityType: 'CUSTOM_PROPERTY',
+      entityId: propertyId,
+      before: existingProperty,
+      after: updatedProperty,
+      fields: PROPERTY_AUDIT_FIELDS,
+    });
+
     res.json(updatedProperty);
   } catch (error) {
     console.error('Error updating custom property:', error);
@@ -168,20 +210,20 @@ router.put('/:id', async (req, res) => {
 });
 
 // DELETE /api/custom-properties/:id - Delete custom property
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission(PERMISSIONS.MANAGE_PROPERTIES), async (req, res) => {
   try {
-    const userId = req.user?.id;
-    if (!userId) {
+    const workspaceId = req.workspace?.id;
+    if (!workspaceId) {
       return res.status(401).json({ error: 'Unauthorized' });
     }
 
     const propertyId = req.params.id;
 
-    // Check if property belongs to user
+    // Check if property belongs to the workspace
     const existingProperty = await prisma.customPropertyDefinition.findFirst({
       where: {
         id: propertyId,
-        userId,
+        workspaceId,
       },
     });
 
@@ -194,6 +236,12 @@ router.delete('/:id', async (req, res) => {
       where: { id: propertyId },
       data: { isActive: false },
     });
+    await recordChange(prisma, auditContext(req), {
+      entityType: 'CUSTOM_PROPERTY',
+      entityId: propertyId,
+      before: existingProperty,
+      fields: PROPERTY_AUDIT_FIELDS,
+    });
 
     res.status(204).send();
   } catch (error) {
@@ -203,10 +251,10 @@ router.delete('/:id', async (req, res) => {
 });
 
 // POST /api/custom-properties/:id/options - Add option to dropdown/multiselect
-router.post('/:id/options', async (req, res) => {
+router.post('/:id/options', requirePermission(PERMISSIONS.MANAGE_PROPERTIES), async (req, res) => {
   try {
-    const userId = req.user?.id;
-    if (!userId) {
+    const workspaceId = req.workspace?.id;
+    if (!workspaceId) {
       return res.status(401).json({ error: 'Unauthorized' });
     }
 
@@ -217,11 +265,11 @@ router.post('/:id/options', async (req, res) => {
       return res.status(400).json({ error: 'Label and value are required' });
     }
 
-    // Check if property belongs to user and supports options
+    // Check if property belongs to the workspace and supports options
     const property = await prisma.customPropertyDefinition.findFirst({
       where: {
         id: propertyId,
-        userId,
+        workspaceId,
         fieldType: { in: ['DROPDOWN', 'MULTISELECT'] },
       },
     });
@@ -239,6 +287,8 @@ router.post('/:id/options', async (req, res) => {
       },
     });
 
+    await recordOptionChange(req, propertyId, null, option);
+
     res.status(201).json(option);
   } catch (error) {
     console.error('Error creating property option:', error);
@@ -247,10 +297,10 @@ router.post('/:id/options', async (req, res) => {
 });
 
 // PUT /api/custom-properties/:id/options/:optionId - Update option
-router.put('/:id/options/:optionId', async (req, res) => {
+router.put('/:id/options/:optionId', requirePermission(PERMISSIONS.MANAGE_PROPERTIES), async (req, res) => {
   try {
-    const userId = req.user?.id;
-    if (!userId) {
+    const workspaceId = req.workspace?.id;
+    if (!workspaceId) {
       return res.status(401).json({ error: 'Unauthorized' });
     }
 
@@ -258,11 +308,11 @@ router.put('/:id/options/:optionId', async (req, res) => {
     const optionId = req.params.optionId;
     const updates = req.body;
 
-    // Check if property belongs to user
+    // Check if property belongs to the workspace
     const property = await prisma.customPropertyDefinition.findFirst({
       where: {
         id: propertyId,
-        userId,
+        workspaceId,
       },
     });
 
@@ -270,6 +320,14 @@ router.put('/:id/options/:optionId', async (req, res) => {
       return res.status(404).json({ error: 'Property not found' });
     }
 
+    const existingOption = await prisma.customPropertyOption.findFirst({
+      where: { id: optionId, propertyId },
+    });
+
+    if (!existingOption) {
+      return res.status(404).json({ error: 'Option not found' });
+    }
+
     const updatedOption = await prisma.customPropertyOption.update({
       where: {
         id: optionId,
@@ -277,6 +335,7 @@ router.put('/:id/options/:optionId', async (req, res) => {
       },
       data: updates,
     });
+    await recordOptionChange(req, propertyId, existingOption, updatedOption);
 
     res.json(updatedOption);
   } catch (error) {
@@ -286,21 +345,21 @@ router.put('/:id/options/:optionId', async (req, res) => {
 });
 
 // DELETE /api/custom-properties/:id/options/:optionId - Delete option
-router.delete('/:id/options/:optionId', async (req, res) => {
+router.delete('/:id/options/:optionId', requirePermission(PERMISSIONS.MANAGE_PROPERTIES), async (req, res) => {
   try {
-    const userId = req.user?.id;
-    if (!userId) {
+    const workspaceId = req.workspace?.id;
+    if (!workspaceId) {
       return res.status(401).json({ error: 'Unauthorized' });
     }
 
     const propertyId = req.params.id;
     const optionId = req.params.optionId;
 
-    // Check if property belongs to user
+    // Check if property belongs to the workspace
     const property = await prisma.customPropertyDefinition.findFirst({
       where: {
         id: propertyId,
-        userId,
+        workspaceId,
       },
     });
 
@@ -309,13 +368,14 @@ router.delete('/:id/options/:optionId', async (req, res) => {
     }
 
     // Soft delete by setting isActive to false
-    await prisma.customPropertyOption.update({
+    const deletedOption = await prisma.customPropertyOption.update({
       where: {
         id: optionId,
         propertyId,
       },
       data: { isActive: false },
     });
+    await recordOptionChange(req, propertyId, { ...deletedOption, isActive: true }, deletedOption);
 
     res.status(204).send();
   } catch (error) {
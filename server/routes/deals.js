@@ -0,0 +1,263 @@
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { authenticateToken, requirePermission, validateResourceOwnership } from '../middleware/auth.js';
+import {
+  validateBody,
+  dealSchema,
+  dealUpdateSchema,
+  dealMoveSchema
+} from '../middleware/validation.js';
+import { PERMISSIONS } from '../utils/permissions.js';
+import { announceActivities, recordActivities } from '../utils/activities.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+const dealInclude = {
+  contact: { select: { id: true, name: true, email: true, phone: true } },
+  listing: { select: { id: true, address: true, suburb: true } },
+  stage: { select: { id: true, name: true } }
+};
+
+// Confirm the linked contact/listing belong to the workspace (and the contact is visible to the
+// member); returns an error response body or null
+const checkDealLinks = async (workspace, { contactId, listingId }) => {
+  if (contactId) {
+    const contact = await prisma.contact.findFirst({ where: { id: contactId, ...workspace.contactScope }, select: { id: true } });
+    if (!contact) {
+      return { status: 404, body: { error: 'Contact not found', code: 'CONTACT_NOT_FOUND' } };
+    }
+  }
+
+  if (listingId) {
+    const listing = await prisma.listing.findFirst({ where: { id: listingId, workspaceId: workspace.id }, select: { id: true } });
+    if (!listing) {
+      return { status: 404, body: { error: 'Listing not found', code: 'LISTING_NOT_FOUND' } };
+    }
+  }
+
+  return null;
+};
+
+// GET /api/deals?pipelineId= - Deals for a pipeline (or all), ordered for the board; only deals
+// on contacts the member can see
+router.get('/', async (req, res) => {
+  try {
+    const workspaceId = req.workspace.id;
+    const { pipelineId, contactId } = req.query;
+
+    const deals = await prisma.deal.findMany({
+      where: {
+        workspaceId,
+        contact: req.workspace.contactScope,
+        ...(typeof pipelineId === 'string' && pipelineId && { pipelineId }),
+        ...(typeof contactId === 'string' && contactId && { contactId })
+      },
+      include: dealInclude,
+      orderBy: [{ stageId: 'asc' }, { position: 'asc' }, { createdAt: 'asc' }]
+    });
+
+    res.json(deals);
+  } catch (error) {
+    console.error('Error fetching deals:', error);
+    res.status(500).json({
+      error: 'Failed to fetch deals',
+      code: 'FETCH_DEALS_ERROR'
+    });
+  }
+});
+
+// GET /api/deals/:id
+router.get('/:id', validateResourceOwnership('deal'), async (req, res) => {
+  try {
+    const deal = await prisma.deal.findUnique({
+      where: { id: req.params.id },
+      include: dealInclude
+    });
+
+    res.json(deal);
+  } catch (error) {
+    console.error('Error fetching deal:', error);
+    res.status(500).json({
+      error: 'Failed to fetch deal',
+      code: 'FETCH_DEAL_ERROR'
+    });
+  }
+});
+
+// POST /api/deals - Create a deal at the bottom of its stage
+router.post('/', requirePermission(PERMISSIONS.EDIT_RECORDS), validateBody(dealSchema), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const workspaceId = req.workspace.id;
+    const { pipelineId, stageId, ...data } = req.body;
+
+    const linkError = await checkDealLinks(req.workspace, data);
+    if (linkError) {
+      return res.status(linkError.status).json(linkError.body);
+    }
+
+    const pipeline = await prisma.pipeline.findFirst({
+      where: { id: pipelineId, workspaceId },
+      include: { stages: { orderBy: { sortOrder: 'asc' }, select: { id: true } } }
+    });
+
+    if (!pipeline) {
+      return res.status(404).json({
+        error: 'Pipeline not found',
+        code: 'PIPELINE_NOT_FOUND'
+      });
+    }
+
+    const targetStageId = stageId || pipeline.stages[0]?.id;
+    if (!pipeline.stages.some(stage => stage.id === targetStageId)) {
+      return res.status(400).json({
+        error: 'Stage does not belong to this pipeline',
+        code: 'INVALID_STAGE'
+      });
+    }
+
+    const lastDeal = await prisma.deal.aggregate({
+      where: { stageId: targetStageId },
+      _max: { position: true }
+    });
+
+    const deal = await prisma.deal.create({
+      data: {
+        ...data,
+        workspaceId,
+        userId,
+        pipelineId,
+        stageId: targetStageId,
+        position: (lastDeal._max.position ?? -1) + 1
+      },
+      include: dealInclude
+    });
+
+    res.status(201).json(deal);
+  } catch (error) {
+    console.error('Error creating deal:', error);
+    res.status(500).json({
+      error: 'Failed to create deal',
+      code: 'CREATE_DEAL_ERROR'
+    });
+  }
+});
+
+// PUT /api/deals/:id - Update deal details (use /move to change stage)
+router.put('/:id', requirePermission(PERMISSIONS.EDIT_RECORDS), validateResourceOwnership('deal'), validateBody(dealUpdateSchema), async (req, res) => {
+  try {
+    const linkError = await checkDealLinks(req.workspace, req.body);
+    if (linkError) {
+      return res.status(linkError.status).json(linkError.body);
+    }
+
+    const deal = await prisma.deal.update({
+      where: { id: req.params.id },
+      data: req.body,
+      include: dealInclude
+    });
+
+    res.json(deal);
+  } catch (error) {
+    console.error('Error updating deal:', error);
+    res.status(500).json({
+      error: 'Failed to update deal',
+      code: 'UPDATE_DEAL_ERROR'
+    });
+  }
+});
+
+// PATCH /api/deals/:id/move - Move a deal to a stage/position and log the stage change
+router.patch('/:id/move', requirePermission(PERMISSIONS.EDIT_RECORDS), validateResourceOwnership('deal'), validateBody(dealMoveSchema), async (req, res) => {
+  try {
+    const dealId = req.params.id;
+    const { stageId, position } = req.body;
+
+    const deal = await prisma.deal.findUnique({
+      where: { id: dealId },
+      include: { stage: { select: { id: true, name: true } } }
+    });
+
+    const targetStage = await prisma.pipelineStage.findFirst({
+      where: { id: stageId, pipelineId: deal.pipelineId },
+      select: { id: true, name: true }
+    });
+
+    if (!targetStage) {
+      return res.status(400).json({
+        error: 'Stage does not belong to this deal\'s pipeline',
+        code: 'INVALID_STAGE'
+      });
+    }
+
+    // Re-number the target column with the moved deal spliced in at the requested position
+    const columnDeals = await prisma.deal.findMany({
+      where: { stageId, id: { not: dealId } },
+      orderBy: [{ position: 'asc' }, { createdAt: 'asc' }],
+      select: { id: true }
+    });
+    const orderedIds = columnDeals.map(columnDeal => columnDeal.id);
+    const insertAt = position === undefined ? orderedIds.length : Math.min(position, orderedIds.length);
+    orderedIds.splice(insertAt, 0, dealId);
+
+    const stageChanged = deal.stageId !== stageId;
+
+    const activities = [];
+    await prisma.$transaction(async (tx) => {
+      for (const [index, id] of orderedIds.entries()) {
+        await tx.deal.update({
+          where: { id },
+          data: id === dealId ? { stageId, position: index } : { position: index }
+        });
+      }
+      if (stageChanged) {
+        await recordActivities(tx, req.workspace.id, [{
+          contactId: deal.contactId,
+          type: 'STATUS_CHANGED',
+          title: 'Deal Stage Changed',
+          description: `${deal.title}: ${deal.stage.name} → ${targetStage.name}`
+        }], activities);
+      }
+    });
+    announceActivities(req.workspace.id, activities);
+
+    const updatedDeal = await prisma.deal.findUnique({
+      where: { id: dealId },
+      include: dealInclude
+    });
+
+    res.json(updatedDeal);
+  } catch (error) {
+    console.error('Error moving deal:', error);
+    res.status(500).json({
+      error: 'Failed to move deal',
+      code: 'MOVE_DEAL_ERROR'
+    });
+  }
+});
+
+// DELETE /api/deals/:id
+router.delete('/:id', requirePermission(PERMISSIONS.DELETE_RECORDS), validateResourceOwnership('deal'), async (req, res) => {
+  try {
+    await prisma.deal.delete({
+      where: { id: req.params.id }
+    });
+
+    res.json({
+      message: 'Deal deleted successfully',
+      id: req.params.id
+    });
+  } catch (error) {
+    console.error('Error deleting deal:', error);
+    res.status(500).json({
+      error: 'Failed to delete deal',
+      code: 'DELETE_DEAL_ERROR'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,208 @@
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import { bulkOperationLimiter, uploadLimiter } from '../middleware/rateLimiting.js';
+import { validateBody, importJobSchema } from '../middleware/validation.js';
+import { enqueueImportJob } from '../utils/importJobs.js';
+import { csvCell, csvRow } from '../utils/contactExport.js';
+import { CONTACT_AUDIT_FIELDS, auditContext, auditEventData, changeEvent } from '../utils/audit.js';
+import { attachmentStorageKeys, removeAttachmentFiles } from '../utils/attachments.js';
+import { PERMISSIONS } from '../utils/permissions.js';
+import { emitWebhookEvent, webhookContact } from '../utils/webhooks.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Apply authentication to all routes; imports can create and overwrite any contact, so they need the import permission
+router.use(authenticateToken, requirePermission(PERMISSIONS.IMPORT_CONTACTS));
+
+// Everything except the raw file and the error rows, which can be large
+const jobSummarySelect = {
+  id: true,
+  fileName: true,
+  status: true,
+  duplicateStrategy: true,
+  matchBy: true,
+  totalRows: true,
+  processedRows: true,
+  createdCount: true,
+  updatedCount: true,
+  skippedCount: true,
+  failedCount: true,
+  error: true,
+  createdAt: true,
+  startedAt: true,
+  completedAt: true,
+  undoneAt: true
+};
+
+const findWorkspaceJob = (id, workspaceId, select = jobSummarySelect) => prisma.importJob.findFirst({
+  where: { id, workspaceId },
+  select
+});
+
+const jobNotFound = (res) => res.status(404).json({
+  error: 'Import not found',
+  code: 'IMPORT_JOB_NOT_FOUND'
+});
+
+// POST /api/imports - Queue a CSV import; the file is processed in the background
+router.post('/', bulkOperationLimiter, uploadLimiter, validateBody(importJobSchema), async (req, res) => {
+  try {
+    const { fileName, headers, rows, mapping, duplicateStrategy, matchBy } = req.body;
+
+    const job = await prisma.importJob.create({
+      data: {
+        workspaceId: req.workspace.id,
+        userId: req.user.id,
+        fileName: fileName || null,
+        duplicateStrategy,
+        matchBy,
+        headers,
+        mapping,
+        rows,
+        totalRows: rows.length
+      },
+      select: jobSummarySelect
+    });
+
+    enqueueImportJob(job.id);
+    res.status(202).json(job);
+  } catch (error) {
+    console.error('Error creating import job:', error);
+    res.status(500).json({
+      error: 'Failed to start import. Please try again',
+      code: 'CREATE_IMPORT_JOB_ERROR'
+    });
+  }
+});
+
+// GET /api/imports - The workspace's recent imports, newest first
+router.get('/', async (req, res) => {
+  try {
+    const jobs = await prisma.importJob.findMany({
+      where: { workspaceId: req.workspace.id },
+      select: jobSummarySelect,
+      orderBy: { createdAt: 'desc' },
+      take: 20
+    });
+
+    res.json(jobs);
+  } catch (error) {
+    console.error('Error fetching import jobs:', error);
+    res.status(500).json({
+      error: 'Failed to fetch imports',
+      code: 'FETCH_IMPORT_JOBS_ERROR'
+    });
+  }
+});
+
+// GET /api/imports/:id - Job status and progress, polled while the import runs
+router.get('/:id', async (req, res) => {
+  try {
+    const job = await findWorkspaceJob(req.params.id, req.workspace.id);
+    if (!job) return jobNotFound(res);
+
+    res.json(job);
+  } catch (error) {
+    console.error('Error fetching import job:', error);
+    res.status(500).json({
+      error: 'Failed to fetch import',
+      code: 'FETCH_IMPORT_JOB_ERROR'
+    });
+  }
+});
+
+// GET /api/imports/:id/errors.csv - Failed rows as they were uploaded, plus the reason.
+// The file can be fixed and imported again with the same mapping
+router.get('/:id/errors.csv', async (req, res) => {
+  try {
+    const job = await findWorkspaceJob(req.params.id, req.workspace.id, { headers: true, failures: true, fileName: true });
+    if (!job) return jobNotFound(res);
+
+    const baseName = (job.fileName || 'import').replace(/\.csv$/i, '').replace(/[^\w.-]+/g, '_');
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${baseName}-errors.csv"`);
+
+    const lines = [csvRow([...job.headers, 'Row', 'Error'].map(text => csvCell(text)))];
+    [...job.failures]
+      .sort((a, b) => a.row - b.row)
+      .forEach(failure => {
+        const values = job.headers.map((_, index) => csvCell(failure.values?.[index] ?? ''));
+        lines.push(csvRow([...values, String(failure.row), csvCell(failure.reason)]));
+      });
+
+    res.send('\uFEFF' + lines.join(''));
+  } catch (error) {
+    console.error('Error exporting import errors:', error);
+    res.status(500).json({
+      error: 'Failed to download import errors',
+      code: 'IMPORT_ERRORS_EXPORT_ERROR'
+    });
+  }
+});
+
+// POST /api/imports/:id/undo - Delete exactly the contacts this import created.
+// Contacts the import updated keep their new values
+router.post('/:id/undo', bulkOperationLimiter, async (req, res) => {
+  try {
+    const workspaceId = req.workspace.id;
+    const job = await findWorkspaceJob(req.params.id, workspaceId);
+    if (!job) return jobNotFound(res);
+
+    if (job.status === 'QUEUED' || job.status === 'RUNNING') {
+      return res.status(409).json({
+        error: 'Wait for the import to finish before undoing it',
+        code: 'IMPORT_JOB_RUNNING'
+      });
+    }
+    if (job.status === 'UNDONE') {
+      return res.status(409).json({
+        error: 'This import has already been undone',
+        code: 'IMPORT_JOB_ALREADY_UNDONE'
+      });
+    }
+
+    const importedContacts = await prisma.contact.findMany({
+      where: { importJobId: job.id, workspaceId },
+      select: { id: true, name: true, email: true, phone: true, address: true, assignedToId: true, createdAt: true, updatedAt: true }
+    });
+    const auditRows = auditEventData(auditContext(req), importedContacts.map(contact => changeEvent({
+      entityType: 'CONTACT',
+      entityId: contact.id,
+      contactId: contact.id,
+      before: contact,
+      fields: CONTACT_AUDIT_FIELDS
+    })));
+
+    const storageKeys = await attachmentStorageKeys(prisma, { contactId: { in: importedContacts.map(contact => contact.id) } });
+    const [deleted, updatedJob] = await prisma.$transaction([
+      prisma.contact.deleteMany({ where: { id: { in: importedContacts.map(contact => contact.id) } } }),
+      prisma.importJob.update({
+        where: { id: job.id },
+        data: { status: 'UNDONE', undoneAt: new Date() },
+        select: jobSummarySelect
+      }),
+      prisma.auditEvent.createMany({ data: auditRows })
+    ]);
+    await removeAttachmentFiles(storageKeys);
+    for (const contact of importedContacts) {
+      emitWebhookEvent(workspaceId, 'contact.deleted', { contact: webhookContact(contact) });
+    }
+
+    console.log(`Import job ${job.id} undone: ${deleted.count} contacts deleted`);
+    res.json({
+      message: `Removed ${deleted.count} imported contacts`,
+      deletedCount: deleted.count,
+      job: updatedJob
+    });
+  } catch (error) {
+    console.error('Error undoing import job:', error);
+    res.status(500).json({
+      error: 'Failed to undo import',
+      code: 'UNDO_IMPORT_JOB_ERROR'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,311 @@
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { authenticateToken, requirePermission, validateResourceOwnership } from '../middleware/auth.js';
+import {
+  validateBody,
+  validateQuery,
+  paginationSchema,
+  listingCreateSchema,
+  listingUpdateSchema,
+  listingContactSchema,
+  listingFilterSchema
+} from '../middleware/validation.js';
+import { PERMISSIONS } from '../utils/permissions.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+const contactSummarySelect = {
+  id: true,
+  name: true,
+  email: true,
+  phone: true
+};
+
+// Linked contacts, limited to those the member can see (`contactScope` from req.workspace)
+const listingContactsInclude = (contactScope) => ({
+  contacts: {
+    where: { contact: contactScope },
+    select: {
+      role: true,
+      createdAt: true,
+      contact: { select: contactSummarySelect }
+    },
+    orderBy: { createdAt: 'asc' }
+  }
+});
+
+// Split the ListingContact join rows into vendors and interested buyers
+const formatListing = (listing) => {
+  const { contacts = [], ...rest } = listing;
+  const byRole = (role) => contacts
+    .filter(link => link.role === role)
+    .map(link => ({ ...link.contact, linkedAt: link.createdAt }));
+
+  return {
+    ...rest,
+    vendors: byRole('VENDOR'),
+    buyers: byRole('BUYER')
+  };
+};
+
+// GET /api/listings - List listings in the current workspace
+router.get('/', validateQuery(paginationSchema.merge(listingFilterSchema)), async (req, res) => {
+  try {
+    const workspaceId = req.workspace.id;
+    const { search, status } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 100;
+
+    const where = { workspaceId };
+    if (status) {
+      where.status = status;
+    }
+    if (search) {
+      where.OR = [
+        { address: { contains: search, mode: 'insensitive' } },
+        { suburb: { contains: search, mode: 'insensitive' } }
+      ];
+    }
+
+    const [listings, totalCount] = await Promise.all([
+      prisma.listing.findMany({
+        where,
+        include: listingContactsInclude(req.workspace.contactScope),
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.listing.count({ where })
+    ]);
+
+    res.json({
+      listings: listings.map(formatListing),
+      pagination: {
+        page,
+        limit,
+        total: totalCount,
+        totalPages: Math.ceil(totalCount / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching listings:', error);
+    res.status(500).json({
+      error: 'Failed to fetch listings',
+      code: 'FETCH_LISTINGS_ERROR'
+    });
+  }
+});
+
+// GET /api/listings/:id - Single listing with its vendors and interested buyers
+router.get('/:id', validateResourceOwnership('listing'), async (req, res) => {
+  try {
+    const listing = await prisma.listing.findUnique({
+      where: { id: req.params.id },
+      include: listingContactsInclude(req.workspace.contactScope)
+    });
+
+    if (!listing) {
+      return res.status(404).json({
+        error: 'Listing not found',
+        code: 'LISTING_NOT_FOUND'
+      });
+    }
+
+    res.json(formatListing(listing));
+  } catch (error) {
+    console.error('Error fetching listing:', error);
+    res.status(500).json({
+      error: 'Failed to fetch listing',
+      code: 'FETCH_LISTING_ERROR'
+    });
+  }
+});
+
+// POST /api/listings - Create a listing, optionally linking its vendor
+router.post('/', requirePermission(PERMISSIONS.EDIT_RECORDS), validateBody(listingCreateSchema), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const workspaceId = req.workspace.id;
+    const { vendorContactId, ...data } = req.body;
+
+    if (vendorContactId) {
+      const vendor = await prisma.contact.findFirst({
+        where: { id: vendorContactId, ...req.workspace.contactScope },
+        select: { id: true }
+      });
+
+      if (!vendor) {
+        return res.status(404).json({
+          error: 'Vendor contact not found',
+          code: 'CONTACT_NOT_FOUND'
+        });
+      }
+    }
+
+    const listing = await prisma.listing.create({
+      data: {
+        ...data,
+        workspaceId,
+        userId,
+        ...(vendorContactId && {
+          contacts: { create: { contactId: vendorContactId, role: 'VENDOR' } }
+        })
+      },
+      include: listingContactsInclude(req.workspace.contactScope)
+    });
+
+    res.status(201).json(formatListing(listing));
+  } catch (error) {
+    console.error('Error creating listing:', error);
+    res.status(500).json({
+      error: 'Failed to create listing',
+      code: 'CREATE_LISTING_ERROR'
+    });
+  }
+});
+
+// PUT /api/listings/:id - Update listing details
+router.put('/:id', requirePermission(PERMISSIONS.EDIT_RECORDS), validateResourceOwnership('listing'), validateBody(listingUpdateSchema), async (req, res) => {
+  try {
+    const listing = await prisma.listing.update({
+      where: { id: req.params.id },
+      data: req.body,
+      include: listingContactsInclude(req.workspace.contactScope)
+    });
+
+    res.json(formatListing(listing));
+  } catch (error) {
+    console.error('Error updating listing:', error);
+    res.status(500).json({
+      error: 'Failed to update listing',
+      code: 'UPDATE_LISTING_ERROR'
+    });
+  }
+});
+
+// DELETE /api/listings/:id - Delete a listing (contact links are removed with it)
+router.delete('/:id', requirePermission(PERMISSIONS.DELETE_RECORDS), validateResourceOwnership('listing'), async (req, res) => {
+  try {
+    await prisma.listing.delete({
+      where: { id: req.params.id }
+    });
+
+    res.json({
+      message: 'Listing deleted successfully',
+      id: req.params.id
+    });
+  } catch (error) {
+    console.error('Error deleting listing:', error);
+    res.status(500).json({
+      error: 'Failed to delete listing',
+      code: 'DELETE_LISTING_ERROR'
+    });
+  }
+});
+
+// POST /api/listings/:id/contacts - Link a contact as vendor or interested buyer
+router.post('/:id/contacts', requirePermission(PERMISSIONS.EDIT_RECORDS), validateResourceOwnership('listing'), validateBody(listingContactSchema), async (req, res) => {
+  try {
+    const listingId = req.params.id;
+    const { contactId, role } = req.body;
+
+    const contact = await prisma.contact.findFirst({
+      where: { id: contactId, ...req.workspace.contactScope },
+      select: { id: true }
+    });
+
+    if (!contact) {
+      return res.status(404).json({
+        error: 'Contact not found',
+        code: 'CONTACT_NOT_FOUND'
+      });
+    }
+
+    const existingLink = await prisma.listingContact.findUnique({
+      where: { listingId_contactId_role: { listingId, contactId, role } },
+      select: { id: true }
+    });
+
+    if (existingLink) {
+      return res.status(409).json({
+        error: `Contact is already linked to this listing as a ${role.toLowerCase()}`,
+        code: 'LISTING_CONTACT_EXISTS'
+      });
+    }
+
+    await prisma.listingContact.create({
+      data: { listingId, contactId, role }
+    });
+
+    const listing = await prisma.listing.findUnique({
+      where: { id: listingId },
+      include: listingContactsInclude(req.workspace.contactScope)
+    });
+
+    res.status(201).json(formatListing(listing));
+  } catch (error) {
+    console.error('Error linking contact to listing:', error);
+    res.status(500).json({
+      error: 'Failed to link contact to listing',
+      code: 'LINK_LISTING_CONTACT_ERROR'
+    });
+  }
+});
+
+// DELETE /api/listings/:id/contacts/:contactId?role=VENDOR|BUYER - Unlink a contact
+router.delete('/:id/contacts/:contactId', requirePermission(PERMISSIONS.EDIT_RECORDS), validateResourceOwnership('listing'), async (req, res) => {
+  try {
+    const listingId = req.params.id;
+    const { contactId } = req.params;
+    const { role } = req.query;
+
+    if (role && !['VENDOR', 'BUYER'].includes(role)) {
+      return res.status(400).json({
+        error: 'Role must be VENDOR or BUYER',
+        code: 'INVALID_ROLE'
+      });
+    }
+
+    const contact = await prisma.contact.findFirst({
+      where: { id: contactId, ...req.workspace.contactScope },
+      select: { id: true }
+    });
+
+    if (!contact) {
+      return res.status(404).json({
+        error: 'Contact not found',
+        code: 'CONTACT_NOT_FOUND'
+      });
+    }
+
+    const { count } = await prisma.listingContact.deleteMany({
+      where: { listingId, contactId, ...(role && { role }) }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({
+        error: 'Contact is not linked to this listing',
+        code: 'LISTING_CONTACT_NOT_FOUND'
+      });
+    }
+
+    const listing = await prisma.listing.findUnique({
+      where: { id: listingId },
+      include: listingContactsInclude(req.workspace.contactScope)
+    });
+
+    res.json(formatListing(listing));
+  } catch (error) {
+    console.error('Error unlinking contact from listing:', error);
+    res.status(500).json({
+      error: 'Failed to unlink contact from listing',
+      code: 'UNLINK_LISTING_CONTACT_ERROR'
+    });
+  }
+});
+
+export default router;
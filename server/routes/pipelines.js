@@ -0,0 +1,291 @@
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { authenticateToken, requirePermission, validateResourceOwnership } from '../middleware/auth.js';
+import {
+  validateBody,
+  pipelineSchema,
+  pipelineStageSchema,
+  stageOrderSchema
+} from '../middleware/validation.js';
+import { PERMISSIONS } from '../utils/permissions.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+// Mirrors the stage values that used to live in the contact `status` property
+const DEFAULT_PIPELINE_NAME = 'Sales Pipeline';
+const DEFAULT_PIPELINE_STAGES = ['New', 'Contacted', 'Qualified', 'Proposal', 'Negotiation', 'Closed Won', 'Closed Lost'];
+
+const pipelineInclude = {
+  stages: { orderBy: { sortOrder: 'asc' } },
+  _count: { select: { deals: true } }
+};
+
+const stageCreateData = (names) => names.map((name, index) => ({ name, sortOrder: index }));
+
+// Every workspace gets a starter pipeline the first time someone opens the deals board
+const ensureDefaultPipeline = async (workspaceId, userId) => {
+  const count = await prisma.pipeline.count({ where: { workspaceId } });
+  if (count > 0) return;
+
+  await prisma.pipeline.create({
+    data: {
+      workspaceId,
+      userId,
+      name: DEFAULT_PIPELINE_NAME,
+      stages: { create: stageCreateData(DEFAULT_PIPELINE_STAGES) }
+    }
+  });
+};
+
+// GET /api/pipelines - List pipelines with their ordered stages
+router.get('/', async (req, res) => {
+  try {
+    const workspaceId = req.workspace.id;
+    await ensureDefaultPipeline(workspaceId, req.user.id);
+
+    const pipelines = await prisma.pipeline.findMany({
+      where: { workspaceId },
+      include: pipelineInclude,
+      orderBy: [{ sortOrder: 'asc' }, { createdAt: 'asc' }]
+    });
+
+    res.json(pipelines);
+  } catch (error) {
+    console.error('Error fetching pipelines:', error);
+    res.status(500).json({
+      error: 'Failed to fetch pipelines',
+      code: 'FETCH_PIPELINES_ERROR'
+    });
+  }
+});
+
+// POST /api/pipelines - Create a pipeline (defaults to the standard stages)
+router.post('/', requirePermission(PERMISSIONS.EDIT_RECORDS), validateBody(pipelineSchema), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const workspaceId = req.workspace.id;
+    const { name, stages } = req.body;
+
+    const maxSortOrder = await prisma.pipeline.aggregate({
+      where: { workspaceId },
+      _max: { sortOrder: true }
+    });
+
+    const pipeline = await prisma.pipeline.create({
+      data: {
+        workspaceId,
+        userId,
+        name,
+        sortOrder: (maxSortOrder._max.sortOrder ?? -1) + 1,
+        stages: { create: stageCreateData(stages || DEFAULT_PIPELINE_STAGES) }
+      },
+      include: pipelineInclude
+    });
+
+    res.status(201).json(pipeline);
+  } catch (error) {
+    console.error('Error creating pipeline:', error);
+    res.status(500).json({
+      error: 'Failed to create pipeline',
+      code: 'CREATE_PIPELINE_ERROR'
+    });
+  }
+});
+
+// PUT /api/pipelines/:id - Rename a pipeline
+router.put('/:id', requirePermission(PERMISSIONS.EDIT_RECORDS), validateResourceOwnership('pipeline'), validateBody(pipelineSchema.pick({ name: true })), async (req, res) => {
+  try {
+    const pipeline = await prisma.pipeline.update({
+      where: { id: req.params.id },
+      data: { name: req.body.name },
+      include: pipelineInclude
+    });
+
+    res.json(pipeline);
+  } catch (error) {
+    console.error('Error updating pipeline:', error);
+    res.status(500).json({
+      error: 'Failed to update pipeline',
+      code: 'UPDATE_PIPELINE_ERROR'
+    });
+  }
+});
+
+// DELETE /api/pipelines/:id - Delete a pipeline and all of its deals
+router.delete('/:id', requirePermission(PERMISSIONS.DELETE_RECORDS), validateResourceOwnership('pipeline'), async (req, res) => {
+  try {
+    const pipelineCount = await prisma.pipeline.count({ where: { workspaceId: req.workspace.id } });
+
+    if (pipelineCount <= 1) {
+      return res.status(400).json({
+        error: 'You must keep at least one pipeline',
+        code: 'LAST_PIPELINE'
+      });
+    }
+
+    await prisma.pipeline.delete({
+      where: { id: req.params.id }
+    });
+
+    res.json({
+      message: 'Pipeline deleted successfully',
+      id: req.params.id
+    });
+  } catch (error) {
+    console.error('Error deleting pipeline:', error);
+    res.status(500).json({
+      error: 'Failed to delete pipeline',
+      code: 'DELETE_PIPELINE_ERROR'
+    });
+  }
+});
+
+// POST /api/pipelines/:id/stages - Append a stage
+router.post('/:id/stages', requirePermission(PERMISSIONS.EDIT_RECORDS), validateResourceOwnership('pipeline'), validateBody(pipelineStageSchema), async (req, res) => {
+  try {
+    const pipelineId = req.params.id;
+
+    const maxSortOrder = await prisma.pipelineStage.aggregate({
+      where: { pipelineId },
+      _max: { sortOrder: true }
+    });
+
+    const stage = await prisma.pipelineStage.create({
+      data: {
+        pipelineId,
+        name: req.body.name,
+        sortOrder: (maxSortOrder._max.sortOrder ?? -1) + 1
+      }
+    });
+
+    res.status(201).json(stage);
+  } catch (error) {
+    console.error('Error creating pipeline stage:', error);
+    res.status(500).json({
+      error: 'Failed to create stage',
+      code: 'CREATE_STAGE_ERROR'
+    });
+  }
+});
+
+// PUT /api/pipelines/:id/stages/order - Reorder stages
+router.put('/:id/stages/order', requirePermission(PERMISSIONS.EDIT_RECORDS), validateResourceOwnership('pipeline'), validateBody(stageOrderSchema), async (req, res) => {
+  try {
+    const pipelineId = req.params.id;
+    const { stageIds } = req.body;
+
+    const stages = await prisma.pipelineStage.findMany({
+      where: { pipelineId },
+      select: { id: true }
+    });
+    const existingIds = new Set(stages.map(stage => stage.id));
+
+    if (stageIds.length !== existingIds.size || !stageIds.every(id => existingIds.has(id))) {
+      return res.status(400).json({
+        error: 'Stage order must include every stage in the pipeline exactly once',
+        code: 'INVALID_STAGE_ORDER'
+      });
+    }
+
+    await prisma.$transaction(
+      stageIds.map((id, index) => prisma.pipelineStage.update({
+        where: { id },
+        data: { sortOrder: index }
+      }))
+    );
+
+    const pipeline = await prisma.pipeline.findUnique({
+      where: { id: pipelineId },
+      include: pipelineInclude
+    });
+
+    res.json(pipeline);
+  } catch (error) {
+    console.error('Error reordering pipeline stages:', error);
+    res.status(500).json({
+      error: 'Failed to reorder stages',
+      code: 'REORDER_STAGES_ERROR'
+    });
+  }
+});
+
+// PUT /api/pipelines/:id/stages/:stageId - Rename a stage
+router.put('/:id/stages/:stageId', requirePermission(PERMISSIONS.EDIT_RECORDS), validateResourceOwnership('pipeline'), validateBody(pipelineStageSchema), async (req, res) => {
+  try {
+    const { id: pipelineId, stageId } = req.params;
+
+    const { count } = await prisma.pipelineStage.updateMany({
+      where: { id: stageId, pipelineId },
+      data: { name: req.body.name }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({
+        error: 'Stage not found',
+        code: 'STAGE_NOT_FOUND'
+      });
+    }
+
+    const stage = await prisma.pipelineStage.findUnique({ where: { id: stageId } });
+    res.json(stage);
+  } catch (error) {
+    console.error('Error updating pipeline stage:', error);
+    res.status(500).json({
+      error: 'Failed to update stage',
+      code: 'UPDATE_STAGE_ERROR'
+    });
+  }
+});
+
+// DELETE /api/pipelines/:id/stages/:stageId - Delete an empty stage
+router.delete('/:id/stages/:stageId', requirePermission(PERMISSIONS.EDIT_RECORDS), validateResourceOwnership('pipeline'), async (req, res) => {
+  try {
+    const { id: pipelineId, stageId } = req.params;
+
+    const stage = await prisma.pipelineStage.findFirst({
+      where: { id: stageId, pipelineId },
+      include: { _count: { select: { deals: true } } }
+    });
+
+    if (!stage) {
+      return res.status(404).json({
+        error: 'Stage not found',
+        code: 'STAGE_NOT_FOUND'
+      });
+    }
+
+    if (stage._count.deals > 0) {
+      return res.status(409).json({
+        error: 'Move the deals out of this stage before deleting it',
+        code: 'STAGE_HAS_DEALS'
+      });
+    }
+
+    const stageCount = await prisma.pipelineStage.count({ where: { pipelineId } });
+    if (stageCount <= 1) {
+      return res.status(400).json({
+        error: 'A pipeline needs at least one stage',
+        code: 'LAST_STAGE'
+      });
+    }
+
+    await prisma.pipelineStage.delete({ where: { id: stageId } });
+
+    res.json({
+      message: 'Stage deleted successfully',
+      id: stageId
+    });
+  } catch (error) {
+    console.error('Error deleting pipeline stage:', error);
+    res.status(500).json({
+      error: 'Failed to delete stage',
+      code: 'DELETE_STAGE_ERROR'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,174 @@
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { authenticateToken } from '../middleware/auth.js';
+import { validateQuery, statsQuerySchema } from '../middleware/validation.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 90;
+const MAX_RANGE_DAYS = 731;
+
+// Custom properties the dashboard breaks contacts down by
+const BREAKDOWN_PROPERTIES = {
+  contactsByStage: 'status',
+  contactsBySource: 'lead_source',
+  contactsByType: 'contact_type'
+};
+
+const ACTIVITY_TYPES = ['CALL', 'EMAIL', 'MEETING', 'NOTE', 'WHATSAPP', 'TASK_CREATED', 'TASK_COMPLETED', 'STATUS_CHANGED', 'FIELD_CHANGED'];
+
+// Monday 00:00 UTC of the week containing `date`
+const startOfWeek = (date) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  return start;
+};
+
+// Contacts created per week across the range, including empty weeks
+const bucketByWeek = (dates, from, to) => {
+  const counts = new Map();
+  dates.forEach(date => {
+    const key = startOfWeek(date).toISOString();
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+
+  const weeks = [];
+  for (let week = startOfWeek(from); week <= to; week = new Date(week.getTime() + 7 * DAY_MS)) {
+    const key = week.toISOString();
+    weeks.push({ weekStart: key, count: counts.get(key) || 0 });
+  }
+  return weeks;
+};
+
+/**
+ * Count contacts per option of a dropdown property. Values are matched to options by value or
+ * label (older contacts stored labels); anything else is listed as-is, and contacts with no
+ * value are counted as "Not set".
+ */
+const countByProperty = async (contactScope, property, totalContacts) => {
+  if (!property) return [];
+
+  const groups = await prisma.contactCustomFieldValue.groupBy({
+    by: ['value'],
+    where: { propertyId: property.id, contact: contactScope },
+    _count: { _all: true }
+  });
+
+  const rows = property.options.map(option => ({ value: option.value, label: option.label, count: 0 }));
+  let assigned = 0;
+  groups.forEach(group => {
+    const text = group.value.trim();
+    if (!text) return;
+    assigned += group._count._all;
+
+    const lower = text.toLowerCase();
+    const row = rows.find(r => r.value.toLowerCase() === lower || r.label.toLowerCase() === lower);
+    if (row) {
+      row.count += group._count._all;
+    } else {
+      rows.push({ value: text, label: text, count: group._count._all });
+    }
+  });
+
+  if (totalContacts > assigned) {
+    rows.push({ value: null, label: 'Not set', count: totalContacts - assigned });
+  }
+  return rows;
+};
+
+// GET /api/stats - Dashboard analytics. Breakdowns cover all contacts the member can see;
+// new contacts, completed tasks and activities are limited to the from/to range
+router.get('/', validateQuery(statsQuerySchema), async (req, res) => {
+  try {
+    const workspaceId = req.workspace.id;
+    const { contactScope } = req.workspace;
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+    if (to.getTime() - from.getTime() > MAX_RANGE_DAYS * DAY_MS) {
+      return res.status(400).json({
+        error: 'Date range can be at most two years',
+        code: 'STATS_RANGE_TOO_LARGE'
+      });
+    }
+
+    const inRange = { gte: from, lte: to };
+    const taskScope = { contact: contactScope };
+    const now = new Date();
+
+    const [totalContacts, newContacts, properties, openTasks, overdueTasks, completedTasks, activityGroups] = await Promise.all([
+      prisma.contact.count({ where: contactScope }),
+      prisma.contact.findMany({
+        where: { ...contactScope, createdAt: inRange },
+        select: { createdAt: true }
+      }),
+      prisma.customPropertyDefinition.findMany({
+        where: { workspaceId, isActive: true, fieldKey: { in: Object.values(BREAKDOWN_PROPERTIES) } },
+        select: {
+          id: true,
+          fieldKey: true,
+          name: true,
+          options: {
+            where: { isActive: true },
+            orderBy: { sortOrder: 'asc' },
+            select: { value: true, label: true }
+          }
+        }
+      }),
+      prisma.task.count({
+        where: { ...taskScope, status: { in: ['PENDING', 'IN_PROGRESS'] } }
+      }),
+      prisma.task.count({
+        where: { ...taskScope, status: { in: ['PENDING', 'IN_PROGRESS'] }, dueDate: { lt: now } }
+      }),
+      // Tasks have no completion timestamp, so the last update stands in for it
+      prisma.task.count({
+        where: { ...taskScope, status: 'COMPLETED', updatedAt: inRange }
+      }),
+      prisma.activity.groupBy({
+        by: ['type'],
+        where: { contact: contactScope, createdAt: inRange },
+        _count: { _all: true }
+      })
+    ]);
+
+    const breakdowns = {};
+    await Promise.all(Object.entries(BREAKDOWN_PROPERTIES).map(async ([key, fieldKey]) => {
+      const property = properties.find(p => p.fieldKey === fieldKey);
+      breakdowns[key] = await countByProperty(contactScope, property, totalContacts);
+    }));
+
+    const activityCounts = new Map(activityGroups.map(group => [group.type, group._count._all]));
+    const activitiesByType = ACTIVITY_TYPES.map(type => ({ type, count: activityCounts.get(type) || 0 }));
+
+    res.json({
+      range: { from: from.toISOString(), to: to.toISOString() },
+      totals: {
+        contacts: totalContacts,
+        newContacts: newContacts.length,
+        activities: activitiesByType.reduce((sum, entry) => sum + entry.count, 0)
+      },
+      ...breakdowns,
+      newContactsByWeek: bucketByWeek(newContacts.map(contact => contact.createdAt), from, to),
+      tasks: {
+        open: openTasks,
+        overdue: overdueTasks,
+        completed: completedTasks
+      },
+      activitiesByType
+    });
+  } catch (error) {
+    console.error('Error fetching stats:', error);
+    res.status(500).json({
+      error: 'Failed to fetch statistics',
+      code: 'FETCH_STATS_ERROR'
+    });
+  }
+});
+
+export default router;
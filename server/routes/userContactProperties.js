@@ -1,19 +1,20 @@
 import express from 'express';
 import { PrismaClient } from '@prisma/client';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../utils/permissions.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
-// Get current user's contact property options (compatibility endpoint)
+// Get the workspace's contact property options (compatibility endpoint)
 router.get('/', authenticateToken, async (req, res) => {
   try {
-    const userId = req.user.id;
+    const workspaceId = req.workspace.id;
     
     // Get custom properties from the new system
     const customProperties = await prisma.customPropertyDefinition.findMany({
       where: {
-        userId,
+        workspaceId,
         isActive: true,
       },
       include: {
@@ -43,10 +44,10 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
-// Update current user's contact property options (compatibility endpoint)
-router.put('/', authenticateToken, async (req, res) => {
+// Update the workspace's contact property options (compatibility endpoint)
+router.put('/', authenticateToken, requirePermission(PERMISSIONS.MANAGE_PROPERTIES), async (req, res) => {
   try {
-    const userId = req.user.id;
+    const workspaceId = req.workspace.id;
     const { typeOptions, sourceOptions, statusOptions } = req.body;
     
     if (!Array.isArray(typeOptions) || !Array.isArray(sourceOptions) || !Array.isArray(statusOptions)) {
@@ -64,8 +65,8 @@ router.put('/', authenticateToken, async (req, res) => {
       // Find the property
       const property = await prisma.customPropertyDefinition.findUnique({
         where: {
-          userId_fieldKey: {
-            userId,
+          workspaceId_fieldKey: {
+            workspaceId,
             fieldKey: update.fieldKey
           }
         }
@@ -3,7 +3,25 @@ import bcrypt from 'bcrypt';
 import { PrismaClient } from '@prisma/client';
 import { authenticateToken } from '../middleware/auth.js';
 import { userUpdateLimiter } from '../middleware/rateLimiting.js';
-import { validateBody, userUpdateSchema, passwordChangeSchema } from '../middleware/validation.js';
+import {
+  validateBody,
+  userUpdateSchema,
+  passwordChangeSchema,
+  tableLayoutSchema,
+  TABLE_LAYOUT_IDS
+} from '../middleware/validation.js';
+import { listUserSessions, revokeUserSession } from '../utils/tokenUtils.js';
+import { auditContext, recordChange } from '../utils/audit.js';
+import { rawFileUpload } from '../middleware/upload.js';
+import {
+  PROFILE_IMAGE_MAX_BYTES,
+  isProfileImageRequest,
+  profileImageUrls,
+  profileImageVersion,
+  readProfileImage,
+  removeProfileImageFiles,
+  storeProfileImage
+} from '../utils/profileImages.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -25,7 +43,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
         id: true,
         email: true,
         displayName: true,
-        profileImage: true,
+        profileImageKey: true,
         jobTitle: true
       }
     });
@@ -37,8 +55,9 @@ router.get('/profile', authenticateToken, async (req, res) => {
       });
     }
 
+    const { profileImageKey, ...profile } = user;
     res.json({
-      user: user
+      user: { ...profile, ...profileImageUrls(userId, profileImageKey) }
     });
 
   } catch (error) {
@@ -130,6 +149,14 @@ router.put('/email', authenticateToken, userUpdateLimiter, validateBody(userUpda
       }
     });
 
+    await recordChange(prisma, auditContext(req), {
+      entityType: 'USER',
+      entityId: userId,
+      before: currentUser,
+      after: updatedUser,
+      fields: ['email']
+    });
+
     console.log(`User ${userId} updated email to: ${normalizedEmail}`);
 
     res.json({
@@ -217,6 +244,13 @@ router.put('/password', authenticateToken, userUpdateLimiter, validateBody(passw
       where: { id: userId },
       data: { passwordHash: newPasswordHash }
     });
+    await recordChange(prisma, auditContext(req), {
+      entityType: 'USER',
+      entityId: userId,
+      before: { password: currentUser.passwordHash },
+      after: { password: newPasswordHash },
+      fields: ['password']
+    });
 
     console.log(`User ${userId} updated password successfully`);
 
@@ -257,6 +291,11 @@ router.put('/display-name', authenticateToken, userUpdateLimiter, async (req, re
     const normalizedDisplayName = displayName && displayName.trim() ? displayName.trim() : null;
     const normalizedJobTitle = jobTitle && jobTitle.trim() ? jobTitle.trim() : null;
 
+    const currentUser = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { displayName: true, jobTitle: true }
+    });
+
     // Update display name and job title
     const updatedUser = await prisma.user.update({
       where: { id: userId },
@@ -272,6 +311,14 @@ router.put('/display-name', authenticateToken, userUpdateLimiter, async (req, re
       }
     });
 
+    await recordChange(prisma, auditContext(req), {
+      entityType: 'USER',
+      entityId: userId,
+      before: currentUser,
+      after: updatedUser,
+      fields: ['displayName', 'jobTitle']
+    });
+
     console.log(`User ${userId} updated display name to: ${normalizedDisplayName || 'null'}, job title to: ${normalizedJobTitle || 'null'}`);
 
     res.json({
@@ -288,49 +335,49 @@ router.put('/display-name', authenticateToken, userUpdateLimiter, async (req, re
   }
 });
 
-// Update user profile image
-router.put('/profile-image', authenticateToken, userUpdateLimiter, async (req, res) => {
+// Replace the user's profile image. The image is the raw request body (see middleware/upload.js)
+// and is stored as resized renditions rather than in the users row.
+router.put('/profile-image', authenticateToken, userUpdateLimiter, rawFileUpload(PROFILE_IMAGE_MAX_BYTES), async (req, res) => {
   try {
     const userId = req.user.id;
-    const { profileImage } = req.body;
-
-    // Input validation
-    if (profileImage !== null && profileImage !== undefined) {
-      // Validate base64 image format
-      const base64Regex = /^data:image\/(jpeg|jpg|png|gif|bmp|webp);base64,/;
-      if (!base64Regex.test(profileImage)) {
-        return res.status(400).json({
-          error: 'Invalid image format. Please provide a valid base64 encoded image.',
-          code: 'INVALID_IMAGE_FORMAT'
-        });
-      }
 
-      // Check image size (limit to ~2MB base64 encoded)
-      if (profileImage.length > 2.7 * 1024 * 1024) {
-        return res.status(400).json({
-          error: 'Image too large. Please use an image smaller than 2MB.',
-          code: 'IMAGE_TOO_LARGE'
-        });
-      }
+    const profileImageKey = await storeProfileImage(userId, req.file.data);
+    if (!profileImageKey) {
+      return res.status(400).json({
+        error: 'Invalid image format. Please upload a JPG, PNG, GIF or WEBP image.',
+        code: 'INVALID_IMAGE_FORMAT'
+      });
     }
 
-    // Update profile image (null to remove)
+    const currentUser = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { profileImageKey: true }
+    });
+
     const updatedUser = await prisma.user.update({
       where: { id: userId },
-      data: { profileImage },
+      data: { profileImageKey, profileImageData: null },
       select: {
         id: true,
         email: true,
-        displayName: true,
-        profileImage: true
+        displayName: true
       }
     });
 
-    console.log(`User ${userId} updated profile image: ${profileImage ? 'set' : 'removed'}`);
+    await removeProfileImageFiles(currentUser?.profileImageKey);
+    await recordChange(prisma, auditContext(req), {
+      entityType: 'USER',
+      entityId: userId,
+      before: currentUser,
+      after: { profileImageKey },
+      fields: ['profileImageKey']
+    });
+
+    console.log(`User ${userId} updated profile image`);
 
     res.json({
-      message: profileImage ? 'Profile image updated successfully' : 'Profile image removed successfully',
-      user: updatedUser
+      message: 'Profile image updated successfully',
+      user: { ...updatedUser, ...profileImageUrls(userId, profileImageKey) }
     });
 
   } catch (error) {
@@ -342,6 +389,87 @@ router.put('/profile-image', authenticateToken, userUpdateLimiter, async (req, r
   }
 });
 
+// Remove the user's profile image
+router.delete('/profile-image', authenticateToken, userUpdateLimiter, async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const currentUser = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { profileImageKey: true }
+    });
+
+    const updatedUser = await prisma.user.update({
+      where: { id: userId },
+      data: { profileImageKey: null, profileImageData: null },
+      select: {
+        id: true,
+        email: true,
+        displayName: true
+      }
+    });
+
+    await removeProfileImageFiles(currentUser?.profileImageKey);
+    await recordChange(prisma, auditContext(req), {
+      entityType: 'USER',
+      entityId: userId,
+      before: currentUser,
+      after: { profileImageKey: null },
+      fields: ['profileImageKey']
+    });
+
+    console.log(`User ${userId} removed profile image`);
+
+    res.json({
+      message: 'Profile image removed successfully',
+      user: { ...updatedUser, ...profileImageUrls(userId, null) }
+    });
+
+  } catch (error) {
+    console.error('Error removing user profile image:', error);
+    res.status(500).json({
+      error: 'Failed to remove profile image',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Serve a profile image rendition (thumb or full). Public so <img> tags can load it; the URL
+// contains the random per-upload version, so it can't be guessed and can be cached forever.
+router.get('/:userId/profile-image/:version/:size', async (req, res) => {
+  try {
+    const { userId, version, size } = req.params;
+    if (!isProfileImageRequest(version, size)) {
+      return res.status(404).json({ error: 'Profile image not found', code: 'PROFILE_IMAGE_NOT_FOUND' });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { profileImageKey: true }
+    });
+    if (!user || profileImageVersion(user.profileImageKey) !== version) {
+      return res.status(404).json({ error: 'Profile image not found', code: 'PROFILE_IMAGE_NOT_FOUND' });
+    }
+
+    res.set({
+      'Content-Type': 'image/webp',
+      'Cache-Control': 'public, max-age=31536000, immutable',
+      ETag: `"${version}-${size}"`
+    });
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    res.send(await readProfileImage(user.profileImageKey, size));
+  } catch (error) {
+    console.error('Error serving profile image:', error);
+    res.status(500).json({
+      error: 'Failed to load profile image',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
 // Get current user's theme
 router.get('/theme', authenticateToken, async (req, res) => {
   try {
@@ -378,4 +506,85 @@ router.put('/theme', authenticateToken, async (req, res) => {
   }
 });
 
+// Reject table ids the client doesn't use, so tableLayouts can't grow arbitrary keys
+const checkTableId = (req, res, next) => {
+  if (!TABLE_LAYOUT_IDS.includes(req.params.table)) {
+    return res.status(404).json({ error: 'Unknown table', code: 'UNKNOWN_TABLE' });
+  }
+  next();
+};
+
+// Get the current user's saved layout for a table (null until one is saved)
+router.get('/table-layouts/:table', authenticateToken, checkTableId, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { tableLayouts: true }
+    });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found', code: 'USER_NOT_FOUND' });
+    }
+    res.json({ table: req.params.table, layout: user.tableLayouts?.[req.params.table] ?? null });
+  } catch (error) {
+    console.error('Error fetching table layout:', error);
+    res.status(500).json({ error: 'Failed to fetch table layout', code: 'INTERNAL_ERROR' });
+  }
+});
+
+// Replace the current user's saved layout for a table
+router.put('/table-layouts/:table', authenticateToken, checkTableId, validateBody(tableLayoutSchema), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { tableLayouts: true }
+    });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found', code: 'USER_NOT_FOUND' });
+    }
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: { tableLayouts: { ...user.tableLayouts, [req.params.table]: req.body } }
+    });
+    res.json({ table: req.params.table, layout: req.body });
+  } catch (error) {
+    console.error('Error saving table layout:', error);
+    res.status(500).json({ error: 'Failed to save table layout', code: 'INTERNAL_ERROR' });
+  }
+});
+
+// List the current user's active sessions (one per signed-in device)
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await listUserSessions(req.user.id);
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session.id === req.user.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions', code: 'INTERNAL_ERROR' });
+  }
+});
+
+// Revoke a single session; its access token is rejected straight away (see isSessionActive)
+router.delete('/sessions/:sessionId', authenticateToken, userUpdateLimiter, async (req, res) => {
+  try {
+    const revoked = await revokeUserSession(req.user.id, req.params.sessionId);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found', code: 'SESSION_NOT_FOUND' });
+    }
+    res.json({
+      message: 'Session revoked successfully',
+      current: req.params.sessionId === req.user.sessionId
+    });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({ error: 'Failed to revoke session', code: 'INTERNAL_ERROR' });
+  }
+});
+
 export default router;
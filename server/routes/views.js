@@ -0,0 +1,358 @@
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { authenticateToken } from '../middleware/auth.js';
+import {
+  validateBody,
+  savedViewSchema,
+  savedViewUpdateSchema,
+  savedViewOrderSchema,
+  savedViewShareSchema
+} from '../middleware/validation.js';
+import { validateContactFilters } from '../utils/contactFilters.js';
+import { isWorkspaceMember } from '../utils/workspaces.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+const userSelect = { id: true, email: true, displayName: true };
+
+const viewInclude = {
+  user: { select: userSelect },
+  shares: {
+    include: { user: { select: userSelect } },
+    orderBy: { createdAt: 'asc' }
+  }
+};
+
+// Shape a view for the requesting user; only the owner sees who it is shared with
+const serializeView = (view, userId) => {
+  const isOwner = view.userId === userId;
+  return {
+    id: view.id,
+    name: view.name,
+    search: view.search,
+    filters: view.filters,
+    sorting: view.sorting,
+    columnOrder: view.columnOrder,
+    columnVisibility: view.columnVisibility,
+    columnSizing: view.columnSizing,
+    isOwner,
+    owner: view.user,
+    sharedWith: isOwner ? view.shares.map(share => share.user) : [],
+    createdAt: view.createdAt,
+    updatedAt: view.updatedAt
+  };
+};
+
+// Own views and views shared with the user in a workspace, in tab order
+const listViews = async (userId, workspaceId) => {
+  const [ownViews, shares] = await Promise.all([
+    prisma.savedView.findMany({
+      where: { userId, workspaceId },
+      include: viewInclude,
+      orderBy: [{ sortOrder: 'asc' }, { createdAt: 'asc' }]
+    }),
+    prisma.savedViewShare.findMany({
+      where: { userId, view: { workspaceId } },
+      include: { view: { include: viewInclude } },
+      orderBy: [{ sortOrder: 'asc' }, { createdAt: 'asc' }]
+    })
+  ]);
+
+  return [
+    ...ownViews.map(view => ({ position: view.sortOrder, view })),
+    ...shares.map(share => ({ position: share.sortOrder, view: share.view }))
+  ]
+    .sort((a, b) => a.position - b.position)
+    .map(entry => serializeView(entry.view, userId));
+};
+
+// Own views and shares share one tab order per workspace, so new tabs go after both
+const nextTabPosition = async (userId, workspaceId) => {
+  const [ownMax, shareMax] = await Promise.all([
+    prisma.savedView.aggregate({ where: { userId, workspaceId }, _max: { sortOrder: true } }),
+    prisma.savedViewShare.aggregate({ where: { userId, view: { workspaceId } }, _max: { sortOrder: true } })
+  ]);
+  return Math.max(ownMax._max.sortOrder ?? -1, shareMax._max.sortOrder ?? -1) + 1;
+};
+
+// Reject filters the contacts list would refuse, so a saved view always loads
+const checkFilters = async (req, res) => {
+  const { filters } = req.body;
+  if (!filters || filters.length === 0) return true;
+
+  const properties = await prisma.customPropertyDefinition.findMany({
+    where: { workspaceId: req.workspace.id, isActive: true },
+    select: { id: true, fieldKey: true, fieldType: true }
+  });
+
+  const filterErrors = validateContactFilters(filters, properties);
+  if (filterErrors.length > 0) {
+    res.status(400).json({
+      error: 'Invalid contact filters',
+      code: 'INVALID_FILTERS',
+      details: filterErrors
+    });
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Load a view the user can see in the current workspace. Responds 404 when it doesn't exist or isn't visible,
+ * and 403 when `ownerOnly` is set and the user only has it through a share.
+ */
+const findAccessibleView = async (req, res, { ownerOnly = false } = {}) => {
+  const userId = req.user.id;
+  const view = await prisma.savedView.findFirst({
+    where: {
+      id: req.params.id,
+      workspaceId: req.workspace.id,
+      OR: [{ userId }, { shares: { some: { userId } } }]
+    },
+    include: viewInclude
+  });
+
+  if (!view) {
+    res.status(404).json({
+      error: 'View not found',
+      code: 'VIEW_NOT_FOUND'
+    });
+    return null;
+  }
+
+  if (ownerOnly && view.userId !== userId) {
+    res.status(403).json({
+      error: 'Only the owner can change a shared view',
+      code: 'VIEW_READ_ONLY'
+    });
+    return null;
+  }
+
+  return view;
+};
+
+// GET /api/views - List saved views in tab order
+router.get('/', async (req, res) => {
+  try {
+    res.json(await listViews(req.user.id, req.workspace.id));
+  } catch (error) {
+    console.error('Error fetching views:', error);
+    res.status(500).json({
+      error: 'Failed to fetch views',
+      code: 'FETCH_VIEWS_ERROR'
+    });
+  }
+});
+
+// POST /api/views - Save a view as a new tab
+router.post('/', validateBody(savedViewSchema), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const workspaceId = req.workspace.id;
+    const { name, search, filters, sorting, columnOrder, columnVisibility, columnSizing } = req.body;
+    if (!await checkFilters(req, res)) return;
+
+    const view = await prisma.savedView.create({
+      data: {
+        workspaceId,
+        userId,
+        name,
+        search: search || null,
+        filters: filters ?? [],
+        sorting: sorting ?? [],
+        columnOrder: columnOrder ?? [],
+        columnVisibility: columnVisibility ?? {},
+        columnSizing: columnSizing ?? {},
+        sortOrder: await nextTabPosition(userId, workspaceId)
+      },
+      include: viewInclude
+    });
+
+    res.status(201).json(serializeView(view, userId));
+  } catch (error) {
+    console.error('Error creating view:', error);
+    res.status(500).json({
+      error: 'Failed to create view',
+      code: 'CREATE_VIEW_ERROR'
+    });
+  }
+});
+
+// PUT /api/views/order - Reorder tabs; must list every visible view exactly once
+router.put('/order', validateBody(savedViewOrderSchema), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const workspaceId = req.workspace.id;
+    const { viewIds } = req.body;
+
+    const [ownViews, shares] = await Promise.all([
+      prisma.savedView.findMany({ where: { userId, workspaceId }, select: { id: true } }),
+      prisma.savedViewShare.findMany({ where: { userId, view: { workspaceId } }, select: { id: true, viewId: true } })
+    ]);
+    const ownIds = new Set(ownViews.map(view => view.id));
+    const shareIdByViewId = new Map(shares.map(share => [share.viewId, share.id]));
+
+    if (viewIds.length !== ownIds.size + shareIdByViewId.size
+      || new Set(viewIds).size !== viewIds.length
+      || !viewIds.every(id => ownIds.has(id) || shareIdByViewId.has(id))) {
+      return res.status(400).json({
+        error: 'View order must include every view exactly once',
+        code: 'INVALID_VIEW_ORDER'
+      });
+    }
+
+    await prisma.$transaction(viewIds.map((id, index) => (ownIds.has(id)
+      ? prisma.savedView.update({ where: { id }, data: { sortOrder: index } })
+      : prisma.savedViewShare.update({ where: { id: shareIdByViewId.get(id) }, data: { sortOrder: index } }))));
+
+    res.json(await listViews(userId, workspaceId));
+  } catch (error) {
+    console.error('Error reordering views:', error);
+    res.status(500).json({
+      error: 'Failed to reorder views',
+      code: 'REORDER_VIEWS_ERROR'
+    });
+  }
+});
+
+// PUT /api/views/:id - Rename a view or overwrite its saved layout
+router.put('/:id', validateBody(savedViewUpdateSchema), async (req, res) => {
+  try {
+    const view = await findAccessibleView(req, res, { ownerOnly: true });
+    if (!view || !await checkFilters(req, res)) return;
+
+    const data = { ...req.body };
+    if ('search' in data) data.search = data.search || null;
+
+    const updated = await prisma.savedView.update({
+      where: { id: view.id },
+      data,
+      include: viewInclude
+    });
+
+    res.json(serializeView(updated, req.user.id));
+  } catch (error) {
+    console.error('Error updating view:', error);
+    res.status(500).json({
+      error: 'Failed to update view',
+      code: 'UPDATE_VIEW_ERROR'
+    });
+  }
+});
+
+// DELETE /api/views/:id - Delete an own view, or remove a shared view from the user's tabs
+router.delete('/:id', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const view = await findAccessibleView(req, res);
+    if (!view) return;
+
+    if (view.userId === userId) {
+      await prisma.savedView.delete({ where: { id: view.id } });
+    } else {
+      await prisma.savedViewShare.delete({
+        where: { viewId_userId: { viewId: view.id, userId } }
+      });
+    }
+
+    res.json({
+      message: view.userId === userId ? 'View deleted successfully' : 'Shared view removed',
+      id: view.id
+    });
+  } catch (error) {
+    console.error('Error deleting view:', error);
+    res.status(500).json({
+      error: 'Failed to delete view',
+      code: 'DELETE_VIEW_ERROR'
+    });
+  }
+});
+
+// POST /api/views/:id/shares - Share a view (read-only) with another workspace member by email
+router.post('/:id/shares', validateBody(savedViewShareSchema), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const view = await findAccessibleView(req, res, { ownerOnly: true });
+    if (!view) return;
+
+    const recipient = await prisma.user.findUnique({
+      where: { email: req.body.email.trim() },
+      select: { id: true }
+    });
+
+    if (!recipient) {
+      return res.status(404).json({
+        error: 'No user with that email address',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    if (recipient.id === userId) {
+      return res.status(400).json({
+        error: 'You cannot share a view with yourself',
+        code: 'CANNOT_SHARE_WITH_SELF'
+      });
+    }
+
+    if (!await isWorkspaceMember(prisma, view.workspaceId, recipient.id)) {
+      return res.status(400).json({
+        error: 'Views can only be shared with members of this workspace',
+        code: 'NOT_WORKSPACE_MEMBER'
+      });
+    }
+
+    if (!view.shares.some(share => share.userId === recipient.id)) {
+      await prisma.savedViewShare.create({
+        data: {
+          viewId: view.id,
+          userId: recipient.id,
+          sortOrder: await nextTabPosition(recipient.id, view.workspaceId)
+        }
+      });
+    }
+
+    const updated = await prisma.savedView.findUnique({
+      where: { id: view.id },
+      include: viewInclude
+    });
+
+    res.status(201).json(serializeView(updated, userId));
+  } catch (error) {
+    console.error('Error sharing view:', error);
+    res.status(500).json({
+      error: 'Failed to share view',
+      code: 'SHARE_VIEW_ERROR'
+    });
+  }
+});
+
+// DELETE /api/views/:id/shares/:userId - Stop sharing a view with a user
+router.delete('/:id/shares/:userId', async (req, res) => {
+  try {
+    const view = await findAccessibleView(req, res, { ownerOnly: true });
+    if (!view) return;
+
+    await prisma.savedViewShare.deleteMany({
+      where: { viewId: view.id, userId: req.params.userId }
+    });
+
+    const updated = await prisma.savedView.findUnique({
+      where: { id: view.id },
+      include: viewInclude
+    });
+
+    res.json(serializeView(updated, req.user.id));
+  } catch (error) {
+    console.error('Error unsharing view:', error);
+    res.status(500).json({
+      error: 'Failed to stop sharing view',
+      code: 'UNSHARE_VIEW_ERROR'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,231 @@
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import {
+  validateBody,
+  webhookSubscriptionSchema,
+  webhookSubscriptionUpdateSchema
+} from '../middleware/validation.js';
+import { PERMISSIONS } from '../utils/permissions.js';
+import { checkWebhookUrl, generateWebhookSecret, sendTestWebhook } from '../utils/webhooks.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Apply authentication to all routes; webhooks can carry any workspace data, so every route is admin-only
+router.use(authenticateToken);
+router.use(requirePermission(PERMISSIONS.MANAGE_WEBHOOKS));
+
+const DELIVERY_LOG_LIMIT = 50;
+
+// The secret is only sent when a subscription is created or its secret is rotated
+const subscriptionSelect = {
+  id: true,
+  url: true,
+  description: true,
+  events: true,
+  isActive: true,
+  createdAt: true,
+  updatedAt: true,
+  createdBy: { select: { id: true, email: true, displayName: true } },
+  deliveries: {
+    orderBy: { createdAt: 'desc' },
+    take: 1,
+    select: { status: true, attempts: true, responseStatus: true, createdAt: true }
+  }
+};
+
+const serializeSubscription = ({ deliveries, ...subscription }) => ({
+  ...subscription,
+  lastDelivery: deliveries[0] || null
+});
+
+const findSubscription = async (req, res) => {
+  const subscription = await prisma.webhookSubscription.findFirst({
+    where: { id: req.params.id, workspaceId: req.workspace.id }
+  });
+
+  if (!subscription) {
+    res.status(404).json({
+      error: 'Webhook not found',
+      code: 'WEBHOOK_NOT_FOUND'
+    });
+  }
+  return subscription;
+};
+
+// Refuse URLs that point inside our network; returns false once the error response has been sent
+const ensureUrlAllowed = async (url, res) => {
+  const urlError = await checkWebhookUrl(url);
+  if (urlError) {
+    res.status(400).json({
+      error: urlError,
+      code: 'WEBHOOK_URL_NOT_ALLOWED'
+    });
+    return false;
+  }
+  return true;
+};
+
+// GET /api/webhooks - The workspace's webhook subscriptions with their latest delivery
+router.get('/', async (req, res) => {
+  try {
+    const subscriptions = await prisma.webhookSubscription.findMany({
+      where: { workspaceId: req.workspace.id },
+      select: subscriptionSelect,
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json(subscriptions.map(serializeSubscription));
+  } catch (error) {
+    console.error('Error fetching webhooks:', error);
+    res.status(500).json({
+      error: 'Failed to fetch webhooks',
+      code: 'FETCH_WEBHOOKS_ERROR'
+    });
+  }
+});
+
+// POST /api/webhooks - Subscribe a URL to events; the response includes the signing secret
+router.post('/', validateBody(webhookSubscriptionSchema), async (req, res) => {
+  try {
+    if (!await ensureUrlAllowed(req.body.url, res)) return;
+
+    const secret = generateWebhookSecret();
+    const subscription = await prisma.webhookSubscription.create({
+      data: {
+        ...req.body,
+        secret,
+        workspaceId: req.workspace.id,
+        createdById: req.user.id
+      },
+      select: subscriptionSelect
+    });
+
+    res.status(201).json({ ...serializeSubscription(subscription), secret });
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    res.status(500).json({
+      error: 'Failed to create webhook',
+      code: 'CREATE_WEBHOOK_ERROR'
+    });
+  }
+});
+
+// PUT /api/webhooks/:id - Change the URL or events, or pause it with isActive: false
+router.put('/:id', validateBody(webhookSubscriptionUpdateSchema), async (req, res) => {
+  try {
+    const subscription = await findSubscription(req, res);
+    if (!subscription) return;
+    if (req.body.url && !await ensureUrlAllowed(req.body.url, res)) return;
+
+    const updated = await prisma.webhookSubscription.update({
+      where: { id: subscription.id },
+      data: req.body,
+      select: subscriptionSelect
+    });
+
+    res.json(serializeSubscription(updated));
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    res.status(500).json({
+      error: 'Failed to update webhook',
+      code: 'UPDATE_WEBHOOK_ERROR'
+    });
+  }
+});
+
+// POST /api/webhooks/:id/rotate-secret - Replace the signing secret; the old one stops working immediately
+router.post('/:id/rotate-secret', async (req, res) => {
+  try {
+    const subscription = await findSubscription(req, res);
+    if (!subscription) return;
+
+    const secret = generateWebhookSecret();
+    const updated = await prisma.webhookSubscription.update({
+      where: { id: subscription.id },
+      data: { secret },
+      select: subscriptionSelect
+    });
+
+    res.json({ ...serializeSubscription(updated), secret });
+  } catch (error) {
+    console.error('Error rotating webhook secret:', error);
+    res.status(500).json({
+      error: 'Failed to rotate webhook secret',
+      code: 'ROTATE_WEBHOOK_SECRET_ERROR'
+    });
+  }
+});
+
+// POST /api/webhooks/:id/test - Queue a webhook.test event; its result appears in the delivery log
+router.post('/:id/test', async (req, res) => {
+  try {
+    const subscription = await findSubscription(req, res);
+    if (!subscription) return;
+
+    const delivery = await sendTestWebhook(subscription, req.user);
+
+    res.status(202).json(delivery);
+  } catch (error) {
+    console.error('Error sending test webhook:', error);
+    res.status(500).json({
+      error: 'Failed to send test event',
+      code: 'TEST_WEBHOOK_ERROR'
+    });
+  }
+});
+
+// GET /api/webhooks/:id/deliveries - Recent deliveries, newest first
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    const subscription = await findSubscription(req, res);
+    if (!subscription) return;
+
+    const deliveries = await prisma.webhookDelivery.findMany({
+      where: { subscriptionId: subscription.id },
+      orderBy: { createdAt: 'desc' },
+      take: DELIVERY_LOG_LIMIT,
+      select: {
+        id: true,
+        eventId: true,
+        event: true,
+        status: true,
+        attempts: true,
+        responseStatus: true,
+        error: true,
+        nextAttemptAt: true,
+        deliveredAt: true,
+        createdAt: true
+      }
+    });
+
+    res.json(deliveries);
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({
+      error: 'Failed to fetch webhook deliveries',
+      code: 'FETCH_WEBHOOK_DELIVERIES_ERROR'
+    });
+  }
+});
+
+// DELETE /api/webhooks/:id - Stop sending events; its delivery log is deleted with it
+router.delete('/:id', async (req, res) => {
+  try {
+    const subscription = await findSubscription(req, res);
+    if (!subscription) return;
+
+    await prisma.webhookSubscription.delete({ where: { id: subscription.id } });
+
+    res.json({ message: 'Webhook deleted successfully', id: subscription.id });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({
+      error: 'Failed to delete webhook',
+      code: 'DELETE_WEBHOOK_ERROR'
+    });
+  }
+});
+
+export default router;
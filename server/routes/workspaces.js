@@ -0,0 +1,316 @@
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { authenticateToken } from '../middleware/auth.js';
+import {
+  validateBody,
+  workspaceSchema,
+  workspaceMemberSchema,
+  workspaceMemberUpdateSchema
+} from '../middleware/validation.js';
+import { createWorkspace, ensurePersonalWorkspace } from '../utils/workspaces.js';
+import { recordAssignments } from '../utils/assignments.js';
+import { PERMISSIONS, hasPermission, permissionsFor } from '../utils/permissions.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+const memberUserSelect = { id: true, email: true, displayName: true };
+
+// The workspace with the requesting user's role and what it allows them to do
+const serializeWorkspace = (workspace, membership) => ({
+  id: workspace.id,
+  name: workspace.name,
+  role: membership.role,
+  permissions: permissionsFor(membership),
+  memberCount: workspace._count?.members ?? 1,
+  createdAt: workspace.createdAt
+});
+
+const serializeMember = (member) => ({
+  ...member.user,
+  role: member.role,
+  canViewAllContacts: member.canViewAllContacts,
+  joinedAt: member.createdAt
+});
+
+const permissionDenied = (res, error) => res.status(403).json({ error, code: 'PERMISSION_DENIED' });
+
+/**
+ * Load the requesting user's membership of the workspace in the URL. Responds 404 when they
+ * aren't a member, and 403 when it lacks `permission`.
+ */
+const findMembership = async (req, res, { permission } = {}) => {
+  const membership = await prisma.workspaceMember.findUnique({
+    where: { workspaceId_userId: { workspaceId: req.params.id, userId: req.user.id } },
+    select: { role: true, canViewAllContacts: true }
+  });
+
+  if (!membership) {
+    res.status(404).json({
+      error: 'Workspace not found',
+      code: 'WORKSPACE_NOT_FOUND'
+    });
+    return null;
+  }
+
+  if (permission && !hasPermission(membership, permission)) {
+    permissionDenied(res, 'Your role in this workspace does not allow this');
+    return null;
+  }
+
+  return membership;
+};
+
+// A workspace can't be left without an owner; true when `member` is its only one
+const isLastOwner = async (workspaceId, member) => {
+  if (member.role !== 'OWNER') return false;
+  const ownerCount = await prisma.workspaceMember.count({ where: { workspaceId, role: 'OWNER' } });
+  return ownerCount <= 1;
+};
+
+// GET /api/workspaces - Workspaces the user belongs to, oldest first
+router.get('/', async (req, res) => {
+  try {
+    const memberships = await prisma.workspaceMember.findMany({
+      where: { userId: req.user.id },
+      include: { workspace: { include: { _count: { select: { members: true } } } } },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json(memberships.map(membership => serializeWorkspace(membership.workspace, membership)));
+  } catch (error) {
+    console.error('Error fetching workspaces:', error);
+    res.status(500).json({
+      error: 'Failed to fetch workspaces',
+      code: 'FETCH_WORKSPACES_ERROR'
+    });
+  }
+});
+
+// POST /api/workspaces - Create a workspace owned by the user
+router.post('/', validateBody(workspaceSchema), async (req, res) => {
+  try {
+    const workspace = await createWorkspace(prisma, { name: req.body.name, ownerId: req.user.id });
+
+    res.status(201).json(serializeWorkspace(workspace, { role: 'OWNER', canViewAllContacts: false }));
+  } catch (error) {
+    console.error('Error creating workspace:', error);
+    res.status(500).json({
+      error: 'Failed to create workspace',
+      code: 'CREATE_WORKSPACE_ERROR'
+    });
+  }
+});
+
+// PUT /api/workspaces/:id - Rename a workspace (owners only)
+router.put('/:id', validateBody(workspaceSchema), async (req, res) => {
+  try {
+    const membership = await findMembership(req, res, { permission: PERMISSIONS.MANAGE_WORKSPACE });
+    if (!membership) return;
+
+    const workspace = await prisma.workspace.update({
+      where: { id: req.params.id },
+      data: { name: req.body.name },
+      include: { _count: { select: { members: true } } }
+    });
+
+    res.json(serializeWorkspace(workspace, membership));
+  } catch (error) {
+    console.error('Error updating workspace:', error);
+    res.status(500).json({
+      error: 'Failed to update workspace',
+      code: 'UPDATE_WORKSPACE_ERROR'
+    });
+  }
+});
+
+// GET /api/workspaces/:id/members - Members of a workspace, e.g. for assigning contacts
+router.get('/:id/members', async (req, res) => {
+  try {
+    if (!await findMembership(req, res)) return;
+
+    const members = await prisma.workspaceMember.findMany({
+      where: { workspaceId: req.params.id },
+      include: { user: { select: memberUserSelect } },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json(members.map(serializeMember));
+  } catch (error) {
+    console.error('Error fetching workspace members:', error);
+    res.status(500).json({
+      error: 'Failed to fetch workspace members',
+      code: 'FETCH_WORKSPACE_MEMBERS_ERROR'
+    });
+  }
+});
+
+// POST /api/workspaces/:id/members - Add an existing user by email, as an agent unless a role is given
+router.post('/:id/members', validateBody(workspaceMemberSchema), async (req, res) => {
+  try {
+    const membership = await findMembership(req, res, { permission: PERMISSIONS.MANAGE_MEMBERS });
+    if (!membership) return;
+
+    const { role = 'AGENT', canViewAllContacts = false } = req.body;
+    if (role === 'OWNER' && membership.role !== 'OWNER') {
+      return permissionDenied(res, 'Only owners can add other owners');
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { email: req.body.email.trim() },
+      select: { id: true }
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'No user with that email address',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    const existing = await prisma.workspaceMember.findUnique({
+      where: { workspaceId_userId: { workspaceId: req.params.id, userId: user.id } },
+      select: { id: true }
+    });
+
+    if (existing) {
+      return res.status(409).json({
+        error: 'That user is already a member of this workspace',
+        code: 'ALREADY_WORKSPACE_MEMBER'
+      });
+    }
+
+    const member = await prisma.workspaceMember.create({
+      data: { workspaceId: req.params.id, userId: user.id, role, canViewAllContacts },
+      include: { user: { select: memberUserSelect } }
+    });
+
+    res.status(201).json(serializeMember(member));
+  } catch (error) {
+    console.error('Error adding workspace member:', error);
+    res.status(500).json({
+      error: 'Failed to add workspace member',
+      code: 'ADD_WORKSPACE_MEMBER_ERROR'
+    });
+  }
+});
+
+// PUT /api/workspaces/:id/members/:userId - Change a member's role or contact visibility
+router.put('/:id/members/:userId', validateBody(workspaceMemberUpdateSchema), async (req, res) => {
+  try {
+    const workspaceId = req.params.id;
+    const membership = await findMembership(req, res, { permission: PERMISSIONS.MANAGE_MEMBERS });
+    if (!membership) return;
+
+    const member = await prisma.workspaceMember.findUnique({
+      where: { workspaceId_userId: { workspaceId, userId: req.params.userId } },
+      select: { id: true, role: true }
+    });
+
+    if (!member) {
+      return res.status(404).json({
+        error: 'Member not found',
+        code: 'MEMBER_NOT_FOUND'
+      });
+    }
+
+    const { role, canViewAllContacts } = req.body;
+    if (membership.role !== 'OWNER' && (member.role === 'OWNER' || role === 'OWNER')) {
+      return permissionDenied(res, 'Only owners can change who owns the workspace');
+    }
+
+    if (role && role !== 'OWNER' && await isLastOwner(workspaceId, member)) {
+      return res.status(400).json({
+        error: 'A workspace must keep at least one owner',
+        code: 'LAST_WORKSPACE_OWNER'
+      });
+    }
+
+    const updated = await prisma.workspaceMember.update({
+      where: { id: member.id },
+      data: {
+        ...(role && { role }),
+        ...(canViewAllContacts !== undefined && { canViewAllContacts })
+      },
+      include: { user: { select: memberUserSelect } }
+    });
+
+    res.json(serializeMember(updated));
+  } catch (error) {
+    console.error('Error updating workspace member:', error);
+    res.status(500).json({
+      error: 'Failed to update workspace member',
+      code: 'UPDATE_WORKSPACE_MEMBER_ERROR'
+    });
+  }
+});
+
+// DELETE /api/workspaces/:id/members/:userId - Remove a member (owners and admins), or leave the workspace (anyone)
+router.delete('/:id/members/:userId', async (req, res) => {
+  try {
+    const workspaceId = req.params.id;
+    const memberId = req.params.userId;
+    const isSelf = memberId === req.user.id;
+
+    const membership = await findMembership(req, res, isSelf ? {} : { permission: PERMISSIONS.MANAGE_MEMBERS });
+    if (!membership) return;
+
+    const member = await prisma.workspaceMember.findUnique({
+      where: { workspaceId_userId: { workspaceId, userId: memberId } },
+      select: { id: true, role: true }
+    });
+
+    if (!member) {
+      return res.status(404).json({
+        error: 'Member not found',
+        code: 'MEMBER_NOT_FOUND'
+      });
+    }
+
+    if (!isSelf && member.role === 'OWNER' && membership.role !== 'OWNER') {
+      return permissionDenied(res, 'Only owners can remove another owner');
+    }
+
+    if (await isLastOwner(workspaceId, member)) {
+      return res.status(400).json({
+        error: 'A workspace must keep at least one owner',
+        code: 'LAST_WORKSPACE_OWNER'
+      });
+    }
+
+    // Contacts stay in the workspace; they just go back to being unassigned
+    await prisma.$transaction(async (tx) => {
+      const assignedContacts = await tx.contact.findMany({
+        where: { workspaceId, assignedToId: memberId },
+        select: { id: true }
+      });
+      await tx.contact.updateMany({
+        where: { workspaceId, assignedToId: memberId },
+        data: { assignedToId: null }
+      });
+      await recordAssignments(tx, req.user.id, assignedContacts.map(contact => ({
+        contactId: contact.id,
+        previousAssigneeId: memberId,
+        assigneeId: null
+      })));
+      await tx.workspaceMember.delete({ where: { id: member.id } });
+    });
+    await ensurePersonalWorkspace(prisma, memberId);
+
+    res.json({
+      message: isSelf ? 'You left the workspace' : 'Member removed successfully',
+      userId: memberId
+    });
+  } catch (error) {
+    console.error('Error removing workspace member:', error);
+    res.status(500).json({
+      error: 'Failed to remove workspace member',
+      code: 'REMOVE_WORKSPACE_MEMBER_ERROR'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,32 @@
+import { emitWebhookEvent } from './webhooks.js';
+
+// Send activity.created for activities that have been committed
+export const announceActivities = (workspaceId, activities) => {
+  for (const activity of activities) {
+    emitWebhookEvent(workspaceId, 'activity.created', { activity });
+  }
+};
+
+/**
+ * Create timeline activities from `data` rows and send an activity.created webhook for each;
+ * every activity is written through here. When `db` is a transaction client, pass a `pending`
+ * array: the activities are added to it instead, to be announced once the transaction commits.
+ * Returns the created activities.
+ */
+export const recordActivities = async (db, workspaceId, data, pending) => {
+  if (data.length === 0) return [];
+
+  const activities = await db.activity.createManyAndReturn({ data });
+  if (pending) {
+    pending.push(...activities);
+  } else {
+    announceActivities(workspaceId, activities);
+  }
+  return activities;
+};
+
+// recordActivities for a single activity
+export const recordActivity = async (db, workspaceId, data, pending) => {
+  const [activity] = await recordActivities(db, workspaceId, [data], pending);
+  return activity;
+};
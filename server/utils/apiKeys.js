@@ -0,0 +1,78 @@
+import crypto from 'crypto';
+
+// Keys are sent as "Authorization: Bearer scrm_..."; the prefix tells them apart from JWTs
+export const API_KEY_PREFIX = 'scrm_';
+const DISPLAY_PREFIX_LENGTH = API_KEY_PREFIX.length + 6;
+
+// What a key can be scoped to, and the API paths each resource covers. Paths not listed here
+// (account, sessions, members, webhooks, API keys...) can only be reached by signing in
+export const API_KEY_RESOURCES = {
+  contacts: ['/api/contacts', '/api/imports'],
+  tasks: ['/api/tasks', '/api/leads'],
+  properties: ['/api/custom-properties'],
+  listings: ['/api/listings'],
+  deals: ['/api/deals', '/api/pipelines']
+};
+
+// read allows GET requests; write allows every method and implies read
+export const API_KEY_ACCESS = ['read', 'write'];
+
+export const API_KEY_SCOPES = Object.keys(API_KEY_RESOURCES)
+  .flatMap(resource => API_KEY_ACCESS.map(access => `${resource}:${access}`));
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Last-used is written at most this often per key, not on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+export const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// A new key; only its hash and display prefix are stored
+export const generateApiKey = () => {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+  return { key, prefix: key.slice(0, DISPLAY_PREFIX_LENGTH), keyHash: hashApiKey(key) };
+};
+
+// The API key a request authenticates with, or null when it uses a JWT or nothing
+export const extractApiKey = (req) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+  return token && token.startsWith(API_KEY_PREFIX) ? token : null;
+};
+
+const resourceForPath = (path) => Object.keys(API_KEY_RESOURCES).find(resource => API_KEY_RESOURCES[resource]
+  .some(prefix => path === prefix || path.startsWith(`${prefix}/`)));
+
+/**
+ * Whether a key with `scopes` may make this request. Returns { allowed } or, when it may not,
+ * { allowed: false, reason } describing the missing scope.
+ */
+export const checkApiKeyScope = (scopes, method, path) => {
+  const resource = resourceForPath(path);
+  if (!resource) {
+    return { allowed: false, reason: 'API keys cannot be used for this endpoint' };
+  }
+
+  const isRead = READ_METHODS.includes(method);
+  const allowed = scopes.includes(`${resource}:write`) || (isRead && scopes.includes(`${resource}:read`));
+  return allowed
+    ? { allowed }
+    : { allowed, reason: `This API key does not have ${isRead ? 'read' : 'write'} access to ${resource}` };
+};
+
+export const isApiKeyExpired = (apiKey) => !!apiKey.expiresAt && apiKey.expiresAt <= new Date();
+
+export const findApiKey = (db, key) => db.apiKey.findUnique({
+  where: { keyHash: hashApiKey(key) },
+  include: { user: { select: { id: true, email: true, displayName: true } } }
+});
+
+// Record that the key was just used; failures are logged rather than failing the request
+export const touchApiKey = (db, apiKey, ipAddress) => {
+  if (apiKey.lastUsedAt && Date.now() - apiKey.lastUsedAt.getTime() < LAST_USED_RESOLUTION_MS) return;
+
+  db.apiKey.update({
+    where: { id: apiKey.id },
+    data: { lastUsedAt: new Date(), lastUsedIp: ipAddress || null }
+  }).catch(error => console.error('Failed to record API key use:', error));
+};
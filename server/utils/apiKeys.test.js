@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  API_KEY_PREFIX,
+  API_KEY_SCOPES,
+  checkApiKeyScope,
+  extractApiKey,
+  generateApiKey,
+  hashApiKey,
+  isApiKeyExpired
+} from './apiKeys.js';
+
+test('generateApiKey returns a prefixed key with its hash and display prefix', () => {
+  const { key, prefix, keyHash } = generateApiKey();
+  assert.ok(key.startsWith(API_KEY_PREFIX));
+  assert.equal(prefix, key.slice(0, API_KEY_PREFIX.length + 6));
+  assert.equal(keyHash, hashApiKey(key));
+  assert.notEqual(generateApiKey().key, key);
+});
+
+test('extractApiKey only picks up bearer tokens with the key prefix', () => {
+  assert.equal(extractApiKey({ headers: { authorization: 'Bearer scrm_abc' } }), 'scrm_abc');
+  assert.equal(extractApiKey({ headers: { authorization: 'Bearer eyJhbGciOi' } }), null);
+  assert.equal(extractApiKey({ headers: {} }), null);
+});
+
+test('API_KEY_SCOPES lists read and write for every resource', () => {
+  assert.ok(API_KEY_SCOPES.includes('contacts:read'));
+  assert.ok(API_KEY_SCOPES.includes('deals:write'));
+  assert.equal(API_KEY_SCOPES.length % 2, 0);
+});
+
+test('checkApiKeyScope lets read scopes make GET requests only', () => {
+  assert.deepEqual(checkApiKeyScope(['contacts:read'], 'GET', '/api/contacts'), { allowed: true });
+  assert.deepEqual(checkApiKeyScope(['contacts:read'], 'GET', '/api/imports/123'), { allowed: true });
+  assert.deepEqual(checkApiKeyScope(['contacts:read'], 'POST', '/api/contacts'), {
+    allowed: false,
+    reason: 'This API key does not have write access to contacts'
+  });
+});
+
+test('checkApiKeyScope lets write scopes use every method on their resource', () => {
+  for (const method of ['GET', 'POST', 'PUT', 'PATCH', 'DELETE']) {
+    assert.equal(checkApiKeyScope(['tasks:write'], method, '/api/tasks/t1').allowed, true, method);
+  }
+  assert.equal(checkApiKeyScope(['tasks:write'], 'GET', '/api/contacts').allowed, false);
+});
+
+test('checkApiKeyScope matches whole path segments', () => {
+  assert.equal(checkApiKeyScope(['deals:write'], 'GET', '/api/deals-export').allowed, false);
+  assert.equal(checkApiKeyScope(['deals:write'], 'GET', '/api/pipelines/p1/stages').allowed, true);
+});
+
+test('checkApiKeyScope never allows account, webhook or API key endpoints', () => {
+  const everything = API_KEY_SCOPES;
+  for (const path of ['/api/users/me', '/api/webhooks', '/api/api-keys', '/api/workspaces/w1/members']) {
+    assert.deepEqual(checkApiKeyScope(everything, 'GET', path), {
+      allowed: false,
+      reason: 'API keys cannot be used for this endpoint'
+    });
+  }
+});
+
+test('isApiKeyExpired is true only once expiresAt has passed', () => {
+  assert.equal(isApiKeyExpired({ expiresAt: null }), false);
+  assert.equal(isApiKeyExpired({ expiresAt: new Date(Date.now() + 60000) }), false);
+  assert.equal(isApiKeyExpired({ expiresAt: new Date(Date.now() - 1) }), true);
+});
@@ -0,0 +1,85 @@
+export const ASSIGNMENT_RULE_TYPES = ['ROUND_ROBIN', 'SUBURB', 'LEAD_SOURCE'];
+
+// The custom field each conditional rule type matches on
+const RULE_FIELD_KEYS = {
+  SUBURB: 'suburb',
+  LEAD_SOURCE: 'lead_source'
+};
+
+const assigneeUserSelect = { id: true, email: true, displayName: true };
+
+/**
+ * Active rules of a workspace in the order they are tried, plus its current member ids so
+ * assignees who have since left are skipped. Load once and reuse it for every contact of an import.
+ */
+export const loadAssignmentRules = async (db, workspaceId) => {
+  const [rules, members] = await Promise.all([
+    db.assignmentRule.findMany({
+      where: { workspaceId, isActive: true },
+      orderBy: [{ position: 'asc' }, { createdAt: 'asc' }]
+    }),
+    db.workspaceMember.findMany({ where: { workspaceId }, select: { userId: true } })
+  ]);
+  return { rules, memberIds: new Set(members.map(member => member.userId)) };
+};
+
+const ruleMatches = (rule, fields) => {
+  if (rule.type === 'ROUND_ROBIN') return true;
+  const value = fields[RULE_FIELD_KEYS[rule.type]];
+  if (value === undefined || value === null || String(value).trim() === '') return false;
+  const needle = String(value).trim().toLowerCase();
+  return rule.matchValues.some(candidate => candidate.trim().toLowerCase() === needle);
+};
+
+/**
+ * Pick the assignee for a new contact from its custom field values (keyed by fieldKey).
+ * The first matching rule with a current member among its assignees hands the contact to whoever's
+ * turn it is; the rule's counter is bumped atomically so concurrent creates take different turns.
+ * Returns { assigneeId, ruleId }, or null when no rule applies.
+ */
+export const pickRuleAssignee = async (db, { rules, memberIds }, fields) => {
+  for (const rule of rules) {
+    if (!ruleMatches(rule, fields)) continue;
+    const assignees = rule.assigneeIds.filter(id => memberIds.has(id));
+    if (assignees.length === 0) continue;
+
+    const { assignedCount } = await db.assignmentRule.update({
+      where: { id: rule.id },
+      data: { assignedCount: { increment: 1 } },
+      select: { assignedCount: true }
+    });
+    return { assigneeId: assignees[(assignedCount - 1) % assignees.length], ruleId: rule.id };
+  }
+  return null;
+};
+
+/**
+ * Record assignee changes in the contacts' assignment history. Each entry is
+ * { contactId, previousAssigneeId, assigneeId, ruleId? }; entries that don't change anything are dropped.
+ */
+export const recordAssignments = async (db, assignedById, entries) => {
+  const data = entries
+    .filter(entry => (entry.previousAssigneeId || null) !== (entry.assigneeId || null))
+    .map(({ contactId, previousAssigneeId = null, assigneeId = null, ruleId = null }) => ({
+      contactId,
+      previousAssigneeId,
+      assigneeId,
+      assignedById,
+      ruleId
+    }));
+  if (data.length > 0) {
+    await db.contactAssignment.createMany({ data });
+  }
+};
+
+// A contact's assignment history, newest first, with the people and rule involved
+export const findAssignmentHistory = (db, contactId) => db.contactAssignment.findMany({
+  where: { contactId },
+  include: {
+    previousAssignee: { select: assigneeUserSelect },
+    assignee: { select: assigneeUserSelect },
+    assignedBy: { select: assigneeUserSelect },
+    rule: { select: { id: true, name: true, type: true } }
+  },
+  orderBy: { createdAt: 'desc' }
+});
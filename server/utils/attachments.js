@@ -0,0 +1,138 @@
+import path from 'path';
+import { createStorageKey, getStorage } from './storage.js';
+
+export const ATTACHMENT_MAX_BYTES = (parseInt(process.env.ATTACHMENT_MAX_MB) || 10) * 1024 * 1024;
+
+// Accepted file extensions and the type each is stored and served as; the client's claimed type is ignored
+export const ATTACHMENT_TYPES = {
+  '.pdf': 'application/pdf',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.heic': 'image/heic',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv',
+  '.rtf': 'application/rtf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.odt': 'application/vnd.oasis.opendocument.text',
+  '.ods': 'application/vnd.oasis.opendocument.spreadsheet'
+};
+
+// Types browsers can safely show inline for previews
+const INLINE_TYPES = ['application/pdf', 'image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+let attachmentScanner = null;
+
+/**
+ * Register a virus scanner that every upload passes through before it is stored, e.g. a ClamAV client:
+ * `async ({ fileName, mimeType, data }) => ({ clean: boolean, reason?: string })`. Without one,
+ * uploads are only checked against the size and type limits.
+ */
+export const setAttachmentScanner = (scanner) => {
+  attachmentScanner = scanner;
+};
+
+/**
+ * Check an uploaded file against the type limits and the scanner. Returns { file } with its
+ * canonical type, or { status, error, code } describing why it was refused.
+ */
+export const prepareAttachment = async (file) => {
+  const extension = path.extname(file.fileName).toLowerCase();
+  const mimeType = ATTACHMENT_TYPES[extension];
+  if (!mimeType) {
+    return {
+      status: 415,
+      error: `${extension || 'Files without an extension'} files can't be attached. Allowed: ${Object.keys(ATTACHMENT_TYPES).join(', ')}`,
+      code: 'UNSUPPORTED_FILE_TYPE'
+    };
+  }
+
+  const checked = { ...file, mimeType };
+  if (attachmentScanner) {
+    const result = await attachmentScanner(checked);
+    if (!result?.clean) {
+      return {
+        status: 422,
+        error: `File was rejected by the virus scanner${result?.reason ? `: ${result.reason}` : ''}`,
+        code: 'FILE_REJECTED'
+      };
+    }
+  }
+
+  return { file: checked };
+};
+
+// Attachment fields returned to clients; storageKey stays on the server
+export const attachmentSelect = {
+  id: true,
+  contactId: true,
+  noteId: true,
+  fileName: true,
+  mimeType: true,
+  size: true,
+  createdAt: true
+};
+
+/**
+ * Store an uploaded file and create its Attachment row. The file is written first and
+ * removed again if the row can't be created, so rows never point at missing files.
+ */
+export const saveAttachment = async (db, { userId, contactId, noteId = null, file }) => {
+  const storage = getStorage();
+  const storageKey = createStorageKey(`attachments/${userId}`, file.fileName);
+  await storage.put(storageKey, file.data);
+
+  try {
+    return await db.attachment.create({
+      data: {
+        userId,
+        contactId,
+        noteId,
+        fileName: file.fileName,
+        mimeType: file.mimeType,
+        size: file.data.length,
+        storageKey
+      },
+      select: attachmentSelect
+    });
+  } catch (error) {
+    await storage.remove(storageKey).catch(() => {});
+    throw error;
+  }
+};
+
+// `inline` serves images and PDFs for in-page previews; everything else is always a download
+export const sendAttachment = async (res, attachment, { inline = false } = {}) => {
+  const data = await getStorage().get(attachment.storageKey);
+  const disposition = inline && INLINE_TYPES.includes(attachment.mimeType) ? 'inline' : 'attachment';
+  res.set({
+    'Content-Type': attachment.mimeType,
+    'Content-Length': data.length,
+    'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.fileName)}`,
+    'X-Content-Type-Options': 'nosniff',
+    'Cache-Control': 'private, no-cache'
+  });
+  res.send(data);
+};
+
+// Delete stored files after their rows are gone; failures only leave orphaned files, so they are logged
+export const removeAttachmentFiles = async (storageKeys) => {
+  const storage = getStorage();
+  const results = await Promise.allSettled(storageKeys.map(key => storage.remove(key)));
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => console.error('Failed to remove attachment file:', result.reason));
+};
+
+// Storage keys of every attachment matching `where`, read before a cascading delete removes the rows
+export const attachmentStorageKeys = async (db, where) => {
+  const attachments = await db.attachment.findMany({ where, select: { storageKey: true } });
+  return attachments.map(attachment => attachment.storageKey);
+};
@@ -0,0 +1,122 @@
+// Fields whose values must never be copied into the audit log; changes are recorded as redacted
+const REDACTED_FIELDS = ['password'];
+const REDACTED = '[redacted]';
+
+// Core contact columns recorded on contact events
+export const CONTACT_AUDIT_FIELDS = ['name', 'email', 'phone', 'address', 'assignedToId'];
+export const TASK_AUDIT_FIELDS = ['title', 'description', 'status', 'priority', 'dueDate'];
+export const NOTE_AUDIT_FIELDS = ['content', 'format', 'isPinned'];
+export const ATTACHMENT_AUDIT_FIELDS = ['fileName', 'mimeType', 'size', 'noteId'];
+export const PROPERTY_AUDIT_FIELDS = ['name', 'fieldKey', 'fieldType', 'isRequired', 'defaultValue', 'sortOrder', 'isActive', 'trackChanges'];
+export const PROPERTY_OPTION_AUDIT_FIELDS = ['label', 'value', 'sortOrder', 'isActive'];
+// Pass the password hash as `password`; it is only ever logged as redacted
+export const USER_AUDIT_FIELDS = ['email', 'displayName', 'jobTitle', 'password', 'profileImageKey'];
+
+const toAuditValue = (value) => {
+  if (value === undefined || value === '') return null;
+  if (value instanceof Date) return value.toISOString();
+  return value;
+};
+
+/**
+ * Field-level differences between two versions of a record as { field: { from, to } }.
+ * Pass an empty object for `before` on create and for `after` on delete.
+ */
+export const diffFields = (before, after, fields) => {
+  const changes = {};
+  fields.forEach(field => {
+    const from = toAuditValue(before?.[field]);
+    const to = toAuditValue(after?.[field]);
+    if (JSON.stringify(from) === JSON.stringify(to)) return;
+    changes[field] = REDACTED_FIELDS.includes(field)
+      ? { from: from === null ? null : REDACTED, to: to === null ? null : REDACTED }
+      : { from, to };
+  });
+  return changes;
+};
+
+// Custom field values are stored as strings; multi-select values are logged as lists
+export const customValueForAudit = (fieldType, stored) => {
+  if (stored === undefined || stored === null) return null;
+  if (fieldType !== 'MULTISELECT') return stored;
+  try {
+    const parsed = JSON.parse(stored);
+    return Array.isArray(parsed) ? parsed : stored;
+  } catch {
+    return stored;
+  }
+};
+
+/**
+ * Events for custom field value changes on one contact. `before` and `after` map
+ * propertyId -> stored value; each property that changed becomes one event keyed by property.
+ */
+export const customValueAuditEvents = (contactId, properties, before, after) => properties
+  .map(property => {
+    const from = customValueForAudit(property.fieldType, before.get(property.id));
+    const to = customValueForAudit(property.fieldType, after.get(property.id));
+    const changes = diffFields({ [property.fieldKey]: from }, { [property.fieldKey]: to }, [property.fieldKey]);
+    if (Object.keys(changes).length === 0) return null;
+    return {
+      entityType: 'CUSTOM_FIELD_VALUE',
+      entityId: property.id,
+      contactId,
+      action: from === null ? 'CREATE' : to === null ? 'DELETE' : 'UPDATE',
+      changes
+    };
+  })
+  .filter(Boolean);
+
+// Who made a request, in which workspace and from where; background jobs pass { userId, workspaceId } only
+export const auditContext = (req) => ({
+  userId: req.user.id,
+  workspaceId: req.workspace?.id ?? null,
+  actorId: req.user.id,
+  ipAddress: req.ip || null,
+  userAgent: req.get('user-agent') || null
+});
+
+/**
+ * Rows for the audit_events table from { entityType, entityId, contactId?, action, changes } events.
+ * Updates that didn't change any recorded field are dropped. Use this directly when the write has to
+ * join a batch transaction; otherwise call recordAuditEvents.
+ */
+export const auditEventData = (context, events) => events
+  .filter(event => event.action !== 'UPDATE' || Object.keys(event.changes || {}).length > 0)
+  .map(event => ({
+    userId: context.userId,
+    // Account changes follow the user across workspaces
+    workspaceId: event.entityType === 'USER' ? null : context.workspaceId ?? null,
+    actorId: context.actorId ?? null,
+    ipAddress: context.ipAddress ?? null,
+    userAgent: context.userAgent ?? null,
+    entityType: event.entityType,
+    entityId: event.entityId,
+    contactId: event.contactId ?? null,
+    action: event.action,
+    changes: event.changes || {}
+  }));
+
+// `db` may be a transaction client so events commit with the change they describe
+export const recordAuditEvents = async (db, context, events) => {
+  const data = auditEventData(context, events);
+  if (data.length > 0) {
+    await db.auditEvent.createMany({ data });
+  }
+};
+
+export const recordAuditEvent = (db, context, event) => recordAuditEvents(db, context, [event]);
+
+/**
+ * An event for one record, with the action taken from which version is missing:
+ * no `before` is a create and no `after` a delete.
+ */
+export const changeEvent = ({ entityType, entityId, contactId = null, before = null, after = null, fields, extra = {} }) => ({
+  entityType,
+  entityId,
+  contactId,
+  action: !before ? 'CREATE' : !after ? 'DELETE' : 'UPDATE',
+  changes: { ...diffFields(before, after, fields), ...extra }
+});
+
+export const recordChange = (db, context, change) => recordAuditEvent(db, context, changeEvent(change));
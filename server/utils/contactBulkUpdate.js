@@ -0,0 +1,209 @@
+import { resolveContactField } from './contactFilters.js';
+import { coerceImportValue } from './contactImport.js';
+import {
+  CONTACT_AUDIT_FIELDS,
+  TASK_AUDIT_FIELDS,
+  NOTE_AUDIT_FIELDS,
+  changeEvent,
+  customValueAuditEvents,
+  recordAuditEvents
+} from './audit.js';
+import { fieldChangeActivities } from './fieldActivities.js';
+import { recordActivities } from './activities.js';
+
+// Core columns that bulk edit may change; createdAt/updatedAt are filterable but read-only
+const EDITABLE_CORE_FIELDS = ['name', 'email', 'phone', 'address'];
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const parseMultiselect = (stored) => {
+  try {
+    const parsed = JSON.parse(stored);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+};
+
+// Multi-select values must be option values of the property; returns { values } or { error }
+const resolveOptionValues = (property, values) => {
+  const allowed = new Set((property.options || []).map(opt => opt.value));
+  const unknown = values.filter(value => typeof value !== 'string' || !allowed.has(value));
+  if (unknown.length > 0) {
+    return { error: `${unknown.map(value => `"${value}"`).join(', ')} not one of the field's options` };
+  }
+  return { values: [...new Set(values)] };
+};
+
+const resolveCoreValue = (key, value) => {
+  if (typeof value !== 'string' || value.trim() === '') {
+    return { error: 'must be a non-empty text value' };
+  }
+  const text = value.trim();
+  if (key === 'email') {
+    const email = text.toLowerCase();
+    return EMAIL_REGEX.test(email) ? { value: email } : { error: `"${text}" is not a valid email` };
+  }
+  return { value: text };
+};
+
+/**
+ * Check bulk field changes against the user's fields and normalise their values.
+ * Each change is { field, action: 'set' | 'clear' | 'add' | 'remove', value }; add/remove
+ * only apply to multi-select fields. Returns { changes, errors } with one message per bad change.
+ */
+export const resolveBulkChanges = (changes = [], properties = []) => {
+  const resolved = [];
+  const errors = [];
+
+  changes.forEach((change, index) => {
+    const label = `Change ${index + 1} (${change.field})`;
+    const field = resolveContactField(change.field, properties);
+
+    if (!field) {
+      errors.push(`${label}: unknown field`);
+      return;
+    }
+    if (field.kind === 'core' && !EDITABLE_CORE_FIELDS.includes(field.key)) {
+      errors.push(`${label}: this field cannot be edited`);
+      return;
+    }
+    if ((change.action === 'add' || change.action === 'remove') && field.fieldType !== 'MULTISELECT') {
+      errors.push(`${label}: values can only be added or removed on multi-select fields`);
+      return;
+    }
+    if (change.action === 'clear') {
+      if (field.key === 'name') {
+        errors.push(`${label}: name is required and cannot be cleared`);
+      } else {
+        resolved.push({ ...field, action: 'clear', value: null });
+      }
+      return;
+    }
+
+    let result;
+    if (field.kind === 'core') {
+      result = resolveCoreValue(field.key, change.value);
+    } else if (field.fieldType === 'MULTISELECT') {
+      const values = Array.isArray(change.value) ? change.value : [change.value];
+      const options = resolveOptionValues(field.property, values);
+      result = options.error
+        ? options
+        : { value: change.action === 'set' ? JSON.stringify(options.values) : options.values };
+    } else if (typeof change.value === 'object') {
+      result = { error: 'must be a single value' };
+    } else {
+      result = coerceImportValue(field.property, change.value);
+    }
+
+    if (result.error) {
+      errors.push(`${label}: ${result.error}`);
+    } else {
+      resolved.push({ ...field, action: change.action, value: result.value });
+    }
+  });
+
+  return { changes: resolved, errors };
+};
+
+/**
+ * Apply resolved changes, plus an optional task and note, to one contact, and audit them with
+ * `audit` (see auditContext). Run it inside a transaction so a contact is either fully updated or untouched.
+ * Returns { updated: true, activities } or { reason } when the contact was skipped without writing anything;
+ * the caller announces the activities (see announceActivities) once the transaction has committed.
+ */
+export const applyBulkUpdate = async (tx, { userId, workspaceId, contactId, changes, task, note, audit }) => {
+  const coreData = {};
+  changes
+    .filter(change => change.kind === 'core')
+    .forEach(change => { coreData[change.key] = change.value; });
+
+  if (coreData.email) {
+    const duplicate = await tx.contact.findFirst({
+      where: { workspaceId, email: coreData.email, id: { not: contactId } },
+      select: { id: true }
+    });
+    if (duplicate) {
+      return { reason: 'A contact with this email already exists' };
+    }
+  }
+
+  const events = [];
+  if (changes.length > 0) {
+    const previousContact = await tx.contact.findUnique({ where: { id: contactId } });
+    const updatedContact = await tx.contact.update({
+      where: { id: contactId },
+      data: { ...coreData, updatedAt: new Date() }
+    });
+    events.push(changeEvent({
+      entityType: 'CONTACT',
+      entityId: contactId,
+      contactId,
+      before: previousContact,
+      after: updatedContact,
+      fields: CONTACT_AUDIT_FIELDS
+    }));
+  }
+
+  const customChanges = changes.filter(c => c.kind === 'custom');
+  const previousValues = await tx.contactCustomFieldValue.findMany({
+    where: { contactId, propertyId: { in: customChanges.map(change => change.property.id) } },
+    select: { propertyId: true, value: true }
+  });
+  const before = new Map(previousValues.map(v => [v.propertyId, v.value]));
+  const after = new Map(before);
+
+  for (const change of customChanges) {
+    const key = { contactId_propertyId: { contactId, propertyId: change.property.id } };
+    let value = change.value;
+
+    if (change.action === 'add' || change.action === 'remove') {
+      const existing = before.get(change.property.id);
+      const current = existing ? parseMultiselect(existing) : [];
+      const next = change.action === 'add'
+        ? [...new Set([...current, ...change.value])]
+        : current.filter(item => !change.value.includes(item));
+      value = next.length > 0 ? JSON.stringify(next) : null;
+    }
+    after.set(change.property.id, value);
+
+    if (value === null) {
+      await tx.contactCustomFieldValue.deleteMany({ where: { contactId, propertyId: change.property.id } });
+    } else {
+      await tx.contactCustomFieldValue.upsert({
+        where: key,
+        create: { contactId, propertyId: change.property.id, value },
+        update: { value }
+      });
+    }
+  }
+  const changedProperties = customChanges.map(change => change.property);
+  events.push(...customValueAuditEvents(contactId, changedProperties, before, after));
+  const activities = [];
+  await recordActivities(tx, workspaceId, fieldChangeActivities(contactId, changedProperties, before, after), activities);
+
+  if (task) {
+    const created = await tx.task.create({
+      data: {
+        contactId,
+        userId,
+        title: task.title,
+        description: task.description || null,
+        priority: task.priority,
+        status: task.status,
+        dueDate: task.dueDate ? new Date(task.dueDate) : null
+      }
+    });
+    events.push(changeEvent({ entityType: 'TASK', entityId: created.id, contactId, after: created, fields: TASK_AUDIT_FIELDS }));
+  }
+
+  if (note) {
+    const created = await tx.note.create({
+      data: { contactId, content: note.content }
+    });
+    events.push(changeEvent({ entityType: 'NOTE', entityId: created.id, contactId, after: created, fields: NOTE_AUDIT_FIELDS }));
+  }
+
+  await recordAuditEvents(tx, audit, events);
+  return { updated: true, activities };
+};
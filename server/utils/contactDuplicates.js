@@ -0,0 +1,198 @@
+// Country calling code used for local numbers written with a leading 0 (e.g. 0400 000 000)
+const DEFAULT_COUNTRY_CODE = process.env.DEFAULT_PHONE_COUNTRY_CODE || '61';
+
+// Points each signal contributes to a pair's score (capped at 100)
+const SCORE_WEIGHTS = {
+  email: 50,
+  phone: 40,
+  name: 30,
+  address: 20
+};
+
+const NAME_SIMILARITY_THRESHOLD = 0.85;
+const ADDRESS_SIMILARITY_THRESHOLD = 0.75;
+
+// Common first-name/surname prefixes produce huge blocks; past this size a name block is ignored
+const MAX_NAME_BLOCK_SIZE = 200;
+
+const ADDRESS_ABBREVIATIONS = {
+  street: 'st',
+  road: 'rd',
+  avenue: 'ave',
+  drive: 'dr',
+  court: 'ct',
+  place: 'pl',
+  crescent: 'cres',
+  parade: 'pde',
+  highway: 'hwy',
+  terrace: 'tce',
+  lane: 'ln',
+  boulevard: 'blvd',
+  unit: 'u',
+  apartment: 'u',
+  apt: 'u'
+};
+
+export const normalizeEmail = (email) => (email ? email.trim().toLowerCase() : '');
+
+/**
+ * Normalise a phone number to E.164 (+<country><number>) so "0400 000 000",
+ * "+61 400 000 000" and "0061400000000" compare equal. Returns '' for values too short to be a number.
+ */
+export const normalizePhoneE164 = (phone) => {
+  if (!phone) return '';
+  const trimmed = phone.trim();
+  const digits = trimmed.replace(/\D/g, '');
+  if (digits.length < 6) return '';
+
+  if (trimmed.startsWith('+')) return `+${digits}`;
+  if (digits.startsWith('00')) return `+${digits.slice(2)}`;
+  if (digits.startsWith('0')) return `+${DEFAULT_COUNTRY_CODE}${digits.slice(1)}`;
+  return `+${digits}`;
+};
+
+const tokenize = (text) => (text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean);
+
+// Token order is ignored so "Smith, John" matches "John Smith"
+const nameKey = (name) => tokenize(name).sort().join(' ');
+
+const addressTokens = (address) => new Set(tokenize(address).map(token => ADDRESS_ABBREVIATIONS[token] || token));
+
+// Jaro-Winkler similarity in [0, 1]; tolerant of typos and transpositions in short strings
+export const jaroWinkler = (a, b) => {
+  if (a === b) return a ? 1 : 0;
+  if (!a || !b) return 0;
+
+  const matchWindow = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatches = new Array(a.length).fill(false);
+  const bMatches = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    const start = Math.max(0, i - matchWindow);
+    const end = Math.min(i + matchWindow + 1, b.length);
+    for (let j = start; j < end; j++) {
+      if (bMatches[j] || a[i] !== b[j]) continue;
+      aMatches[i] = true;
+      bMatches[j] = true;
+      matches++;
+      break;
+    }
+  }
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!aMatches[i]) continue;
+    while (!bMatches[k]) k++;
+    if (a[i] !== b[k]) transpositions++;
+    k++;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+  let prefix = 0;
+  while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) prefix++;
+  return jaro + prefix * 0.1 * (1 - jaro);
+};
+
+// Dice coefficient over address tokens in [0, 1]
+const addressSimilarity = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(token => {
+    if (b.has(token)) shared++;
+  });
+  return (2 * shared) / (a.size + b.size);
+};
+
+const prepareContact = (contact) => ({
+  contact,
+  email: normalizeEmail(contact.email),
+  phone: normalizePhoneE164(contact.phone),
+  name: nameKey(contact.name),
+  address: addressTokens(contact.address)
+});
+
+/**
+ * Score how likely two contacts are the same person.
+ * Returns { score, reasons } where reasons lists the matching signals.
+ */
+const scorePair = (a, b) => {
+  const reasons = [];
+  let score = 0;
+
+  if (a.email && a.email === b.email) {
+    score += SCORE_WEIGHTS.email;
+    reasons.push({ field: 'email', label: 'Same email' });
+  }
+  if (a.phone && a.phone === b.phone) {
+    score += SCORE_WEIGHTS.phone;
+    reasons.push({ field: 'phone', label: 'Same phone' });
+  }
+
+  const nameScore = jaroWinkler(a.name, b.name);
+  if (nameScore >= NAME_SIMILARITY_THRESHOLD) {
+    score += SCORE_WEIGHTS.name * nameScore;
+    reasons.push({ field: 'name', label: nameScore === 1 ? 'Same name' : 'Similar name' });
+  }
+
+  const addressScore = addressSimilarity(a.address, b.address);
+  if (addressScore >= ADDRESS_SIMILARITY_THRESHOLD) {
+    score += SCORE_WEIGHTS.address * addressScore;
+    reasons.push({ field: 'address', label: addressScore === 1 ? 'Same address' : 'Similar address' });
+  }
+
+  return { score: Math.min(100, Math.round(score)), reasons };
+};
+
+/**
+ * Find likely duplicate pairs among a user's contacts.
+ * Contacts are only compared within blocks that share an email, phone or name-token prefix,
+ * so the work grows with the number of plausible pairs rather than n².
+ */
+export const findDuplicatePairs = (contacts, { minScore = 50, limit = 50 } = {}) => {
+  const prepared = contacts.map(prepareContact);
+  const blocks = new Map();
+  const addToBlock = (key, index) => {
+    if (!blocks.has(key)) blocks.set(key, []);
+    blocks.get(key).push(index);
+  };
+
+  prepared.forEach((entry, index) => {
+    if (entry.email) addToBlock(`email:${entry.email}`, index);
+    if (entry.phone) addToBlock(`phone:${entry.phone}`, index);
+    new Set(entry.name.split(' ').filter(token => token.length > 1).map(token => token.slice(0, 4)))
+      .forEach(prefix => addToBlock(`name:${prefix}`, index));
+  });
+
+  const seen = new Set();
+  const pairs = [];
+  blocks.forEach((members, key) => {
+    if (members.length < 2 || (key.startsWith('name:') && members.length > MAX_NAME_BLOCK_SIZE)) return;
+
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        const pairKey = `${members[i]}:${members[j]}`;
+        if (seen.has(pairKey)) continue;
+        seen.add(pairKey);
+
+        const a = prepared[members[i]];
+        const b = prepared[members[j]];
+        const { score, reasons } = scorePair(a, b);
+        if (score >= minScore) {
+          pairs.push({ score, reasons, contacts: [a.contact, b.contact] });
+        }
+      }
+    }
+  });
+
+  return pairs
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findDuplicatePairs, jaroWinkler, normalizeEmail, normalizePhoneE164 } from './contactDuplicates.js';
+
+const contact = (id, fields) => ({ id, name: null, email: null, phone: null, address: null, ...fields });
+
+const reasonFields = (pair) => pair.reasons.map(reason => reason.field);
+
+test('normalizeEmail trims and lower-cases', () => {
+  assert.equal(normalizeEmail('  Ann@Example.COM '), 'ann@example.com');
+  assert.equal(normalizeEmail(null), '');
+});
+
+test('normalizePhoneE164 treats local, international and 00-prefixed numbers alike', () => {
+  const country = process.env.DEFAULT_PHONE_COUNTRY_CODE || '61';
+  assert.equal(normalizePhoneE164('0400 000 000'), `+${country}400000000`);
+  assert.equal(normalizePhoneE164('+61 400 000 000'), '+61400000000');
+  assert.equal(normalizePhoneE164('0061400000000'), '+61400000000');
+  assert.equal(normalizePhoneE164('12-34'), '');
+});
+
+test('jaroWinkler scores identical strings 1 and close typos highly', () => {
+  assert.equal(jaroWinkler('martha', 'martha'), 1);
+  assert.equal(jaroWinkler('', ''), 0);
+  assert.ok(Math.abs(jaroWinkler('martha', 'marhta') - 0.961) < 0.001);
+  assert.ok(jaroWinkler('john smith', 'jon smith') > 0.85);
+  assert.ok(jaroWinkler('alice', 'bob') < 0.5);
+});
+
+test('findDuplicatePairs caps the score at 100 when every signal matches', () => {
+  const [pair] = findDuplicatePairs([
+    contact('a', { name: 'Ann Lee', email: 'ann@example.com', phone: '0400 000 000', address: '1 Main Street' }),
+    contact('b', { name: 'Ann Lee', email: 'ANN@example.com', phone: '+61 400 000 000', address: '1 Main St' })
+  ]);
+  assert.equal(pair.score, 100);
+  assert.deepEqual(reasonFields(pair), ['email', 'phone', 'name', 'address']);
+  assert.deepEqual(pair.contacts.map(c => c.id), ['a', 'b']);
+});
+
+test('findDuplicatePairs adds up weighted signals', () => {
+  const pairs = findDuplicatePairs([
+    contact('a', { name: 'Smith, John', phone: '0411 111 111' }),
+    contact('b', { name: 'John Smith', phone: '0411111111' }),
+    contact('c', { name: 'Zed Ng', email: 'shared@example.com' }),
+    contact('d', { name: 'Amy Chu', email: 'shared@example.com' })
+  ]);
+  assert.deepEqual(pairs.map(pair => [pair.contacts.map(c => c.id).join('+'), pair.score]), [
+    ['a+b', 70],
+    ['c+d', 50]
+  ]);
+  assert.equal(pairs[0].reasons.find(reason => reason.field === 'name').label, 'Same name');
+});
+
+test('findDuplicatePairs leaves out pairs below minScore and applies the limit', () => {
+  const contacts = [
+    contact('a', { name: 'Ann Lee', phone: '0400 000 000' }),
+    contact('b', { name: 'Bo Chan', phone: '0400 000 000' })
+  ];
+  assert.deepEqual(findDuplicatePairs(contacts), []);
+  assert.equal(findDuplicatePairs(contacts, { minScore: 40 })[0].score, 40);
+
+  const many = ['a', 'b', 'c'].map(id => contact(id, { email: 'same@example.com' }));
+  assert.equal(findDuplicatePairs(many).length, 3);
+  assert.equal(findDuplicatePairs(many, { limit: 2 }).length, 2);
+});
+
+test('findDuplicatePairs scores similar but not identical names by similarity', () => {
+  const [pair] = findDuplicatePairs([
+    contact('a', { name: 'Jonathan Smith', email: 'j@example.com' }),
+    contact('b', { name: 'Jonathon Smith', email: 'j@example.com' })
+  ]);
+  assert.deepEqual(reasonFields(pair), ['email', 'name']);
+  assert.equal(pair.reasons[1].label, 'Similar name');
+  assert.ok(pair.score > 75 && pair.score < 80);
+});
@@ -0,0 +1,261 @@
+import ExcelJS from 'exceljs';
+import { resolveContactField } from './contactFilters.js';
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  vcf: { contentType: 'text/vcard; charset=utf-8', extension: 'vcf' }
+};
+
+// Contacts are loaded and written in batches so large exports don't sit in memory
+export const EXPORT_BATCH_SIZE = 500;
+
+const CORE_LABELS = {
+  name: 'Name',
+  email: 'Email',
+  phone: 'Phone',
+  address: 'Address',
+  createdAt: 'Created',
+  updatedAt: 'Updated'
+};
+
+const DEFAULT_CORE_COLUMNS = ['name', 'email', 'phone', 'address'];
+const TIMESTAMP_COLUMNS = ['createdAt', 'updatedAt'];
+
+/**
+ * Resolve the requested column keys (table column ids) into export columns.
+ * Unknown keys are dropped; with no columns every core field and active custom property is exported.
+ */
+export const resolveExportColumns = (columnKeys, properties) => {
+  const keys = columnKeys && columnKeys.length > 0
+    ? columnKeys
+    : [...DEFAULT_CORE_COLUMNS, ...properties.map(p => p.fieldKey), ...TIMESTAMP_COLUMNS];
+
+  const seen = new Set();
+  const columns = [];
+  for (const key of keys) {
+    const field = resolveContactField(key, properties);
+    if (!field || seen.has(field.key)) continue;
+    seen.add(field.key);
+
+    columns.push(field.kind === 'core'
+      ? { ...field, label: CORE_LABELS[field.key] }
+      : {
+        ...field,
+        label: field.property.name,
+        optionLabels: new Map((field.property.options || []).map(opt => [opt.value, opt.label]))
+      });
+  }
+  return columns;
+};
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const parseList = (value) => {
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [value];
+  } catch {
+    return value ? [value] : [];
+  }
+};
+
+/**
+ * Typed value of one column for a contact: numbers stay numbers, dates become Date objects,
+ * booleans become Yes/No and option values are replaced by their labels.
+ */
+const columnValue = (column, contact) => {
+  if (column.kind === 'core') {
+    const value = contact[column.key];
+    return column.fieldType === 'DATETIME' ? parseDate(value) : value ?? null;
+  }
+
+  const raw = contact.customValues.get(column.key);
+  if (raw === undefined || raw === null || raw === '') return null;
+
+  switch (column.fieldType) {
+    case 'NUMBER': {
+      const number = Number(raw);
+      return Number.isFinite(number) ? number : raw;
+    }
+    case 'BOOLEAN':
+      return raw === 'true' ? 'Yes' : 'No';
+    case 'DATE':
+    case 'DATETIME':
+      return parseDate(raw);
+    case 'DROPDOWN':
+      return column.optionLabels.get(raw) || raw;
+    case 'MULTISELECT':
+      return parseList(raw).map(item => column.optionLabels.get(item) || item).join('; ');
+    default:
+      return raw;
+  }
+};
+
+const formatText = (column, value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) {
+    return column.fieldType === 'DATE' ? value.toISOString().slice(0, 10) : value.toISOString();
+  }
+  return String(value);
+};
+
+// Attach a lookup of raw custom field values (by fieldKey) to a contact row
+export const withCustomValues = (contact) => ({
+  ...contact,
+  customValues: new Map(contact.customFieldValues.map(v => [v.property.fieldKey, v.value]))
+});
+
+// --- CSV ---
+
+const NON_TEXT_TYPES = ['NUMBER', 'DATE', 'DATETIME', 'BOOLEAN'];
+
+// Quote per RFC 4180. Text cells starting with a formula character are prefixed with '
+// so spreadsheets don't evaluate them
+export const csvCell = (text, isText = true) => {
+  const safe = isText && /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+export const csvRow = (cells) => cells.join(',') + '\r\n';
+
+const createCsvWriter = (stream, columns) => ({
+  start: () => {
+    // BOM so Excel opens UTF-8 exports correctly
+    stream.write('\uFEFF' + csvRow(columns.map(column => csvCell(column.label))));
+  },
+  writeContacts: async (contacts) => {
+    stream.write(contacts
+      .map(contact => csvRow(columns.map(column => csvCell(
+        formatText(column, columnValue(column, contact)),
+        !NON_TEXT_TYPES.includes(column.fieldType)
+      ))))
+      .join(''));
+  },
+  finish: async () => {
+    stream.end();
+  }
+});
+
+// --- XLSX ---
+
+const createXlsxWriter = (stream, columns) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+  const sheet = workbook.addWorksheet('Contacts');
+
+  return {
+    start: () => {
+      sheet.columns = columns.map(column => ({
+        header: column.label,
+        key: column.key,
+        width: Math.max(12, column.label.length + 2),
+        style: column.fieldType === 'DATE'
+          ? { numFmt: 'yyyy-mm-dd' }
+          : column.fieldType === 'DATETIME' ? { numFmt: 'yyyy-mm-dd hh:mm' } : {}
+      }));
+      sheet.getRow(1).font = { bold: true };
+    },
+    writeContacts: async (contacts) => {
+      contacts.forEach(contact => {
+        const row = {};
+        columns.forEach(column => {
+          row[column.key] = columnValue(column, contact);
+        });
+        sheet.addRow(row).commit();
+      });
+    },
+    finish: async () => {
+      await sheet.commit();
+      await workbook.commit();
+    }
+  };
+};
+
+// --- vCard 4.0 ---
+
+const escapeVCard = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/,/g, '\\,')
+  .replace(/;/g, '\\;')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold content lines longer than 75 octets (RFC 6350 §3.2)
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char, 'utf8');
+    const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const vCardTimestamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const toVCard = (contact, columns) => {
+  const visible = new Set(columns.map(c => c.key));
+  const lines = ['BEGIN:VCARD', 'VERSION:4.0', `UID:urn:solecrm:contact:${contact.id}`];
+
+  // FN is mandatory in vCard, so the name is always included
+  lines.push(`FN:${escapeVCard(contact.name || contact.email || contact.phone || 'Unnamed contact')}`);
+  if (visible.has('email') && contact.email) lines.push(`EMAIL:${escapeVCard(contact.email)}`);
+  if (visible.has('phone') && contact.phone) lines.push(`TEL;VALUE=uri:tel:${contact.phone.replace(/[^\d+]/g, '')}`);
+  if (visible.has('address') && contact.address) {
+    lines.push(`ADR;LABEL="${contact.address.replace(/["\r\n]/g, ' ')}":;;${escapeVCard(contact.address)};;;;`);
+  }
+
+  // vCard has no slot for CRM fields, so visible custom fields are listed in NOTE
+  const notes = columns
+    .filter(column => column.kind === 'custom')
+    .map(column => [column.label, formatText(column, columnValue(column, contact))])
+    .filter(([, text]) => text !== '')
+    .map(([label, text]) => `${label}: ${text}`);
+  if (notes.length > 0) lines.push(`NOTE:${escapeVCard(notes.join('\n'))}`);
+
+  const updatedAt = parseDate(contact.updatedAt);
+  if (updatedAt) lines.push(`REV:${vCardTimestamp(updatedAt)}`);
+  lines.push('END:VCARD');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+const createVCardWriter = (stream, columns) => ({
+  start: () => {},
+  writeContacts: async (contacts) => {
+    stream.write(contacts.map(contact => toVCard(contact, columns)).join(''));
+  },
+  finish: async () => {
+    stream.end();
+  }
+});
+
+/**
+ * Create a writer for the given format that streams rows to `stream`.
+ * Call start() once, writeContacts() per batch (contacts from withCustomValues) and finish() at the end.
+ */
+export const createExportWriter = (format, stream, columns) => {
+  switch (format) {
+    case 'xlsx':
+      return createXlsxWriter(stream, columns);
+    case 'vcf':
+      return createVCardWriter(stream, columns);
+    default:
+      return createCsvWriter(stream, columns);
+  }
+};
@@ -0,0 +1,441 @@
+import { Prisma } from '@prisma/client';
+
+// Core contact columns that can be filtered and sorted directly
+const CORE_FIELDS = {
+  name: 'TEXT',
+  email: 'EMAIL',
+  phone: 'PHONE',
+  address: 'TEXT',
+  createdAt: 'DATETIME',
+  updatedAt: 'DATETIME'
+};
+
+// Old camelCase field names still sent by parts of the client
+const LEGACY_FIELD_KEYS = {
+  contactType: 'contact_type',
+  leadSource: 'lead_source',
+  status: 'status',
+  suburb: 'suburb'
+};
+
+const TEXT_OPERATORS = ['equals', 'not_equals', 'contains', 'in', 'is_empty', 'is_not_empty'];
+const NUMBER_OPERATORS = ['equals', 'not_equals', 'gt', 'gte', 'lt', 'lte', 'between', 'is_empty', 'is_not_empty'];
+const DATE_OPERATORS = ['equals', 'before', 'after', 'between', 'is_empty', 'is_not_empty'];
+
+// Operators allowed for each CustomFieldType
+export const OPERATORS_BY_FIELD_TYPE = {
+  TEXT: TEXT_OPERATORS,
+  EMAIL: TEXT_OPERATORS,
+  PHONE: TEXT_OPERATORS,
+  URL: TEXT_OPERATORS,
+  TEXTAREA: TEXT_OPERATORS,
+  DROPDOWN: TEXT_OPERATORS,
+  MULTISELECT: ['equals', 'not_equals', 'contains', 'in', 'is_empty', 'is_not_empty'],
+  NUMBER: NUMBER_OPERATORS,
+  DATE: DATE_OPERATORS,
+  DATETIME: DATE_OPERATORS,
+  BOOLEAN: ['equals', 'is_empty', 'is_not_empty'],
+  ASSIGNEE: ['equals', 'not_equals', 'in', 'is_empty', 'is_not_empty']
+};
+
+export const FILTER_OPERATORS = [...new Set(Object.values(OPERATORS_BY_FIELD_TYPE).flat())];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Limits for AND/OR groups: how many levels the filter tree has (the top-level list counts as one)
+// and how many conditions it holds in total
+const MAX_FILTER_DEPTH = 3;
+const MAX_FILTER_CONDITIONS = 50;
+
+const isFilterGroup = (filter) => Array.isArray(filter?.filters);
+
+// Stored NUMBER values are plain strings, so guard the cast against anything non-numeric
+const numericValue = (column) => Prisma.sql`CASE WHEN ${column} ~ '^-?[0-9]*\\.?[0-9]+([eE][-+]?[0-9]+)?$' THEN CAST(${column} AS DOUBLE PRECISION) END`;
+
+const asArray = (value) => (Array.isArray(value) ? value : [value]);
+
+const toDate = (value) => {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const startOfDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+// Who the contact is assigned to. Only filters use it; values are member ids, or "me" for the
+// requesting member so one saved view shows each member their own contacts
+const ASSIGNEE_FIELD = { kind: 'assignee', key: 'assignedTo', fieldType: 'ASSIGNEE' };
+
+// Resolve a filter/sort field name to either a core column or a custom property definition
+export const resolveContactField = (field, properties) => {
+  if (CORE_FIELDS[field]) {
+    return { kind: 'core', key: field, fieldType: CORE_FIELDS[field] };
+  }
+
+  const fieldKey = LEGACY_FIELD_KEYS[field] || field;
+  const property = properties.find(p => p.fieldKey === fieldKey);
+  if (!property) {
+    return null;
+  }
+
+  return { kind: 'custom', key: fieldKey, fieldType: property.fieldType, property };
+};
+
+// resolveContactField plus the assignee field, which only filters can use
+const resolveFilterField = (field, properties) => (
+  field === ASSIGNEE_FIELD.key ? ASSIGNEE_FIELD : resolveContactField(field, properties)
+);
+
+/**
+ * Check every condition against the user's fields; returns a list of error messages.
+ * Conditions inside groups are labelled by position, e.g. "Filter 2.1".
+ */
+export const validateContactFilters = (filters = [], properties = []) => {
+  const errors = [];
+  let conditionCount = 0;
+
+  const visit = (nodes, prefix, depth) => nodes.forEach((filter, index) => {
+    const label = `Filter ${prefix}${index + 1}`;
+
+    if (isFilterGroup(filter)) {
+      if (depth >= MAX_FILTER_DEPTH) {
+        errors.push(`${label}: filter groups can be nested at most ${MAX_FILTER_DEPTH - 1} levels deep`);
+        return;
+      }
+      visit(filter.filters, `${prefix}${index + 1}.`, depth + 1);
+      return;
+    }
+
+    conditionCount++;
+    const field = resolveFilterField(filter.field, properties);
+
+    if (!field) {
+      errors.push(`${label}: unknown field "${filter.field}"`);
+      return;
+    }
+
+    const allowed = OPERATORS_BY_FIELD_TYPE[field.fieldType] || TEXT_OPERATORS;
+    if (!allowed.includes(filter.operator)) {
+      errors.push(`${label}: operator "${filter.operator}" is not supported for ${field.fieldType} fields. Use one of: ${allowed.join(', ')}`);
+      return;
+    }
+
+    if (filter.operator === 'is_empty' || filter.operator === 'is_not_empty') {
+      return;
+    }
+
+    const { value } = filter;
+    if (value === undefined || value === null || value === '') {
+      errors.push(`${label}: a value is required for "${filter.operator}"`);
+      return;
+    }
+
+    if (filter.operator === 'between' && (!Array.isArray(value) || value.length !== 2)) {
+      errors.push(`${label}: "between" expects a [from, to] pair`);
+      return;
+    }
+
+    if (filter.operator === 'in' && (!Array.isArray(value) || value.length === 0)) {
+      errors.push(`${label}: "in" expects a non-empty list of values`);
+      return;
+    }
+
+    if (field.fieldType === 'NUMBER' && asArray(value).some(v => isNaN(parseFloat(v)))) {
+      errors.push(`${label}: value must be numeric`);
+    }
+
+    if ((field.fieldType === 'DATE' || field.fieldType === 'DATETIME') && asArray(value).some(v => !toDate(v))) {
+      errors.push(`${label}: value must be a valid date`);
+    }
+  });
+
+  visit(filters, '', 1);
+  if (conditionCount > MAX_FILTER_CONDITIONS) {
+    errors.push(`Filters can contain at most ${MAX_FILTER_CONDITIONS} conditions`);
+  }
+
+  return errors;
+};
+
+// Build the { gte, lt } style range for a date operator.
+// DATE fields compare whole days; DATETIME fields compare exact instants.
+const dateRange = (operator, value, wholeDays) => {
+  const [from, to] = operator === 'between' ? value.map(toDate) : [toDate(value), toDate(value)];
+
+  if (!wholeDays) {
+    switch (operator) {
+      case 'equals':
+        return { equals: from };
+      case 'before':
+        return { lt: from };
+      case 'after':
+        return { gt: from };
+      default:
+        return { gte: from, lte: to };
+    }
+  }
+
+  const fromDay = startOfDay(from);
+  const afterToDay = new Date(startOfDay(to).getTime() + DAY_MS);
+  switch (operator) {
+    case 'before':
+      return { lt: fromDay };
+    case 'after':
+      return { gte: afterToDay };
+    default:
+      return { gte: fromDay, lt: afterToDay };
+  }
+};
+
+const buildCoreCondition = (field, filter) => {
+  const { key, fieldType } = field;
+  const { operator, value } = filter;
+
+  if (fieldType === 'DATETIME') {
+    // createdAt/updatedAt are never null
+    if (operator === 'is_empty') return { id: { in: [] } };
+    if (operator === 'is_not_empty') return {};
+    return { [key]: dateRange(operator, value, true) };
+  }
+
+  switch (operator) {
+    case 'equals':
+      return { [key]: { equals: String(value), mode: 'insensitive' } };
+    case 'not_equals':
+      return { NOT: { [key]: { equals: String(value), mode: 'insensitive' } } };
+    case 'contains':
+      return { [key]: { contains: String(value), mode: 'insensitive' } };
+    case 'in':
+      return { [key]: { in: asArray(value).map(String) } };
+    case 'is_empty':
+      return { OR: [{ [key]: null }, { [key]: '' }] };
+    case 'is_not_empty':
+      return { AND: [{ [key]: { not: null } }, { [key]: { not: '' } }] };
+    default:
+      return {};
+  }
+};
+
+const buildAssigneeCondition = (filter, userId) => {
+  const { operator, value } = filter;
+  const memberId = (id) => (id === 'me' ? userId : String(id));
+
+  switch (operator) {
+    case 'equals':
+      return { assignedToId: memberId(value) };
+    case 'not_equals':
+      // Unassigned contacts aren't assigned to that member either
+      return { OR: [{ assignedToId: null }, { assignedToId: { not: memberId(value) } }] };
+    case 'in':
+      return { assignedToId: { in: asArray(value).map(memberId) } };
+    case 'is_empty':
+      return { assignedToId: null };
+    case 'is_not_empty':
+      return { assignedToId: { not: null } };
+    default:
+      return {};
+  }
+};
+
+// Contact ids whose numeric value for a property satisfies the comparison
+const findNumericMatches = async (prisma, propertyId, operator, value) => {
+  const column = Prisma.sql`v."value"`;
+  let comparison;
+  switch (operator) {
+    case 'gt':
+      comparison = Prisma.sql`> ${parseFloat(value)}`;
+      break;
+    case 'gte':
+      comparison = Prisma.sql`>= ${parseFloat(value)}`;
+      break;
+    case 'lt':
+      comparison = Prisma.sql`< ${parseFloat(value)}`;
+      break;
+    case 'lte':
+      comparison = Prisma.sql`<= ${parseFloat(value)}`;
+      break;
+    case 'between':
+      comparison = Prisma.sql`BETWEEN ${parseFloat(value[0])} AND ${parseFloat(value[1])}`;
+      break;
+    default:
+      comparison = Prisma.sql`= ${parseFloat(value)}`;
+  }
+
+  const rows = await prisma.$queryRaw`
+    SELECT v."contactId" AS id
+    FROM "public"."contact_custom_field_values" v
+    WHERE v."propertyId" = ${propertyId} AND ${numericValue(column)} ${comparison}
+  `;
+  return rows.map(row => row.id);
+};
+
+const buildCustomCondition = async (prisma, field, filter) => {
+  const { property, fieldType } = field;
+  const { operator, value } = filter;
+  const propertyId = property.id;
+  const hasValue = (valueFilter) => ({ customFieldValues: { some: { propertyId, value: valueFilter } } });
+
+  // Empty values are never stored (and MULTISELECT may hold an empty list)
+  if (operator === 'is_empty') {
+    return {
+      OR: [
+        { customFieldValues: { none: { propertyId } } },
+        hasValue({ in: ['', '[]'] })
+      ]
+    };
+  }
+  if (operator === 'is_not_empty') {
+    return hasValue({ notIn: ['', '[]'] });
+  }
+
+  switch (fieldType) {
+    case 'NUMBER': {
+      if (operator === 'not_equals') {
+        const ids = await findNumericMatches(prisma, propertyId, 'equals', value);
+        return { NOT: { id: { in: ids } } };
+      }
+      const ids = await findNumericMatches(prisma, propertyId, operator, value);
+      return { id: { in: ids } };
+    }
+
+    case 'DATE':
+    case 'DATETIME': {
+      // Dates are stored as ISO strings, which sort chronologically
+      const range = dateRange(operator, value, fieldType === 'DATE');
+      const isoRange = Object.fromEntries(
+        Object.entries(range).map(([key, date]) => [key, date.toISOString()])
+      );
+      return hasValue(isoRange);
+    }
+
+    case 'BOOLEAN': {
+      const isTrue = value === true || value === 'true';
+      return isTrue ? hasValue({ equals: 'true' }) : { NOT: hasValue({ equals: 'true' }) };
+    }
+
+    case 'MULTISELECT': {
+      // Values are stored as a JSON array, so match on the quoted member
+      const members = asArray(value).map(v => ({ contains: JSON.stringify(String(v)) }));
+      if (operator === 'not_equals') {
+        return { NOT: hasValue(members[0]) };
+      }
+      return { OR: members.map(member => hasValue(member)) };
+    }
+
+    default:
+      switch (operator) {
+        case 'equals':
+          return hasValue({ equals: String(value), mode: 'insensitive' });
+        case 'not_equals':
+          return { NOT: hasValue({ equals: String(value), mode: 'insensitive' }) };
+        case 'contains':
+          return hasValue({ contains: String(value), mode: 'insensitive' });
+        case 'in':
+          return hasValue({ in: asArray(value).map(String) });
+        default:
+          return {};
+      }
+  }
+};
+
+// One condition, or a group whose children are combined with AND/OR
+const buildFilterCondition = async (prisma, filter, properties, userId) => {
+  if (isFilterGroup(filter)) {
+    const children = [];
+    for (const child of filter.filters) {
+      children.push(await buildFilterCondition(prisma, child, properties, userId));
+    }
+    return filter.logic === 'or' ? { OR: children } : { AND: children };
+  }
+
+  const field = resolveFilterField(filter.field, properties);
+  if (field.kind === 'assignee') {
+    return buildAssigneeCondition(filter, userId);
+  }
+  return field.kind === 'core'
+    ? buildCoreCondition(field, filter)
+    : buildCustomCondition(prisma, field, filter);
+};
+
+/**
+ * Build the Prisma where clause for a contacts list request, limited to `contactScope` (the
+ * contacts the member can see). `userId` is the requesting member, whom "me" filters refer to.
+ * Filters must already have passed validateContactFilters.
+ */
+export const buildContactWhere = async (prisma, { contactScope, userId, search, filters = [], properties = [] }) => {
+  const conditions = [];
+
+  if (search) {
+    conditions.push({
+      OR: [
+        { name: { contains: search, mode: 'insensitive' } },
+        { email: { contains: search, mode: 'insensitive' } },
+        { phone: { contains: search, mode: 'insensitive' } }
+      ]
+    });
+  }
+
+  for (const filter of filters) {
+    conditions.push(await buildFilterCondition(prisma, filter, properties, userId));
+  }
+
+  return conditions.length > 0 ? { ...contactScope, AND: conditions } : { ...contactScope };
+};
+
+/**
+ * Resolve sortBy/sortOrder into either a Prisma orderBy (core fields)
+ * or a custom property that has to be sorted in SQL.
+ */
+export const resolveContactSort = (sortBy, sortOrder = 'asc', properties = []) => {
+  const direction = sortOrder === 'desc' ? 'desc' : 'asc';
+
+  if (!sortBy) {
+    return { orderBy: [{ createdAt: 'desc' }, { id: 'asc' }] };
+  }
+
+  const field = resolveContactField(sortBy, properties);
+  if (!field) {
+    return null;
+  }
+
+  if (field.kind === 'core') {
+    const isNullable = !['name', 'createdAt', 'updatedAt'].includes(field.key);
+    const order = isNullable ? { sort: direction, nulls: 'last' } : direction;
+    return { orderBy: [{ [field.key]: order }, { id: 'asc' }] };
+  }
+
+  return { property: field.property, direction };
+};
+
+// Page of contact ids ordered by a custom property value; contacts without a value sort last
+export const findContactIdsSortedByProperty = async (prisma, { ids, property, direction, skip, take }) => {
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const column = Prisma.sql`v."value"`;
+  let sortExpression;
+  switch (property.fieldType) {
+    case 'NUMBER':
+      sortExpression = numericValue(column);
+      break;
+    case 'DATE':
+    case 'DATETIME':
+    case 'BOOLEAN':
+      sortExpression = column;
+      break;
+    default:
+      sortExpression = Prisma.sql`LOWER(${column})`;
+  }
+  const sortDirection = direction === 'desc' ? Prisma.sql`DESC` : Prisma.sql`ASC`;
+
+  const rows = await prisma.$queryRaw`
+    SELECT c."id"
+    FROM "public"."contacts" c
+    LEFT JOIN "public"."contact_custom_field_values" v
+      ON v."contactId" = c."id" AND v."propertyId" = ${property.id}
+    WHERE c."id" = ANY(${ids})
+    ORDER BY ${sortExpression} ${sortDirection} NULLS LAST, c."createdAt" DESC, c."id" ASC
+    LIMIT ${take} OFFSET ${skip}
+  `;
+  return rows.map(row => row.id);
+};
@@ -0,0 +1,140 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildContactWhere, resolveContactSort, validateContactFilters } from './contactFilters.js';
+
+const properties = [
+  { id: 'p-status', fieldKey: 'status', fieldType: 'DROPDOWN' },
+  { id: 'p-price', fieldKey: 'price', fieldType: 'NUMBER' },
+  { id: 'p-move', fieldKey: 'move_date', fieldType: 'DATE' },
+  { id: 'p-tags', fieldKey: 'tags', fieldType: 'MULTISELECT' },
+  { id: 'p-vip', fieldKey: 'vip', fieldType: 'BOOLEAN' }
+];
+
+const contactScope = { workspaceId: 'w1' };
+
+// Raw numeric queries answer with a fixed set of contact ids
+const fakePrisma = { $queryRaw: async () => [{ id: 'c1' }, { id: 'c2' }] };
+
+const where = (filters, options = {}) => buildContactWhere(fakePrisma, { contactScope, userId: 'u1', filters, properties, ...options });
+
+test('validateContactFilters accepts valid conditions and groups', () => {
+  const errors = validateContactFilters([
+    { field: 'name', operator: 'contains', value: 'ann' },
+    { logic: 'or', filters: [
+      { field: 'price', operator: 'between', value: [100, 200] },
+      { field: 'assignedTo', operator: 'equals', value: 'me' }
+    ] }
+  ], properties);
+  assert.deepEqual(errors, []);
+});
+
+test('validateContactFilters reports unknown fields, operators and bad values by position', () => {
+  const errors = validateContactFilters([
+    { field: 'nope', operator: 'equals', value: 'x' },
+    { field: 'vip', operator: 'contains', value: 'x' },
+    { filters: [{ field: 'price', operator: 'gt', value: 'abc' }] },
+    { field: 'move_date', operator: 'between', value: '2025-01-01' }
+  ], properties);
+  assert.equal(errors.length, 4);
+  assert.match(errors[0], /^Filter 1: unknown field "nope"/);
+  assert.match(errors[1], /^Filter 2: operator "contains" is not supported for BOOLEAN/);
+  assert.match(errors[2], /^Filter 3\.1: value must be numeric/);
+  assert.match(errors[3], /^Filter 4: "between" expects a \[from, to\] pair/);
+});
+
+test('validateContactFilters limits group nesting', () => {
+  const errors = validateContactFilters([
+    { filters: [{ filters: [{ filters: [{ field: 'name', operator: 'is_empty' }] }] }] }
+  ], properties);
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /nested at most/);
+});
+
+test('buildContactWhere without filters is just the contact scope', async () => {
+  assert.deepEqual(await where([]), { workspaceId: 'w1' });
+});
+
+test('buildContactWhere translates core field conditions', async () => {
+  assert.deepEqual(await where([{ field: 'email', operator: 'equals', value: 'A@x.com' }]), {
+    workspaceId: 'w1',
+    AND: [{ email: { equals: 'A@x.com', mode: 'insensitive' } }]
+  });
+  assert.deepEqual(await where([{ field: 'phone', operator: 'is_empty' }]), {
+    workspaceId: 'w1',
+    AND: [{ OR: [{ phone: null }, { phone: '' }] }]
+  });
+});
+
+test('buildContactWhere compares createdAt by whole days', async () => {
+  const result = await where([{ field: 'createdAt', operator: 'between', value: ['2025-03-01', '2025-03-02T15:00:00Z'] }]);
+  assert.deepEqual(result.AND, [{
+    createdAt: { gte: new Date('2025-03-01T00:00:00Z'), lt: new Date('2025-03-03T00:00:00Z') }
+  }]);
+});
+
+test('buildContactWhere matches custom field values through customFieldValues', async () => {
+  const result = await where([
+    { field: 'contactType', operator: 'equals', value: 'x' },
+    { field: 'status', operator: 'in', value: ['new', 'won'] },
+    { field: 'tags', operator: 'contains', value: ['hot'] },
+    { field: 'vip', operator: 'equals', value: 'false' }
+  ], { properties: [...properties, { id: 'p-type', fieldKey: 'contact_type', fieldType: 'TEXT' }] });
+  assert.deepEqual(result.AND, [
+    { customFieldValues: { some: { propertyId: 'p-type', value: { equals: 'x', mode: 'insensitive' } } } },
+    { customFieldValues: { some: { propertyId: 'p-status', value: { in: ['new', 'won'] } } } },
+    { OR: [{ customFieldValues: { some: { propertyId: 'p-tags', value: { contains: '"hot"' } } } }] },
+    { NOT: { customFieldValues: { some: { propertyId: 'p-vip', value: { equals: 'true' } } } } }
+  ]);
+});
+
+test('buildContactWhere treats missing and empty custom values as empty', async () => {
+  const result = await where([{ field: 'tags', operator: 'is_empty' }]);
+  assert.deepEqual(result.AND, [{
+    OR: [
+      { customFieldValues: { none: { propertyId: 'p-tags' } } },
+      { customFieldValues: { some: { propertyId: 'p-tags', value: { in: ['', '[]'] } } } }
+    ]
+  }]);
+});
+
+test('buildContactWhere resolves numeric comparisons to matching contact ids', async () => {
+  assert.deepEqual((await where([{ field: 'price', operator: 'gt', value: '100' }])).AND, [{ id: { in: ['c1', 'c2'] } }]);
+  assert.deepEqual((await where([{ field: 'price', operator: 'not_equals', value: '100' }])).AND, [{ NOT: { id: { in: ['c1', 'c2'] } } }]);
+});
+
+test('buildContactWhere compares DATE custom fields as ISO strings for whole days', async () => {
+  const result = await where([{ field: 'move_date', operator: 'after', value: '2025-06-10' }]);
+  assert.deepEqual(result.AND, [{
+    customFieldValues: { some: { propertyId: 'p-move', value: { gte: '2025-06-11T00:00:00.000Z' } } }
+  }]);
+});
+
+test('buildContactWhere combines groups with their logic and resolves "me"', async () => {
+  const result = await where([{
+    logic: 'or',
+    filters: [
+      { field: 'assignedTo', operator: 'equals', value: 'me' },
+      { field: 'assignedTo', operator: 'is_empty' }
+    ]
+  }]);
+  assert.deepEqual(result.AND, [{ OR: [{ assignedToId: 'u1' }, { assignedToId: null }] }]);
+});
+
+test('buildContactWhere searches name, email and phone', async () => {
+  const result = await where([], { search: 'ann' });
+  assert.deepEqual(result.AND, [{
+    OR: [
+      { name: { contains: 'ann', mode: 'insensitive' } },
+      { email: { contains: 'ann', mode: 'insensitive' } },
+      { phone: { contains: 'ann', mode: 'insensitive' } }
+    ]
+  }]);
+});
+
+test('resolveContactSort orders core fields in Prisma and custom fields in SQL', () => {
+  assert.deepEqual(resolveContactSort('email', 'desc', properties), {
+    orderBy: [{ email: { sort: 'desc', nulls: 'last' } }, { id: 'asc' }]
+  });
+  assert.deepEqual(resolveContactSort('price', 'asc', properties), { property: properties[1], direction: 'asc' });
+  assert.equal(resolveContactSort('nope', 'asc', properties), null);
+});
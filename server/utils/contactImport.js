@@ -0,0 +1,285 @@
+import { generateUniqueContactId } from './idGenerator.js';
+import { CONTACT_AUDIT_FIELDS, changeEvent, customValueAuditEvents, recordAuditEvents } from './audit.js';
+import { pickRuleAssignee, recordAssignments } from './assignments.js';
+
+export const DUPLICATE_STRATEGIES = ['skip', 'update', 'create'];
+export const DUPLICATE_MATCH_KEYS = ['email', 'phone'];
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'x'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+// Phones are compared on digits only so "+61 400 000 000" matches "+61400000000"
+export const normalizePhone = (phone) => (phone ? phone.replace(/\D/g, '') : '');
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const CUSTOM_PREFIX = 'custom:';
+
+/**
+ * Turn raw CSV rows (arrays of cells in header order) into contact objects using the
+ * column mapping, where each header maps to a core field, `custom:<fieldKey>` or nothing.
+ */
+export const mapImportRows = (headers, rows, mapping) => {
+  const columns = headers
+    .map((header, index) => ({ index, field: mapping[header] }))
+    .filter(column => column.field);
+
+  return rows.map(cells => {
+    const contact = { customFields: {} };
+    columns.forEach(({ index, field }) => {
+      const value = cells[index] ?? '';
+      if (field.startsWith(CUSTOM_PREFIX)) {
+        contact.customFields[field.slice(CUSTOM_PREFIX.length)] = value;
+      } else {
+        contact[field] = value;
+      }
+    });
+    return contact;
+  });
+};
+
+// Accept ISO dates plus the day-first D/M/YYYY format spreadsheets export in AU locales
+const parseImportDate = (text) => {
+  const dayFirst = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (dayFirst) {
+    const [, day, month, year] = dayFirst.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+  }
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const findOption = (options, text) => {
+  const needle = text.trim().toLowerCase();
+  return options.find(opt => opt.value.toLowerCase() === needle || opt.label.toLowerCase() === needle);
+};
+
+/**
+ * Convert a raw CSV cell into the stored string for a custom property.
+ * Returns { value } on success or { error } describing why the cell was rejected.
+ */
+export const coerceImportValue = (property, raw) => {
+  const text = String(raw).trim();
+  const options = property.options || [];
+
+  switch (property.fieldType) {
+    case 'NUMBER': {
+      const cleaned = text.replace(/[$,\s]/g, '');
+      if (!/^-?\d*\.?\d+$/.test(cleaned)) {
+        return { error: `"${text}" is not a number` };
+      }
+      return { value: String(parseFloat(cleaned)) };
+    }
+    case 'BOOLEAN': {
+      const lower = text.toLowerCase();
+      if (TRUE_VALUES.includes(lower)) return { value: 'true' };
+      if (FALSE_VALUES.includes(lower)) return { value: 'false' };
+      return { error: `"${text}" is not yes/no` };
+    }
+    case 'DATE':
+    case 'DATETIME': {
+      const date = parseImportDate(text);
+      return date ? { value: date.toISOString() } : { error: `"${text}" is not a valid date` };
+    }
+    case 'DROPDOWN': {
+      const option = findOption(options, text);
+      return option
+        ? { value: option.value }
+        : { error: `"${text}" is not one of: ${options.map(opt => opt.label).join(', ')}` };
+    }
+    case 'MULTISELECT': {
+      const values = [];
+      for (const part of text.split(/[;,|]/).map(item => item.trim()).filter(Boolean)) {
+        const option = findOption(options, part);
+        if (!option) {
+          return { error: `"${part}" is not one of: ${options.map(opt => opt.label).join(', ')}` };
+        }
+        if (!values.includes(option.value)) values.push(option.value);
+      }
+      return { value: JSON.stringify(values) };
+    }
+    case 'EMAIL':
+      return EMAIL_REGEX.test(text) ? { value: text.toLowerCase() } : { error: `"${text}" is not a valid email` };
+    case 'URL':
+      try {
+        new URL(text);
+        return { value: text };
+      } catch {
+        return { error: `"${text}" is not a valid URL` };
+      }
+    default:
+      return { value: text };
+  }
+};
+
+/**
+ * Validate mapped import rows and coerce custom field values by fieldType.
+ * Row numbers are 1-based positions in the uploaded file (excluding the header);
+ * pass `firstRow` when preparing a later slice of the file.
+ * Blank cells are left out so they never overwrite existing data on update.
+ */
+export const prepareImportRows = (contacts, properties, firstRow = 1) => {
+  const propertyMap = new Map(properties.map(p => [p.fieldKey, p]));
+  const rows = [];
+  const errors = [];
+
+  contacts.forEach((contact, index) => {
+    const row = index + firstRow;
+    const rowErrors = [];
+    const core = {};
+
+    if (!isBlank(contact.name)) core.name = contact.name.trim();
+    if (!isBlank(contact.email)) {
+      const email = contact.email.trim().toLowerCase();
+      if (EMAIL_REGEX.test(email)) {
+        core.email = email;
+      } else {
+        rowErrors.push({ row, field: 'email', error: 'Invalid email format' });
+      }
+    }
+    if (!isBlank(contact.phone)) core.phone = contact.phone.trim();
+    if (!isBlank(contact.address)) core.address = contact.address.trim();
+
+    const customValues = [];
+    Object.entries(contact.customFields || {}).forEach(([fieldKey, raw]) => {
+      if (isBlank(raw)) return;
+      const property = propertyMap.get(fieldKey);
+      if (!property) {
+        rowErrors.push({ row, field: fieldKey, error: 'Unknown custom property' });
+        return;
+      }
+      const result = coerceImportValue(property, raw);
+      if (result.error) {
+        rowErrors.push({ row, field: fieldKey, error: `${property.name}: ${result.error}` });
+      } else {
+        customValues.push({ propertyId: property.id, value: result.value });
+      }
+    });
+
+    if (rowErrors.length > 0) {
+      errors.push(...rowErrors);
+    } else {
+      rows.push({ row, core, customValues });
+    }
+  });
+
+  return { rows, errors };
+};
+
+/**
+ * Index the workspace's existing contacts by the duplicate key so rows can be matched in memory.
+ * Rows created during the import are added as they go, so repeats within a file match too.
+ */
+export const buildDuplicateIndex = async (prisma, workspaceId, matchBy) => {
+  const contacts = await prisma.contact.findMany({
+    where: { workspaceId, [matchBy]: { not: null } },
+    select: { id: true, email: true, phone: true }
+  });
+
+  const index = new Map();
+  contacts.forEach(contact => {
+    const key = matchBy === 'phone' ? normalizePhone(contact.phone) : contact.email.toLowerCase();
+    if (key && !index.has(key)) index.set(key, contact.id);
+  });
+  return index;
+};
+
+const duplicateKey = (core, matchBy) => (matchBy === 'phone' ? normalizePhone(core.phone) : core.email || '');
+
+/**
+ * Write one prepared row using the duplicate strategy. New contacts use `newContactId`
+ * when one was allocated up front and are tagged with `importJobId` so the import can be undone.
+ * Changes are audited with `audit` against the custom `properties` the rows were prepared with.
+ * New contacts go to the member the `assignment` rules (see loadAssignmentRules) pick, else the importer.
+ * Returns { action: 'created' | 'updated' | 'skipped' | 'failed', contactId, reason? }.
+ */
+export const importPreparedRow = async (tx, {
+  userId,
+  workspaceId,
+  row,
+  duplicateStrategy,
+  matchBy,
+  duplicateIndex,
+  newContactId,
+  importJobId = null,
+  properties = [],
+  assignment = null,
+  audit
+}) => {
+  const key = duplicateKey(row.core, matchBy);
+  const existingId = key && duplicateStrategy !== 'create' ? duplicateIndex.get(key) : undefined;
+
+  if (existingId && duplicateStrategy === 'skip') {
+    return { action: 'skipped', contactId: existingId, reason: `A contact with this ${matchBy} already exists` };
+  }
+
+  const rowProperties = properties.filter(p => row.customValues.some(v => v.propertyId === p.id));
+  const importedValues = new Map(row.customValues.map(({ propertyId, value }) => [propertyId, value]));
+
+  if (existingId) {
+    const events = [];
+    if (Object.keys(row.core).length > 0) {
+      const before = await tx.contact.findUnique({ where: { id: existingId } });
+      const after = await tx.contact.update({ where: { id: existingId }, data: row.core });
+      events.push(changeEvent({ entityType: 'CONTACT', entityId: existingId, contactId: existingId, before, after, fields: CONTACT_AUDIT_FIELDS }));
+    }
+    const previousValues = await tx.contactCustomFieldValue.findMany({
+      where: { contactId: existingId, propertyId: { in: row.customValues.map(v => v.propertyId) } },
+      select: { propertyId: true, value: true }
+    });
+    for (const { propertyId, value } of row.customValues) {
+      await tx.contactCustomFieldValue.upsert({
+        where: { contactId_propertyId: { contactId: existingId, propertyId } },
+        create: { contactId: existingId, propertyId, value },
+        update: { value }
+      });
+    }
+    events.push(...customValueAuditEvents(
+      existingId,
+      rowProperties,
+      new Map(previousValues.map(v => [v.propertyId, v.value])),
+      importedValues
+    ));
+    if (audit) await recordAuditEvents(tx, audit, events);
+    return { action: 'updated', contactId: existingId };
+  }
+
+  if (!row.core.name) {
+    return { action: 'failed', reason: 'Name is required for new contacts' };
+  }
+
+  const contactId = newContactId || await generateUniqueContactId(tx);
+  const ruleAssignment = assignment
+    ? await pickRuleAssignee(tx, assignment, Object.fromEntries(rowProperties.map(p => [p.fieldKey, importedValues.get(p.id)])))
+    : null;
+  const created = await tx.contact.create({
+    data: {
+      id: contactId,
+      name: row.core.name,
+      email: row.core.email || null,
+      phone: row.core.phone || null,
+      address: row.core.address || null,
+      workspaceId,
+      userId,
+      assignedToId: ruleAssignment?.assigneeId || userId,
+      importJobId
+    }
+  });
+  if (row.customValues.length > 0) {
+    await tx.contactCustomFieldValue.createMany({
+      data: row.customValues.map(({ propertyId, value }) => ({ contactId, propertyId, value }))
+    });
+  }
+  await recordAssignments(tx, userId, [{ contactId, assigneeId: created.assignedToId, ruleId: ruleAssignment?.ruleId }]);
+  if (audit) {
+    await recordAuditEvents(tx, audit, [
+      changeEvent({ entityType: 'CONTACT', entityId: contactId, contactId, after: created, fields: CONTACT_AUDIT_FIELDS }),
+      ...customValueAuditEvents(contactId, rowProperties, new Map(), importedValues)
+    ]);
+  }
+
+  if (key && !duplicateIndex.has(key)) duplicateIndex.set(key, contactId);
+  return { action: 'created', contactId };
+};
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { coerceImportValue, mapImportRows, normalizePhone, prepareImportRows } from './contactImport.js';
+
+const options = [
+  { value: 'hot', label: 'Hot lead' },
+  { value: 'cold', label: 'Cold lead' }
+];
+
+const property = (fieldType, extra = {}) => ({ id: `p-${fieldType}`, fieldKey: fieldType.toLowerCase(), name: fieldType, fieldType, ...extra });
+
+test('coerceImportValue parses numbers, ignoring currency symbols and separators', () => {
+  assert.deepEqual(coerceImportValue(property('NUMBER'), ' $1,250.50 '), { value: '1250.5' });
+  assert.deepEqual(coerceImportValue(property('NUMBER'), '-3'), { value: '-3' });
+  assert.deepEqual(coerceImportValue(property('NUMBER'), '12abc'), { error: '"12abc" is not a number' });
+});
+
+test('coerceImportValue accepts common yes/no spellings for booleans', () => {
+  for (const raw of ['Yes', 'y', 'TRUE', '1', 'x']) {
+    assert.deepEqual(coerceImportValue(property('BOOLEAN'), raw), { value: 'true' });
+  }
+  for (const raw of ['No', 'n', 'false', '0']) {
+    assert.deepEqual(coerceImportValue(property('BOOLEAN'), raw), { value: 'false' });
+  }
+  assert.deepEqual(coerceImportValue(property('BOOLEAN'), 'maybe'), { error: '"maybe" is not yes/no' });
+});
+
+test('coerceImportValue reads ISO and day-first dates and rejects impossible ones', () => {
+  assert.deepEqual(coerceImportValue(property('DATE'), '2025-03-04'), { value: '2025-03-04T00:00:00.000Z' });
+  assert.deepEqual(coerceImportValue(property('DATE'), '4/3/2025'), { value: '2025-03-04T00:00:00.000Z' });
+  assert.deepEqual(coerceImportValue(property('DATE'), '31.12.2024'), { value: '2024-12-31T00:00:00.000Z' });
+  assert.deepEqual(coerceImportValue(property('DATE'), '31/02/2025'), { error: '"31/02/2025" is not a valid date' });
+  assert.deepEqual(coerceImportValue(property('DATETIME'), 'soon'), { error: '"soon" is not a valid date' });
+});
+
+test('coerceImportValue matches dropdown options by value or label, case-insensitively', () => {
+  const dropdown = property('DROPDOWN', { options });
+  assert.deepEqual(coerceImportValue(dropdown, 'HOT'), { value: 'hot' });
+  assert.deepEqual(coerceImportValue(dropdown, 'cold lead'), { value: 'cold' });
+  assert.deepEqual(coerceImportValue(dropdown, 'warm'), { error: '"warm" is not one of: Hot lead, Cold lead' });
+});
+
+test('coerceImportValue splits multi-select cells and drops repeats', () => {
+  const multiselect = property('MULTISELECT', { options });
+  assert.deepEqual(coerceImportValue(multiselect, 'hot; Cold lead | hot'), { value: '["hot","cold"]' });
+  assert.deepEqual(coerceImportValue(multiselect, 'hot, warm'), { error: '"warm" is not one of: Hot lead, Cold lead' });
+});
+
+test('coerceImportValue validates emails and URLs and keeps text as is', () => {
+  assert.deepEqual(coerceImportValue(property('EMAIL'), 'Ann@Example.com'), { value: 'ann@example.com' });
+  assert.deepEqual(coerceImportValue(property('EMAIL'), 'ann@'), { error: '"ann@" is not a valid email' });
+  assert.deepEqual(coerceImportValue(property('URL'), 'https://example.com/a'), { value: 'https://example.com/a' });
+  assert.deepEqual(coerceImportValue(property('URL'), 'example'), { error: '"example" is not a valid URL' });
+  assert.deepEqual(coerceImportValue(property('TEXT'), '  Unit 4  '), { value: 'Unit 4' });
+});
+
+test('normalizePhone keeps digits only', () => {
+  assert.equal(normalizePhone('+61 (400) 000-000'), '61400000000');
+  assert.equal(normalizePhone(null), '');
+});
+
+test('mapImportRows maps columns to core and custom fields and ignores unmapped ones', () => {
+  const contacts = mapImportRows(
+    ['Name', 'Budget', 'Notes'],
+    [['Ann', '500'], ['Bob', '700', 'ignored']],
+    { Name: 'name', Budget: 'custom:budget', Notes: '' }
+  );
+  assert.deepEqual(contacts, [
+    { name: 'Ann', customFields: { budget: '500' } },
+    { name: 'Bob', customFields: { budget: '700' } }
+  ]);
+});
+
+test('prepareImportRows coerces custom values, skips blanks and reports errors by row', () => {
+  const properties = [property('NUMBER', { fieldKey: 'budget', name: 'Budget' })];
+  const { rows, errors } = prepareImportRows([
+    { name: ' Ann ', email: 'ANN@example.com', customFields: { budget: '$500', missing: '' } },
+    { name: 'Bob', email: 'bob@', customFields: { budget: 'lots' } },
+    { name: 'Cy', customFields: { colour: 'red' } }
+  ], properties, 10);
+
+  assert.deepEqual(rows, [{
+    row: 10,
+    core: { name: 'Ann', email: 'ann@example.com' },
+    customValues: [{ propertyId: 'p-NUMBER', value: '500' }]
+  }]);
+  assert.deepEqual(errors, [
+    { row: 11, field: 'email', error: 'Invalid email format' },
+    { row: 11, field: 'budget', error: 'Budget: "lots" is not a number' },
+    { row: 12, field: 'colour', error: 'Unknown custom property' }
+  ]);
+});
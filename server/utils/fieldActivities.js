@@ -0,0 +1,53 @@
+import { customValueForAudit } from './audit.js';
+
+// Properties whose changes always appear on the contact timeline; others opt in with trackChanges
+export const TRACKED_FIELD_KEYS = ['status', 'contact_type', 'lead_source'];
+
+export const isTrackedProperty = (property) => property.trackChanges || TRACKED_FIELD_KEYS.includes(property.fieldKey);
+
+// Stored value as shown to people: option labels for dropdowns, dates without the time for DATE fields
+const displayValue = (property, value) => {
+  if (value === null) return null;
+  const labelFor = (item) => property.options?.find(option => option.value === item)?.label || item;
+  if (Array.isArray(value)) return value.map(labelFor).join(', ');
+  switch (property.fieldType) {
+    case 'DROPDOWN':
+      return labelFor(value);
+    case 'BOOLEAN':
+      return value === 'true' ? 'Yes' : 'No';
+    case 'DATE':
+      return value.slice(0, 10);
+    default:
+      return value;
+  }
+};
+
+const describeChange = (name, from, to) => {
+  if (from === null) return `${name} set to ${to}`;
+  if (to === null) return `${name} cleared (was ${from})`;
+  return `${name} changed from ${from} to ${to}`;
+};
+
+/**
+ * Timeline activities for tracked custom field changes on one contact. `before` and `after` map
+ * propertyId -> stored value, as for customValueAuditEvents. The status field is logged as
+ * STATUS_CHANGED and every other tracked field as FIELD_CHANGED, with raw values in metadata.
+ * Returns rows for recordActivities.
+ */
+export const fieldChangeActivities = (contactId, properties, before, after) => properties
+  .filter(isTrackedProperty)
+  .map(property => {
+    const from = customValueForAudit(property.fieldType, before.get(property.id));
+    const to = customValueForAudit(property.fieldType, after.get(property.id));
+    if (JSON.stringify(from) === JSON.stringify(to)) return null;
+
+    const isStatus = property.fieldKey === 'status';
+    return {
+      contactId,
+      type: isStatus ? 'STATUS_CHANGED' : 'FIELD_CHANGED',
+      title: isStatus ? 'Status Changed' : `${property.name} Changed`,
+      description: describeChange(property.name, displayValue(property, from), displayValue(property, to)),
+      metadata: { propertyId: property.id, fieldKey: property.fieldKey, from, to }
+    };
+  })
+  .filter(Boolean);
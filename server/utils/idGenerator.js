@@ -34,3 +34,29 @@ const generateUniqueId = async (prisma, model, generator, maxAttempts = 5) => {
 
 export const generateUniqueUserId = (prisma) => generateUniqueId(prisma, 'user', generateUserId);
 export const generateUniqueContactId = (prisma) => generateUniqueId(prisma, 'contact', generateContactId);
+
+// Generate `count` unique contact IDs with one lookup per attempt instead of one per ID
+export const generateUniqueContactIds = async (prisma, count, maxAttempts = 5) => {
+  const ids = new Set();
+  for (let i = 0; i < maxAttempts && ids.size < count; i++) {
+    const candidates = new Set();
+    while (candidates.size < count - ids.size) {
+      const id = generateContactId();
+      if (!ids.has(id)) candidates.add(id);
+    }
+
+    const taken = await prisma.contact.findMany({
+      where: { id: { in: [...candidates] } },
+      select: { id: true }
+    });
+    const takenIds = new Set(taken.map(contact => contact.id));
+    candidates.forEach(id => {
+      if (!takenIds.has(id)) ids.add(id);
+    });
+  }
+
+  if (ids.size < count) {
+    throw new Error(`Failed to generate ${count} unique contact IDs after ${maxAttempts} attempts`);
+  }
+  return [...ids];
+};
@@ -0,0 +1,232 @@
+import { PrismaClient, Prisma } from '@prisma/client';
+import { generateUniqueContactIds } from './idGenerator.js';
+import {
+  mapImportRows,
+  prepareImportRows,
+  buildDuplicateIndex,
+  importPreparedRow
+} from './contactImport.js';
+import { loadAssignmentRules } from './assignments.js';
+import { emitContactEvent, emitWebhookEvent } from './webhooks.js';
+
+const prisma = new PrismaClient();
+
+// Rows are written in batches; each batch commits together with the job's progress,
+// so a job interrupted by a restart resumes after the last committed batch
+export const IMPORT_BATCH_SIZE = 200;
+
+const ACTIVE_STATUSES = ['QUEUED', 'RUNNING'];
+
+// Jobs run one at a time in this process so large imports don't starve other requests
+const queue = [];
+let draining = false;
+
+const loadImportProperties = (workspaceId) => prisma.customPropertyDefinition.findMany({
+  where: { workspaceId, isActive: true },
+  select: {
+    id: true,
+    name: true,
+    fieldKey: true,
+    fieldType: true,
+    options: {
+      where: { isActive: true },
+      select: { value: true, label: true }
+    }
+  }
+});
+
+// Collapse a row's validation errors into one reason for the error report
+const groupErrorsByRow = (errors) => {
+  const reasons = new Map();
+  errors.forEach(({ row, error }) => {
+    reasons.set(row, reasons.has(row) ? `${reasons.get(row)}; ${error}` : error);
+  });
+  return reasons;
+};
+
+// import.finished payload; the error report itself stays behind the API
+const webhookImportJob = (job) => ({
+  id: job.id,
+  fileName: job.fileName,
+  status: job.status,
+  totalRows: job.totalRows,
+  createdCount: job.createdCount,
+  updatedCount: job.updatedCount,
+  skippedCount: job.skippedCount,
+  failedCount: job.failedCount,
+  error: job.error,
+  startedAt: job.startedAt,
+  completedAt: job.completedAt
+});
+
+const emptyTally = () => ({ created: 0, updated: 0, skipped: 0, failed: [], written: [] });
+
+const tallyOutcome = (tally, row, outcome) => {
+  if (outcome.action === 'failed') {
+    tally.failed.push({ row: row.row, reason: outcome.reason });
+  } else {
+    tally[outcome.action] += 1;
+    if (outcome.action !== 'skipped') tally.written.push(outcome);
+  }
+};
+
+// contact.created / contact.updated for rows that were written; call only once they've committed
+const announceWrittenRows = (workspaceId, written) => {
+  written.forEach(({ action, contactId }) => emitContactEvent(workspaceId, `contact.${action}`, contactId));
+};
+
+/**
+ * Write one batch of prepared rows. The whole batch and the job's progress commit together;
+ * if that fails, rows are retried one by one so a single bad row doesn't sink its batch.
+ */
+const writeBatch = async (job, prepared, duplicateIndex, properties, assignment, progress) => {
+  const rowOptions = {
+    userId: job.userId,
+    workspaceId: job.workspaceId,
+    duplicateStrategy: job.duplicateStrategy,
+    matchBy: job.matchBy,
+    duplicateIndex,
+    importJobId: job.id,
+    properties,
+    assignment,
+    // Imports run in the background, so there's no request IP to record
+    audit: { userId: job.userId, workspaceId: job.workspaceId, actorId: job.userId }
+  };
+  const contactIds = await generateUniqueContactIds(prisma, prepared.length);
+
+  try {
+    const tally = await prisma.$transaction(async (tx) => {
+      const batchTally = emptyTally();
+      for (const [index, row] of prepared.entries()) {
+        tallyOutcome(batchTally, row, await importPreparedRow(tx, { ...rowOptions, row, newContactId: contactIds[index] }));
+      }
+      await tx.importJob.update({ where: { id: job.id }, data: progress(batchTally) });
+      return batchTally;
+    }, { timeout: 60000 });
+    announceWrittenRows(job.workspaceId, tally.written);
+    return tally;
+  } catch (error) {
+    console.error(`Import job ${job.id}: batch failed, retrying rows individually:`, error.message);
+  }
+
+  // The failed transaction may have added contacts to the index that were rolled back
+  const freshIndex = await buildDuplicateIndex(prisma, job.workspaceId, job.matchBy);
+  duplicateIndex.clear();
+  freshIndex.forEach((contactId, key) => duplicateIndex.set(key, contactId));
+
+  const tally = emptyTally();
+  for (const [index, row] of prepared.entries()) {
+    try {
+      const outcome = await prisma.$transaction(
+        (tx) => importPreparedRow(tx, { ...rowOptions, row, newContactId: contactIds[index] })
+      );
+      tallyOutcome(tally, row, outcome);
+    } catch (error) {
+      console.error(`Import job ${job.id}: row ${row.row} failed:`, error.message);
+      tally.failed.push({ row: row.row, reason: 'Could not be saved' });
+    }
+  }
+  await prisma.importJob.update({ where: { id: job.id }, data: progress(tally) });
+  announceWrittenRows(job.workspaceId, tally.written);
+  return tally;
+};
+
+const runImportJob = async (jobId) => {
+  const job = await prisma.importJob.findUnique({ where: { id: jobId } });
+  if (!job || !ACTIVE_STATUSES.includes(job.status) || !job.rows) return;
+
+  await prisma.importJob.update({
+    where: { id: job.id },
+    data: { status: 'RUNNING', startedAt: job.startedAt || new Date() }
+  });
+
+  const properties = await loadImportProperties(job.workspaceId);
+  const duplicateIndex = await buildDuplicateIndex(prisma, job.workspaceId, job.matchBy);
+  const assignment = await loadAssignmentRules(prisma, job.workspaceId);
+  let failures = Array.isArray(job.failures) ? job.failures : [];
+
+  for (let start = job.processedRows; start < job.rows.length; start += IMPORT_BATCH_SIZE) {
+    const sourceRows = job.rows.slice(start, start + IMPORT_BATCH_SIZE);
+    const contacts = mapImportRows(job.headers, sourceRows, job.mapping);
+    const { rows: prepared, errors } = prepareImportRows(contacts, properties, start + 1);
+
+    // Keep the original cells so the error report can be fixed and re-uploaded
+    const sourceRow = (row) => job.rows[row - 1];
+    groupErrorsByRow(errors).forEach((reason, row) => {
+      failures.push({ row, values: sourceRow(row), reason });
+    });
+
+    const failuresWith = (tally) => [
+      ...failures,
+      ...tally.failed.map(({ row, reason }) => ({ row, values: sourceRow(row), reason }))
+    ];
+    const progress = (tally) => ({
+      processedRows: start + sourceRows.length,
+      createdCount: { increment: tally.created },
+      updatedCount: { increment: tally.updated },
+      skippedCount: { increment: tally.skipped },
+      failedCount: failuresWith(tally).length,
+      failures: failuresWith(tally)
+    });
+
+    const tally = await writeBatch(job, prepared, duplicateIndex, properties, assignment, progress);
+    failures = failuresWith(tally);
+  }
+
+  // The raw file is only needed while the job runs
+  const finished = await prisma.importJob.update({
+    where: { id: job.id },
+    data: { status: 'COMPLETED', completedAt: new Date(), rows: Prisma.DbNull }
+  });
+  console.log(`Import job ${job.id} completed for user ${job.userId}:`, {
+    created: finished.createdCount,
+    updated: finished.updatedCount,
+    skipped: finished.skippedCount,
+    failed: finished.failedCount
+  });
+  emitWebhookEvent(finished.workspaceId, 'import.finished', { importJob: webhookImportJob(finished) });
+};
+
+const drainQueue = async () => {
+  if (draining) return;
+  draining = true;
+
+  while (queue.length > 0) {
+    const jobId = queue.shift();
+    try {
+      await runImportJob(jobId);
+    } catch (error) {
+      console.error(`Import job ${jobId} failed:`, error);
+      await prisma.importJob.update({
+        where: { id: jobId },
+        data: {
+          status: 'FAILED',
+          error: 'The import stopped unexpectedly. Rows already imported were kept',
+          completedAt: new Date(),
+          rows: Prisma.DbNull
+        }
+      })
+        .then(failed => emitWebhookEvent(failed.workspaceId, 'import.finished', { importJob: webhookImportJob(failed) }))
+        .catch(updateError => console.error(`Failed to mark import job ${jobId} as failed:`, updateError));
+    }
+  }
+
+  draining = false;
+};
+
+// Queue a job to run in the background; the caller does not wait for it
+export const enqueueImportJob = (jobId) => {
+  if (!queue.includes(jobId)) queue.push(jobId);
+  drainQueue();
+};
+
+// Pick up jobs that were queued or running when the server last stopped
+export const resumeImportJobs = async () => {
+  const jobs = await prisma.importJob.findMany({
+    where: { status: { in: ACTIVE_STATUSES } },
+    select: { id: true },
+    orderBy: { createdAt: 'asc' }
+  });
+  jobs.forEach(job => enqueueImportJob(job.id));
+  return jobs.length;
+};
@@ -0,0 +1,25 @@
+// Mentions are written by the note editor as @[Jane Doe](contact:<contactId>)
+const MENTION_PATTERN = /@\[([^\]\n]+)\]\(contact:([A-Za-z0-9_-]+)\)/g;
+
+export const extractMentionedContactIds = (content = '') =>
+  [...new Set([...content.matchAll(MENTION_PATTERN)].map(match => match[2]))];
+
+/**
+ * Make the note's mention rows match its content. Only contacts inside the author's `contactScope`
+ * can be mentioned, and a note never back-links to the contact it is written on.
+ */
+export const syncNoteMentions = async (db, { contactScope, noteId, contactId, content }) => {
+  const mentionedIds = extractMentionedContactIds(content).filter(id => id !== contactId);
+  const contacts = mentionedIds.length > 0
+    ? await db.contact.findMany({ where: { id: { in: mentionedIds }, ...contactScope }, select: { id: true } })
+    : [];
+  const contactIds = contacts.map(contact => contact.id);
+
+  await db.noteMention.deleteMany({ where: { noteId, contactId: { notIn: contactIds } } });
+  if (contactIds.length > 0) {
+    await db.noteMention.createMany({
+      data: contactIds.map(id => ({ noteId, contactId: id })),
+      skipDuplicates: true
+    });
+  }
+};
@@ -0,0 +1,42 @@
+export const WORKSPACE_ROLES = ['OWNER', 'ADMIN', 'AGENT', 'READ_ONLY'];
+
+export const PERMISSIONS = {
+  VIEW_ALL_CONTACTS: 'viewAllContacts',
+  // Create and edit contacts and the records hanging off them (notes, tasks, documents), listings and deals
+  EDIT_RECORDS: 'editRecords',
+  DELETE_RECORDS: 'deleteRecords',
+  BULK_DELETE: 'bulkDelete',
+  EXPORT_CONTACTS: 'exportContacts',
+  IMPORT_CONTACTS: 'importContacts',
+  MANAGE_PROPERTIES: 'manageProperties',
+  MANAGE_MEMBERS: 'manageMembers',
+  MANAGE_WEBHOOKS: 'manageWebhooks',
+  MANAGE_WORKSPACE: 'manageWorkspace'
+};
+
+const ROLE_PERMISSIONS = {
+  OWNER: Object.values(PERMISSIONS),
+  ADMIN: Object.values(PERMISSIONS).filter(permission => permission !== PERMISSIONS.MANAGE_WORKSPACE),
+  AGENT: [PERMISSIONS.EDIT_RECORDS, PERMISSIONS.DELETE_RECORDS],
+  READ_ONLY: []
+};
+
+/**
+ * Permissions of a workspace membership ({ role, canViewAllContacts }). Agents and read-only
+ * members only see contacts assigned to them unless they've been granted access to all of them.
+ */
+export const permissionsFor = (membership) => {
+  const permissions = ROLE_PERMISSIONS[membership.role] || [];
+  if (membership.canViewAllContacts && !permissions.includes(PERMISSIONS.VIEW_ALL_CONTACTS)) {
+    return [...permissions, PERMISSIONS.VIEW_ALL_CONTACTS];
+  }
+  return permissions;
+};
+
+export const hasPermission = (membership, permission) => permissionsFor(membership).includes(permission);
+
+// Prisma filter for the contacts a member can see in a workspace
+export const contactScopeFor = (membership, userId) => ({
+  workspaceId: membership.workspaceId,
+  ...(!hasPermission(membership, PERMISSIONS.VIEW_ALL_CONTACTS) && { assignedToId: userId })
+});
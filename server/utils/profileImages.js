@@ -0,0 +1,106 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { getStorage } from './storage.js';
+
+export const PROFILE_IMAGE_MAX_BYTES = 5 * 1024 * 1024;
+
+// Square renditions stored for every profile image, in pixels; avatars use the thumbnail
+export const PROFILE_IMAGE_SIZES = { thumb: 128, full: 512 };
+
+// Keys look like "profile-images/<userId>/<version>"; each upload gets a new version, which is also its ETag
+const VERSION_PATTERN = /^[0-9a-f-]{36}$/;
+
+const renditionKey = (profileImageKey, size) => `${profileImageKey}/${size}.webp`;
+
+export const profileImageVersion = (profileImageKey) => profileImageKey?.split('/').pop() || null;
+
+export const isProfileImageRequest = (version, size) => VERSION_PATTERN.test(version) && size in PROFILE_IMAGE_SIZES;
+
+/**
+ * URLs of a user's profile image renditions, or nulls when there is none. The version is part of the
+ * path, so the responses can be cached forever and a new upload is picked up as a new URL.
+ */
+export const profileImageUrls = (userId, profileImageKey) => {
+  const version = profileImageVersion(profileImageKey);
+  if (!version) {
+    return { profileImageUrl: null, profileImageThumbUrl: null };
+  }
+  const base = `/api/users/${encodeURIComponent(userId)}/profile-image/${version}`;
+  return { profileImageUrl: `${base}/full`, profileImageThumbUrl: `${base}/thumb` };
+};
+
+/**
+ * Resize an uploaded image into every rendition and store them under a new key, which is returned.
+ * Returns null when the data isn't an image sharp can decode.
+ */
+export const storeProfileImage = async (userId, data) => {
+  let renditions;
+  try {
+    renditions = await Promise.all(
+      Object.entries(PROFILE_IMAGE_SIZES).map(async ([size, pixels]) => [
+        size,
+        await sharp(data)
+          .rotate() // Apply EXIF orientation before it is stripped
+          .resize(pixels, pixels, { fit: 'cover' })
+          .webp({ quality: 82 })
+          .toBuffer()
+      ])
+    );
+  } catch {
+    return null;
+  }
+
+  const storage = getStorage();
+  const profileImageKey = `profile-images/${userId}/${crypto.randomUUID()}`;
+  await Promise.all(renditions.map(([size, buffer]) => storage.put(renditionKey(profileImageKey, size), buffer)));
+  return profileImageKey;
+};
+
+export const readProfileImage = (profileImageKey, size) => getStorage().get(renditionKey(profileImageKey, size));
+
+// Best effort, like attachment files: a failure only leaves orphaned files behind
+export const removeProfileImageFiles = async (profileImageKey) => {
+  if (!profileImageKey) return;
+  const storage = getStorage();
+  const results = await Promise.allSettled(
+    Object.keys(PROFILE_IMAGE_SIZES).map(size => storage.remove(renditionKey(profileImageKey, size)))
+  );
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => console.error('Failed to remove profile image file:', result.reason));
+};
+
+/**
+ * Move profile images saved as base64 data URLs (before file storage) into storage. Safe to run
+ * repeatedly; values that can't be decoded are dropped so they aren't retried forever.
+ */
+export const convertLegacyProfileImages = async (db) => {
+  // Images are loaded one user at a time so a large backlog doesn't have to fit in memory
+  const users = await db.user.findMany({
+    where: { profileImageData: { not: null } },
+    select: { id: true }
+  });
+
+  let converted = 0;
+  for (const { id } of users) {
+    const user = await db.user.findUnique({ where: { id }, select: { id: true, profileImageData: true } });
+    if (!user?.profileImageData) continue;
+
+    const match = user.profileImageData.match(/^data:image\/[a-z+.-]+;base64,(.+)$/s);
+    const profileImageKey = match ? await storeProfileImage(user.id, Buffer.from(match[1], 'base64')) : null;
+    if (!profileImageKey) {
+      console.warn(`Dropping unreadable legacy profile image for user ${user.id}`);
+    }
+
+    await db.user.update({
+      where: { id: user.id },
+      data: {
+        profileImageData: null,
+        ...(profileImageKey ? { profileImageKey } : {})
+      }
+    });
+    if (profileImageKey) converted++;
+  }
+
+  return converted;
+};
@@ -0,0 +1,131 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_LOCAL_ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'uploads');
+
+/**
+ * Storage driver that keeps files on local disk under `root`. Keys are relative paths
+ * such as "attachments/<userId>/<uuid>.pdf"; keys that resolve outside the root are rejected.
+ */
+export const createLocalStorage = (root = DEFAULT_LOCAL_ROOT) => {
+  const base = path.resolve(root);
+  const resolveKey = (key) => {
+    const filePath = path.resolve(base, key);
+    if (!filePath.startsWith(base + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    async put(key, data) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, data);
+    },
+    get: (key) => fs.readFile(resolveKey(key)),
+    remove: (key) => fs.rm(resolveKey(key), { force: true })
+  };
+};
+
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+/**
+ * Storage driver for S3 and S3-compatible services (MinIO, R2, Spaces...), signing requests with
+ * AWS Signature V4 so no SDK is needed. Set forcePathStyle for services that don't support
+ * bucket subdomains.
+ */
+export const createS3Storage = ({ endpoint, region = 'us-east-1', bucket, accessKeyId, secretAccessKey, forcePathStyle = false }) => {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage needs a bucket, access key id and secret access key');
+  }
+  const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+
+  const objectUrl = (key) => {
+    const objectPath = key.split('/').map(encodeURIComponent).join('/');
+    return forcePathStyle
+      ? new URL(`${base.origin}/${bucket}/${objectPath}`)
+      : new URL(`${base.protocol}//${bucket}.${base.host}/${objectPath}`);
+  };
+
+  const request = async (method, key, body) => {
+    const url = objectUrl(key);
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const day = amzDate.slice(0, 8);
+    const scope = `${day}/${region}/s3/aws4_request`;
+    const headers = {
+      host: url.host,
+      'x-amz-content-sha256': sha256Hex(body || ''),
+      'x-amz-date': amzDate
+    };
+    const headerNames = Object.keys(headers).sort();
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      '',
+      ...headerNames.map(name => `${name}:${headers[name]}`),
+      '',
+      headerNames.join(';'),
+      headers['x-amz-content-sha256']
+    ].join('\n');
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+    const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${secretAccessKey}`, day), region));
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    const { host, ...sentHeaders } = headers;
+    const response = await fetch(url, {
+      method,
+      body,
+      headers: {
+        ...sentHeaders,
+        Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${headerNames.join(';')}, Signature=${signature}`
+      }
+    });
+    if (!response.ok && !(method === 'DELETE' && response.status === 404)) {
+      throw new Error(`S3 ${method} ${key} failed with status ${response.status}`);
+    }
+    return response;
+  };
+
+  return {
+    put: async (key, data) => { await request('PUT', key, data); },
+    get: async (key) => Buffer.from(await (await request('GET', key)).arrayBuffer()),
+    remove: async (key) => { await request('DELETE', key); }
+  };
+};
+
+// Every driver exposes put(key, buffer), get(key) -> buffer and remove(key)
+const drivers = {
+  local: () => createLocalStorage(process.env.STORAGE_LOCAL_DIR || DEFAULT_LOCAL_ROOT),
+  s3: () => createS3Storage({
+    endpoint: process.env.S3_ENDPOINT,
+    region: process.env.S3_REGION,
+    bucket: process.env.S3_BUCKET,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+  })
+};
+
+let storage = null;
+
+// The driver named by STORAGE_DRIVER (default "local"), created on first use
+export const getStorage = () => {
+  if (!storage) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[name]) {
+      throw new Error(`Unknown STORAGE_DRIVER "${name}"`);
+    }
+    storage = drivers[name]();
+  }
+  return storage;
+};
+
+// A fresh key under `prefix` that keeps the file's extension but none of its name
+export const createStorageKey = (prefix, fileName) => {
+  const extension = path.extname(fileName).toLowerCase().replace(/[^a-z0-9.]/g, '').slice(0, 10);
+  return `${prefix}/${crypto.randomUUID()}${extension}`;
+};
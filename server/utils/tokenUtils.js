@@ -1,17 +1,36 @@
 import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
+import { PrismaClient } from '@prisma/client';
 
 // Token configuration
 const ACCESS_TOKEN_EXPIRY = '15m'; // Short-lived access tokens
 const REFRESH_TOKEN_EXPIRY = '7d'; // Longer-lived refresh tokens
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000; // Matches REFRESH_TOKEN_EXPIRY
 
-// In production, you'd store refresh tokens in a database or Redis
-// For now, we'll use an in-memory store (will be lost on server restart)
-const refreshTokenStore = new Map();
+// Issuing, rotating and checking tokens also accept a `db` argument, so tests can pass their own
+const prisma = new PrismaClient();
 
-export const generateTokenPair = (userId, email) => {
+// Only a hash of the refresh token id is stored, so a database leak can't be replayed
+const hashTokenId = (tokenId) => crypto.createHash('sha256').update(tokenId).digest('hex');
+
+const refreshTokenError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const getRefreshSecret = () => process.env.REFRESH_TOKEN_SECRET || process.env.JWT_SECRET;
+
+// Device details recorded against a session, from the request that used it
+const sessionMetadata = ({ userAgent, ipAddress } = {}) => ({
+  userAgent: userAgent ? userAgent.slice(0, 512) : null,
+  ipAddress: ipAddress || null
+});
+
+// Sign an access + refresh pair. The refresh token's row is created by the caller.
+// The access token carries the session (token family) id so the current session can be identified
+const signTokenPair = (userId, email, sessionId) => {
   const jwtSecret = process.env.JWT_SECRET;
-  const refreshSecret = process.env.REFRESH_TOKEN_SECRET || process.env.JWT_SECRET;
   
   if (!jwtSecret || jwtSecret === 'your-secret-key') {
     throw new Error('JWT_SECRET not properly configured');
@@ -22,6 +41,7 @@ export const generateTokenPair = (userId, email) => {
     { 
       userId,
       email,
+      sid: sessionId,
       type: 'access'
     }, 
     jwtSecret, 
@@ -41,7 +61,7 @@ export const generateTokenPair = (userId, email) => {
       tokenId: refreshTokenId,
       type: 'refresh'
     }, 
-    refreshSecret, 
+    getRefreshSecret(), 
     { 
       expiresIn: REFRESH_TOKEN_EXPIRY,
       issuer: 'solecrm',
@@ -49,80 +69,200 @@ export const generateTokenPair = (userId, email) => {
     }
   );
 
-  // Store refresh token (in production, use database/Redis)
-  refreshTokenStore.set(refreshTokenId, {
-    userId,
-    email,
-    createdAt: new Date(),
-    lastUsed: new Date()
-  });
-
   return {
-    accessToken,
-    refreshToken,
-    accessTokenExpiry: ACCESS_TOKEN_EXPIRY,
-    refreshTokenExpiry: REFRESH_TOKEN_EXPIRY
+    tokenHash: hashTokenId(refreshTokenId),
+    tokens: {
+      accessToken,
+      refreshToken,
+      accessTokenExpiry: ACCESS_TOKEN_EXPIRY,
+      refreshTokenExpiry: REFRESH_TOKEN_EXPIRY
+    }
   };
 };
 
-export const verifyRefreshToken = (refreshToken) => {
-  try {
-    const refreshSecret = process.env.REFRESH_TOKEN_SECRET || process.env.JWT_SECRET;
-    const decoded = jwt.verify(refreshToken, refreshSecret);
-    
-    if (decoded.type !== 'refresh') {
-      throw new Error('Invalid token type');
-    }
+// Issue a token pair for a fresh login. Each login starts a new token family
+export const generateTokenPair = async (userId, email, metadata, db = prisma) => {
+  const familyId = crypto.randomUUID();
+  const { tokenHash, tokens } = signTokenPair(userId, email, familyId);
 
-    // Check if refresh token exists in store
-    const tokenData = refreshTokenStore.get(decoded.tokenId);
-    if (!tokenData) {
-      throw new Error('Refresh token not found or expired');
+  await db.refreshToken.create({
+    data: {
+      userId,
+      familyId,
+      tokenHash,
+      ...sessionMetadata(metadata),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
     }
+  });
 
-    // Update last used timestamp
-    tokenData.lastUsed = new Date();
-    refreshTokenStore.set(decoded.tokenId, tokenData);
+  return tokens;
+};
 
-    return {
-      userId: decoded.userId,
-      email: decoded.email,
-      tokenId: decoded.tokenId
-    };
+// Verify the JWT signature and return its stored row (revoked or not)
+const findRefreshToken = async (refreshToken, db) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, getRefreshSecret());
   } catch (error) {
-    throw new Error('Invalid refresh token');
+    throw refreshTokenError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
   }
-};
 
-export const revokeRefreshToken = (tokenId) => {
-  return refreshTokenStore.delete(tokenId);
+  if (decoded.type !== 'refresh' || !decoded.tokenId) {
+    throw refreshTokenError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+  }
+
+  const stored = await db.refreshToken.findUnique({
+    where: { tokenHash: hashTokenId(decoded.tokenId) }
+  });
+
+  if (!stored || stored.userId !== decoded.userId) {
+    throw refreshTokenError('Refresh token not found', 'INVALID_REFRESH_TOKEN');
+  }
+
+  return { decoded, stored };
 };
 
-export const revokeAllUserRefreshTokens = (userId) => {
-  let revokedCount = 0;
-  for (const [tokenId, tokenData] of refreshTokenStore.entries()) {
-    if (tokenData.userId === userId) {
-      refreshTokenStore.delete(tokenId);
-      revokedCount++;
+const revokeFamily = (familyId, db) => db.refreshToken.updateMany({
+  where: { familyId, revokedAt: null },
+  data: { revokedAt: new Date() }
+});
+
+// Exchange a refresh token for a new pair in the same family. Presenting a token
+// that has already been rotated means it was copied, so the whole family is revoked
+export const rotateRefreshToken = async (refreshToken, metadata, db = prisma) => {
+  const { decoded, stored } = await findRefreshToken(refreshToken, db);
+
+  if (stored.revokedAt) {
+    await revokeFamily(stored.familyId, db);
+    console.warn(`Refresh token reuse detected for user ${stored.userId}; revoked token family ${stored.familyId}`);
+    throw refreshTokenError('Refresh token has already been used', 'REFRESH_TOKEN_REUSED');
+  }
+
+  if (stored.expiresAt <= new Date()) {
+    throw refreshTokenError('Refresh token expired', 'INVALID_REFRESH_TOKEN');
+  }
+
+  const { tokenHash, tokens } = signTokenPair(decoded.userId, decoded.email, stored.familyId);
+  const { userAgent, ipAddress } = sessionMetadata(metadata);
+
+  const rotated = await db.$transaction(async (tx) => {
+    const now = new Date();
+
+    // Claim the old token; losing this race to a concurrent request counts as reuse
+    const claimed = await tx.refreshToken.updateMany({
+      where: { id: stored.id, revokedAt: null },
+      data: { revokedAt: now, lastUsedAt: now }
+    });
+    if (claimed.count === 0) {
+      return null;
     }
+
+    const next = await tx.refreshToken.create({
+      data: {
+        userId: stored.userId,
+        familyId: stored.familyId,
+        tokenHash,
+        userAgent: userAgent || stored.userAgent,
+        ipAddress: ipAddress || stored.ipAddress,
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS)
+      }
+    });
+
+    await tx.refreshToken.update({
+      where: { id: stored.id },
+      data: { replacedById: next.id }
+    });
+
+    return next;
+  });
+
+  if (!rotated) {
+    await revokeFamily(stored.familyId, db);
+    throw refreshTokenError('Refresh token has already been used', 'REFRESH_TOKEN_REUSED');
   }
-  return revokedCount;
+
+  return {
+    userId: decoded.userId,
+    tokens
+  };
 };
 
-// Clean up expired refresh tokens (should be run periodically)
-export const cleanupExpiredTokens = () => {
-  const now = new Date();
-  const expiryTime = 7 * 24 * 60 * 60 * 1000; // 7 days in milliseconds
-  let cleanedCount = 0;
+// Revoke the session (token family) a refresh token belongs to
+export const revokeRefreshToken = async (refreshToken, db = prisma) => {
+  const { stored } = await findRefreshToken(refreshToken, db);
+  const result = await revokeFamily(stored.familyId, db);
+  return result.count;
+};
 
-  for (const [tokenId, tokenData] of refreshTokenStore.entries()) {
-    if (now - tokenData.createdAt > expiryTime) {
-      refreshTokenStore.delete(tokenId);
-      cleanedCount++;
-    }
+// Sign out everywhere: revoke every active refresh token for the user
+export const revokeAllUserRefreshTokens = async (userId) => {
+  const result = await prisma.refreshToken.updateMany({
+    where: { userId, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+  return result.count;
+};
+
+// Active sessions for a user: one per token family with a live refresh token
+export const listUserSessions = async (userId) => {
+  const activeTokens = await prisma.refreshToken.findMany({
+    where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+    orderBy: { lastUsedAt: 'desc' }
+  });
+
+  if (activeTokens.length === 0) {
+    return [];
+  }
+
+  // A session started when the first token in its family was issued
+  const firstIssued = await prisma.refreshToken.groupBy({
+    by: ['familyId'],
+    where: { familyId: { in: activeTokens.map(token => token.familyId) } },
+    _min: { createdAt: true }
+  });
+  const startedAt = new Map(firstIssued.map(group => [group.familyId, group._min.createdAt]));
+
+  return activeTokens.map(token => ({
+    id: token.familyId,
+    userAgent: token.userAgent,
+    ipAddress: token.ipAddress,
+    createdAt: startedAt.get(token.familyId) || token.createdAt,
+    lastUsedAt: token.lastUsedAt,
+    expiresAt: token.expiresAt
+  }));
+};
+
+// Whether a session (token family) still has a live refresh token. Access tokens outlive a
+// sign-out by up to ACCESS_TOKEN_EXPIRY, so they are checked against this on every request
+export const isSessionActive = async (sessionId, db = prisma) => {
+  if (!sessionId) {
+    return false;
   }
 
-  return cleanedCount;
+  const activeTokens = await db.refreshToken.count({
+    where: { familyId: sessionId, revokedAt: null, expiresAt: { gt: new Date() } }
+  });
+  return activeTokens > 0;
+};
+
+// Revoke one of the user's sessions by id; returns false if it isn't theirs or is already gone
+export const revokeUserSession = async (userId, sessionId) => {
+  const result = await prisma.refreshToken.updateMany({
+    where: { userId, familyId: sessionId, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+  return result.count > 0;
+};
+
+// Delete expired refresh tokens (should be run periodically). Revoked rows are kept
+// until they expire so a replayed token can still be recognised as reuse
+export const cleanupExpiredTokens = async () => {
+  const result = await prisma.refreshToken.deleteMany({
+    where: { expiresAt: { lt: new Date() } }
+  });
+
+  return result.count;
 };
 
 // Middleware to verify access token with proper error handling
@@ -137,7 +277,8 @@ export const verifyAccessToken = (token) => {
 
     return {
       userId: decoded.userId,
-      email: decoded.email
+      email: decoded.email,
+      sessionId: decoded.sid || null
     };
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
@@ -0,0 +1,132 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import {
+  generateTokenPair,
+  isSessionActive,
+  revokeRefreshToken,
+  rotateRefreshToken,
+  verifyAccessToken
+} from './tokenUtils.js';
+
+before(() => {
+  process.env.JWT_SECRET = 'test-jwt-secret';
+  process.env.REFRESH_TOKEN_SECRET = 'test-refresh-secret';
+});
+
+// In-memory stand-in for the refresh_tokens table, covering the queries tokenUtils makes
+const createFakeDb = () => {
+  const rows = [];
+  const matches = (row, where) => Object.entries(where).every(([key, condition]) => {
+    if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+      return 'gt' in condition ? row[key] > condition.gt : true;
+    }
+    return row[key] === condition;
+  });
+
+  const refreshToken = {
+    rows,
+    create: async ({ data }) => {
+      const row = { id: `rt${rows.length + 1}`, revokedAt: null, replacedById: null, createdAt: new Date(), ...data };
+      rows.push(row);
+      return { ...row };
+    },
+    findUnique: async ({ where }) => {
+      const row = rows.find(candidate => candidate.tokenHash === where.tokenHash);
+      return row ? { ...row } : null;
+    },
+    update: async ({ where, data }) => {
+      const row = rows.find(candidate => candidate.id === where.id);
+      Object.assign(row, data);
+      return { ...row };
+    },
+    updateMany: async ({ where, data }) => {
+      const matching = rows.filter(row => matches(row, where));
+      matching.forEach(row => Object.assign(row, data));
+      return { count: matching.length };
+    },
+    count: async ({ where }) => rows.filter(row => matches(row, where)).length
+  };
+
+  return { refreshToken, $transaction: (fn) => fn({ refreshToken }) };
+};
+
+const metadata = { userAgent: 'test-agent', ipAddress: '203.0.113.5' };
+
+test('generateTokenPair stores only a hash and starts a session', async () => {
+  const db = createFakeDb();
+  const tokens = await generateTokenPair('u1', 'ann@example.com', metadata, db);
+
+  const [row] = db.refreshToken.rows;
+  const { tokenId } = jwt.decode(tokens.refreshToken);
+  assert.equal(db.refreshToken.rows.length, 1);
+  assert.notEqual(row.tokenHash, tokenId);
+  assert.equal(row.userAgent, 'test-agent');
+
+  const access = verifyAccessToken(tokens.accessToken);
+  assert.deepEqual(access, { userId: 'u1', email: 'ann@example.com', sessionId: row.familyId });
+  assert.equal(await isSessionActive(access.sessionId, db), true);
+});
+
+test('rotateRefreshToken issues a new pair in the same family and retires the old token', async () => {
+  const db = createFakeDb();
+  const first = await generateTokenPair('u1', 'ann@example.com', metadata, db);
+  const { userId, tokens } = await rotateRefreshToken(first.refreshToken, {}, db);
+
+  assert.equal(userId, 'u1');
+  const [old, next] = db.refreshToken.rows;
+  assert.ok(old.revokedAt);
+  assert.equal(old.replacedById, next.id);
+  assert.equal(next.familyId, old.familyId);
+  assert.equal(next.revokedAt, null);
+  assert.equal(next.ipAddress, '203.0.113.5');
+  assert.equal(verifyAccessToken(tokens.accessToken).sessionId, old.familyId);
+
+  const again = await rotateRefreshToken(tokens.refreshToken, {}, db);
+  assert.ok(again.tokens.refreshToken);
+});
+
+test('reusing a rotated refresh token revokes the whole family', async () => {
+  const db = createFakeDb();
+  const first = await generateTokenPair('u1', 'ann@example.com', metadata, db);
+  const { tokens: second } = await rotateRefreshToken(first.refreshToken, {}, db);
+
+  await assert.rejects(rotateRefreshToken(first.refreshToken, {}, db), { code: 'REFRESH_TOKEN_REUSED' });
+  assert.ok(db.refreshToken.rows.every(row => row.revokedAt));
+  await assert.rejects(rotateRefreshToken(second.refreshToken, {}, db), { code: 'REFRESH_TOKEN_REUSED' });
+  assert.equal(await isSessionActive(verifyAccessToken(second.accessToken).sessionId, db), false);
+});
+
+test('two concurrent rotations of one token count as reuse', async () => {
+  const db = createFakeDb();
+  const first = await generateTokenPair('u1', 'ann@example.com', metadata, db);
+
+  const results = await Promise.allSettled([
+    rotateRefreshToken(first.refreshToken, {}, db),
+    rotateRefreshToken(first.refreshToken, {}, db)
+  ]);
+  assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.equal(results.find(result => result.status === 'rejected').reason.code, 'REFRESH_TOKEN_REUSED');
+  assert.ok(db.refreshToken.rows.every(row => row.revokedAt));
+});
+
+test('rotateRefreshToken rejects expired, unknown and malformed tokens', async () => {
+  const db = createFakeDb();
+  const first = await generateTokenPair('u1', 'ann@example.com', metadata, db);
+  db.refreshToken.rows[0].expiresAt = new Date(Date.now() - 1000);
+  await assert.rejects(rotateRefreshToken(first.refreshToken, {}, db), { code: 'INVALID_REFRESH_TOKEN' });
+
+  await assert.rejects(rotateRefreshToken(first.refreshToken, {}, createFakeDb()), { code: 'INVALID_REFRESH_TOKEN' });
+  await assert.rejects(rotateRefreshToken('not-a-token', {}, db), { code: 'INVALID_REFRESH_TOKEN' });
+  await assert.rejects(rotateRefreshToken(first.accessToken, {}, db), { code: 'INVALID_REFRESH_TOKEN' });
+});
+
+test('revokeRefreshToken ends the session', async () => {
+  const db = createFakeDb();
+  const tokens = await generateTokenPair('u1', 'ann@example.com', metadata, db);
+  const { sessionId } = verifyAccessToken(tokens.accessToken);
+
+  assert.equal(await revokeRefreshToken(tokens.refreshToken, db), 1);
+  assert.equal(await isSessionActive(sessionId, db), false);
+  assert.equal(await isSessionActive(null, db), false);
+});
@@ -0,0 +1,312 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { PrismaClient } from '@prisma/client';
+import { customValueForAudit } from './audit.js';
+
+const prisma = new PrismaClient();
+
+export const WEBHOOK_EVENTS = [
+  'contact.created',
+  'contact.updated',
+  'contact.deleted',
+  'task.completed',
+  'activity.created',
+  'import.finished'
+];
+
+// Sent only by the "Send test event" button, whatever the subscription's events are
+export const TEST_EVENT = 'webhook.test';
+
+// A delivery is tried up to this many times, waiting 30s, 1m, 2m, 4m... between attempts
+export const MAX_DELIVERY_ATTEMPTS = 8;
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// Due deliveries are also picked up on this interval, which is how retries and restarts resume
+const POLL_INTERVAL_MS = 15 * 1000;
+const POLL_BATCH_SIZE = 50;
+
+// How long to wait before retrying a delivery that has failed `attempts` times
+export const retryDelay = (attempts) => RETRY_BASE_DELAY_MS * 2 ** (attempts - 1);
+
+export const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Signature of a request body: hex HMAC-SHA256 of "<timestamp>.<body>" keyed by the subscription
+ * secret. Receivers recompute it from the X-Webhook-Timestamp header and the raw body.
+ */
+export const signWebhookPayload = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+// Contact fields sent in contact.* payloads; custom fields are keyed by fieldKey when loaded
+export const webhookContact = (contact) => ({
+  id: contact.id,
+  name: contact.name,
+  email: contact.email,
+  phone: contact.phone,
+  address: contact.address,
+  assignedToId: contact.assignedToId,
+  createdAt: contact.createdAt,
+  updatedAt: contact.updatedAt,
+  ...(contact.customFieldValues && {
+    customFields: Object.fromEntries(contact.customFieldValues.map(({ property, value }) => [
+      property.fieldKey,
+      customValueForAudit(property.fieldType, value)
+    ]))
+  })
+});
+
+// Task fields sent in task.completed payloads
+export const webhookTask = (task) => ({
+  id: task.id,
+  contactId: task.contactId,
+  title: task.title,
+  description: task.description,
+  status: task.status,
+  priority: task.priority,
+  dueDate: task.dueDate,
+  userId: task.userId
+});
+
+// Webhooks are never sent inside our own network: loopback, private and link-local ranges (which
+// include cloud metadata endpoints such as 169.254.169.254), plus other reserved ranges. IPv4-mapped
+// IPv6 addresses (::ffff:127.0.0.1) are checked against the IPv4 ranges by BlockList itself
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const BLOCKED_ADDRESS_MESSAGE = 'Webhooks cannot be sent to private, loopback or link-local addresses';
+
+// Whether `address` (an IP address) is one webhooks may not be sent to; anything that isn't an IP is
+export const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// The URL's host without the brackets around IPv6 literals
+const urlHost = (url) => url.hostname.replace(/^\[(.*)\]$/, '$1');
+
+/**
+ * Check that a webhook URL's host resolves only to public addresses. Returns an error message,
+ * or null when the URL may be used. Sending checks the resolved address again, so a hostname
+ * that is re-pointed after this check is still refused.
+ */
+export const checkWebhookUrl = async (url) => {
+  let host;
+  try {
+    host = urlHost(new URL(url));
+  } catch {
+    return 'URL is not valid';
+  }
+
+  let addresses = [host];
+  if (!net.isIP(host)) {
+    try {
+      addresses = (await dns.promises.lookup(host, { all: true })).map(entry => entry.address);
+    } catch {
+      return `Could not resolve ${host}`;
+    }
+  }
+  return addresses.some(isPrivateAddress) ? BLOCKED_ADDRESS_MESSAGE : null;
+};
+
+const blockedAddressError = () => {
+  const error = new Error(BLOCKED_ADDRESS_MESSAGE);
+  error.code = 'WEBHOOK_ADDRESS_BLOCKED';
+  return error;
+};
+
+// dns.lookup that refuses private addresses; connecting uses whatever address this returns
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    if (addresses.some(isPrivateAddress)) return callback(blockedAddressError());
+    callback(null, address, family);
+  });
+};
+
+// POST `body` to `url` without following redirects; resolves with the response status
+const postWebhook = (url, headers, body) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  if (net.isIP(urlHost(target)) && isPrivateAddress(urlHost(target))) {
+    reject(blockedAddressError());
+    return;
+  }
+
+  const transport = target.protocol === 'https:' ? https : http;
+  const request = transport.request(target, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    lookup: publicLookup,
+    timeout: REQUEST_TIMEOUT_MS
+  }, (response) => {
+    // Only the status is kept; the body is discarded
+    response.resume();
+    resolve(response.statusCode);
+  });
+  request.on('timeout', () => request.destroy(new Error(`No response within ${REQUEST_TIMEOUT_MS / 1000}s`)));
+  request.on('error', reject);
+  request.end(body);
+});
+
+let processing = false;
+// Set when deliveries are queued during a pass, so they are sent right after it rather than on the next poll
+let rerunRequested = false;
+
+const attemptDelivery = async (delivery) => {
+  const { subscription } = delivery;
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const attempts = delivery.attempts + 1;
+
+  let responseStatus = null;
+  let error = null;
+  let blocked = false;
+  try {
+    responseStatus = await postWebhook(subscription.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'SoleCRM-Webhooks/1.0',
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Delivery': delivery.id,
+      'X-Webhook-Timestamp': timestamp,
+      'X-Webhook-Signature': `sha256=${signWebhookPayload(subscription.secret, timestamp, body)}`
+    }, body);
+    if (responseStatus < 200 || responseStatus >= 300) error = `Endpoint responded with ${responseStatus}`;
+  } catch (err) {
+    error = err.message;
+    blocked = err.code === 'WEBHOOK_ADDRESS_BLOCKED';
+  }
+
+  const succeeded = !error;
+  // A blocked address is not retried
+  const givesUp = !succeeded && (blocked || attempts >= MAX_DELIVERY_ATTEMPTS);
+  await prisma.webhookDelivery.update({
+    where: { id: delivery.id },
+    data: {
+      attempts,
+      responseStatus,
+      error,
+      status: succeeded ? 'SUCCEEDED' : givesUp ? 'FAILED' : 'PENDING',
+      nextAttemptAt: succeeded || givesUp ? null : new Date(Date.now() + retryDelay(attempts)),
+      deliveredAt: succeeded ? new Date() : null
+    }
+  });
+};
+
+// Send every delivery that is due, oldest first; runs one pass at a time in this process
+export const processDueDeliveries = async () => {
+  if (processing) {
+    rerunRequested = true;
+    return;
+  }
+  processing = true;
+  rerunRequested = false;
+
+  try {
+    let due;
+    do {
+      due = await prisma.webhookDelivery.findMany({
+        where: { status: 'PENDING', nextAttemptAt: { lte: new Date() } },
+        include: { subscription: { select: { url: true, secret: true, isActive: true } } },
+        orderBy: { nextAttemptAt: 'asc' },
+        take: POLL_BATCH_SIZE
+      });
+
+      for (const delivery of due) {
+        if (!delivery.subscription.isActive && delivery.event !== TEST_EVENT) {
+          await prisma.webhookDelivery.update({
+            where: { id: delivery.id },
+            data: { status: 'FAILED', error: 'Webhook was disabled', nextAttemptAt: null }
+          });
+          continue;
+        }
+        await attemptDelivery(delivery);
+      }
+    } while (due.length === POLL_BATCH_SIZE);
+  } catch (error) {
+    console.error('Failed to process webhook deliveries:', error);
+  } finally {
+    processing = false;
+  }
+
+  if (rerunRequested) processDueDeliveries();
+};
+
+/**
+ * Queue a delivery of `event` to each subscription and start sending. The payload is
+ * { id, event, createdAt, workspaceId, data }, where id is shared by all of the event's deliveries.
+ * Returns the created deliveries.
+ */
+const queueDeliveries = async (subscriptions, workspaceId, event, data) => {
+  if (subscriptions.length === 0) return [];
+
+  const eventId = crypto.randomUUID();
+  const payload = { id: eventId, event, createdAt: new Date().toISOString(), workspaceId, data };
+  const deliveries = await prisma.$transaction(subscriptions.map(subscription => prisma.webhookDelivery.create({
+    data: { subscriptionId: subscription.id, eventId, event, payload, nextAttemptAt: new Date() }
+  })));
+
+  processDueDeliveries();
+  return deliveries;
+};
+
+/**
+ * Notify the workspace's active subscriptions to `event` with `data`, or with what the `data`
+ * function resolves to, so costly payloads are only built when someone is subscribed. Sending
+ * happens in the background and never fails the caller: errors are logged, and undelivered
+ * events are retried.
+ */
+export const emitWebhookEvent = async (workspaceId, event, data) => {
+  try {
+    const subscriptions = await prisma.webhookSubscription.findMany({
+      where: { workspaceId, isActive: true, events: { has: event } },
+      select: { id: true }
+    });
+    if (subscriptions.length === 0) return;
+
+    const payloadData = typeof data === 'function' ? await data() : data;
+    if (payloadData) await queueDeliveries(subscriptions, workspaceId, event, payloadData);
+  } catch (error) {
+    console.error(`Failed to queue ${event} webhooks:`, error);
+  }
+};
+
+// contact.created / contact.updated for a stored contact, with its custom fields
+export const emitContactEvent = (workspaceId, event, contactId) => emitWebhookEvent(workspaceId, event, async () => {
+  const contact = await prisma.contact.findUnique({
+    where: { id: contactId },
+    include: {
+      customFieldValues: { select: { value: true, property: { select: { fieldKey: true, fieldType: true } } } }
+    }
+  });
+  return contact && { contact: webhookContact(contact) };
+});
+
+// The "Send test event" button: one webhook.test delivery to `subscription`, even if it is paused
+export const sendTestWebhook = async (subscription, user) => {
+  const [delivery] = await queueDeliveries([subscription], subscription.workspaceId, TEST_EVENT, {
+    message: 'This is a test event from SoleCRM',
+    subscriptionId: subscription.id,
+    sentBy: { id: user.id, email: user.email }
+  });
+  return delivery;
+};
+
+// Poll for due deliveries, including ones left pending when the server last stopped
+export const startWebhookWorker = () => {
+  processDueDeliveries();
+  setInterval(processDueDeliveries, POLL_INTERVAL_MS).unref();
+};
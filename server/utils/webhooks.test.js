@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import {
+  MAX_DELIVERY_ATTEMPTS,
+  checkWebhookUrl,
+  generateWebhookSecret,
+  isPrivateAddress,
+  retryDelay,
+  signWebhookPayload
+} from './webhooks.js';
+
+test('signWebhookPayload is the hex HMAC-SHA256 of "<timestamp>.<body>"', () => {
+  const body = JSON.stringify({ event: 'contact.created', data: { id: 'c1' } });
+  const expected = crypto.createHmac('sha256', 'whsec_test').update(`1700000000.${body}`).digest('hex');
+
+  assert.equal(signWebhookPayload('whsec_test', '1700000000', body), expected);
+  assert.match(expected, /^[0-9a-f]{64}$/);
+});
+
+test('signWebhookPayload changes with the secret, timestamp and body', () => {
+  const signature = signWebhookPayload('whsec_a', '1', '{}');
+  assert.notEqual(signWebhookPayload('whsec_b', '1', '{}'), signature);
+  assert.notEqual(signWebhookPayload('whsec_a', '2', '{}'), signature);
+  assert.notEqual(signWebhookPayload('whsec_a', '1', '{ }'), signature);
+});
+
+test('generateWebhookSecret returns a fresh prefixed secret', () => {
+  const secret = generateWebhookSecret();
+  assert.match(secret, /^whsec_[0-9a-f]{48}$/);
+  assert.notEqual(generateWebhookSecret(), secret);
+});
+
+test('retryDelay doubles from 30 seconds', () => {
+  assert.deepEqual([1, 2, 3, 4].map(retryDelay), [30000, 60000, 120000, 240000]);
+  // The last retry waits about an hour
+  assert.equal(retryDelay(MAX_DELIVERY_ATTEMPTS - 1), 64 * 30000);
+});
+
+test('isPrivateAddress blocks internal ranges and allows public addresses', () => {
+  const blocked = [
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254',
+    '100.64.0.1', '0.0.0.0', '::1', '::', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1', '::ffff:10.0.0.1'
+  ];
+  const allowed = ['8.8.8.8', '172.32.0.1', '1.1.1.1', '2606:4700:4700::1111', '::ffff:8.8.8.8'];
+
+  blocked.forEach(address => assert.equal(isPrivateAddress(address), true, address));
+  allowed.forEach(address => assert.equal(isPrivateAddress(address), false, address));
+  assert.equal(isPrivateAddress('not-an-ip'), true);
+});
+
+test('checkWebhookUrl refuses URLs on private addresses', async () => {
+  for (const url of [
+    'http://127.0.0.1:4000/hook',
+    'http://[::1]/hook',
+    'http://169.254.169.254/latest/meta-data',
+    'http://0x7f000001/',
+    'http://localhost/hook'
+  ]) {
+    assert.match(await checkWebhookUrl(url), /private, loopback or link-local/, url);
+  }
+  assert.equal(await checkWebhookUrl('https://93.184.215.14/hook'), null);
+  assert.equal(await checkWebhookUrl('not a url'), 'URL is not valid');
+});
@@ -0,0 +1,51 @@
+export const WORKSPACE_HEADER = 'x-workspace-id';
+
+// e.g. "Jane Smith's workspace", falling back to the email's local part
+export const personalWorkspaceName = (user) => `${user.displayName?.trim() || user.email.split('@')[0]}'s workspace`;
+
+// Create a workspace owned by `ownerId`; `db` may be a transaction client
+export const createWorkspace = (db, { name, ownerId }) => db.workspace.create({
+  data: {
+    name,
+    members: { create: { userId: ownerId, role: 'OWNER' } }
+  }
+});
+
+/**
+ * Give the user a personal workspace if they don't belong to any: accounts made by the seed scripts, or
+ * members removed from their last workspace. Called at sign-in and member removal, never per request;
+ * the user's row is locked while checking so concurrent calls create only one.
+ */
+export const ensurePersonalWorkspace = async (prisma, userId) => {
+  const hasWorkspace = (db) => db.workspaceMember.findFirst({ where: { userId }, select: { id: true } });
+  if (await hasWorkspace(prisma)) return;
+
+  await prisma.$transaction(async (tx) => {
+    const [user] = await tx.$queryRaw`
+      SELECT "id", "email", "displayName" FROM "public"."users" WHERE "id" = ${userId} FOR UPDATE
+    `;
+    if (user && !(await hasWorkspace(tx))) {
+      await createWorkspace(tx, { name: personalWorkspaceName(user), ownerId: user.id });
+    }
+  });
+};
+
+/**
+ * The membership a request acts through: the workspace named by `requestedId` if the user belongs to it,
+ * otherwise their oldest workspace. Returns null when the user isn't a member of `requestedId`, or of any
+ * workspace.
+ */
+export const resolveMembership = (db, user, requestedId) => db.workspaceMember.findFirst({
+  where: { userId: user.id, ...(requestedId ? { workspaceId: requestedId } : {}) },
+  orderBy: { createdAt: 'asc' },
+  select: { workspaceId: true, role: true, canViewAllContacts: true }
+});
+
+// Whether `userId` belongs to the workspace, e.g. before assigning a contact to them
+export const isWorkspaceMember = async (db, workspaceId, userId) => {
+  const member = await db.workspaceMember.findUnique({
+    where: { workspaceId_userId: { workspaceId, userId } },
+    select: { id: true }
+  });
+  return !!member;
+};